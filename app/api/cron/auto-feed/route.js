@@ -1,12 +1,217 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { triggerFeed, sendAutoFeedMessage, isFastingDay, calculateCooldownMs, isDeviceOnline, canFeed } from '@/lib/utils/feeder.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { triggerFeed, sendAutoFeedMessage, calculateCooldownMs, isDeviceOnline, canFeed } from '@/lib/utils/feeder.js';
+import { getCronFeeders, getFeederRefs } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { getFastingReason } from '@/lib/utils/fasting.js';
+import { claimSlot, getDueSlot, releaseSlot, usesCooldownAutoFeed } from '@/lib/utils/schedule.js';
+import { getDefaultPortion } from '@/lib/utils/portion.js';
+import { reconcilePendingFeed } from '@/lib/utils/acknowledgement.js';
 import { isAuthorizedRequest } from '@/lib/utils/auth.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
+/**
+ * Auto feed logic for a single feeder
+ */
+async function runAutoFeed(db, feeder, now) {
+  const { feederRef, deviceRef, historyRef } = getFeederRefs(db, feeder.id);
+
+  // Load data
+  const [feederSnapshot, deviceSnapshot] = await Promise.all([
+    feederRef.once('value'),
+    deviceRef.once('value'),
+  ]);
+
+  const feederData = feederSnapshot.val() || {};
+  const deviceData = deviceSnapshot.val() || {};
+
+  if (!feederData) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'NO_FEEDER_DATA',
+    };
+  }
+
+  const timeZone = getFeederTimeZone(feederData);
+  const portion = getDefaultPortion(feederData, 'timer');
+
+  // Confirm or fail the last triggered feed first (also on fasting days and while offline)
+  const feedAck = await reconcilePendingFeed({ db, feederRef, deviceRef, historyRef, feederData, feederName: feeder.name, timeZone });
+
+  // Check 1: Fasting day
+  const fasting = getFastingReason(feederData, new Date(), timeZone);
+  if (fasting) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'FASTING_DAY',
+      fasting,
+    };
+  }
+
+  // Check 2: Device online
+  const lastSeen = deviceData.lastSeen;
+  if (!isDeviceOnline(lastSeen, deviceData)) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'DEVICE_OFFLINE',
+    };
+  }
+
+  // Check 3: Currently feeding
+  if (feedAck.status === 1) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'ALREADY_FEEDING',
+      feedAck: feedAck.state,
+    };
+  }
+
+  // Check 4: Cooldown finished (with validation)
+  let lastFeedTime = feederData.lastFeedTime || 0;
+  const timerHour = feederData.timer?.hour || 0;
+  const timerMinute = feederData.timer?.minute || 0;
+  const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
+
+  // Validate lastFeedTime (Rule 5)
+  const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
+  if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
+    console.warn('[CRON] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
+    lastFeedTime = Date.now();
+  }
+
+  // Clock schedule: a due slot feeds regardless of cooldown and reservations
+  const dueSlot = getDueSlot(feederData, now, timeZone);
+
+  if (!dueSlot && !canFeed(lastFeedTime, cooldownMs)) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'COOLDOWN_ACTIVE',
+    };
+  }
+
+  if (dueSlot) {
+    const { claimed, previous } = await claimSlot(feederRef, dueSlot);
+    if (!claimed) {
+      return {
+        feederId: feeder.id,
+        success: true,
+        executed: false,
+        reason: 'SLOT_ALREADY_SERVED',
+        slot: dueSlot.time,
+      };
+    }
+
+    let timestampMs;
+    try {
+      ({ timestampMs } = await triggerFeed({
+        type: 'timer',
+        user: 'System',
+        db,
+        feederRef,
+        deviceRef,
+        historyRef,
+        now,
+        timeZone,
+        slot: dueSlot,
+        portion,
+      }));
+    } catch (error) {
+      await releaseSlot(feederRef, dueSlot, previous);
+      throw error;
+    }
+
+    await sendAutoFeedMessage({ now, db, feederName: feeder.name, timeZone, slot: dueSlot, portion });
+
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: true,
+      feedTime: timestampMs,
+      type: 'timer',
+      slot: dueSlot.time,
+      portion,
+    };
+  }
+
+  // Check 5: No reservations exist
+  const reservations = feederData.reservations || [];
+  const validReservations = reservations.filter((r) => r && r.scheduledTime);
+
+  if (validReservations.length > 0) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'RESERVATIONS_EXIST',
+    };
+  }
+
+  // Check 6: Cooldown auto feed enabled (off in clock-only schedule mode)
+  if (!usesCooldownAutoFeed(feederData)) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'NO_SLOT_DUE',
+    };
+  }
+
+  // Check 7: Auto feed delay passed
+  const autoFeedDelayMinutes = feederData.priority?.autoFeedDelayMinutes || 30;
+  const autoFeedDelayMs = autoFeedDelayMinutes * 60000;
+  // Calculate cooldown end time (use valid lastFeedTime or current time)
+  const validLastFeedTime = lastFeedTime && lastFeedTime > 946684800000 ? lastFeedTime : Date.now();
+  const cooldownEndsAt = validLastFeedTime + cooldownMs;
+  const autoFeedTime = cooldownEndsAt + autoFeedDelayMs;
+
+  if (Date.now() < autoFeedTime) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'AUTO_FEED_DELAY_NOT_PASSED',
+    };
+  }
+
+  // All conditions met - execute auto feed
+  const { timestampMs } = await triggerFeed({
+    type: 'timer',
+    user: 'System',
+    db,
+    feederRef,
+    deviceRef,
+    historyRef,
+    now,
+    timeZone,
+    portion,
+  });
+
+  // Send notification
+  await sendAutoFeedMessage({ now, db, feederName: feeder.name, timeZone, portion });
+
+  return {
+    feederId: feeder.id,
+    success: true,
+    executed: true,
+    feedTime: timestampMs,
+    type: 'timer',
+    portion,
+  };
+}
+
 /**
  * Auto Feed Cron Endpoint
  * POST /api/cron/auto-feed
@@ -43,128 +248,29 @@ export async function POST(request) {
       return addCorsHeaders(response);
     }
 
-    const feederRef = db.ref('system/feeder');
-    const deviceRef = db.ref('system/device');
-
-    // Load data
-    const [feederSnapshot, deviceSnapshot] = await Promise.all([
-      feederRef.once('value'),
-      deviceRef.once('value'),
-    ]);
-
-    const feederData = feederSnapshot.val() || {};
-    const deviceData = deviceSnapshot.val() || {};
-
-    if (!feederData) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'NO_FEEDER_DATA',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 1: Fasting day
-    const noFeedDay = feederData.timer?.noFeedDay;
-    if (isFastingDay(noFeedDay)) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'FASTING_DAY',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 2: Device online
-    const lastSeen = deviceData.lastSeen;
-    if (!isDeviceOnline(lastSeen, deviceData)) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'DEVICE_OFFLINE',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 3: Currently feeding
-    if (feederData.status === 1) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'ALREADY_FEEDING',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 4: Cooldown finished (with validation)
-    let lastFeedTime = feederData.lastFeedTime || 0;
-    const timerHour = feederData.timer?.hour || 0;
-    const timerMinute = feederData.timer?.minute || 0;
-    const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
-
-    // Validate lastFeedTime (Rule 5)
-    const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
-    if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
-      console.warn('[CRON] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
-      lastFeedTime = Date.now();
-    }
-
-    if (!canFeed(lastFeedTime, cooldownMs)) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'COOLDOWN_ACTIVE',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 5: No reservations exist
-    const reservations = feederData.reservations || [];
-    const validReservations = reservations.filter((r) => r && r.scheduledTime);
-
-    if (validReservations.length > 0) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'RESERVATIONS_EXIST',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 6: Auto feed delay passed
-    const autoFeedDelayMinutes = feederData.priority?.autoFeedDelayMinutes || 30;
-    const autoFeedDelayMs = autoFeedDelayMinutes * 60000;
-    // Calculate cooldown end time (use valid lastFeedTime or current time)
-    const validLastFeedTime = lastFeedTime && lastFeedTime > 946684800000 ? lastFeedTime : Date.now();
-    const cooldownEndsAt = validLastFeedTime + cooldownMs;
-    const autoFeedTime = cooldownEndsAt + autoFeedDelayMs;
-
-    if (Date.now() < autoFeedTime) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'AUTO_FEED_DELAY_NOT_PASSED',
-      });
+    const feeders = await getCronFeeders(db, request);
+    if (feeders.length === 0) {
+      const response = NextResponse.json(
+        { success: false, error: 'FEEDER_NOT_FOUND' },
+        { status: 404 }
+      );
       return addCorsHeaders(response);
     }
 
-    // All conditions met - execute auto feed
-    const { timestampMs } = await triggerFeed({
-      type: 'timer',
-      user: 'System',
-      db,
-      feederRef,
-      now,
-    });
-
-    // Send Telegram notification
-    await sendAutoFeedMessage({ now, db });
+    // Feeders are independent - one failing tank must not block the others
+    const results = await Promise.all(
+      feeders.map((feeder) =>
+        runAutoFeed(db, feeder, now).catch((error) => {
+          console.error(`[CRON] Feeder ${feeder.id} error:`, error.message);
+          return { feederId: feeder.id, success: false, error: 'INTERNAL_ERROR', message: error.message };
+        })
+      )
+    );
 
     const response = NextResponse.json({
       success: true,
-      executed: true,
-      feedTime: timestampMs,
-      type: 'timer',
+      executed: results.some((result) => result.executed),
+      feeders: results,
     });
 
     return addCorsHeaders(response);
@@ -1,12 +1,56 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
+import { getDatabase } from '@/lib/services/storage.js';
 import { isDeviceOnline, sendDeviceOfflineMessage } from '@/lib/utils/feeder.js';
+import { getCronFeeders, getFeederRefs } from '@/lib/utils/feeders.js';
+import { loadFeederTimeZone } from '@/lib/utils/timezone.js';
 import { isAuthorizedRequest } from '@/lib/utils/auth.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
+/**
+ * Device check for a single feeder
+ */
+async function checkFeederDevice(db, feeder, now) {
+  const { feederRef, deviceRef, alertsRef } = getFeederRefs(db, feeder.id);
+
+  // Load device data
+  const [deviceSnapshot, timeZone] = await Promise.all([
+    deviceRef.once('value'),
+    loadFeederTimeZone(feederRef),
+  ]);
+  const deviceData = deviceSnapshot.val() || {};
+
+  const lastSeen = deviceData.lastSeen;
+  const isOnline = isDeviceOnline(lastSeen, deviceData);
+
+  // Check alerts for throttling
+  const alertsSnapshot = await alertsRef.once('value');
+  const alerts = alertsSnapshot.val() || {};
+  const fifteenMinutesAgo = Date.now() - 15 * 60 * 1000;
+
+  // Send offline alert if needed
+  if (!isOnline) {
+    const lastOfflineAlert = alerts.lastOfflineAlert || 0;
+    if (lastOfflineAlert < fifteenMinutesAgo) {
+      await sendDeviceOfflineMessage({ lastSeen, db, feederName: feeder.name, timeZone });
+      await alertsRef.child('lastOfflineAlert').set(Date.now());
+    }
+  }
+
+  return {
+    feederId: feeder.id,
+    success: true,
+    device: {
+      online: isOnline,
+      lastSeen,
+      wifi: deviceData.wifi || 'unknown',
+      uptime: deviceData.uptime || 0,
+    },
+  };
+}
+
 /**
  * Check Device Status Cron Endpoint
  * POST /api/cron/check-device
@@ -43,38 +87,28 @@ export async function POST(request) {
       return addCorsHeaders(response);
     }
 
-    const deviceRef = db.ref('system/device');
-    const alertsRef = db.ref('system/alerts');
-
-    // Load device data
-    const deviceSnapshot = await deviceRef.once('value');
-    const deviceData = deviceSnapshot.val() || {};
-
-    const lastSeen = deviceData.lastSeen;
-    const isOnline = isDeviceOnline(lastSeen, deviceData);
-
-    // Check alerts for throttling
-    const alertsSnapshot = await alertsRef.once('value');
-    const alerts = alertsSnapshot.val() || {};
-    const fifteenMinutesAgo = Date.now() - 15 * 60 * 1000;
-
-    // Send offline alert if needed
-    if (!isOnline) {
-      const lastOfflineAlert = alerts.lastOfflineAlert || 0;
-      if (lastOfflineAlert < fifteenMinutesAgo) {
-        await sendDeviceOfflineMessage({ lastSeen, db });
-        await alertsRef.child('lastOfflineAlert').set(Date.now());
-      }
+    const feeders = await getCronFeeders(db, request);
+    if (feeders.length === 0) {
+      const response = NextResponse.json(
+        { success: false, error: 'FEEDER_NOT_FOUND' },
+        { status: 404 }
+      );
+      return addCorsHeaders(response);
     }
 
+    // Feeders are independent - one failing tank must not block the others
+    const results = await Promise.all(
+      feeders.map((feeder) =>
+        checkFeederDevice(db, feeder, now).catch((error) => {
+          console.error(`[CRON] Feeder ${feeder.id} error:`, error.message);
+          return { feederId: feeder.id, success: false, error: 'INTERNAL_ERROR', message: error.message };
+        })
+      )
+    );
+
     const response = NextResponse.json({
       success: true,
-      device: {
-        online: isOnline,
-        lastSeen,
-        wifi: deviceData.wifi || 'unknown',
-        uptime: deviceData.uptime || 0,
-      },
+      feeders: results,
     });
 
     return addCorsHeaders(response);
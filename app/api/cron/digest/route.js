@@ -0,0 +1,174 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { getCronFeeders, getFeederRefs } from '@/lib/utils/feeders.js';
+import {
+  DIGEST_PERIODS,
+  buildDigest,
+  claimDigest,
+  getDigestSettings,
+  isDigestDue,
+  sendDigestMessage,
+} from '@/lib/utils/digest.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { isAuthorizedRequest } from '@/lib/utils/auth.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Send the digests of a single feeder that are due
+ */
+async function sendFeederDigests(db, feeder, now) {
+  const refs = getFeederRefs(db, feeder.id);
+
+  const [digestSnapshot, timezoneSnapshot, lastDigestSnapshot] = await withTimeout(
+    Promise.all([
+      refs.feederRef.child('digest').once('value'),
+      refs.feederRef.child('timezone').once('value'),
+      refs.alertsRef.child('lastDigest').once('value'),
+    ]),
+    5000
+  );
+  const settings = getDigestSettings({ digest: digestSnapshot.val() });
+  const timeZone = getFeederTimeZone({ timezone: timezoneSnapshot.val() });
+  const lastDigest = lastDigestSnapshot.val() || {};
+
+  const sent = [];
+  for (const period of DIGEST_PERIODS) {
+    if (!isDigestDue(settings, period, lastDigest[period], now, timeZone)) continue;
+
+    const digest = await withTimeout(buildDigest(refs, period, now, timeZone), 20000);
+
+    // Build first, then claim - a concurrent run that lost the claim sends nothing
+    const claimed = await withTimeout(claimDigest(refs.alertsRef, period, now, timeZone), 5000);
+    if (!claimed) continue;
+
+    await sendDigestMessage({ db, digest, feederId: feeder.id, feederName: feeder.name, timeZone });
+    sent.push(period);
+  }
+
+  if (sent.length > 0) {
+    console.log(`[DIGEST] ${feeder.id} sent: ${sent.join(', ')}`);
+  }
+
+  return {
+    feederId: feeder.id,
+    success: true,
+    sent,
+  };
+}
+
+/**
+ * Digest Cron
+ * GET/POST /api/cron/digest
+ *
+ * Send the daily and weekly digests once their delivery time has passed
+ * (run every 15 minutes; each digest is sent once per day)
+ */
+async function runDigestCron(request) {
+  const now = new Date();
+
+  try {
+    // Check authorization
+    const cronSecret = process.env.CRON_SECRET;
+    if (!isAuthorizedRequest(request, cronSecret)) {
+      return NextResponse.json(
+        { success: false, error: 'UNAUTHORIZED' },
+        { status: 401 }
+      );
+    }
+
+    // Initialize database
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[DIGEST] Firebase initialization failed:', error.message);
+      return NextResponse.json(
+        { success: false, error: 'DATABASE_ERROR' },
+        { status: 500 }
+      );
+    }
+
+    const feeders = await withTimeout(getCronFeeders(db, request), 5000);
+    if (feeders.length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'FEEDER_NOT_FOUND' },
+        { status: 404 }
+      );
+    }
+
+    // Feeders are independent - one failing tank must not block the others
+    const results = await Promise.all(
+      feeders.map((feeder) =>
+        sendFeederDigests(db, feeder, now).catch((error) => {
+          console.error(`[DIGEST] Feeder ${feeder.id} error:`, error.message);
+          return {
+            feederId: feeder.id,
+            success: false,
+            error: error.message === 'firebase_timeout' ? 'TIMEOUT' : 'INTERNAL_ERROR',
+            message: error.message,
+          };
+        })
+      )
+    );
+
+    return NextResponse.json({
+      success: true,
+      sent: results.reduce((count, result) => count + (result.sent?.length || 0), 0),
+      feeders: results,
+    });
+  } catch (error) {
+    console.error('[DIGEST] Error:', error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * GET handler for FastCron compatibility
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  const response = await runDigestCron(request);
+  return addCorsHeaders(response);
+}
+
+/**
+ * POST handler for standard cron calls
+ */
+export async function POST(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  const response = await runDigestCron(request);
+  return addCorsHeaders(response);
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
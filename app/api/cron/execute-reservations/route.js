@@ -1,12 +1,191 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { triggerFeed, sendReservationExecutedMessage, isFastingDay, calculateCooldownMs, isDeviceOnline, canFeed } from '@/lib/utils/feeder.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { triggerFeed, sendReservationExecutedMessage, calculateCooldownMs, isDeviceOnline, canFeed } from '@/lib/utils/feeder.js';
+import { claimReservation, restoreReservation } from '@/lib/utils/reservations.js';
+import { getCronFeeders, getFeederRefs } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { getFastingReason } from '@/lib/utils/fasting.js';
+import { resolvePortion } from '@/lib/utils/portion.js';
+import { reconcilePendingFeed } from '@/lib/utils/acknowledgement.js';
 import { isAuthorizedRequest } from '@/lib/utils/auth.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
+/**
+ * Reservation execution for a single feeder
+ */
+async function runReservations(db, feeder, now) {
+  const { feederRef, deviceRef, historyRef } = getFeederRefs(db, feeder.id);
+
+  // Load data
+  const [feederSnapshot, deviceSnapshot] = await Promise.all([
+    feederRef.once('value'),
+    deviceRef.once('value'),
+  ]);
+
+  const feederData = feederSnapshot.val() || {};
+  const deviceData = deviceSnapshot.val() || {};
+
+  if (!feederData) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'NO_FEEDER_DATA',
+    };
+  }
+
+  const timeZone = getFeederTimeZone(feederData);
+
+  // Confirm or fail the last triggered feed first (also on fasting days and while offline)
+  const feedAck = await reconcilePendingFeed({ db, feederRef, deviceRef, historyRef, feederData, feederName: feeder.name, timeZone });
+
+  // Check 1: Fasting day
+  const fasting = getFastingReason(feederData, new Date(), timeZone);
+  if (fasting) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'FASTING_DAY',
+      fasting,
+    };
+  }
+
+  // Check 2: Device online
+  const lastSeen = deviceData.lastSeen;
+  if (!isDeviceOnline(lastSeen, deviceData)) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'DEVICE_OFFLINE',
+    };
+  }
+
+  // Check 3: Currently feeding
+  if (feedAck.status === 1) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'ALREADY_FEEDING',
+      feedAck: feedAck.state,
+    };
+  }
+
+  // Check 4: Cooldown finished (with validation)
+  let lastFeedTime = feederData.lastFeedTime || 0;
+  const timerHour = feederData.timer?.hour || 0;
+  const timerMinute = feederData.timer?.minute || 0;
+  const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
+
+  // Validate lastFeedTime (Rule 5)
+  const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
+  if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
+    console.warn('[CRON] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
+    lastFeedTime = Date.now();
+  }
+
+  if (!canFeed(lastFeedTime, cooldownMs)) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'COOLDOWN_ACTIVE',
+    };
+  }
+
+  // Get ready reservations (scheduledTime <= now)
+  const reservations = feederData.reservations || [];
+  const validReservations = reservations.filter((r) => r && r.scheduledTime);
+
+  const readyReservations = validReservations
+    .filter((r) => {
+      const scheduledTime = typeof r.scheduledTime === 'number' 
+        ? r.scheduledTime 
+        : parseInt(r.scheduledTime, 10);
+      return scheduledTime <= Date.now();
+    })
+    .sort((a, b) => {
+      // Sort by createdAt (FIFO - oldest first)
+      const createdAtA = typeof a.createdAt === 'number' ? a.createdAt : parseInt(a.createdAt, 10);
+      const createdAtB = typeof b.createdAt === 'number' ? b.createdAt : parseInt(b.createdAt, 10);
+      return (createdAtA || 0) - (createdAtB || 0);
+    });
+
+  if (readyReservations.length === 0) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'NO_READY_RESERVATIONS',
+    };
+  }
+
+  // Execute first ready reservation
+  const reservation = readyReservations[0];
+  const reservationUser = reservation.user || 'unknown';
+  const portion = resolvePortion(feederData, 'reservation', reservation.portion);
+
+  // Claim the reservation atomically before feeding so it can't run twice
+  const claimed = await claimReservation(feederRef, reservation, {
+    feedTime: now.getTime(),
+    cooldownMs,
+  });
+  if (!claimed) {
+    return {
+      feederId: feeder.id,
+      success: true,
+      executed: false,
+      reason: 'RESERVATION_ALREADY_CLAIMED',
+    };
+  }
+
+  // Trigger feed (restore the reservation if it fails)
+  let timestampMs;
+  try {
+    ({ timestampMs } = await triggerFeed({
+      type: 'reservation',
+      user: reservationUser,
+      userId: reservation.userId || null,
+      db,
+      feederRef,
+      deviceRef,
+      historyRef,
+      now,
+      timeZone,
+      portion,
+    }));
+  } catch (error) {
+    await restoreReservation(feederRef, reservation);
+    throw error;
+  }
+
+  // Send notification
+  await sendReservationExecutedMessage({
+    user: reservationUser,
+    now,
+    db,
+    feederName: feeder.name,
+    timeZone,
+    portion,
+  });
+
+  return {
+    feederId: feeder.id,
+    success: true,
+    executed: true,
+    reservation: {
+      user: reservationUser,
+      portion,
+      feedTime: timestampMs,
+    },
+  };
+}
+
 /**
  * Execute Reservations Cron Endpoint
  * POST /api/cron/execute-reservations
@@ -43,160 +222,29 @@ export async function POST(request) {
       return addCorsHeaders(response);
     }
 
-    const feederRef = db.ref('system/feeder');
-    const deviceRef = db.ref('system/device');
-
-    // Load data
-    const [feederSnapshot, deviceSnapshot] = await Promise.all([
-      feederRef.once('value'),
-      deviceRef.once('value'),
-    ]);
-
-    const feederData = feederSnapshot.val() || {};
-    const deviceData = deviceSnapshot.val() || {};
-
-    if (!feederData) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'NO_FEEDER_DATA',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 1: Fasting day
-    const noFeedDay = feederData.timer?.noFeedDay;
-    if (isFastingDay(noFeedDay)) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'FASTING_DAY',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 2: Device online
-    const lastSeen = deviceData.lastSeen;
-    if (!isDeviceOnline(lastSeen, deviceData)) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'DEVICE_OFFLINE',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 3: Currently feeding
-    if (feederData.status === 1) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'ALREADY_FEEDING',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Check 4: Cooldown finished (with validation)
-    let lastFeedTime = feederData.lastFeedTime || 0;
-    const timerHour = feederData.timer?.hour || 0;
-    const timerMinute = feederData.timer?.minute || 0;
-    const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
-
-    // Validate lastFeedTime (Rule 5)
-    const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
-    if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
-      console.warn('[CRON] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
-      lastFeedTime = Date.now();
-    }
-
-    if (!canFeed(lastFeedTime, cooldownMs)) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'COOLDOWN_ACTIVE',
-      });
-      return addCorsHeaders(response);
-    }
-
-    // Get ready reservations (scheduledTime <= now)
-    const reservations = feederData.reservations || [];
-    const validReservations = reservations.filter((r) => r && r.scheduledTime);
-
-    const readyReservations = validReservations
-      .filter((r) => {
-        const scheduledTime = typeof r.scheduledTime === 'number' 
-          ? r.scheduledTime 
-          : parseInt(r.scheduledTime, 10);
-        return scheduledTime <= Date.now();
-      })
-      .sort((a, b) => {
-        // Sort by createdAt (FIFO - oldest first)
-        const createdAtA = typeof a.createdAt === 'number' ? a.createdAt : parseInt(a.createdAt, 10);
-        const createdAtB = typeof b.createdAt === 'number' ? b.createdAt : parseInt(b.createdAt, 10);
-        return (createdAtA || 0) - (createdAtB || 0);
-      });
-
-    if (readyReservations.length === 0) {
-      const response = NextResponse.json({
-        success: true,
-        executed: false,
-        reason: 'NO_READY_RESERVATIONS',
-      });
+    const feeders = await getCronFeeders(db, request);
+    if (feeders.length === 0) {
+      const response = NextResponse.json(
+        { success: false, error: 'FEEDER_NOT_FOUND' },
+        { status: 404 }
+      );
       return addCorsHeaders(response);
     }
 
-    // Execute first ready reservation
-    const reservation = readyReservations[0];
-    const reservationUser = reservation.user || 'unknown';
-
-    // Trigger feed
-    const { timestampMs } = await triggerFeed({
-      type: 'reservation',
-      user: reservationUser,
-      db,
-      feederRef,
-      now,
-    });
-
-    // Remove executed reservation
-    const reservationCreatedAt = typeof reservation.createdAt === 'number' 
-      ? reservation.createdAt 
-      : parseInt(reservation.createdAt, 10);
-
-    const updatedReservations = validReservations.filter((r) => {
-      const createdAt = typeof r.createdAt === 'number' ? r.createdAt : parseInt(r.createdAt, 10);
-      return createdAt !== reservationCreatedAt;
-    });
-
-    // Recalculate remaining reservations' scheduledTimes
-    const recalculatedReservations = [];
-    let currentScheduledTime = timestampMs + cooldownMs;
-
-    for (const res of updatedReservations) {
-      const scheduledTime = Math.max(Date.now(), currentScheduledTime);
-      recalculatedReservations.push({
-        ...res,
-        scheduledTime,
-      });
-      currentScheduledTime = scheduledTime + cooldownMs;
-    }
-
-    await feederRef.child('reservations').set(recalculatedReservations);
-
-    // Send Telegram notification
-    await sendReservationExecutedMessage({
-      user: reservationUser,
-      now,
-      db,
-    });
+    // Feeders are independent - one failing tank must not block the others
+    const results = await Promise.all(
+      feeders.map((feeder) =>
+        runReservations(db, feeder, now).catch((error) => {
+          console.error(`[CRON] Feeder ${feeder.id} error:`, error.message);
+          return { feederId: feeder.id, success: false, error: 'INTERNAL_ERROR', message: error.message };
+        })
+      )
+    );
 
     const response = NextResponse.json({
       success: true,
-      executed: true,
-      reservation: {
-        user: reservationUser,
-        feedTime: timestampMs,
-      },
+      executed: results.some((result) => result.executed),
+      feeders: results,
     });
 
     return addCorsHeaders(response);
@@ -1,6 +1,13 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { triggerFeed, sendReservationExecutedMessage, sendAutoFeedMessage, isFastingDay, calculateCooldownMs, canFeed } from '@/lib/utils/feeder.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { triggerFeed, sendReservationExecutedMessage, sendAutoFeedMessage, calculateCooldownMs, canFeed } from '@/lib/utils/feeder.js';
+import { claimReservation, restoreReservation } from '@/lib/utils/reservations.js';
+import { getCronFeeders, getFeederRefs } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { getFastingReason } from '@/lib/utils/fasting.js';
+import { claimSlot, getDueSlot, getNextSlot, releaseSlot, usesCooldownAutoFeed } from '@/lib/utils/schedule.js';
+import { getDefaultPortion, resolvePortion } from '@/lib/utils/portion.js';
+import { reconcilePendingFeed } from '@/lib/utils/acknowledgement.js';
 import { isAuthorizedRequest } from '@/lib/utils/auth.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
@@ -50,237 +57,405 @@ function isDeviceOnlineFast(lastSeen, deviceData = {}) {
 }
 
 /**
- * Core cron execution logic
- * Returns JSON response in <300ms
+ * Cron logic for a single feeder
+ * Returns a plain result object (one entry of the cron response)
  */
-async function executeCron(request) {
-  const startTime = Date.now();
-  console.log('[CRON] start');
+async function executeFeederCron(db, feeder, startTime) {
+  const { feederRef, deviceRef, historyRef } = getFeederRefs(db, feeder.id);
+  console.log(`[CRON] feeder ${feeder.id}`);
 
+  // Step 3: Load data with timeout protection
+  // CRITICAL: Read feeder data first (most important), device is optional
+  let feederData;
   try {
-    // Step 1: Verify CRON_SECRET
-    const cronSecret = process.env.CRON_SECRET;
-    if (!isAuthorizedRequest(request, cronSecret)) {
-      console.log('[CRON] unauthorized');
-      return NextResponse.json(
-        { error: 'UNAUTHORIZED', type: 'none' },
-        { status: 401 }
-      );
+    // Read feeder with aggressive timeout (5 seconds max for FastCron)
+    const feederSnapshot = await withTimeout(
+      feederRef.once('value'),
+      5000 // 5 second timeout - FastCron needs fast responses
+    );
+    feederData = feederSnapshot.val() || {};
+  } catch (error) {
+    if (error.message === 'firebase_timeout') {
+      console.log('[CRON] firebase_timeout on feeder read');
+      return {
+        feederId: feeder.id,
+        error: 'firebase_timeout',
+        type: 'none'
+      };
     }
+    throw error;
+  }
 
-    // Step 2: Initialize database with timeout
-    let db;
+  // Read device data in parallel (non-blocking - don't wait for it)
+  // If it fails, we'll use defaults - device check is not critical
+  let deviceData = {};
+  const deviceReadPromise = deviceRef.once('value')
+    .then(snapshot => {
+      deviceData = snapshot.val() || {};
+    })
+    .catch(err => {
+      console.warn('[CRON] Device read failed (non-critical):', err.message);
+      deviceData = {}; // Use defaults
+    });
+  
+  // Don't wait for device read - continue with feeder data
+  // Device check will use defaults if read hasn't completed
+
+  if (!feederData) {
+    console.log('[CRON] no_feeder_data');
+    return {
+      feederId: feeder.id,
+      type: 'none',
+      reason: 'NO_FEEDER_DATA'
+    };
+  }
+
+  const timeZone = getFeederTimeZone(feederData);
+
+  // Confirm or fail the last triggered feed first (also on fasting days and while offline)
+  let feedAck;
+  try {
+    feedAck = await withTimeout(
+      reconcilePendingFeed({ db, feederRef, deviceRef, historyRef, feederData, feederName: feeder.name, timeZone }),
+      5000
+    );
+  } catch (error) {
+    console.warn('[CRON] Feed acknowledgement check failed:', error.message);
+    feedAck = { state: 'unknown', status: feederData.status === 1 ? 1 : 0, feedId: null };
+  }
+
+  // Step 4: Check fasting day
+  const fasting = getFastingReason(feederData, new Date(), timeZone);
+  if (fasting) {
+    console.log('[CRON] fasting_day');
+    return {
+      feederId: feeder.id,
+      type: 'none',
+      reason: 'fasting_day',
+      fasting,
+    };
+  }
+
+  // Step 5: Check device online (60 second threshold)
+  // Device read is non-blocking, so check if we have data yet
+  // If device data is missing, assume online (graceful degradation for FastCron)
+  const lastSeen = deviceData?.lastSeen;
+  
+  // Only check device if we have lastSeen data (device read completed)
+  // If device read is still pending or failed, assume online
+  if (lastSeen !== undefined && lastSeen !== null) {
+    const isOnline = isDeviceOnlineFast(lastSeen, deviceData);
+    if (!isOnline) {
+      console.log('[CRON] device_offline');
+      return {
+        feederId: feeder.id,
+        type: 'none',
+        reason: 'device_offline'
+      };
+    }
+  } else {
+    // Device data not available yet or read failed - assume online (graceful degradation)
+    console.warn('[CRON] Device data not available, assuming online (graceful degradation)');
+  }
+
+  // Step 6: Check status before feeding (prevent conflicts)
+  if (feedAck.status === 1) {
+    console.log(`[CRON] already_feeding (${feedAck.state})`);
+    return {
+      feederId: feeder.id,
+      type: 'none',
+      reason: 'already_feeding',
+      feedAck: feedAck.state,
+      feedId: feedAck.feedId
+    };
+  }
+
+  // Step 7: Get lastFeedTime and cooldown
+  let lastFeedTime = feederData.lastFeedTime || 0;
+  const timerHour = feederData.timer?.hour || 0;
+  const timerMinute = feederData.timer?.minute || 0;
+  const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
+
+  // Step 8: Validate lastFeedTime
+  const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
+  if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
+    lastFeedTime = Date.now();
+  }
+
+  // Clock schedule: a due slot feeds regardless of cooldown
+  const dueSlot = getDueSlot(feederData, new Date(), timeZone);
+  const cooldownDone = canFeed(lastFeedTime, cooldownMs);
+
+  // Step 9: Check cooldown finished
+  if (!cooldownDone && !dueSlot) {
+    console.log('[CRON] cooldown_active');
+    return {
+      feederId: feeder.id,
+      type: 'none',
+      reason: 'cooldown_active'
+    };
+  }
+
+  // Step 10: Check reservations (Priority 1)
+  const reservations = feederData.reservations || [];
+  const validReservations = reservations.filter((r) => r && r.scheduledTime);
+
+  const readyReservations = validReservations
+    .filter((r) => {
+      const scheduledTime = typeof r.scheduledTime === 'number' 
+        ? r.scheduledTime 
+        : parseInt(r.scheduledTime, 10);
+      return scheduledTime <= Date.now();
+    })
+    .sort((a, b) => {
+      // Sort by createdAt (FIFO - oldest first)
+      const createdAtA = typeof a.createdAt === 'number' ? a.createdAt : parseInt(a.createdAt, 10);
+      const createdAtB = typeof b.createdAt === 'number' ? b.createdAt : parseInt(b.createdAt, 10);
+      return (createdAtA || 0) - (createdAtB || 0);
+    });
+
+  if (cooldownDone && readyReservations.length > 0) {
+    // Execute first ready reservation
+    const reservation = readyReservations[0];
+    const reservationUser = reservation.user || 'unknown';
+    const portion = resolvePortion(feederData, 'reservation', reservation.portion);
+
+    const now = new Date();
+
+    // Claim the reservation atomically before feeding: remove it and reschedule
+    // the rest, so a concurrent cancel or cron run can't execute it twice
+    let claimed;
     try {
-      db = getDatabase();
+      claimed = await withTimeout(
+        claimReservation(feederRef, reservation, { feedTime: now.getTime(), cooldownMs }),
+        5000 // 5 second timeout for the queue transaction
+      );
     } catch (error) {
-      console.log('[CRON] firebase_init_error');
-      return NextResponse.json({
-        error: 'DATABASE_ERROR',
-        type: 'none',
-        reason: 'initialization_failed'
-      });
+      if (error.message === 'firebase_timeout' || error.message === 'transaction_conflict') {
+        console.log(`[CRON] ${error.message} on reservation claim`);
+        return {
+          feederId: feeder.id,
+          error: error.message,
+          type: 'none'
+        };
+      }
+      throw error;
     }
 
-    const feederRef = db.ref('system/feeder');
-    const deviceRef = db.ref('system/device');
+    if (!claimed) {
+      // Cancelled or executed by another run since we read the queue
+      console.log('[CRON] reservation_already_claimed');
+      return {
+        feederId: feeder.id,
+        type: 'none',
+        reason: 'reservation_already_claimed'
+      };
+    }
 
-    // Step 3: Load data with timeout protection
-    // CRITICAL: Read feeder data first (most important), device is optional
-    let feederData;
+    // Trigger feed with timeout protection (aggressive timeout for FastCron)
     try {
-      // Read feeder with aggressive timeout (5 seconds max for FastCron)
-      const feederSnapshot = await withTimeout(
-        feederRef.once('value'),
-        5000 // 5 second timeout - FastCron needs fast responses
+      await withTimeout(
+        triggerFeed({
+          type: 'reservation',
+          user: reservationUser,
+          userId: reservation.userId || null,
+          db,
+          feederRef,
+          deviceRef,
+          historyRef,
+          now,
+          timeZone,
+          portion,
+        }),
+        7000 // 7 second timeout for feed trigger (FastCron needs fast responses)
       );
-      feederData = feederSnapshot.val() || {};
     } catch (error) {
+      // Feed didn't go out - put the reservation back at the front of the queue
+      await restoreReservation(feederRef, reservation);
       if (error.message === 'firebase_timeout') {
-        console.log('[CRON] firebase_timeout on feeder read');
-        return NextResponse.json({
+        console.log('[CRON] firebase_timeout on triggerFeed');
+        return {
+          feederId: feeder.id,
           error: 'firebase_timeout',
           type: 'none'
-        });
+        };
       }
       throw error;
     }
 
-    // Read device data in parallel (non-blocking - don't wait for it)
-    // If it fails, we'll use defaults - device check is not critical
-    let deviceData = {};
-    const deviceReadPromise = deviceRef.once('value')
-      .then(snapshot => {
-        deviceData = snapshot.val() || {};
-      })
-      .catch(err => {
-        console.warn('[CRON] Device read failed (non-critical):', err.message);
-        deviceData = {}; // Use defaults
-      });
-    
-    // Don't wait for device read - continue with feeder data
-    // Device check will use defaults if read hasn't completed
-
-    if (!feederData) {
-      console.log('[CRON] no_feeder_data');
-      return NextResponse.json({
-        type: 'none',
-        reason: 'NO_FEEDER_DATA'
-      });
+    // The fish were just fed - count a due clock slot as served
+    if (dueSlot) {
+      await claimSlot(feederRef, dueSlot, 'reservation')
+        .catch((err) => console.error('[CRON] Failed to mark slot served:', err.message));
     }
 
-    // Step 4: Check fasting day
-    const noFeedDay = feederData.timer?.noFeedDay;
-    if (isFastingDay(noFeedDay)) {
-      console.log('[CRON] fasting_day');
-      return NextResponse.json({
-        type: 'none',
-        reason: 'fasting_day'
+    // Send notification and capture status for debug
+    let telegramStatus = null;
+    try {
+      telegramStatus = await sendReservationExecutedMessage({
+        user: reservationUser,
+        now,
+        db,
+        feederName: feeder.name,
+        timeZone,
+        portion,
       });
+    } catch (err) {
+      console.error('[CRON] Telegram notification failed:', err.message);
+      console.error('[CRON] Telegram error details:', err);
+      telegramStatus = { success: false, error: err.message };
     }
 
-    // Step 5: Check device online (60 second threshold)
-    // Device read is non-blocking, so check if we have data yet
-    // If device data is missing, assume online (graceful degradation for FastCron)
-    const lastSeen = deviceData?.lastSeen;
-    
-    // Only check device if we have lastSeen data (device read completed)
-    // If device read is still pending or failed, assume online
-    if (lastSeen !== undefined && lastSeen !== null) {
-      const isOnline = isDeviceOnlineFast(lastSeen, deviceData);
-      if (!isOnline) {
-        console.log('[CRON] device_offline');
-        return NextResponse.json({
-          type: 'none',
-          reason: 'device_offline'
-        });
+    const elapsed = Date.now() - startTime;
+    console.log(`[CRON] reservation_executed in ${elapsed}ms`);
+
+    return {
+      feederId: feeder.id,
+      type: 'reservation',
+      user: reservationUser,
+      portion,
+      telegram: telegramStatus || { success: false, error: 'NOT_ATTEMPTED' }
+    };
+  }
+
+  // Step 11: Clock schedule slot (Priority 2)
+  if (dueSlot) {
+    const now = new Date();
+    const portion = getDefaultPortion(feederData, 'timer');
+
+    // Claim the slot atomically so concurrent cron runs feed it once
+    let slotClaim;
+    try {
+      slotClaim = await withTimeout(claimSlot(feederRef, dueSlot), 5000);
+    } catch (error) {
+      if (error.message === 'firebase_timeout') {
+        console.log('[CRON] firebase_timeout on slot claim');
+        return {
+          feederId: feeder.id,
+          error: 'firebase_timeout',
+          type: 'none'
+        };
       }
-    } else {
-      // Device data not available yet or read failed - assume online (graceful degradation)
-      console.warn('[CRON] Device data not available, assuming online (graceful degradation)');
+      throw error;
     }
 
-    // Step 6: Check status before feeding (prevent conflicts)
-    if (feederData.status === 1) {
-      console.log('[CRON] already_feeding');
-      return NextResponse.json({
+    if (!slotClaim.claimed) {
+      console.log('[CRON] slot_already_served');
+      return {
+        feederId: feeder.id,
         type: 'none',
-        reason: 'already_feeding'
-      });
+        reason: 'slot_already_served',
+        slot: dueSlot.time
+      };
     }
 
-    // Step 7: Get lastFeedTime and cooldown
-    let lastFeedTime = feederData.lastFeedTime || 0;
-    const timerHour = feederData.timer?.hour || 0;
-    const timerMinute = feederData.timer?.minute || 0;
-    const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
-
-    // Step 8: Validate lastFeedTime
-    const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
-    if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
-      lastFeedTime = Date.now();
+    try {
+      await withTimeout(
+        triggerFeed({
+          type: 'timer',
+          user: 'System',
+          db,
+          feederRef,
+          deviceRef,
+          historyRef,
+          now,
+          timeZone,
+          slot: dueSlot,
+          portion,
+        }),
+        7000 // 7 second timeout for feed trigger (FastCron needs fast responses)
+      );
+    } catch (error) {
+      // Feed didn't go out - let the next run retry the slot
+      await releaseSlot(feederRef, dueSlot, slotClaim.previous);
+      if (error.message === 'firebase_timeout') {
+        console.log('[CRON] firebase_timeout on scheduled feed');
+        return {
+          feederId: feeder.id,
+          error: 'firebase_timeout',
+          type: 'none'
+        };
+      }
+      throw error;
     }
 
-    // Step 9: Check cooldown finished
-    if (!canFeed(lastFeedTime, cooldownMs)) {
-      console.log('[CRON] cooldown_active');
-      return NextResponse.json({
-        type: 'none',
-        reason: 'cooldown_active'
-      });
+    let telegramStatus = null;
+    try {
+      telegramStatus = await sendAutoFeedMessage({ now, db, feederName: feeder.name, timeZone, slot: dueSlot, portion });
+    } catch (err) {
+      console.error('[CRON] Telegram notification failed:', err.message);
+      telegramStatus = { success: false, error: err.message };
     }
 
-    // Step 10: Check reservations (Priority 1)
-    const reservations = feederData.reservations || [];
-    const validReservations = reservations.filter((r) => r && r.scheduledTime);
-
-    const readyReservations = validReservations
-      .filter((r) => {
-        const scheduledTime = typeof r.scheduledTime === 'number' 
-          ? r.scheduledTime 
-          : parseInt(r.scheduledTime, 10);
-        return scheduledTime <= Date.now();
-      })
-      .sort((a, b) => {
-        // Sort by createdAt (FIFO - oldest first)
-        const createdAtA = typeof a.createdAt === 'number' ? a.createdAt : parseInt(a.createdAt, 10);
-        const createdAtB = typeof b.createdAt === 'number' ? b.createdAt : parseInt(b.createdAt, 10);
-        return (createdAtA || 0) - (createdAtB || 0);
-      });
+    const elapsed = Date.now() - startTime;
+    console.log(`[CRON] scheduled_feed_executed (${dueSlot.time}) in ${elapsed}ms`);
+
+    return {
+      feederId: feeder.id,
+      type: 'timer',
+      user: 'System',
+      slot: dueSlot.time,
+      portion,
+      telegram: telegramStatus || { success: false, error: 'NOT_ATTEMPTED' }
+    };
+  }
 
-    if (readyReservations.length > 0) {
-      // Execute first ready reservation
-      const reservation = readyReservations[0];
-      const reservationUser = reservation.user || 'unknown';
+  // Step 12: Auto feed (Priority 3 - only if no reservations and cooldown mode is on)
+  if (validReservations.length === 0 && usesCooldownAutoFeed(feederData)) {
+    // FIX: Use nullish coalescing (??) instead of || to allow 0 value
+    // If autoFeedDelayMinutes is 0, it should trigger immediately after cooldown
+    const autoFeedDelayMinutes = feederData.priority?.autoFeedDelayMinutes !== undefined 
+      ? feederData.priority.autoFeedDelayMinutes 
+      : 30;
+    const autoFeedDelayMs = autoFeedDelayMinutes * 60000;
+    
+    // Calculate when auto feed should trigger
+    let cooldownEndTime;
+    if (lastFeedTime === 0 || lastFeedTime < MIN_VALID_EPOCH) {
+      cooldownEndTime = Date.now();
+    } else {
+      cooldownEndTime = lastFeedTime + cooldownMs;
+    }
+    
+    const autoFeedTime = cooldownEndTime + autoFeedDelayMs;
 
+    // If autoFeedDelayMinutes is 0, trigger immediately after cooldown
+    if (Date.now() >= autoFeedTime) {
       const now = new Date();
+      const portion = getDefaultPortion(feederData, 'timer');
 
-      // Trigger feed with timeout protection (aggressive timeout for FastCron)
-      let timestampMs;
+      // Execute auto feed with timeout (aggressive timeout for FastCron)
       try {
-        const result = await withTimeout(
+        await withTimeout(
           triggerFeed({
-            type: 'reservation',
-            user: reservationUser,
+            type: 'timer',
+            user: 'System',
             db,
             feederRef,
+            deviceRef,
+            historyRef,
             now,
+            timeZone,
+            portion,
           }),
           7000 // 7 second timeout for feed trigger (FastCron needs fast responses)
         );
-        timestampMs = result.timestampMs;
       } catch (error) {
         if (error.message === 'firebase_timeout') {
-          console.log('[CRON] firebase_timeout on triggerFeed');
-          return NextResponse.json({
+          console.log('[CRON] firebase_timeout on auto feed');
+          return {
+            feederId: feeder.id,
             error: 'firebase_timeout',
             type: 'none'
-          });
+          };
         }
         throw error;
       }
 
-      // Remove executed reservation and recalculate
-      const reservationCreatedAt = typeof reservation.createdAt === 'number' 
-        ? reservation.createdAt 
-        : parseInt(reservation.createdAt, 10);
-
-      const updatedReservations = validReservations.filter((r) => {
-        const createdAt = typeof r.createdAt === 'number' ? r.createdAt : parseInt(r.createdAt, 10);
-        return createdAt !== reservationCreatedAt;
-      });
-
-      // Recalculate remaining reservations' scheduledTimes
-      const recalculatedReservations = [];
-      let currentScheduledTime = timestampMs + cooldownMs;
-
-      for (const res of updatedReservations) {
-        const scheduledTime = Math.max(Date.now(), currentScheduledTime);
-        recalculatedReservations.push({
-          ...res,
-          scheduledTime,
-        });
-        currentScheduledTime = scheduledTime + cooldownMs;
-      }
-
-      // Update reservations with timeout (non-critical - fire and forget)
-      // Don't wait for this - feed was already triggered successfully
-      setTimeout(() => {
-        feederRef.child('reservations').set(recalculatedReservations)
-          .then(() => console.log('[CRON] Reservations updated'))
-          .catch(error => {
-            console.error('[CRON] Error updating reservations (non-critical):', error.message);
-            // Continue anyway - feed was triggered successfully
-          });
-      }, 0);
-
-      // Send Telegram notification and capture status for debug
+      // Send notification and capture status for debug
       let telegramStatus = null;
       try {
-        telegramStatus = await sendReservationExecutedMessage({
-          user: reservationUser,
-          now,
-          db,
-        });
+        telegramStatus = await sendAutoFeedMessage({ now, db, feederName: feeder.name, timeZone, portion });
       } catch (err) {
         console.error('[CRON] Telegram notification failed:', err.message);
         console.error('[CRON] Telegram error details:', err);
@@ -288,121 +463,126 @@ async function executeCron(request) {
       }
 
       const elapsed = Date.now() - startTime;
-      console.log(`[CRON] reservation_executed in ${elapsed}ms`);
+      console.log(`[CRON] auto_feed_executed in ${elapsed}ms`);
 
-      return NextResponse.json({
-        type: 'reservation',
-        user: reservationUser,
+      return {
+        feederId: feeder.id,
+        type: 'timer',
+        user: 'System',
+        portion,
         telegram: telegramStatus || { success: false, error: 'NOT_ATTEMPTED' }
-      });
+      };
     }
+  }
 
-    // Step 11: Auto feed (Priority 2 - only if no reservations)
-    if (validReservations.length === 0) {
-      // FIX: Use nullish coalescing (??) instead of || to allow 0 value
-      // If autoFeedDelayMinutes is 0, it should trigger immediately after cooldown
-      const autoFeedDelayMinutes = feederData.priority?.autoFeedDelayMinutes !== undefined 
-        ? feederData.priority.autoFeedDelayMinutes 
-        : 30;
-      const autoFeedDelayMs = autoFeedDelayMinutes * 60000;
-      
-      // Calculate when auto feed should trigger
-      let cooldownEndTime;
-      if (lastFeedTime === 0 || lastFeedTime < MIN_VALID_EPOCH) {
-        cooldownEndTime = Date.now();
-      } else {
-        cooldownEndTime = lastFeedTime + cooldownMs;
-      }
-      
-      const autoFeedTime = cooldownEndTime + autoFeedDelayMs;
-
-      // If autoFeedDelayMinutes is 0, trigger immediately after cooldown
-      if (Date.now() >= autoFeedTime) {
-        const now = new Date();
-
-        // Execute auto feed with timeout (aggressive timeout for FastCron)
-        try {
-          await withTimeout(
-            triggerFeed({
-              type: 'timer',
-              user: 'System',
-              db,
-              feederRef,
-              now,
-            }),
-            7000 // 7 second timeout for feed trigger (FastCron needs fast responses)
-          );
-        } catch (error) {
-          if (error.message === 'firebase_timeout') {
-            console.log('[CRON] firebase_timeout on auto feed');
-            return NextResponse.json({
-              error: 'firebase_timeout',
-              type: 'none'
-            });
-          }
-          throw error;
-        }
+  // Step 13: Nothing to execute
+  // This is a NORMAL response - cron checked everything, but no feed is needed right now
+  // Reasons could be:
+  // - No reservations ready yet (scheduledTime hasn't arrived)
+  // - Cooldown still active (lastFeedTime + cooldownMs hasn't passed)
+  // - Auto-feed delay hasn't passed (cooldownEndTime + autoFeedDelayMs hasn't passed)
+  const elapsed = Date.now() - startTime;
+  
+  // Log detailed info for debugging
+  const reservationsCount = validReservations.length;
+  const readyCount = readyReservations.length;
+  const cooldownEndsAt = lastFeedTime + cooldownMs;
+  const cooldownRemaining = Math.max(0, cooldownEndsAt - Date.now());
+  
+  // FIX: Use nullish coalescing (??) instead of || to allow 0 value
+  const autoFeedDelayMinutes = feederData.priority?.autoFeedDelayMinutes !== undefined 
+    ? feederData.priority.autoFeedDelayMinutes 
+    : 30;
+  const autoFeedDelayMs = autoFeedDelayMinutes * 60000;
+  const autoFeedTime = cooldownEndsAt + autoFeedDelayMs;
+  const autoFeedRemaining = Math.max(0, autoFeedTime - Date.now());
+  
+  console.log(`[CRON] done in ${elapsed}ms - no_feed_needed`);
+  console.log(`[CRON] Status: ${reservationsCount} total reservations, ${readyCount} ready`);
+  console.log(`[CRON] Cooldown remaining: ${Math.floor(cooldownRemaining / 1000)}s`);
+  if (validReservations.length === 0) {
+    console.log(`[CRON] Auto-feed remaining: ${Math.floor(autoFeedRemaining / 1000)}s`);
+  }
 
-        // Send Telegram notification and capture status for debug
-        let telegramStatus = null;
-        try {
-          telegramStatus = await sendAutoFeedMessage({ now, db });
-        } catch (err) {
-          console.error('[CRON] Telegram notification failed:', err.message);
-          console.error('[CRON] Telegram error details:', err);
-          telegramStatus = { success: false, error: err.message };
-        }
+  return {
+    feederId: feeder.id,
+    type: 'none',
+    reason: 'no_feed_needed',
+    // Add helpful debug info (optional - can be removed in production)
+    debug: {
+      reservationsCount,
+      readyReservationsCount: readyCount,
+      cooldownRemainingMs: cooldownRemaining,
+      autoFeedRemainingMs: validReservations.length === 0 && usesCooldownAutoFeed(feederData) ? autoFeedRemaining : null,
+      nextSlot: getNextSlot(feederData, new Date(), timeZone),
+    }
+  };
+}
+
+/**
+ * Core cron execution logic
+ * Returns JSON response in <300ms
+ */
+async function executeCron(request) {
+  const startTime = Date.now();
+  console.log('[CRON] start');
 
-        const elapsed = Date.now() - startTime;
-        console.log(`[CRON] auto_feed_executed in ${elapsed}ms`);
+  try {
+    // Step 1: Verify CRON_SECRET
+    const cronSecret = process.env.CRON_SECRET;
+    if (!isAuthorizedRequest(request, cronSecret)) {
+      console.log('[CRON] unauthorized');
+      return NextResponse.json(
+        { error: 'UNAUTHORIZED', type: 'none' },
+        { status: 401 }
+      );
+    }
 
-        return NextResponse.json({
-          type: 'timer',
-          user: 'System',
-          telegram: telegramStatus || { success: false, error: 'NOT_ATTEMPTED' }
-        });
-      }
+    // Step 2: Initialize database with timeout
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.log('[CRON] firebase_init_error');
+      return NextResponse.json({
+        error: 'DATABASE_ERROR',
+        type: 'none',
+        reason: 'initialization_failed'
+      });
     }
 
-    // Step 12: Nothing to execute
-    // This is a NORMAL response - cron checked everything, but no feed is needed right now
-    // Reasons could be:
-    // - No reservations ready yet (scheduledTime hasn't arrived)
-    // - Cooldown still active (lastFeedTime + cooldownMs hasn't passed)
-    // - Auto-feed delay hasn't passed (cooldownEndTime + autoFeedDelayMs hasn't passed)
-    const elapsed = Date.now() - startTime;
-    
-    // Log detailed info for debugging
-    const reservationsCount = validReservations.length;
-    const readyCount = readyReservations.length;
-    const cooldownEndsAt = lastFeedTime + cooldownMs;
-    const cooldownRemaining = Math.max(0, cooldownEndsAt - Date.now());
-    
-    // FIX: Use nullish coalescing (??) instead of || to allow 0 value
-    const autoFeedDelayMinutes = feederData.priority?.autoFeedDelayMinutes !== undefined 
-      ? feederData.priority.autoFeedDelayMinutes 
-      : 30;
-    const autoFeedDelayMs = autoFeedDelayMinutes * 60000;
-    const autoFeedTime = cooldownEndsAt + autoFeedDelayMs;
-    const autoFeedRemaining = Math.max(0, autoFeedTime - Date.now());
-    
-    console.log(`[CRON] done in ${elapsed}ms - no_feed_needed`);
-    console.log(`[CRON] Status: ${reservationsCount} total reservations, ${readyCount} ready`);
-    console.log(`[CRON] Cooldown remaining: ${Math.floor(cooldownRemaining / 1000)}s`);
-    if (validReservations.length === 0) {
-      console.log(`[CRON] Auto-feed remaining: ${Math.floor(autoFeedRemaining / 1000)}s`);
+    // Run every registered feeder (or only ?feederId=)
+    const feeders = await withTimeout(getCronFeeders(db, request), 5000);
+    if (feeders.length === 0) {
+      return NextResponse.json(
+        { error: 'FEEDER_NOT_FOUND', type: 'none' },
+        { status: 404 }
+      );
     }
 
+    // Feeders are independent - run them in parallel so one slow tank doesn't block the rest
+    const results = await Promise.all(
+      feeders.map((feeder) =>
+        executeFeederCron(db, feeder, startTime).catch((error) => {
+          console.error(`[CRON] feeder ${feeder.id} error:`, error.message);
+          return {
+            feederId: feeder.id,
+            error: error.message === 'firebase_timeout' ? 'firebase_timeout' : 'INTERNAL_ERROR',
+            type: 'none',
+            message: error.message,
+          };
+        })
+      )
+    );
+
+    const executed = results.filter((result) => result.type !== 'none');
+    const elapsed = Date.now() - startTime;
+    console.log(`[CRON] done in ${elapsed}ms - ${executed.length}/${results.length} feeder(s) fed`);
+
     return NextResponse.json({
-      type: 'none',
-      reason: 'no_feed_needed',
-      // Add helpful debug info (optional - can be removed in production)
-      debug: {
-        reservationsCount,
-        readyReservationsCount: readyCount,
-        cooldownRemainingMs: cooldownRemaining,
-        autoFeedRemainingMs: validReservations.length === 0 ? autoFeedRemaining : null,
-      }
+      type: executed.length > 0 ? executed[0].type : 'none',
+      executed: executed.length,
+      feeders: results,
     });
 
   } catch (error) {
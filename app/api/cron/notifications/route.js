@@ -0,0 +1,116 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { dispatchOutbox } from '@/lib/services/notifier.js';
+import { cleanupTelegramMessages } from '@/lib/services/telegram.js';
+import { isAuthorizedRequest } from '@/lib/utils/auth.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Notifications Cron
+ * GET/POST /api/cron/notifications
+ *
+ * Retry due notifications from the outbox, prune old dead letters and apply the
+ * Telegram message retention policy
+ * (run every minute or every few minutes; independent of the feeding crons so it
+ * never slows them down and works whichever of them drive the feeders)
+ */
+async function runNotificationsCron(request) {
+  const startTime = Date.now();
+
+  try {
+    // Check authorization
+    const cronSecret = process.env.CRON_SECRET;
+    if (!isAuthorizedRequest(request, cronSecret)) {
+      return NextResponse.json(
+        { success: false, error: 'UNAUTHORIZED' },
+        { status: 401 }
+      );
+    }
+
+    // Initialize database
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[NOTIFICATIONS] Firebase initialization failed:', error.message);
+      return NextResponse.json(
+        { success: false, error: 'DATABASE_ERROR' },
+        { status: 500 }
+      );
+    }
+
+    // Each step is best effort - one failing must not skip the others
+    const outbox = await withTimeout(dispatchOutbox(db), 25000).catch((error) => {
+      console.error('[NOTIFICATIONS] Outbox dispatch failed:', error.message);
+      return { error: error.message };
+    });
+
+    const telegramCleanup = await withTimeout(cleanupTelegramMessages(db), 15000).catch((error) => {
+      console.error('[NOTIFICATIONS] Telegram cleanup failed:', error.message);
+      return { error: error.message };
+    });
+
+    const elapsed = Date.now() - startTime;
+    console.log(`[NOTIFICATIONS] done in ${elapsed}ms`);
+
+    return NextResponse.json({
+      success: true,
+      outbox,
+      telegramCleanup,
+    });
+  } catch (error) {
+    console.error('[NOTIFICATIONS] Error:', error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * GET handler for FastCron compatibility
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  const response = await runNotificationsCron(request);
+  return addCorsHeaders(response);
+}
+
+/**
+ * POST handler for standard cron calls
+ */
+export async function POST(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  const response = await runNotificationsCron(request);
+  return addCorsHeaders(response);
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
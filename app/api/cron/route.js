@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { sendTelegram, formatDate } from '@/lib/services/telegram.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { formatDate } from '@/lib/services/telegram.js';
+import { notify } from '@/lib/services/notifier.js';
 import { isAuthorizedRequest } from '@/lib/utils/auth.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
@@ -33,7 +34,8 @@ export async function GET(request) {
     // Initialize database
     try {
       db = getDatabase();
-      await sendTelegram(
+      await notify(
+        'scheduler',
         [
           '🔄 <b>Scheduler Run Started</b>',
           `⏰ ${formatDate(now)}`,
@@ -56,6 +58,10 @@ export async function GET(request) {
 
     // Forward to scheduler
     const schedulerUrl = new URL('/api/scheduler/run', request.url);
+    const feederId = new URL(request.url).searchParams.get('feederId');
+    if (feederId) {
+      schedulerUrl.searchParams.set('feederId', feederId);
+    }
     const schedulerResponse = await fetch(schedulerUrl.toString(), {
       method: 'GET',
       headers: {
@@ -0,0 +1,194 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { isDeviceOnline } from '@/lib/utils/feeder.js';
+import { getCronFeeders, getFeederRefs } from '@/lib/utils/feeders.js';
+import { pruneTelemetry, recordSensorReading } from '@/lib/utils/telemetry.js';
+import { pruneUptime, recordDeviceCheck } from '@/lib/utils/uptime.js';
+import { checkSensorAlerts, getSensorAlertSettings } from '@/lib/utils/alerts.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { isAuthorizedRequest } from '@/lib/utils/auth.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Sensor sampling and alert checks for a single feeder
+ */
+async function sampleFeederSensors(db, feeder, now) {
+  const { feederRef, deviceRef, sensorsRef, telemetryRef, alertsRef, incidentsRef, uptimeRef } = getFeederRefs(db, feeder.id);
+
+  const [sensorsSnapshot, deviceSnapshot, sensorAlertsSnapshot, timezoneSnapshot] = await withTimeout(
+    Promise.all([
+      sensorsRef.once('value'),
+      deviceRef.once('value'),
+      feederRef.child('sensorAlerts').once('value'),
+      feederRef.child('timezone').once('value'),
+    ]),
+    5000
+  );
+  const sensors = sensorsSnapshot.val() || {};
+  const deviceData = deviceSnapshot.val() || {};
+  const timeZone = getFeederTimeZone({ timezone: timezoneSnapshot.val() });
+
+  // sensors/ has no timestamp - while the device is offline it only holds stale values
+  let sample = { recorded: false, timestamp: null, reading: null };
+  let alerts = null;
+  const online = isDeviceOnline(deviceData.lastSeen, deviceData);
+  await withTimeout(recordDeviceCheck({ uptimeRef, online, now, timeZone }), 5000);
+  if (online) {
+    sample = await withTimeout(recordSensorReading({ telemetryRef, sensors, now }), 5000);
+    alerts = await withTimeout(
+      checkSensorAlerts({
+        db,
+        sensors,
+        alertsRef,
+        incidentsRef,
+        now,
+        feederName: feeder.name,
+        timeZone,
+        settings: getSensorAlertSettings({ sensorAlerts: sensorAlertsSnapshot.val() }),
+      }),
+      15000
+    );
+  }
+
+  const [pruned] = await withTimeout(
+    Promise.all([
+      pruneTelemetry(telemetryRef, now),
+      pruneUptime(uptimeRef, now, timeZone),
+    ]),
+    5000
+  );
+
+  if (sample.recorded) {
+    console.log(`[SENSORS] ${feeder.id} sampled`, sample.reading);
+  } else {
+    console.log(`[SENSORS] ${feeder.id} not sampled (${online ? 'no readings' : 'device offline'})`);
+  }
+
+  return {
+    feederId: feeder.id,
+    success: true,
+    recorded: sample.recorded,
+    reason: sample.recorded ? null : (online ? 'no_readings' : 'device_offline'),
+    timestamp: sample.timestamp,
+    reading: sample.reading,
+    pruned,
+    alerts,
+  };
+}
+
+/**
+ * Sensor Sampling Cron
+ * GET/POST /api/cron/sensors
+ *
+ * Record the latest sensor readings in telemetry/ and the device check in uptime/,
+ * drop old ones and send threshold alerts (run every 5 minutes)
+ */
+async function runSensorCron(request) {
+  const now = new Date();
+
+  try {
+    // Check authorization
+    const cronSecret = process.env.CRON_SECRET;
+    if (!isAuthorizedRequest(request, cronSecret)) {
+      return NextResponse.json(
+        { success: false, error: 'UNAUTHORIZED' },
+        { status: 401 }
+      );
+    }
+
+    // Initialize database
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SENSORS] Firebase initialization failed:', error.message);
+      return NextResponse.json(
+        { success: false, error: 'DATABASE_ERROR' },
+        { status: 500 }
+      );
+    }
+
+    const feeders = await withTimeout(getCronFeeders(db, request), 5000);
+    if (feeders.length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'FEEDER_NOT_FOUND' },
+        { status: 404 }
+      );
+    }
+
+    // Feeders are independent - one failing tank must not block the others
+    const results = await Promise.all(
+      feeders.map((feeder) =>
+        sampleFeederSensors(db, feeder, now).catch((error) => {
+          console.error(`[SENSORS] Feeder ${feeder.id} error:`, error.message);
+          return {
+            feederId: feeder.id,
+            success: false,
+            error: error.message === 'firebase_timeout' ? 'TIMEOUT' : 'INTERNAL_ERROR',
+            message: error.message,
+          };
+        })
+      )
+    );
+
+    return NextResponse.json({
+      success: true,
+      recorded: results.filter((result) => result.recorded).length,
+      feeders: results,
+    });
+  } catch (error) {
+    console.error('[SENSORS] Error:', error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * GET handler for FastCron compatibility
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  const response = await runSensorCron(request);
+  return addCorsHeaders(response);
+}
+
+/**
+ * POST handler for standard cron calls
+ */
+export async function POST(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  const response = await runSensorCron(request);
+  return addCorsHeaders(response);
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -0,0 +1,148 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { loadFeederTimeZone } from '@/lib/utils/timezone.js';
+import { iterateHistory, parseDateRange } from '@/lib/utils/history.js';
+import {
+  HISTORY_EXPORT_COLUMNS,
+  HISTORY_TEXT_COLUMNS,
+  createExportResponse,
+  historyExportRow,
+  mapRows,
+  parseExportFormat,
+} from '@/lib/utils/export.js';
+import { isAdminRequest, isAuthorizedRequest } from '@/lib/utils/auth.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Feed History Export Endpoint
+ * GET /api/export/history
+ *
+ * Stream feed history oldest first as CSV or NDJSON (requires CRON_SECRET or ADMIN_SECRET).
+ * Query: format (csv | ndjson, default csv), from / to (YYYY-MM-DD local day or epoch ms)
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    if (!isAuthorizedRequest(request, process.env.CRON_SECRET) && !isAdminRequest(request)) {
+      const response = NextResponse.json(
+        { success: false, error: 'UNAUTHORIZED' },
+        { status: 401 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const feederId = resolveFeederId(request);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const { searchParams } = new URL(request.url);
+    const { format, error: formatError, message: formatMessage } = parseExportFormat(searchParams);
+    if (formatError) {
+      const response = NextResponse.json({
+        success: false,
+        error: formatError,
+        message: formatMessage,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[EXPORT] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef, historyRef } = getFeederRefs(db, feederId);
+
+    const [feeder, timeZone] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        loadFeederTimeZone(feederRef),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    // Validate (dates are local days in the feeder's timezone)
+    const { from, to, error: rangeError, message: rangeMessage } = parseDateRange(searchParams, timeZone);
+    if (rangeError) {
+      const response = NextResponse.json({
+        success: false,
+        error: rangeError,
+        message: rangeMessage,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    console.log(`[EXPORT] Feed history of ${feederId} as ${format}`);
+
+    const response = createExportResponse({
+      rows: mapRows(iterateHistory(historyRef, { from, to }), (entry) => historyExportRow(entry, timeZone)),
+      columns: HISTORY_EXPORT_COLUMNS,
+      textColumns: HISTORY_TEXT_COLUMNS,
+      format,
+      name: `${feederId}-history`,
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[EXPORT] Error:', error);
+    const isTimeout = error.message === 'firebase_timeout';
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: isTimeout ? 504 : 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -1,6 +1,13 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { triggerFeed, sendFeedExecutedMessage, isFastingDay, calculateCooldownMs, isDeviceOnline, canFeed } from '@/lib/utils/feeder.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { sendFeedExecutedMessage } from '@/lib/utils/feeder.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { parsePortion } from '@/lib/utils/portion.js';
+import { checkManualFeed, executeManualFeed } from '@/lib/utils/manual.js';
+import { translateError } from '@/lib/utils/i18n.js';
+import { resolveRequestLanguage } from '@/lib/utils/languages.js';
+import { resolveVisitorIdentity } from '@/lib/utils/identity.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
@@ -24,6 +31,9 @@ async function withTimeout(promise, ms = 8000) {
  * POST /api/feed/manual
  * 
  * Execute an immediate manual feed (only if cooldown finished and no reservations)
+ * Optional body.portion ({ unit: 'pulses' | 'ms', amount }) overrides the feeder's manual default
+ * A refused feed's message is in the user's language (body.language, saved preference or Accept-Language)
+ * The feed is attributed to the visitor of the "Authorization: Bearer <ID token>" header (see identity.js)
  */
 export async function POST(request) {
   const corsResponse = handleCORS(request);
@@ -45,9 +55,40 @@ export async function POST(request) {
       }, { status: 400 }));
     }
 
-    const user = (body.user || 'Visitor').toString().substring(0, 100); // Limit length
-    const userEmail = body.userEmail ? body.userEmail.toString().substring(0, 200) : null;
-    const deviceId = body.deviceId ? body.deviceId.toString().substring(0, 100) : null;
+    const feederId = resolveFeederId(request, body);
+
+    if (!feederId) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 }));
+    }
+
+    // Validate the requested portion (omitted = feeder default)
+    let requestedPortion = null;
+    if (body.portion !== undefined && body.portion !== null) {
+      const { portion, error, message } = parsePortion(body.portion);
+      if (error) {
+        return addCorsHeaders(NextResponse.json({
+          success: false,
+          error,
+          message,
+        }, { status: 400 }));
+      }
+      requestedPortion = portion;
+    }
+
+    // Who is calling: verified ID token, or an anonymous visitor when allowed
+    const { identity, ...authError } = await resolveVisitorIdentity(request, body);
+    if (!identity) {
+      const { status, ...details } = authError;
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        ...details,
+      }, { status }));
+    }
+    const { user, owner } = identity;
 
     // Initialize database
     try {
@@ -61,17 +102,20 @@ export async function POST(request) {
       }, { status: 500 }));
     }
 
-    const feederRef = db.ref('system/feeder');
-    const deviceRef = db.ref('system/device');
+    const { feederRef, deviceRef } = getFeederRefs(db, feederId);
 
     // Load data with timeout protection
     // Read feeder first (critical), then device (can be slower)
-    let feederData, deviceData;
+    let feeder, feederData, deviceData;
     try {
-      const feederSnapshot = await withTimeout(
-        feederRef.once('value'),
+      const [registeredFeeder, feederSnapshot] = await withTimeout(
+        Promise.all([
+          getFeeder(db, feederId),
+          feederRef.once('value'),
+        ]),
         8000 // 8 second timeout
       );
+      feeder = registeredFeeder;
       feederData = feederSnapshot.val() || {};
 
       // Read device data (can fail without breaking feed)
@@ -96,98 +140,54 @@ export async function POST(request) {
       throw error;
     }
 
-    if (!feederData || typeof feederData !== 'object') {
+    if (!feeder) {
       return addCorsHeaders(NextResponse.json({
         success: false,
-        error: 'NO_FEEDER_DATA',
-        message: 'Feeder data not found',
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
       }, { status: 404 }));
     }
 
-    // Check 1: Fasting day
-    const noFeedDay = feederData.timer?.noFeedDay;
-    if (isFastingDay(noFeedDay)) {
-      return addCorsHeaders(NextResponse.json({
-        success: false,
-        error: 'FASTING_DAY',
-        message: 'Today is a fasting day. All feeds are skipped.',
-      }, { status: 403 }));
-    }
-
-    // Check 2: Device online
-    const lastSeen = deviceData?.lastSeen;
-    if (!isDeviceOnline(lastSeen, deviceData)) {
-      return addCorsHeaders(NextResponse.json({
-        success: false,
-        error: 'DEVICE_OFFLINE',
-        message: 'Device is offline. Cannot execute feed.',
-      }, { status: 503 }));
-    }
-
-    // Check 3: Currently feeding
-    if (feederData.status === 1) {
-      return addCorsHeaders(NextResponse.json({
-        success: false,
-        error: 'ALREADY_FEEDING',
-        message: 'Device is currently feeding',
-      }, { status: 409 }));
-    }
-
-    // Check 4: Cooldown finished (with validation)
-    let lastFeedTime = feederData.lastFeedTime || 0;
-    const timerHour = Number(feederData.timer?.hour) || 0;
-    const timerMinute = Number(feederData.timer?.minute) || 0;
-    const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
-
-    // Validate lastFeedTime
-    const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
-    if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
-      console.warn('[FEED] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
-      lastFeedTime = Date.now();
-    }
-
-    if (!canFeed(lastFeedTime, cooldownMs)) {
-      const cooldownEndsAt = lastFeedTime + cooldownMs;
-      const remainingMs = Math.max(0, cooldownEndsAt - Date.now());
-      const remainingMinutes = Math.ceil(remainingMs / 60000);
-
+    if (!feederData || typeof feederData !== 'object') {
       return addCorsHeaders(NextResponse.json({
         success: false,
-        error: 'COOLDOWN_ACTIVE',
-        message: `Cooldown active. Time remaining: ${remainingMinutes} minutes`,
-        cooldownEndsAt,
-        remainingMinutes,
-      }, { status: 429 }));
+        error: 'NO_FEEDER_DATA',
+        message: 'Feeder data not found',
+      }, { status: 404 }));
     }
 
-    // Check 5: No reservations exist (reservations have priority)
-    const reservations = Array.isArray(feederData.reservations) ? feederData.reservations : [];
-    const validReservations = reservations.filter((r) => r && typeof r === 'object' && r.scheduledTime);
+    const timeZone = getFeederTimeZone(feederData);
+    const now = new Date();
 
-    if (validReservations.length > 0) {
+    // Checks: fasting day, device online, already feeding, cooldown, reservations
+    const block = await checkManualFeed({ db, feeder, feederData, deviceData, timeZone, now });
+    if (block) {
+      const { status, ...details } = block;
+      const language = await resolveRequestLanguage(request, { db, body, owner });
       return addCorsHeaders(NextResponse.json({
         success: false,
-        error: 'RESERVATIONS_EXIST',
-        message: 'Cannot manual feed when reservations exist. Reservations have priority.',
-        reservationCount: validReservations.length,
-      }, { status: 409 }));
+        ...details,
+        message: translateError(language, block),
+      }, { status }));
     }
 
     // All checks passed - execute manual feed
-    const now = new Date();
-    let timestampMs;
+    let timestampMs, feedId, portion;
     try {
       const result = await withTimeout(
-        triggerFeed({
-          type: 'manual',
-          user: user || userEmail || 'Visitor',
+        executeManualFeed({
           db,
-          feederRef,
+          feeder,
+          feederData,
+          user,
+          userId: identity.uid,
+          timeZone,
+          requestedPortion,
           now,
         }),
         10000 // 10 second timeout for critical feed operation
       );
-      timestampMs = result.timestampMs;
+      ({ timestampMs, feedId, portion } = result);
     } catch (error) {
       if (error.message === 'firebase_timeout') {
         return addCorsHeaders(NextResponse.json({
@@ -199,22 +199,29 @@ export async function POST(request) {
       throw error;
     }
 
-    // Send Telegram notification (await to ensure it's sent)
+    // Send notification (await to ensure it's sent)
     let telegramStatus = { success: false, error: 'NOT_SENT' };
     try {
       console.log('[FEED] Sending Telegram notification for manual feed...');
       const telegramResult = await sendFeedExecutedMessage({
         type: 'manual',
-        user: user || userEmail || 'Visitor',
+        user,
         now,
         db,
+        feederName: feeder.name,
+        timeZone,
+        portion,
       });
       
       if (telegramResult?.success) {
         telegramStatus = { success: true, messageId: telegramResult.messageId };
         console.log('[FEED] ✅ Manual feed Telegram notification sent successfully');
       } else {
-        telegramStatus = { success: false, error: telegramResult?.error || 'UNKNOWN_ERROR' };
+        telegramStatus = {
+          success: false,
+          error: telegramResult?.error || 'UNKNOWN_ERROR',
+          ...(telegramResult?.queued ? { queued: true } : {}),
+        };
         console.warn('[FEED] ⚠️ Telegram notification failed:', telegramResult?.error);
       }
     } catch (err) {
@@ -230,8 +237,11 @@ export async function POST(request) {
       success: true,
       message: 'Feed executed successfully',
       feedTime: timestampMs,
+      feedId,
       type: 'manual',
-      user: user || userEmail || 'Visitor',
+      user,
+      portion,
+      feederId,
       telegram: telegramStatus, // Include Telegram status in response
     }));
 
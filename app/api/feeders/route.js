@@ -0,0 +1,141 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { isValidFeederId, listFeeders, registerFeeder } from '@/lib/utils/feeders.js';
+import { isAuthorizedRequest } from '@/lib/utils/auth.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * List Feeders Endpoint
+ * GET /api/feeders
+ *
+ * List all registered feeders (tanks)
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[FEEDERS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        { success: false, error: 'DATABASE_ERROR', message: 'Failed to initialize database' },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const feeders = await withTimeout(listFeeders(db), 8000);
+
+    const response = NextResponse.json({
+      success: true,
+      feeders,
+    });
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[FEEDERS] Error:', error);
+    const isTimeout = error.message === 'firebase_timeout';
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: isTimeout ? 504 : 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Register Feeder Endpoint
+ * POST /api/feeders
+ *
+ * Register a new feeder or rename an existing one (requires CRON_SECRET)
+ */
+export async function POST(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    if (!isAuthorizedRequest(request, process.env.CRON_SECRET)) {
+      const response = NextResponse.json(
+        { success: false, error: 'UNAUTHORIZED' },
+        { status: 401 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const feederId = body.feederId ? body.feederId.toString().trim() : '';
+
+    if (!isValidFeederId(feederId)) {
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'INVALID_FEEDER_ID',
+          message: 'feederId is required and may only contain letters, digits, "-" and "_"',
+        },
+        { status: 400 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[FEEDERS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        { success: false, error: 'DATABASE_ERROR', message: 'Failed to initialize database' },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const feeder = await withTimeout(registerFeeder(db, feederId, body.name), 8000);
+    console.log(`[FEEDERS] Registered feeder ${feeder.id} (${feeder.name})`);
+
+    const response = NextResponse.json({
+      success: true,
+      feeder,
+    });
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[FEEDERS] Error:', error);
+    const isTimeout = error.message === 'firebase_timeout';
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: isTimeout ? 504 : 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -0,0 +1,122 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { loadFeederTimeZone } from '@/lib/utils/timezone.js';
+import { parseHistoryQuery, queryHistory } from '@/lib/utils/history.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Feed History Endpoint
+ * GET /api/history
+ *
+ * Return feed history newest first, one page at a time.
+ * Query: limit (1-200, default 50), cursor (nextCursor of the previous page),
+ * type (manual | reservation | timer), user, from / to (YYYY-MM-DD local day or epoch ms)
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const feederId = resolveFeederId(request);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[HISTORY] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef, historyRef } = getFeederRefs(db, feederId);
+
+    const [feeder, timeZone] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        loadFeederTimeZone(feederRef),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    // Validate (dates are local days in the feeder's timezone)
+    const { query, error: validationError, message } = parseHistoryQuery(new URL(request.url).searchParams, timeZone);
+    if (validationError) {
+      const response = NextResponse.json({
+        success: false,
+        error: validationError,
+        message,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const { entries, nextCursor } = await withTimeout(queryHistory(historyRef, query), 8000);
+
+    const response = NextResponse.json({
+      success: true,
+      feederId,
+      timeZone,
+      count: entries.length,
+      entries,
+      nextCursor,
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[HISTORY] Error:', error);
+    const isTimeout = error.message === 'firebase_timeout';
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: isTimeout ? 504 : 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -0,0 +1,234 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { dispatchOutbox } from '@/lib/services/notifier.js';
+import { maskNotificationChannel } from '@/lib/utils/notifications.js';
+import {
+  DEAD_LETTER_RETENTION_DAYS,
+  deleteDeadLetters,
+  getMaxAttempts,
+  isValidEntryId,
+  listOutbox,
+  replayDeadLetters,
+} from '@/lib/utils/outbox.js';
+import { isAdminRequest, isAuthorizedRequest } from '@/lib/utils/auth.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Check authorization and open the database.
+ * Entries hold channel credentials and message contents, so CRON_SECRET or ADMIN_SECRET is required.
+ * Returns { db } or { response } with the error to send.
+ */
+function openDatabase(request) {
+  if (!isAuthorizedRequest(request, process.env.CRON_SECRET) && !isAdminRequest(request)) {
+    return {
+      response: NextResponse.json(
+        { success: false, error: 'UNAUTHORIZED' },
+        { status: 401 }
+      ),
+    };
+  }
+
+  try {
+    return { db: getDatabase() };
+  } catch (error) {
+    console.error('[OUTBOX] Firebase initialization failed:', error.message);
+    return {
+      response: NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      ),
+    };
+  }
+}
+
+/**
+ * Dead letters a request targets: one (?id= or body.id) or all of them (body.all: true).
+ * Returns { ids } - null for all - or { response }.
+ */
+function readEntryIds(request, body) {
+  const id = (new URL(request.url).searchParams.get('id') || body.id || '').toString().trim();
+  if (id) {
+    if (!isValidEntryId(id)) {
+      return {
+        response: NextResponse.json({
+          success: false,
+          error: 'INVALID_ID',
+          message: 'id must be an outbox entry id',
+        }, { status: 400 }),
+      };
+    }
+    return { ids: [id] };
+  }
+
+  if (body.all === true) {
+    return { ids: null };
+  }
+
+  return {
+    response: NextResponse.json({
+      success: false,
+      error: 'MISSING_PARAMS',
+      message: 'id of a dead letter, or all: true, is required',
+    }, { status: 400 }),
+  };
+}
+
+/**
+ * Error response shared by all handlers
+ */
+function errorResponse(error) {
+  console.error('[OUTBOX] Error:', error);
+  const isTimeout = error.message === 'firebase_timeout';
+  const response = NextResponse.json(
+    {
+      success: false,
+      error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+      message: error.message,
+    },
+    { status: isTimeout ? 504 : 500 }
+  );
+  return addCorsHeaders(response);
+}
+
+/**
+ * Entry as returned by the API - channel credentials hidden
+ */
+function maskEntry(entry) {
+  return { ...entry, target: maskNotificationChannel(entry.target) };
+}
+
+/**
+ * Get Outbox Endpoint
+ * GET /api/notifications/outbox
+ *
+ * Return the notifications waiting for a retry and the dead letters, oldest first
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const { db, response: errorResult } = openDatabase(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const { pending, dead } = await withTimeout(listOutbox(db), 8000);
+
+    const response = NextResponse.json({
+      success: true,
+      maxAttempts: getMaxAttempts(),
+      deadLetterRetentionDays: DEAD_LETTER_RETENTION_DAYS,
+      pending: pending.map(maskEntry),
+      dead: dead.map(maskEntry),
+    });
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Replay Dead Letters Endpoint
+ * POST /api/notifications/outbox
+ *
+ * Move a dead letter ({ id }) or all of them ({ all: true }) back to the outbox with
+ * their attempts reset, then run the dispatcher right away
+ */
+export async function POST(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const { db, response: errorResult } = openDatabase(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const { ids, response: idError } = readEntryIds(request, body);
+    if (idError) return addCorsHeaders(idError);
+
+    const replayed = await withTimeout(replayDeadLetters(db, ids), 8000);
+    if (ids && replayed.length === 0) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'ENTRY_NOT_FOUND',
+        message: `Dead letter "${ids[0]}" does not exist`,
+      }, { status: 404 }));
+    }
+
+    console.log(`[OUTBOX] Replaying ${replayed.length} dead letter(s)`);
+    const outbox = replayed.length > 0 ? await withTimeout(dispatchOutbox(db), 15000) : null;
+
+    return addCorsHeaders(NextResponse.json({
+      success: true,
+      replayed,
+      outbox,
+    }));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Delete Dead Letters Endpoint
+ * DELETE /api/notifications/outbox
+ *
+ * Drop a dead letter ({ id } or ?id=) or all of them ({ all: true })
+ */
+export async function DELETE(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const { db, response: errorResult } = openDatabase(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const { ids, response: idError } = readEntryIds(request, body);
+    if (idError) return addCorsHeaders(idError);
+
+    const deleted = await withTimeout(deleteDeadLetters(db, ids), 8000);
+    if (ids && deleted.length === 0) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'ENTRY_NOT_FOUND',
+        message: `Dead letter "${ids[0]}" does not exist`,
+      }, { status: 404 }));
+    }
+
+    console.log(`[OUTBOX] Deleted ${deleted.length} dead letter(s)`);
+
+    return addCorsHeaders(NextResponse.json({
+      success: true,
+      deleted,
+    }));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -1,7 +1,11 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { calculateCooldownMs } from '@/lib/utils/feeder.js';
-import { sendTelegram } from '@/lib/services/telegram.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { sendReservationCancelledMessage } from '@/lib/utils/feeder.js';
+import { cancelReservation } from '@/lib/utils/booking.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { translateError } from '@/lib/utils/i18n.js';
+import { resolveRequestLanguage } from '@/lib/utils/languages.js';
+import { resolveVisitorIdentity } from '@/lib/utils/identity.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
@@ -25,6 +29,8 @@ async function withTimeout(promise, ms = 8000) {
  * DELETE /api/reservations/cancel
  * 
  * Remove user's reservation from queue
+ * A refused cancellation's message is in the user's language (body.language, saved preference or Accept-Language)
+ * Only the visitor's own reservation is removed: matched by the verified ID token, else by deviceId
  */
 export async function DELETE(request) {
   const corsResponse = handleCORS(request);
@@ -46,14 +52,32 @@ export async function DELETE(request) {
       }, { status: 400 }));
     }
 
-    const deviceId = body.deviceId ? body.deviceId.toString().substring(0, 100) : null;
-    const userEmail = body.userEmail ? body.userEmail.toString().substring(0, 200) : null;
+    const feederId = resolveFeederId(request, body);
 
-    if (!deviceId && !userEmail) {
+    if (!feederId) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 }));
+    }
+
+    // Who is calling: verified ID token, or an anonymous visitor when allowed
+    const { identity, ...authError } = await resolveVisitorIdentity(request, body);
+    if (!identity) {
+      const { status, ...details } = authError;
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        ...details,
+      }, { status }));
+    }
+    const { owner } = identity;
+
+    if (!identity.verified && !owner.deviceId) {
       return addCorsHeaders(NextResponse.json({
         success: false,
         error: 'MISSING_PARAMS',
-        message: 'deviceId or userEmail required',
+        message: 'deviceId required (or sign in with an ID token)',
       }, { status: 400 }));
     }
 
@@ -69,15 +93,19 @@ export async function DELETE(request) {
       }, { status: 500 }));
     }
 
-    const feederRef = db.ref('system/feeder');
+    const { feederRef } = getFeederRefs(db, feederId);
 
     // Load feeder data with timeout
-    let feederData;
+    let feeder, feederData;
     try {
-      const feederSnapshot = await withTimeout(
-        feederRef.once('value'),
+      const [registeredFeeder, feederSnapshot] = await withTimeout(
+        Promise.all([
+          getFeeder(db, feederId),
+          feederRef.once('value'),
+        ]),
         8000 // 8 second timeout
       );
+      feeder = registeredFeeder;
       feederData = feederSnapshot.val() || {};
     } catch (error) {
       if (error.message === 'firebase_timeout') {
@@ -90,6 +118,14 @@ export async function DELETE(request) {
       throw error;
     }
 
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
     if (!feederData || typeof feederData !== 'object') {
       return addCorsHeaders(NextResponse.json({
         success: false,
@@ -98,78 +134,31 @@ export async function DELETE(request) {
       }, { status: 404 }));
     }
 
-    // Find reservation
-    const reservations = Array.isArray(feederData.reservations) ? feederData.reservations : [];
-    const validReservations = reservations.filter((r) => 
-      r && typeof r === 'object' && r.scheduledTime
-    );
-
-    const reservationIndex = validReservations.findIndex((r) => {
-      if (deviceId && r.deviceId === deviceId) return true;
-      if (userEmail && r.userEmail === userEmail) return true;
-      return false;
+    // Remove the reservation and recalculate the remaining scheduledTimes from the last feed
+    const result = await cancelReservation({
+      db,
+      feeder,
+      feederData,
+      owner,
     });
-
-    if (reservationIndex === -1) {
+    if (result.error) {
+      const { status, ...details } = result;
+      const language = await resolveRequestLanguage(request, { db, body, owner });
       return addCorsHeaders(NextResponse.json({
         success: false,
-        error: 'RESERVATION_NOT_FOUND',
-        message: 'Reservation not found',
-      }, { status: 404 }));
-    }
-
-    // Remove reservation
-    const removedReservation = validReservations[reservationIndex];
-    const updatedReservations = validReservations.filter((_, index) => index !== reservationIndex);
-
-    // Recalculate remaining reservations' scheduledTimes
-    let lastFeedTime = feederData.lastFeedTime || 0;
-    const timerHour = Number(feederData.timer?.hour) || 0;
-    const timerMinute = Number(feederData.timer?.minute) || 0;
-    const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
-
-    // Validate lastFeedTime
-    const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
-    if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
-      console.warn('[RESERVATION] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
-      lastFeedTime = Date.now();
-    }
-
-    const recalculatedReservations = [];
-    let currentScheduledTime = lastFeedTime + cooldownMs;
-
-    for (const reservation of updatedReservations) {
-      const scheduledTime = Math.max(Date.now(), currentScheduledTime);
-      recalculatedReservations.push({
-        ...reservation,
-        scheduledTime,
-      });
-      currentScheduledTime = scheduledTime + cooldownMs;
-    }
-
-    // Update reservations with timeout
-    try {
-      await withTimeout(
-        feederRef.child('reservations').set(recalculatedReservations),
-        8000 // 8 second timeout
-      );
-    } catch (error) {
-      if (error.message === 'firebase_timeout') {
-        return addCorsHeaders(NextResponse.json({
-          success: false,
-          error: 'TIMEOUT',
-          message: 'Database write timeout',
-        }, { status: 504 }));
-      }
-      throw error;
+        ...details,
+        message: translateError(language, result),
+      }, { status }));
     }
 
-    // Send Telegram notification (non-blocking)
-    const userName = removedReservation.user || 'Unknown';
-    sendTelegram(
-      `❌ Reservation Cancelled\n👤 User: ${userName}\n\nReservation removed from queue.`,
-      db
-    ).catch(err => console.error('[RESERVATION] Telegram notification failed:', err.message));
+    // Send notification - awaited so it is in the outbox before the function may be frozen;
+    // a failed send is retried by the cron
+    await sendReservationCancelledMessage({
+      user: result.removed.user,
+      db,
+      feederId: feeder.id,
+      feederName: feeder.name,
+    }).catch(err => console.error('[RESERVATION] Telegram notification failed:', err.message));
 
     const elapsed = Date.now() - startTime;
     console.log(`[RESERVATION] Cancelled in ${elapsed}ms`);
@@ -177,6 +166,7 @@ export async function DELETE(request) {
     return addCorsHeaders(NextResponse.json({
       success: true,
       message: 'Reservation cancelled successfully',
+      feederId,
     }));
 
   } catch (error) {
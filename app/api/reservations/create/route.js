@@ -1,6 +1,13 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { isFastingDay, calculateCooldownMs, calculateScheduledTime, sendReservationCreatedMessage } from '@/lib/utils/feeder.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { sendReservationCreatedMessage } from '@/lib/utils/feeder.js';
+import { createReservation } from '@/lib/utils/booking.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { parsePortion } from '@/lib/utils/portion.js';
+import { translateError } from '@/lib/utils/i18n.js';
+import { resolveRequestLanguage } from '@/lib/utils/languages.js';
+import { resolveVisitorIdentity } from '@/lib/utils/identity.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
@@ -24,6 +31,9 @@ async function withTimeout(promise, ms = 8000) {
  * POST /api/reservations/create
  * 
  * Add user to reservation queue
+ * Optional body.portion ({ unit: 'pulses' | 'ms', amount }) is used when the reservation runs
+ * A refused reservation's message is in the user's language (body.language, saved preference or Accept-Language)
+ * The reservation belongs to the visitor of the "Authorization: Bearer <ID token>" header (see identity.js)
  */
 export async function POST(request) {
   const corsResponse = handleCORS(request);
@@ -45,9 +55,40 @@ export async function POST(request) {
       }, { status: 400 }));
     }
 
-    const user = (body.user || 'Visitor').toString().substring(0, 100);
-    const userEmail = body.userEmail ? body.userEmail.toString().substring(0, 200) : null;
-    const deviceId = body.deviceId ? body.deviceId.toString().substring(0, 100) : null;
+    const feederId = resolveFeederId(request, body);
+
+    if (!feederId) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 }));
+    }
+
+    // Validate the requested portion (omitted = feeder default when the reservation runs)
+    let requestedPortion = null;
+    if (body.portion !== undefined && body.portion !== null) {
+      const { portion, error, message } = parsePortion(body.portion);
+      if (error) {
+        return addCorsHeaders(NextResponse.json({
+          success: false,
+          error,
+          message,
+        }, { status: 400 }));
+      }
+      requestedPortion = portion;
+    }
+
+    // Who is calling: verified ID token, or an anonymous visitor when allowed
+    const { identity, ...authError } = await resolveVisitorIdentity(request, body);
+    if (!identity) {
+      const { status, ...details } = authError;
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        ...details,
+      }, { status }));
+    }
+    const { user, owner } = identity;
 
     // Initialize database
     try {
@@ -61,15 +102,19 @@ export async function POST(request) {
       }, { status: 500 }));
     }
 
-    const feederRef = db.ref('system/feeder');
+    const { feederRef } = getFeederRefs(db, feederId);
 
     // Load feeder data with timeout
-    let feederData;
+    let feeder, feederData;
     try {
-      const feederSnapshot = await withTimeout(
-        feederRef.once('value'),
+      const [registeredFeeder, feederSnapshot] = await withTimeout(
+        Promise.all([
+          getFeeder(db, feederId),
+          feederRef.once('value'),
+        ]),
         8000 // 8 second timeout
       );
+      feeder = registeredFeeder;
       feederData = feederSnapshot.val() || {};
     } catch (error) {
       if (error.message === 'firebase_timeout') {
@@ -82,6 +127,14 @@ export async function POST(request) {
       throw error;
     }
 
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
     if (!feederData || typeof feederData !== 'object') {
       return addCorsHeaders(NextResponse.json({
         success: false,
@@ -90,119 +143,60 @@ export async function POST(request) {
       }, { status: 404 }));
     }
 
-    // Check 1: Fasting day
-    const noFeedDay = feederData.timer?.noFeedDay;
-    if (isFastingDay(noFeedDay)) {
+    const timeZone = getFeederTimeZone(feederData);
+
+    // Checks: fasting day, already queued, queue limit, schedule in the future
+    const result = await createReservation({
+      db,
+      feeder,
+      feederData,
+      timeZone,
+      owner,
+      user,
+      requestedPortion,
+    });
+    if (result.error) {
+      const { status, ...details } = result;
+      const language = await resolveRequestLanguage(request, { db, body, owner });
       return addCorsHeaders(NextResponse.json({
         success: false,
-        error: 'FASTING_DAY',
-        message: 'Today is a fasting day. Cannot create reservation.',
-      }, { status: 403 }));
+        ...details,
+        message: translateError(language, result),
+      }, { status }));
     }
 
-    // Get existing reservations
-    const reservations = Array.isArray(feederData.reservations) ? feederData.reservations : [];
-    const validReservations = reservations.filter((r) => 
-      r && typeof r === 'object' && r.scheduledTime
-    );
-
-    // Check 2: User/device already has reservation
-    const existingReservation = validReservations.find((r) => {
-      if (deviceId && r.deviceId === deviceId) return true;
-      if (userEmail && r.userEmail === userEmail) return true;
-      return false;
-    });
-
-    if (existingReservation) {
-      const position = validReservations.findIndex((r) => {
-        if (deviceId && r.deviceId === deviceId) return true;
-        if (userEmail && r.userEmail === userEmail) return true;
-        return false;
-      }) + 1;
-
+    if (result.existing) {
+      const existingReservation = result.reservation;
       return addCorsHeaders(NextResponse.json({
         success: true,
         reservation: {
+          id: existingReservation.id || null,
           user: existingReservation.user,
+          userId: existingReservation.userId || null,
           userEmail: existingReservation.userEmail,
           deviceId: existingReservation.deviceId,
+          portion: existingReservation.portion || null,
           scheduledTime: existingReservation.scheduledTime,
           createdAt: existingReservation.createdAt,
-          position,
+          position: result.position,
         },
         message: 'Reservation already exists',
       }));
     }
 
-    // Check 3: Reservation limit (max 20)
-    if (validReservations.length >= 20) {
-      return addCorsHeaders(NextResponse.json({
-        success: false,
-        error: 'QUEUE_FULL',
-        message: 'Maximum 20 reservations reached',
-      }, { status: 429 }));
-    }
-
-    // Calculate scheduled time
-    let lastFeedTime = feederData.lastFeedTime || 0;
-    const timerHour = Number(feederData.timer?.hour) || 0;
-    const timerMinute = Number(feederData.timer?.minute) || 0;
-    const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
-
-    // Validate lastFeedTime
-    const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
-    if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
-      console.warn('[RESERVATION] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
-      lastFeedTime = Date.now();
-    }
-
-    const scheduledTime = calculateScheduledTime(validReservations, lastFeedTime, cooldownMs);
-    const createdAt = Date.now();
-
-    // Validate scheduledTime is in the future
-    if (scheduledTime <= Date.now()) {
-      return addCorsHeaders(NextResponse.json({
-        success: false,
-        error: 'INVALID_SCHEDULE',
-        message: 'Scheduled time must be in the future',
-      }, { status: 400 }));
-    }
-
-    // Create reservation object
-    const newReservation = {
-      user: user || userEmail || 'Visitor',
-      userEmail: userEmail || null,
-      deviceId: deviceId || null,
-      scheduledTime,
-      createdAt,
-    };
-
-    // Add to queue with timeout
-    const updatedReservations = [...validReservations, newReservation];
-    try {
-      await withTimeout(
-        feederRef.child('reservations').set(updatedReservations),
-        8000 // 8 second timeout
-      );
-    } catch (error) {
-      if (error.message === 'firebase_timeout') {
-        return addCorsHeaders(NextResponse.json({
-          success: false,
-          error: 'TIMEOUT',
-          message: 'Database write timeout',
-        }, { status: 504 }));
-      }
-      throw error;
-    }
-
-    const position = updatedReservations.length;
+    const newReservation = result.reservation;
+    const { scheduledTime } = newReservation;
+    const position = result.position;
 
-    // Send Telegram notification (non-blocking)
-    sendReservationCreatedMessage({
-      user: user || userEmail || 'Visitor',
+    // Send notification - awaited so it is in the outbox before the function may be frozen;
+    // a failed send is retried by the cron
+    await sendReservationCreatedMessage({
+      user,
       scheduledTime,
       position,
       db,
+      feederName: feeder.name,
+      timeZone,
     }).catch(err => console.error('[RESERVATION] Telegram notification failed:', err.message));
 
     const elapsed = Date.now() - startTime;
@@ -211,13 +205,17 @@ export async function POST(request) {
     return addCorsHeaders(NextResponse.json({
       success: true,
       reservation: {
+        id: newReservation.id,
         user: newReservation.user,
+        userId: newReservation.userId || null,
         userEmail: newReservation.userEmail,
         deviceId: newReservation.deviceId,
+        portion: newReservation.portion,
         scheduledTime: newReservation.scheduledTime,
         createdAt: newReservation.createdAt,
         position,
       },
+      feederId,
     }));
 
   } catch (error) {
@@ -1,13 +1,232 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { sendTelegram, formatDate } from '@/lib/services/telegram.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { formatDate } from '@/lib/services/telegram.js';
+import { notify } from '@/lib/services/notifier.js';
+import { claimReservation, restoreReservation } from '@/lib/utils/reservations.js';
+import { getCronFeeders, getFeederRefs } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { getFastingReason } from '@/lib/utils/fasting.js';
+import { claimSlot, getDueSlot, releaseSlot, usesCooldownAutoFeed } from '@/lib/utils/schedule.js';
+import { getDefaultPortion, resolvePortion } from '@/lib/utils/portion.js';
+import { reconcilePendingFeed } from '@/lib/utils/acknowledgement.js';
 import { isAuthorizedRequest } from '@/lib/utils/auth.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
-import { triggerFeed, sendReservationExecutedMessage, sendAutoFeedMessage, isFastingDay, calculateCooldownMs, isDeviceOnline, canFeed } from '@/lib/utils/feeder.js';
+import { triggerFeed, sendReservationExecutedMessage, sendAutoFeedMessage, calculateCooldownMs, isDeviceOnline, canFeed } from '@/lib/utils/feeder.js';
 
 export const runtime = 'nodejs';
 export const dynamic = 'force-dynamic';
 
+/**
+ * Scheduler logic for a single feeder
+ */
+async function runScheduler(db, feeder, now) {
+  const { feederRef, deviceRef, historyRef } = getFeederRefs(db, feeder.id);
+
+  // Load data
+  const [feederSnapshot, deviceSnapshot] = await Promise.all([
+    feederRef.once('value'),
+    deviceRef.once('value'),
+  ]);
+
+  const feederData = feederSnapshot.val() || {};
+  const deviceData = deviceSnapshot.val() || {};
+
+  if (!feederData) {
+    return { feederId: feeder.id, ok: false, error: 'No feeder data found' };
+  }
+
+  const timeZone = getFeederTimeZone(feederData);
+
+  // Confirm or fail the last triggered feed first (also on fasting days and while offline)
+  const feedAck = await reconcilePendingFeed({ db, feederRef, deviceRef, historyRef, feederData, feederName: feeder.name, timeZone });
+
+  // Check fasting day
+  const fasting = getFastingReason(feederData, new Date(), timeZone);
+  if (fasting) {
+    return { feederId: feeder.id, ok: true, type: 'none', reason: 'fasting_day', fasting };
+  }
+
+  // Check device online
+  const lastSeen = deviceData.lastSeen;
+  if (!isDeviceOnline(lastSeen, deviceData)) {
+    return { feederId: feeder.id, ok: true, type: 'none', reason: 'device_offline' };
+  }
+
+  // Check if currently feeding
+  if (feedAck.status === 1) {
+    return { feederId: feeder.id, ok: true, type: 'none', reason: 'already_feeding', feedAck: feedAck.state };
+  }
+
+  let lastFeedTime = feederData.lastFeedTime || 0;
+  const timerHour = feederData.timer?.hour || 0;
+  const timerMinute = feederData.timer?.minute || 0;
+  const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
+
+  // Validate lastFeedTime (Rule 5)
+  const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
+  if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
+    console.warn('[SCHEDULER] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
+    lastFeedTime = Date.now();
+  }
+
+  // Clock schedule: a due slot feeds regardless of cooldown
+  const dueSlot = getDueSlot(feederData, now, timeZone);
+  const cooldownDone = canFeed(lastFeedTime, cooldownMs);
+
+  // Check cooldown (with validation)
+  if (!cooldownDone && !dueSlot) {
+    return { feederId: feeder.id, ok: true, type: 'none', reason: 'cooldown_active' };
+  }
+
+  // Priority 1: Check reservations
+  const reservations = feederData.reservations || [];
+  const validReservations = reservations.filter((r) => r && r.scheduledTime);
+
+  const readyReservations = validReservations
+    .filter((r) => {
+      const scheduledTime = typeof r.scheduledTime === 'number' ? r.scheduledTime : parseInt(r.scheduledTime, 10);
+      return scheduledTime <= Date.now();
+    })
+    .sort((a, b) => {
+      const createdAtA = typeof a.createdAt === 'number' ? a.createdAt : parseInt(a.createdAt, 10);
+      const createdAtB = typeof b.createdAt === 'number' ? b.createdAt : parseInt(b.createdAt, 10);
+      return (createdAtA || 0) - (createdAtB || 0);
+    });
+
+  if (cooldownDone && readyReservations.length > 0) {
+    const reservation = readyReservations[0];
+    const reservationUser = reservation.user || 'unknown';
+    const portion = resolvePortion(feederData, 'reservation', reservation.portion);
+
+    // Claim the reservation atomically before feeding so it can't run twice
+    const claimed = await claimReservation(feederRef, reservation, {
+      feedTime: now.getTime(),
+      cooldownMs,
+    });
+    if (!claimed) {
+      return { feederId: feeder.id, ok: true, type: 'none', reason: 'reservation_already_claimed' };
+    }
+
+    let timestampMs;
+    try {
+      ({ timestampMs } = await triggerFeed({
+        type: 'reservation',
+        user: reservationUser,
+        userId: reservation.userId || null,
+        db,
+        feederRef,
+        deviceRef,
+        historyRef,
+        now,
+        timeZone,
+        portion,
+      }));
+    } catch (error) {
+      await restoreReservation(feederRef, reservation);
+      throw error;
+    }
+
+    // The fish were just fed - count a due clock slot as served
+    if (dueSlot) {
+      await claimSlot(feederRef, dueSlot, 'reservation')
+        .catch((err) => console.error('[SCHEDULER] Failed to mark slot served:', err.message));
+    }
+
+    await sendReservationExecutedMessage({ user: reservationUser, now, db, feederName: feeder.name, timeZone, portion });
+
+    return {
+      feederId: feeder.id,
+      ok: true,
+      type: 'reservation',
+      user: reservationUser,
+      portion,
+      feedTime: timestampMs,
+    };
+  }
+
+  // Priority 2: Clock schedule slot
+  if (dueSlot) {
+    const portion = getDefaultPortion(feederData, 'timer');
+    const { claimed, previous } = await claimSlot(feederRef, dueSlot);
+    if (!claimed) {
+      return { feederId: feeder.id, ok: true, type: 'none', reason: 'slot_already_served', slot: dueSlot.time };
+    }
+
+    let timestampMs;
+    try {
+      ({ timestampMs } = await triggerFeed({
+        type: 'timer',
+        user: 'System',
+        db,
+        feederRef,
+        deviceRef,
+        historyRef,
+        now,
+        timeZone,
+        slot: dueSlot,
+        portion,
+      }));
+    } catch (error) {
+      await releaseSlot(feederRef, dueSlot, previous);
+      throw error;
+    }
+
+    await sendAutoFeedMessage({ now, db, feederName: feeder.name, timeZone, slot: dueSlot, portion });
+
+    return {
+      feederId: feeder.id,
+      ok: true,
+      type: 'timer',
+      slot: dueSlot.time,
+      portion,
+      feedTime: timestampMs,
+    };
+  }
+
+  // Priority 3: Auto feed (only if no reservations and cooldown mode is on)
+  if (validReservations.length === 0 && usesCooldownAutoFeed(feederData)) {
+    const autoFeedDelayMinutes = feederData.priority?.autoFeedDelayMinutes || 30;
+    const autoFeedDelayMs = autoFeedDelayMinutes * 60000;
+    // Calculate cooldown end time (use valid lastFeedTime or current time)
+    const validLastFeedTime = lastFeedTime && lastFeedTime > 946684800000 ? lastFeedTime : Date.now();
+    const cooldownEndsAt = validLastFeedTime + cooldownMs;
+    const autoFeedTime = cooldownEndsAt + autoFeedDelayMs;
+
+    if (Date.now() >= autoFeedTime) {
+      const portion = getDefaultPortion(feederData, 'timer');
+      const { timestampMs } = await triggerFeed({
+        type: 'timer',
+        user: 'System',
+        db,
+        feederRef,
+        deviceRef,
+        historyRef,
+        now,
+        timeZone,
+        portion,
+      });
+
+      await sendAutoFeedMessage({ now, db, feederName: feeder.name, timeZone, portion });
+
+      return {
+        feederId: feeder.id,
+        ok: true,
+        type: 'timer',
+        portion,
+        feedTime: timestampMs,
+      };
+    }
+  }
+
+  // Nothing executed
+  return {
+    feederId: feeder.id,
+    ok: true,
+    type: 'none',
+    reason: 'no_feed_needed',
+  };
+}
+
 /**
  * Main Scheduler Endpoint
  * GET /api/scheduler/run
@@ -34,7 +253,8 @@ export async function GET(request) {
     // Initialize database
     try {
       db = getDatabase();
-      await sendTelegram(
+      await notify(
+        'scheduler',
         [
           '🔄 <b>Scheduler Run Started</b>',
           `⏰ ${formatDate(now)}`,
@@ -51,154 +271,28 @@ export async function GET(request) {
       return addCorsHeaders(response);
     }
 
-    const feederRef = db.ref('system/feeder');
-    const deviceRef = db.ref('system/device');
-
-    // Load data
-    const [feederSnapshot, deviceSnapshot] = await Promise.all([
-      feederRef.once('value'),
-      deviceRef.once('value'),
-    ]);
-
-    const feederData = feederSnapshot.val() || {};
-    const deviceData = deviceSnapshot.val() || {};
-
-    if (!feederData) {
-      const response = NextResponse.json({ ok: false, error: 'No feeder data found' });
-      return addCorsHeaders(response);
-    }
-
-    // Check fasting day
-    const noFeedDay = feederData.timer?.noFeedDay;
-    if (isFastingDay(noFeedDay)) {
-      const response = NextResponse.json({ ok: true, type: 'none', reason: 'fasting_day' });
-      return addCorsHeaders(response);
-    }
-
-    // Check device online
-    const lastSeen = deviceData.lastSeen;
-    if (!isDeviceOnline(lastSeen, deviceData)) {
-      const response = NextResponse.json({ ok: true, type: 'none', reason: 'device_offline' });
-      return addCorsHeaders(response);
-    }
-
-    // Check if currently feeding
-    if (feederData.status === 1) {
-      const response = NextResponse.json({ ok: true, type: 'none', reason: 'already_feeding' });
-      return addCorsHeaders(response);
-    }
-
-    let lastFeedTime = feederData.lastFeedTime || 0;
-    const timerHour = feederData.timer?.hour || 0;
-    const timerMinute = feederData.timer?.minute || 0;
-    const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
-
-    // Validate lastFeedTime (Rule 5)
-    const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
-    if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
-      console.warn('[SCHEDULER] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
-      lastFeedTime = Date.now();
-    }
-
-    // Check cooldown (with validation)
-    if (!canFeed(lastFeedTime, cooldownMs)) {
-      const response = NextResponse.json({ ok: true, type: 'none', reason: 'cooldown_active' });
-      return addCorsHeaders(response);
-    }
-
-    // Priority 1: Check reservations
-    const reservations = feederData.reservations || [];
-    const validReservations = reservations.filter((r) => r && r.scheduledTime);
-
-    const readyReservations = validReservations
-      .filter((r) => {
-        const scheduledTime = typeof r.scheduledTime === 'number' ? r.scheduledTime : parseInt(r.scheduledTime, 10);
-        return scheduledTime <= Date.now();
-      })
-      .sort((a, b) => {
-        const createdAtA = typeof a.createdAt === 'number' ? a.createdAt : parseInt(a.createdAt, 10);
-        const createdAtB = typeof b.createdAt === 'number' ? b.createdAt : parseInt(b.createdAt, 10);
-        return (createdAtA || 0) - (createdAtB || 0);
-      });
-
-    if (readyReservations.length > 0) {
-      const reservation = readyReservations[0];
-      const reservationUser = reservation.user || 'unknown';
-
-      const { timestampMs } = await triggerFeed({
-        type: 'reservation',
-        user: reservationUser,
-        db,
-        feederRef,
-        now,
-      });
-
-      const reservationCreatedAt = typeof reservation.createdAt === 'number' 
-        ? reservation.createdAt 
-        : parseInt(reservation.createdAt, 10);
-
-      const updatedReservations = validReservations.filter((r) => {
-        const createdAt = typeof r.createdAt === 'number' ? r.createdAt : parseInt(r.createdAt, 10);
-        return createdAt !== reservationCreatedAt;
-      });
-
-      // Recalculate remaining reservations
-      const recalculatedReservations = [];
-      let currentScheduledTime = timestampMs + cooldownMs;
-
-      for (const res of updatedReservations) {
-        const scheduledTime = Math.max(Date.now(), currentScheduledTime);
-        recalculatedReservations.push({ ...res, scheduledTime });
-        currentScheduledTime = scheduledTime + cooldownMs;
-      }
-
-      await feederRef.child('reservations').set(recalculatedReservations);
-
-      await sendReservationExecutedMessage({ user: reservationUser, now, db });
-
-      const response = NextResponse.json({
-        ok: true,
-        type: 'reservation',
-        user: reservationUser,
-        feedTime: timestampMs,
-      });
+    const feeders = await getCronFeeders(db, request);
+    if (feeders.length === 0) {
+      const response = NextResponse.json(
+        { ok: false, error: 'FEEDER_NOT_FOUND' },
+        { status: 404 }
+      );
       return addCorsHeaders(response);
     }
 
-    // Priority 3: Auto feed (only if no reservations)
-    if (validReservations.length === 0) {
-      const autoFeedDelayMinutes = feederData.priority?.autoFeedDelayMinutes || 30;
-      const autoFeedDelayMs = autoFeedDelayMinutes * 60000;
-      // Calculate cooldown end time (use valid lastFeedTime or current time)
-      const validLastFeedTime = lastFeedTime && lastFeedTime > 946684800000 ? lastFeedTime : Date.now();
-      const cooldownEndsAt = validLastFeedTime + cooldownMs;
-      const autoFeedTime = cooldownEndsAt + autoFeedDelayMs;
-
-      if (Date.now() >= autoFeedTime) {
-        const { timestampMs } = await triggerFeed({
-          type: 'timer',
-          user: 'System',
-          db,
-          feederRef,
-          now,
-        });
-
-        await sendAutoFeedMessage({ now, db });
-
-        const response = NextResponse.json({
-          ok: true,
-          type: 'timer',
-          feedTime: timestampMs,
-        });
-        return addCorsHeaders(response);
-      }
-    }
+    // Feeders are independent - one failing tank must not block the others
+    const results = await Promise.all(
+      feeders.map((feeder) =>
+        runScheduler(db, feeder, now).catch((error) => {
+          console.error(`[SCHEDULER] Feeder ${feeder.id} error:`, error.message);
+          return { feederId: feeder.id, ok: false, error: 'INTERNAL_ERROR', message: error.message };
+        })
+      )
+    );
 
-    // Nothing executed
     const response = NextResponse.json({
       ok: true,
-      type: 'none',
-      reason: 'no_feed_needed',
+      feeders: results,
     });
 
     return addCorsHeaders(response);
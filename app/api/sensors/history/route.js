@@ -0,0 +1,133 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { loadFeederTimeZone } from '@/lib/utils/timezone.js';
+import { parseDateRange } from '@/lib/utils/history.js';
+import { aggregateTelemetry, parseTelemetryQuery, queryTelemetryPoints } from '@/lib/utils/telemetry.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Sensor History Endpoint
+ * GET /api/sensors/history
+ *
+ * Return recorded sensor readings, raw or as min/avg/max per bucket.
+ * Query: bucket (raw | 5m | 1h | 1d, default raw), from / to (YYYY-MM-DD local day or
+ * epoch ms, default the last 24 hours), limit (raw points, 1-5000)
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const feederId = resolveFeederId(request);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SENSORS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef, telemetryRef } = getFeederRefs(db, feederId);
+
+    const [feeder, timeZone] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        loadFeederTimeZone(feederRef),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    // Validate (dates are local days in the feeder's timezone)
+    const { searchParams } = new URL(request.url);
+    const range = parseDateRange(searchParams, timeZone);
+    const { query, error: validationError, message } = range.error
+      ? range
+      : parseTelemetryQuery(searchParams, range);
+    if (validationError) {
+      const response = NextResponse.json({
+        success: false,
+        error: validationError,
+        message,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const result = {
+      success: true,
+      feederId,
+      timeZone,
+      bucket: query.bucket,
+      from: query.from,
+      to: query.to,
+    };
+
+    if (query.bucket === 'raw') {
+      const { points, truncated } = await withTimeout(queryTelemetryPoints(telemetryRef, query, timeZone), 15000);
+      Object.assign(result, { count: points.length, truncated, points });
+    } else {
+      const buckets = await withTimeout(aggregateTelemetry(telemetryRef, query, timeZone), 15000);
+      Object.assign(result, { count: buckets.length, buckets });
+    }
+
+    return addCorsHeaders(NextResponse.json(result));
+  } catch (error) {
+    console.error('[SENSORS] Error:', error);
+    const isTimeout = error.message === 'firebase_timeout';
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: isTimeout ? 504 : 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
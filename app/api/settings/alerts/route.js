@@ -0,0 +1,249 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { notify } from '@/lib/services/notifier.js';
+import { formatTankLines } from '@/lib/utils/feeder.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import {
+  ALERT_SENSORS,
+  formatSensorRange,
+  getSensorAlertSettings,
+  parseSensorAlertSettings,
+} from '@/lib/utils/alerts.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const SENSOR_LABELS = {
+  tds: '💧 TDS',
+  temperature: '🌡️ Temperature',
+};
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Get Sensor Alert Settings Endpoint
+ * GET /api/settings/alerts
+ *
+ * Return the alert thresholds per sensor and when each sensor last alerted
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const feederId = resolveFeederId(request);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SETTINGS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef, alertsRef } = getFeederRefs(db, feederId);
+
+    const [feeder, sensorAlertsSnapshot, alertsSnapshot] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        feederRef.child('sensorAlerts').once('value'),
+        alertsRef.once('value'),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      feederId,
+      settings: getSensorAlertSettings({ sensorAlerts: sensorAlertsSnapshot.val() }),
+      lastAlerts: {
+        tds: alertsSnapshot.val()?.lastTdsAlert || null,
+        temperature: alertsSnapshot.val()?.lastTempAlert || null,
+      },
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[SETTINGS] Error:', error);
+    const isTimeout = error.message === 'firebase_timeout';
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: isTimeout ? 504 : 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Update Sensor Alert Settings Endpoint
+ * PUT /api/settings/alerts
+ *
+ * Set thresholds, throttle interval and on/off switch per sensor, e.g.
+ *   { tds: { max: 700 }, temperature: { enabled: true, min: 22, max: 28, throttleMinutes: 60 } }
+ * Fields not in the body keep their value; min / max may be null to disable that side.
+ */
+export async function PUT(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  let db = null;
+
+  try {
+    // Get request body
+    const body = await request.json().catch(() => ({}));
+
+    const feederId = resolveFeederId(request, body);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    // Initialize database
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SETTINGS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef } = getFeederRefs(db, feederId);
+
+    const [feeder, sensorAlertsSnapshot] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        feederRef.child('sensorAlerts').once('value'),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    // Validate
+    const current = getSensorAlertSettings({ sensorAlerts: sensorAlertsSnapshot.val() });
+    const { settings, error: validationError, message } = parseSensorAlertSettings(body, current);
+    if (validationError) {
+      const response = NextResponse.json({
+        success: false,
+        error: validationError,
+        message,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    // Update settings with timeout
+    try {
+      await withTimeout(
+        feederRef.child('sensorAlerts').set(settings),
+        8000
+      );
+    } catch (error) {
+      if (error.message === 'firebase_timeout') {
+        return addCorsHeaders(NextResponse.json({
+          success: false,
+          error: 'TIMEOUT',
+          message: 'Database write timeout',
+        }, { status: 504 }));
+      }
+      throw error;
+    }
+
+    // Send notification
+    await notify(
+      'settings',
+      [
+        '🐟 <b>FISH FEEDER ALERT</b>',
+        '',
+        ...formatTankLines(feeder.name),
+        '⚙️ Sensor Alerts Updated',
+        ...ALERT_SENSORS.map((sensor) => (settings[sensor].enabled
+          ? `${SENSOR_LABELS[sensor]}: ${formatSensorRange(sensor, settings[sensor])} (alert every ${settings[sensor].throttleMinutes} min)`
+          : `${SENSOR_LABELS[sensor]}: off`)),
+        '',
+        'Settings saved successfully.',
+      ].join('\n'),
+      db,
+      { feederId: feeder.id, feederName: feeder.name }
+    );
+
+    const response = NextResponse.json({
+      success: true,
+      feederId,
+      settings,
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[SETTINGS] Error:', error);
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -0,0 +1,239 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { notify } from '@/lib/services/notifier.js';
+import { formatTankLines } from '@/lib/utils/feeder.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { getDigestSettings, parseDigestSettings } from '@/lib/utils/digest.js';
+import { DAY_NAMES } from '@/lib/utils/settings.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Get Digest Settings Endpoint
+ * GET /api/settings/digest
+ *
+ * Return when the daily and weekly digests are sent and the local day each was last sent
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const feederId = resolveFeederId(request);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SETTINGS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef, alertsRef } = getFeederRefs(db, feederId);
+
+    const [feeder, digestSnapshot, lastDigestSnapshot] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        feederRef.child('digest').once('value'),
+        alertsRef.child('lastDigest').once('value'),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      feederId,
+      settings: getDigestSettings({ digest: digestSnapshot.val() }),
+      lastSent: {
+        day: lastDigestSnapshot.val()?.day || null,
+        week: lastDigestSnapshot.val()?.week || null,
+      },
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[SETTINGS] Error:', error);
+    const isTimeout = error.message === 'firebase_timeout';
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: isTimeout ? 504 : 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Update Digest Settings Endpoint
+ * PUT /api/settings/digest
+ *
+ * Set when the digests are sent, in the feeder's local time:
+ *   { daily: { enabled: true, time: '08:00' }, weekly: { enabled: true, weekday: 0, time: '08:00' } }
+ * Fields not in the body keep their value.
+ */
+export async function PUT(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  let db = null;
+
+  try {
+    // Get request body
+    const body = await request.json().catch(() => ({}));
+
+    const feederId = resolveFeederId(request, body);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    // Initialize database
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SETTINGS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef } = getFeederRefs(db, feederId);
+
+    const [feeder, digestSnapshot] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        feederRef.child('digest').once('value'),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    // Validate
+    const current = getDigestSettings({ digest: digestSnapshot.val() });
+    const { settings, error: validationError, message } = parseDigestSettings(body, current);
+    if (validationError) {
+      const response = NextResponse.json({
+        success: false,
+        error: validationError,
+        message,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    // Update settings with timeout
+    try {
+      await withTimeout(
+        feederRef.child('digest').set(settings),
+        8000
+      );
+    } catch (error) {
+      if (error.message === 'firebase_timeout') {
+        return addCorsHeaders(NextResponse.json({
+          success: false,
+          error: 'TIMEOUT',
+          message: 'Database write timeout',
+        }, { status: 504 }));
+      }
+      throw error;
+    }
+
+    // Send notification
+    await notify(
+      'settings',
+      [
+        '🐟 <b>FISH FEEDER ALERT</b>',
+        '',
+        ...formatTankLines(feeder.name),
+        '⚙️ Digest Settings Updated',
+        `📊 Daily: ${settings.daily.enabled ? settings.daily.time : 'Off'}`,
+        `📆 Weekly: ${settings.weekly.enabled ? `${DAY_NAMES[settings.weekly.weekday]} ${settings.weekly.time}` : 'Off'}`,
+        '',
+        'Settings saved successfully.',
+      ].join('\n'),
+      db,
+      { feederId: feeder.id, feederName: feeder.name }
+    );
+
+    const response = NextResponse.json({
+      success: true,
+      feederId,
+      settings,
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[SETTINGS] Error:', error);
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -0,0 +1,350 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { notify } from '@/lib/services/notifier.js';
+import { formatTankLines } from '@/lib/utils/feeder.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import {
+  MAX_FASTING_ENTRIES,
+  formatFastingReason,
+  formatWeekdays,
+  getFastingEntries,
+  getFastingReason,
+  getFastingWeekdays,
+  parseFastingEntry,
+  parseWeekdays,
+} from '@/lib/utils/fasting.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const ENTRY_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Resolve the feeder and database for a request.
+ * Returns { db, feeder, feederRef } or { response } with the error to send.
+ */
+async function loadFeeder(request, body) {
+  const feederId = resolveFeederId(request, body);
+  if (!feederId) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 }),
+    };
+  }
+
+  let db;
+  try {
+    db = getDatabase();
+  } catch (error) {
+    console.error('[SETTINGS] Firebase initialization failed:', error.message);
+    return {
+      response: NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      ),
+    };
+  }
+
+  const feeder = await withTimeout(getFeeder(db, feederId), 8000);
+  if (!feeder) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }),
+    };
+  }
+
+  const { feederRef } = getFeederRefs(db, feederId);
+  return { db, feeder, feederRef };
+}
+
+/**
+ * Error response shared by all handlers
+ */
+function errorResponse(error) {
+  console.error('[SETTINGS] Error:', error);
+  const isTimeout = error.message === 'firebase_timeout';
+  const response = NextResponse.json(
+    {
+      success: false,
+      error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+      message: error.message,
+    },
+    { status: isTimeout ? 504 : 500 }
+  );
+  return addCorsHeaders(response);
+}
+
+/**
+ * Get Fasting Calendar Endpoint
+ * GET /api/settings/fasting
+ *
+ * Return fasting weekdays, calendar entries and whether today is a fasting day
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const { response: errorResult, feeder, feederRef } = await loadFeeder(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const feederSnapshot = await withTimeout(feederRef.once('value'), 8000);
+    const feederData = feederSnapshot.val() || {};
+    const timeZone = getFeederTimeZone(feederData);
+
+    const response = NextResponse.json({
+      success: true,
+      feederId: feeder.id,
+      timeZone,
+      weekdays: getFastingWeekdays(feederData),
+      entries: getFastingEntries(feederData),
+      today: getFastingReason(feederData, new Date(), timeZone),
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Set Fasting Weekdays Endpoint
+ * PUT /api/settings/fasting
+ *
+ * Replace the fasting weekdays (0 = Sunday ... 6 = Saturday)
+ */
+export async function PUT(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const { weekdays, error, message } = parseWeekdays(body.weekdays);
+    if (error) {
+      const response = NextResponse.json({
+        success: false,
+        error,
+        message,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const { response: errorResult, db, feeder, feederRef } = await loadFeeder(request, body);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    // The calendar replaces timer.noFeedDay - clear it so removed days really stop fasting
+    await withTimeout(
+      feederRef.update({
+        'fasting/weekdays': weekdays,
+        'timer/noFeedDay': null,
+      }),
+      8000
+    );
+
+    await notify(
+      'settings',
+      [
+        '🐟 <b>FISH FEEDER ALERT</b>',
+        '',
+        ...formatTankLines(feeder.name),
+        '⚙️ Fasting Days Updated',
+        `🚫 Every: ${formatWeekdays(weekdays)}`,
+        '',
+        'Settings saved successfully.',
+      ].join('\n'),
+      db,
+      { feederId: feeder.id, feederName: feeder.name }
+    );
+
+    const response = NextResponse.json({
+      success: true,
+      feederId: feeder.id,
+      weekdays,
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Add Fasting Date Endpoint
+ * POST /api/settings/fasting
+ *
+ * Add a calendar entry:
+ *   { type: 'date', date: 'YYYY-MM-DD' }
+ *   { type: 'range', start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }
+ *   { type: 'yearly', date: 'MM-DD' }
+ */
+export async function POST(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const { entry, error, message } = parseFastingEntry(body);
+    if (error) {
+      const response = NextResponse.json({
+        success: false,
+        error,
+        message,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const { response: errorResult, db, feeder, feederRef } = await loadFeeder(request, body);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const entriesRef = feederRef.child('fasting').child('entries');
+    const entriesSnapshot = await withTimeout(entriesRef.once('value'), 8000);
+    const entryCount = Object.keys(entriesSnapshot.val() || {}).length;
+    if (entryCount >= MAX_FASTING_ENTRIES) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'CALENDAR_FULL',
+        message: `The fasting calendar is limited to ${MAX_FASTING_ENTRIES} entries`,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const newEntry = { ...entry, createdAt: Date.now() };
+    const entryRef = entriesRef.push();
+    await withTimeout(entryRef.set(newEntry), 8000);
+
+    const when = entry.type === 'range'
+      ? `${entry.start} → ${entry.end}`
+      : (entry.type === 'yearly' ? `${entry.date} (every year)` : entry.date);
+
+    await notify(
+      'settings',
+      [
+        '🐟 <b>FISH FEEDER ALERT</b>',
+        '',
+        ...formatTankLines(feeder.name),
+        '⚙️ Fasting Date Added',
+        `📅 ${when}`,
+        ...(entry.label ? [`🏷️ ${entry.label}`] : []),
+        '',
+        'Settings saved successfully.',
+      ].join('\n'),
+      db,
+      { feederId: feeder.id, feederName: feeder.name }
+    );
+
+    const response = NextResponse.json({
+      success: true,
+      feederId: feeder.id,
+      entry: { id: entryRef.key, ...newEntry },
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Remove Fasting Date Endpoint
+ * DELETE /api/settings/fasting
+ *
+ * Remove a calendar entry by id (?id= or body.id)
+ */
+export async function DELETE(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    const entryId = (new URL(request.url).searchParams.get('id') || body.id || '').toString().trim();
+
+    if (!ENTRY_ID_PATTERN.test(entryId)) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_ID',
+        message: 'id of the fasting entry is required',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const { response: errorResult, db, feeder, feederRef } = await loadFeeder(request, body);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const entryRef = feederRef.child('fasting').child('entries').child(entryId);
+    const entrySnapshot = await withTimeout(entryRef.once('value'), 8000);
+    if (!entrySnapshot.exists()) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'NOT_FOUND',
+        message: 'Fasting entry not found',
+      }, { status: 404 });
+      return addCorsHeaders(response);
+    }
+
+    await withTimeout(entryRef.remove(), 8000);
+
+    // Report whether today is still a fasting day after the removal
+    const feederSnapshot = await withTimeout(feederRef.once('value'), 8000);
+    const feederData = feederSnapshot.val() || {};
+    const today = getFastingReason(feederData, new Date(), getFeederTimeZone(feederData));
+
+    await notify(
+      'settings',
+      [
+        '🐟 <b>FISH FEEDER ALERT</b>',
+        '',
+        ...formatTankLines(feeder.name),
+        '⚙️ Fasting Date Removed',
+        `🚫 Fasting Today: ${formatFastingReason(today)}`,
+        '',
+        'Settings saved successfully.',
+      ].join('\n'),
+      db,
+      { feederId: feeder.id, feederName: feeder.name }
+    );
+
+    const response = NextResponse.json({
+      success: true,
+      feederId: feeder.id,
+      removed: entryId,
+      today,
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
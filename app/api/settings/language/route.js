@@ -0,0 +1,183 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, LANGUAGE_NAMES, normalizeLanguage } from '@/lib/utils/i18n.js';
+import { getUserLanguage, resolveRequestLanguage, setUserLanguage } from '@/lib/utils/languages.js';
+import { resolveVisitorIdentity } from '@/lib/utils/identity.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * The visitor a preference belongs to - the same identity as the feed and reservation
+ * endpoints: the verified ID token's uid, else an anonymous visitor's deviceId (from `source`).
+ * Returns { owner } or { response } with the error to send.
+ */
+async function resolveOwner(request, source) {
+  const { identity, ...authError } = await resolveVisitorIdentity(request, source);
+  if (!identity) {
+    const { status, ...details } = authError;
+    return { response: NextResponse.json({ success: false, ...details }, { status }) };
+  }
+
+  if (!identity.verified && !identity.owner.deviceId) {
+    return {
+      response: NextResponse.json(
+        { success: false, error: 'MISSING_PARAMS', message: 'deviceId required (or sign in with an ID token)' },
+        { status: 400 }
+      ),
+    };
+  }
+
+  return { owner: identity.owner };
+}
+
+/**
+ * Open the database for the visitor.
+ * Returns { db, owner } or { response } with the error to send.
+ */
+function openDatabase(owner) {
+
+  try {
+    return { db: getDatabase(), owner };
+  } catch (error) {
+    console.error('[LANGUAGE] Firebase initialization failed:', error.message);
+    return {
+      response: NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      ),
+    };
+  }
+}
+
+/**
+ * Error response shared by all handlers
+ */
+function errorResponse(error) {
+  console.error('[LANGUAGE] Error:', error);
+  const isTimeout = error.message === 'firebase_timeout';
+  const response = NextResponse.json(
+    {
+      success: false,
+      error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+      message: error.message,
+    },
+    { status: isTimeout ? 504 : 500 }
+  );
+  return addCorsHeaders(response);
+}
+
+/**
+ * Get Language Endpoint
+ * GET /api/settings/language (signed in) or ?deviceId=... (anonymous visitor)
+ *
+ * Return the user's saved language (null = none saved) and the language API messages
+ * are answered in (saved language, else Accept-Language, else DEFAULT_LANGUAGE)
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const { owner: visitor, response: ownerError } = await resolveOwner(request, Object.fromEntries(searchParams));
+    if (ownerError) return addCorsHeaders(ownerError);
+
+    const { db, owner, response: errorResult } = openDatabase(visitor);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const language = await withTimeout(getUserLanguage(db, owner), 8000);
+
+    const response = NextResponse.json({
+      success: true,
+      languages: LANGUAGES,
+      names: LANGUAGE_NAMES,
+      default: DEFAULT_LANGUAGE,
+      language,
+      resolved: language || await resolveRequestLanguage(request),
+    });
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Update Language Endpoint
+ * PUT /api/settings/language
+ *
+ * Save the visitor's language, e.g. { language: 'ar' } with an ID token, or { deviceId: 'abc', language: 'ar' }.
+ * language: null removes the preference (back to Accept-Language).
+ */
+export async function PUT(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const { owner: visitor, response: ownerError } = await resolveOwner(request, body);
+    if (ownerError) return addCorsHeaders(ownerError);
+
+    const { db, owner, response: errorResult } = openDatabase(visitor);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    // Validate
+    const language = body.language === null ? null : normalizeLanguage(body.language);
+    if (language === null && body.language !== null) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_LANGUAGE',
+        message: `language must be null or one of: ${LANGUAGES.join(', ')}`,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    try {
+      await withTimeout(setUserLanguage(db, owner, language), 8000);
+    } catch (error) {
+      if (error.message === 'firebase_timeout') {
+        return addCorsHeaders(NextResponse.json({
+          success: false,
+          error: 'TIMEOUT',
+          message: 'Database write timeout',
+        }, { status: 504 }));
+      }
+      throw error;
+    }
+
+    console.log(`[LANGUAGE] ${owner.userId ? 'User' : 'Device'} language set to ${language || 'default'}`);
+
+    const response = NextResponse.json({
+      success: true,
+      language,
+    });
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
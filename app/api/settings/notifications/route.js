@@ -0,0 +1,293 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { sendTestNotification } from '@/lib/services/notifier.js';
+import {
+  CHANNEL_TYPES,
+  DEFAULT_CHANNEL_ID,
+  NOTIFICATION_EVENTS,
+  getChannelsRef,
+  getNotificationChannels,
+  isValidChannelId,
+  maskNotificationChannel,
+  parseNotificationChannel,
+} from '@/lib/utils/notifications.js';
+import { SUBSCRIPTION_CATEGORIES, getTelegramSubscribers } from '@/lib/utils/subscribers.js';
+import { isAdminRequest, isAuthorizedRequest } from '@/lib/utils/auth.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const MAX_CHANNELS = 20;
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Check authorization and open the database.
+ * Channels are system-wide and hold webhook credentials, so CRON_SECRET or ADMIN_SECRET is required.
+ * Returns { db } or { response } with the error to send.
+ */
+function openDatabase(request) {
+  if (!isAuthorizedRequest(request, process.env.CRON_SECRET) && !isAdminRequest(request)) {
+    return {
+      response: NextResponse.json(
+        { success: false, error: 'UNAUTHORIZED' },
+        { status: 401 }
+      ),
+    };
+  }
+
+  try {
+    return { db: getDatabase() };
+  } catch (error) {
+    console.error('[NOTIFY] Firebase initialization failed:', error.message);
+    return {
+      response: NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      ),
+    };
+  }
+}
+
+/**
+ * Channel id from ?id= or body.id. Returns { channelId } or { response }.
+ */
+function readChannelId(request, body) {
+  const channelId = (new URL(request.url).searchParams.get('id') || body.id || '').toString().trim();
+  if (!isValidChannelId(channelId)) {
+    return {
+      response: NextResponse.json({
+        success: false,
+        error: 'INVALID_CHANNEL_ID',
+        message: 'id of the channel is required',
+      }, { status: 400 }),
+    };
+  }
+  return { channelId };
+}
+
+/**
+ * Error response shared by all handlers
+ */
+function errorResponse(error) {
+  console.error('[NOTIFY] Error:', error);
+  const isTimeout = error.message === 'firebase_timeout';
+  const response = NextResponse.json(
+    {
+      success: false,
+      error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+      message: error.message,
+    },
+    { status: isTimeout ? 504 : 500 }
+  );
+  return addCorsHeaders(response);
+}
+
+/**
+ * Get Notification Channels Endpoint
+ * GET /api/settings/notifications
+ *
+ * Return all channels (webhook URLs and secrets masked), the Telegram chats subscribed
+ * with /subscribe and the available events
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const { db, response: errorResult } = openDatabase(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const [channels, subscribers] = await withTimeout(
+      Promise.all([
+        getNotificationChannels(db),
+        getTelegramSubscribers(db),
+      ]),
+      8000
+    );
+
+    const response = NextResponse.json({
+      success: true,
+      events: NOTIFICATION_EVENTS,
+      types: CHANNEL_TYPES,
+      categories: SUBSCRIPTION_CATEGORIES,
+      channels: channels.map(maskNotificationChannel),
+      subscribers,
+    });
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Save Notification Channel Endpoint
+ * PUT /api/settings/notifications
+ *
+ * Create or update a channel, e.g.
+ *   { id: 'ops', type: 'discord', events: ['sensor', 'device'], config: { url: 'https://discord.com/api/webhooks/...' } }
+ * Fields not in the body keep their value when the type is unchanged.
+ */
+export async function PUT(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const { db, response: errorResult } = openDatabase(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const channels = await withTimeout(getNotificationChannels(db), 8000);
+    const current = channels.find((channel) => channel.id === body?.id) || null;
+    if (!current && channels.length >= MAX_CHANNELS) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'TOO_MANY_CHANNELS',
+        message: `At most ${MAX_CHANNELS} channels can be configured`,
+      }, { status: 400 }));
+    }
+
+    // Validate
+    const { channel, error: validationError, message } = parseNotificationChannel(body, current);
+    if (validationError) {
+      const response = NextResponse.json({
+        success: false,
+        error: validationError,
+        message,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const { id, ...stored } = channel;
+    try {
+      await withTimeout(getChannelsRef(db).child(id).set(stored), 8000);
+    } catch (error) {
+      if (error.message === 'firebase_timeout') {
+        return addCorsHeaders(NextResponse.json({
+          success: false,
+          error: 'TIMEOUT',
+          message: 'Database write timeout',
+        }, { status: 504 }));
+      }
+      throw error;
+    }
+
+    console.log(`[NOTIFY] Channel "${id}" (${channel.type}) ${current && !current.builtIn ? 'updated' : 'created'}`);
+
+    const response = NextResponse.json({
+      success: true,
+      channel: maskNotificationChannel(channel),
+    });
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Delete Notification Channel Endpoint
+ * DELETE /api/settings/notifications
+ *
+ * Remove a channel by id (?id= or body.id). Deleting "telegram" restores the built-in channel.
+ */
+export async function DELETE(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const { db, response: errorResult } = openDatabase(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const { channelId, response: idError } = readChannelId(request, body);
+    if (idError) return addCorsHeaders(idError);
+
+    const channelRef = getChannelsRef(db).child(channelId);
+    const snapshot = await withTimeout(channelRef.once('value'), 8000);
+    if (!snapshot.exists()) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'CHANNEL_NOT_FOUND',
+        message: channelId === DEFAULT_CHANNEL_ID
+          ? 'The built-in Telegram channel cannot be deleted - disable it instead'
+          : `Channel "${channelId}" does not exist`,
+      }, { status: 404 }));
+    }
+
+    await withTimeout(channelRef.remove(), 8000);
+    console.log(`[NOTIFY] Channel "${channelId}" deleted`);
+
+    return addCorsHeaders(NextResponse.json({
+      success: true,
+      deleted: channelId,
+    }));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Test Notification Channel Endpoint
+ * POST /api/settings/notifications
+ *
+ * Send a test message to a channel (?id= or body.id), whatever events it receives
+ */
+export async function POST(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const { db, response: errorResult } = openDatabase(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const { channelId, response: idError } = readChannelId(request, body);
+    if (idError) return addCorsHeaders(idError);
+
+    const channels = await withTimeout(getNotificationChannels(db), 8000);
+    const channel = channels.find((item) => item.id === channelId);
+    if (!channel) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'CHANNEL_NOT_FOUND',
+        message: `Channel "${channelId}" does not exist`,
+      }, { status: 404 }));
+    }
+
+    const result = await sendTestNotification(channel, db);
+    const [delivery] = result.channels;
+
+    return addCorsHeaders(NextResponse.json({
+      success: result.success,
+      channel: channelId,
+      ...(result.success ? {} : { error: 'DELIVERY_FAILED', message: delivery?.error || result.error }),
+    }, { status: result.success ? 200 : 502 }));
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -0,0 +1,245 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { notify } from '@/lib/services/notifier.js';
+import { formatTankLines } from '@/lib/utils/feeder.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { PORTION_FEED_TYPES, formatPortion, getPortions, parsePortion } from '@/lib/utils/portion.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const FEED_TYPE_LABELS = { manual: 'Manual', reservation: 'Reservation', timer: 'Auto' };
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Get Portions Endpoint
+ * GET /api/settings/portion
+ *
+ * Return the default portion of each feed type
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const feederId = resolveFeederId(request);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SETTINGS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef } = getFeederRefs(db, feederId);
+
+    const [feeder, portionsSnapshot] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        feederRef.child('portions').once('value'),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      feederId,
+      portions: getPortions({ portions: portionsSnapshot.val() }),
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[SETTINGS] Error:', error);
+    const isTimeout = error.message === 'firebase_timeout';
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: isTimeout ? 504 : 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Update Portions Endpoint
+ * PUT /api/settings/portion
+ *
+ * Set the default portion per feed type, e.g.
+ *   { manual: { unit: 'pulses', amount: 2 }, timer: { unit: 'ms', amount: 1500 } }
+ * Types not in the body keep their portion; null resets a type to the default.
+ */
+export async function PUT(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  let db = null;
+
+  try {
+    // Get request body
+    const body = await request.json().catch(() => ({}));
+
+    // Validate
+    const updates = {};
+    for (const type of PORTION_FEED_TYPES) {
+      if (body[type] === undefined) continue;
+      if (body[type] === null) {
+        updates[`portions/${type}`] = null;
+        continue;
+      }
+      const { portion, error, message } = parsePortion(body[type]);
+      if (error) {
+        const response = NextResponse.json({
+          success: false,
+          error,
+          message: `${type}: ${message}`,
+        }, { status: 400 });
+        return addCorsHeaders(response);
+      }
+      updates[`portions/${type}`] = portion;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_PORTION',
+        message: `Provide a portion for at least one of: ${PORTION_FEED_TYPES.join(', ')}`,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const feederId = resolveFeederId(request, body);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    // Initialize database
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SETTINGS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef } = getFeederRefs(db, feederId);
+
+    const feeder = await withTimeout(getFeeder(db, feederId), 8000);
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    // Update portions with timeout
+    let portions;
+    try {
+      await withTimeout(feederRef.update(updates), 8000);
+      const portionsSnapshot = await withTimeout(feederRef.child('portions').once('value'), 8000);
+      portions = getPortions({ portions: portionsSnapshot.val() });
+    } catch (error) {
+      if (error.message === 'firebase_timeout') {
+        return addCorsHeaders(NextResponse.json({
+          success: false,
+          error: 'TIMEOUT',
+          message: 'Database write timeout',
+        }, { status: 504 }));
+      }
+      throw error;
+    }
+
+    // Send notification
+    await notify(
+      'settings',
+      [
+        '🐟 <b>FISH FEEDER ALERT</b>',
+        '',
+        ...formatTankLines(feeder.name),
+        '⚙️ Feed Portions Updated',
+        ...PORTION_FEED_TYPES.map((type) => `🥄 ${FEED_TYPE_LABELS[type]}: ${formatPortion(portions[type])}`),
+        '',
+        'Settings saved successfully.',
+      ].join('\n'),
+      db,
+      { feederId: feeder.id, feederName: feeder.name }
+    );
+
+    const response = NextResponse.json({
+      success: true,
+      feederId,
+      portions,
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[SETTINGS] Error:', error);
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { sendTelegram } from '@/lib/services/telegram.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { getFeeder, resolveFeederId } from '@/lib/utils/feeders.js';
+import { parsePrioritySettings, savePrioritySettings } from '@/lib/utils/settings.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
@@ -34,25 +35,25 @@ export async function PUT(request) {
   try {
     // Get request body
     const body = await request.json().catch(() => ({}));
-    const reservationDelayMinutes = parseInt(body.reservationDelayMinutes, 10);
-    const autoFeedDelayMinutes = parseInt(body.autoFeedDelayMinutes, 10);
 
     // Validate
-    if (isNaN(reservationDelayMinutes) || reservationDelayMinutes < 0 || reservationDelayMinutes > 60) {
+    const { priority, error: validationError, message } = parsePrioritySettings(body);
+    if (validationError) {
       const response = NextResponse.json({
         success: false,
-        error: 'INVALID_RESERVATION_DELAY',
-        message: 'reservationDelayMinutes must be between 0 and 60',
+        error: validationError,
+        message,
       });
       return addCorsHeaders(response);
     }
 
-    if (isNaN(autoFeedDelayMinutes) || autoFeedDelayMinutes < 0 || autoFeedDelayMinutes > 120) {
+    const feederId = resolveFeederId(request, body);
+    if (!feederId) {
       const response = NextResponse.json({
         success: false,
-        error: 'INVALID_AUTO_FEED_DELAY',
-        message: 'autoFeedDelayMinutes must be between 0 and 120',
-      });
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
       return addCorsHeaders(response);
     }
 
@@ -72,17 +73,18 @@ export async function PUT(request) {
       return addCorsHeaders(response);
     }
 
-    const feederRef = db.ref('system/feeder');
+    const feeder = await withTimeout(getFeeder(db, feederId), 8000);
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
 
-    // Update priority settings with timeout
+    // Save priority settings and notify
     try {
-      await withTimeout(
-        feederRef.child('priority').set({
-          reservationDelayMinutes,
-          autoFeedDelayMinutes,
-        }),
-        8000
-      );
+      await savePrioritySettings({ db, feeder, priority });
     } catch (error) {
       if (error.message === 'firebase_timeout') {
         return addCorsHeaders(NextResponse.json({
@@ -94,18 +96,10 @@ export async function PUT(request) {
       throw error;
     }
 
-    // Send Telegram notification
-    await sendTelegram(
-      `🐟 <b>FISH FEEDER ALERT</b>\n\n⚙️ Priority Settings Updated\n📅 Reservation Delay: ${reservationDelayMinutes} min\n⏰ Auto Feed Delay: ${autoFeedDelayMinutes} min\n\nSettings saved successfully.`,
-      db
-    );
-
     const response = NextResponse.json({
       success: true,
-      priority: {
-        reservationDelayMinutes,
-        autoFeedDelayMinutes,
-      },
+      feederId,
+      priority,
     });
 
     return addCorsHeaders(response);
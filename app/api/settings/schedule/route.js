@@ -0,0 +1,257 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { formatDate } from '@/lib/services/telegram.js';
+import { notify } from '@/lib/services/notifier.js';
+import { formatTankLines } from '@/lib/utils/feeder.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { getNextSlot, getScheduleMode, getScheduleSlots, parseSchedule, DEFAULT_GRACE_MINUTES } from '@/lib/utils/schedule.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const DAY_SHORT_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Get Schedule Endpoint
+ * GET /api/settings/schedule
+ *
+ * Return the schedule mode, clock slots and the next slot
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const feederId = resolveFeederId(request);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    let db;
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SETTINGS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef } = getFeederRefs(db, feederId);
+
+    const [feeder, feederSnapshot] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        feederRef.once('value'),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    const feederData = feederSnapshot.val() || {};
+    const timeZone = getFeederTimeZone(feederData);
+
+    const response = NextResponse.json({
+      success: true,
+      feederId,
+      timeZone,
+      schedule: {
+        mode: getScheduleMode(feederData),
+        slots: getScheduleSlots(feederData),
+        graceMinutes: parseInt(feederData.schedule?.graceMinutes, 10) || DEFAULT_GRACE_MINUTES,
+      },
+      lastSlot: feederData.lastSlot || null,
+      nextSlot: getNextSlot(feederData, new Date(), timeZone),
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[SETTINGS] Error:', error);
+    const isTimeout = error.message === 'firebase_timeout';
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: isTimeout ? 504 : 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Update Schedule Endpoint
+ * PUT /api/settings/schedule
+ *
+ * Set the schedule mode (cooldown | clock | both) and the daily clock slots
+ */
+export async function PUT(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  const now = new Date();
+  let db = null;
+
+  try {
+    // Get request body
+    const body = await request.json().catch(() => ({}));
+
+    // Validate
+    const { schedule, error: validationError, message } = parseSchedule(body);
+    if (validationError) {
+      const response = NextResponse.json({
+        success: false,
+        error: validationError,
+        message,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    const feederId = resolveFeederId(request, body);
+    if (!feederId) {
+      const response = NextResponse.json({
+        success: false,
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    // Initialize database
+    try {
+      db = getDatabase();
+    } catch (error) {
+      console.error('[SETTINGS] Firebase initialization failed:', error.message);
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      );
+      return addCorsHeaders(response);
+    }
+
+    const { feederRef } = getFeederRefs(db, feederId);
+
+    const [feeder, feederSnapshot] = await withTimeout(
+      Promise.all([
+        getFeeder(db, feederId),
+        feederRef.once('value'),
+      ]),
+      8000
+    );
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
+
+    // Update schedule with timeout
+    try {
+      await withTimeout(
+        feederRef.child('schedule').set(schedule),
+        8000
+      );
+    } catch (error) {
+      if (error.message === 'firebase_timeout') {
+        return addCorsHeaders(NextResponse.json({
+          success: false,
+          error: 'TIMEOUT',
+          message: 'Database write timeout',
+        }, { status: 504 }));
+      }
+      throw error;
+    }
+
+    const feederData = { ...(feederSnapshot.val() || {}), schedule };
+    const timeZone = getFeederTimeZone(feederData);
+    const nextSlot = getNextSlot(feederData, now, timeZone);
+
+    const slotLines = schedule.slots.map((slot) => {
+      const days = slot.days.length > 0 ? slot.days.map((day) => DAY_SHORT_NAMES[day]).join(', ') : 'Daily';
+      return `   ⏰ ${slot.time} (${days})`;
+    });
+
+    // Send notification
+    await notify(
+      'settings',
+      [
+        '🐟 <b>FISH FEEDER ALERT</b>',
+        '',
+        ...formatTankLines(feeder.name),
+        '⚙️ Feeding Schedule Updated',
+        `🔧 Mode: ${schedule.mode}`,
+        ...slotLines,
+        ...(nextSlot ? [`🕐 Next Slot: ${formatDate(nextSlot.scheduledAt, timeZone)}`] : []),
+        '',
+        'Settings saved successfully.',
+      ].join('\n'),
+      db,
+      { feederId: feeder.id, feederName: feeder.name }
+    );
+
+    const response = NextResponse.json({
+      success: true,
+      feederId,
+      timeZone,
+      schedule,
+      nextSlot,
+    });
+
+    return addCorsHeaders(response);
+  } catch (error) {
+    console.error('[SETTINGS] Error:', error);
+    const response = NextResponse.json(
+      {
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message,
+      },
+      { status: 500 }
+    );
+    return addCorsHeaders(response);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
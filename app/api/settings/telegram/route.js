@@ -0,0 +1,198 @@
+import { NextResponse } from 'next/server';
+import { getDatabase } from '@/lib/services/storage.js';
+import { notify } from '@/lib/services/notifier.js';
+import { NOTIFICATION_EVENTS } from '@/lib/utils/notifications.js';
+import {
+  RETENTION_MODES,
+  getRetentionSettings,
+  parseRetentionSettings,
+} from '@/lib/utils/retention.js';
+import { isAdminRequest, isAuthorizedRequest } from '@/lib/utils/auth.js';
+import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const MODE_LABELS = {
+  count: 'Keep the last messages',
+  age: 'Delete old messages',
+  off: 'Never delete',
+};
+
+/**
+ * Firebase timeout wrapper
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Check authorization and open the database.
+ * The retention policy is system-wide, so CRON_SECRET or ADMIN_SECRET is required.
+ * Returns { db } or { response } with the error to send.
+ */
+function openDatabase(request) {
+  if (!isAuthorizedRequest(request, process.env.CRON_SECRET) && !isAdminRequest(request)) {
+    return {
+      response: NextResponse.json(
+        { success: false, error: 'UNAUTHORIZED' },
+        { status: 401 }
+      ),
+    };
+  }
+
+  try {
+    return { db: getDatabase() };
+  } catch (error) {
+    console.error('[SETTINGS] Firebase initialization failed:', error.message);
+    return {
+      response: NextResponse.json(
+        {
+          success: false,
+          error: 'DATABASE_ERROR',
+          message: 'Failed to initialize database',
+        },
+        { status: 500 }
+      ),
+    };
+  }
+}
+
+/**
+ * Error response shared by all handlers
+ */
+function errorResponse(error) {
+  console.error('[SETTINGS] Error:', error);
+  const isTimeout = error.message === 'firebase_timeout';
+  const response = NextResponse.json(
+    {
+      success: false,
+      error: isTimeout ? 'TIMEOUT' : 'INTERNAL_ERROR',
+      message: error.message,
+    },
+    { status: isTimeout ? 504 : 500 }
+  );
+  return addCorsHeaders(response);
+}
+
+/**
+ * Get Telegram Retention Settings Endpoint
+ * GET /api/settings/telegram
+ *
+ * Return the message retention policy, how many messages are tracked and the pinned messages
+ */
+export async function GET(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const { db, response: errorResult } = openDatabase(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const snapshot = await withTimeout(db.ref('system/telegram').once('value'), 8000);
+    const telegramData = snapshot.val() || {};
+
+    const response = NextResponse.json({
+      success: true,
+      modes: RETENTION_MODES,
+      events: NOTIFICATION_EVENTS,
+      retention: getRetentionSettings(telegramData.retention),
+      tracked: Object.values(telegramData.messages || {}).filter(Boolean).length,
+      pinned: telegramData.pinned || {},
+    });
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Update Telegram Retention Settings Endpoint
+ * PUT /api/settings/telegram
+ *
+ * Set how long bot messages stay in the main chat, e.g.
+ *   { mode: 'count', keepLast: 20, exempt: ['sensor'], pin: ['device'] }
+ *   { mode: 'age', maxAgeHours: 12 }
+ *   { mode: 'off' }
+ * Fields not in the body keep their value. The cron applies the policy.
+ */
+export async function PUT(request) {
+  const corsResponse = handleCORS(request);
+  if (corsResponse) return corsResponse;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const { db, response: errorResult } = openDatabase(request);
+    if (errorResult) return addCorsHeaders(errorResult);
+
+    const retentionRef = db.ref('system/telegram/retention');
+    const snapshot = await withTimeout(retentionRef.once('value'), 8000);
+    const current = getRetentionSettings(snapshot.val());
+
+    // Validate
+    const { settings, error: validationError, message } = parseRetentionSettings(body, current);
+    if (validationError) {
+      const response = NextResponse.json({
+        success: false,
+        error: validationError,
+        message,
+      }, { status: 400 });
+      return addCorsHeaders(response);
+    }
+
+    try {
+      await withTimeout(retentionRef.set(settings), 8000);
+    } catch (error) {
+      if (error.message === 'firebase_timeout') {
+        return addCorsHeaders(NextResponse.json({
+          success: false,
+          error: 'TIMEOUT',
+          message: 'Database write timeout',
+        }, { status: 504 }));
+      }
+      throw error;
+    }
+
+    const policy = {
+      count: `last ${settings.keepLast} messages`,
+      age: `${settings.maxAgeHours} hours`,
+      off: 'forever',
+    }[settings.mode];
+
+    await notify(
+      'settings',
+      [
+        '🐟 <b>FISH FEEDER ALERT</b>',
+        '',
+        '⚙️ Telegram Retention Updated',
+        `🗑️ Mode: ${MODE_LABELS[settings.mode]} (${policy})`,
+        `🛡️ Never deleted: ${settings.exempt.join(', ') || 'None'}`,
+        `📌 Pinned: ${settings.pin.join(', ') || 'None'}`,
+        '',
+        'Settings saved successfully.',
+      ].join('\n'),
+      db
+    );
+
+    const response = NextResponse.json({
+      success: true,
+      retention: settings,
+    });
+    return addCorsHeaders(response);
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Handle OPTIONS for CORS
+ */
+export async function OPTIONS(request) {
+  return handleCORS(request);
+}
@@ -1,7 +1,7 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { calculateCooldownMs, calculateScheduledTime } from '@/lib/utils/feeder.js';
-import { sendTelegram } from '@/lib/services/telegram.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { parseTimerSettings, saveTimerSettings } from '@/lib/utils/settings.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
@@ -35,35 +35,25 @@ export async function PUT(request) {
   try {
     // Get request body
     const body = await request.json().catch(() => ({}));
-    const hour = parseInt(body.hour, 10);
-    const minute = parseInt(body.minute, 10);
-    const noFeedDay = body.noFeedDay !== undefined ? (body.noFeedDay === null ? null : parseInt(body.noFeedDay, 10)) : undefined;
 
     // Validate
-    if (isNaN(hour) || hour < 0 || hour > 23) {
+    const { timer, error: validationError, message } = parseTimerSettings(body);
+    if (validationError) {
       const response = NextResponse.json({
         success: false,
-        error: 'INVALID_HOUR',
-        message: 'Hour must be between 0 and 23',
+        error: validationError,
+        message,
       });
       return addCorsHeaders(response);
     }
 
-    if (isNaN(minute) || minute < 0 || minute > 59) {
+    const feederId = resolveFeederId(request, body);
+    if (!feederId) {
       const response = NextResponse.json({
         success: false,
-        error: 'INVALID_MINUTE',
-        message: 'Minute must be between 0 and 59',
-      });
-      return addCorsHeaders(response);
-    }
-
-    if (noFeedDay !== undefined && noFeedDay !== null && (noFeedDay < 0 || noFeedDay > 6)) {
-      const response = NextResponse.json({
-        success: false,
-        error: 'INVALID_NO_FEED_DAY',
-        message: 'noFeedDay must be between 0 and 6, or null',
-      });
+        error: 'INVALID_FEEDER_ID',
+        message: 'feederId may only contain letters, digits, "-" and "_"',
+      }, { status: 400 });
       return addCorsHeaders(response);
     }
 
@@ -83,7 +73,16 @@ export async function PUT(request) {
       return addCorsHeaders(response);
     }
 
-    const feederRef = db.ref('system/feeder');
+    const { feederRef } = getFeederRefs(db, feederId);
+
+    const feeder = await withTimeout(getFeeder(db, feederId), 8000);
+    if (!feeder) {
+      return addCorsHeaders(NextResponse.json({
+        success: false,
+        error: 'FEEDER_NOT_FOUND',
+        message: `Feeder "${feederId}" is not registered`,
+      }, { status: 404 }));
+    }
 
     // Load current data with timeout
     let feederData;
@@ -104,27 +103,10 @@ export async function PUT(request) {
       throw error;
     }
 
-    // Get old values
-    const oldHour = feederData.timer?.hour || 0;
-    const oldMinute = feederData.timer?.minute || 0;
-    const oldNoFeedDay = feederData.timer?.noFeedDay;
-
-    // Update timer settings
-    const timerUpdate = {
-      hour,
-      minute,
-    };
-
-    if (noFeedDay !== undefined) {
-      timerUpdate.noFeedDay = noFeedDay;
-    }
-
-    // Update timer with timeout
+    // Save timer, reschedule the queue and notify
+    let timeZone;
     try {
-      await withTimeout(
-        feederRef.child('timer').set(timerUpdate),
-        8000
-      );
+      ({ timeZone } = await saveTimerSettings({ db, feeder, feederData, timer }));
     } catch (error) {
       if (error.message === 'firebase_timeout') {
         return addCorsHeaders(NextResponse.json({
@@ -136,52 +118,11 @@ export async function PUT(request) {
       throw error;
     }
 
-    // Recalculate all reservation scheduledTimes with new cooldown (non-blocking)
-    const reservations = feederData.reservations || [];
-    const validReservations = reservations.filter((r) => r && r.scheduledTime);
-
-    if (validReservations.length > 0) {
-      const lastFeedTime = feederData.lastFeedTime || 0;
-      const newCooldownMs = calculateCooldownMs(hour, minute);
-
-      const recalculatedReservations = [];
-      let currentScheduledTime = lastFeedTime + newCooldownMs;
-
-      for (const reservation of validReservations) {
-        const scheduledTime = Math.max(Date.now(), currentScheduledTime);
-        recalculatedReservations.push({
-          ...reservation,
-          scheduledTime,
-        });
-        currentScheduledTime = scheduledTime + newCooldownMs;
-      }
-
-      // Update reservations (non-blocking - fire and forget)
-      setTimeout(() => {
-        feederRef.child('reservations').set(recalculatedReservations)
-          .catch(err => console.error('[SETTINGS] Error updating reservations:', err.message));
-      }, 0);
-    }
-
-    // Send Telegram notification if changed
-    const changed = hour !== oldHour || minute !== oldMinute || noFeedDay !== oldNoFeedDay;
-    if (changed) {
-      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      const noFeedDayStr = noFeedDay !== null && noFeedDay !== undefined ? dayNames[noFeedDay] : 'None';
-
-      await sendTelegram(
-        `🐟 <b>FISH FEEDER ALERT</b>\n\n⚙️ Timer Settings Updated\n⏰ Interval: ${hour}:${minute.toString().padStart(2, '0')}\n🚫 Fasting Day: ${noFeedDayStr}\n\nSettings saved successfully.`,
-        db
-      );
-    }
-
     const response = NextResponse.json({
       success: true,
-      timer: {
-        hour,
-        minute,
-        noFeedDay,
-      },
+      feederId,
+      timer,
+      timeZone,
     });
 
     return addCorsHeaders(response);
@@ -1,6 +1,12 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { calculateCooldownMs, isDeviceOnline, isFastingDay } from '@/lib/utils/feeder.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { calculateCooldownMs, isDeviceOnline } from '@/lib/utils/feeder.js';
+import { getFeeder, getFeederRefs, resolveFeederId } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone } from '@/lib/utils/timezone.js';
+import { getFastingReason, getFastingWeekdays } from '@/lib/utils/fasting.js';
+import { getNextSlot, getScheduleMode } from '@/lib/utils/schedule.js';
+import { getPortions } from '@/lib/utils/portion.js';
+import { getAckSettings } from '@/lib/utils/acknowledgement.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
@@ -31,6 +37,19 @@ export async function GET(request) {
   let db = null;
 
   try {
+    const feederId = resolveFeederId(request);
+    if (!feederId) {
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'INVALID_FEEDER_ID',
+          message: 'feederId may only contain letters, digits, "-" and "_"',
+        },
+        { status: 400 }
+      );
+      return addCorsHeaders(response);
+    }
+
     // Initialize database
     try {
       db = getDatabase();
@@ -47,22 +66,22 @@ export async function GET(request) {
       return addCorsHeaders(response);
     }
 
-    const feederRef = db.ref('system/feeder');
-    const deviceRef = db.ref('system/device');
-    const sensorsRef = db.ref('system/sensors');
+    const { feederRef, deviceRef, sensorsRef } = getFeederRefs(db, feederId);
 
     // Load all data with timeout protection
-    let feederData, deviceData, sensors;
+    let feeder, feederData, deviceData, sensors;
     try {
-      const [feederSnapshot, deviceSnapshot, sensorsSnapshot] = await withTimeout(
+      const [registeredFeeder, feederSnapshot, deviceSnapshot, sensorsSnapshot] = await withTimeout(
         Promise.all([
+          getFeeder(db, feederId),
           feederRef.once('value'),
           deviceRef.once('value'),
           sensorsRef.once('value'),
         ]),
         8000 // 8 second timeout
       );
-      
+
+      feeder = registeredFeeder;
       feederData = feederSnapshot.val() || {};
       deviceData = deviceSnapshot.val() || {};
       sensors = sensorsSnapshot.val() || {};
@@ -82,6 +101,18 @@ export async function GET(request) {
       throw error;
     }
 
+    if (!feeder) {
+      const response = NextResponse.json(
+        {
+          success: false,
+          error: 'FEEDER_NOT_FOUND',
+          message: `Feeder "${feederId}" is not registered`,
+        },
+        { status: 404 }
+      );
+      return addCorsHeaders(response);
+    }
+
     // Calculate status
     let lastFeedTime = feederData.lastFeedTime || 0;
     const lastFeed = feederData.lastFeed || {};
@@ -100,10 +131,14 @@ export async function GET(request) {
 
     const lastSeen = deviceData.lastSeen;
     const isOnline = isDeviceOnline(lastSeen, deviceData);
-    const isFasting = isFastingDay(feederData.timer?.noFeedDay);
+    const timeZone = getFeederTimeZone(feederData);
+    const fasting = getFastingReason(feederData, new Date(), timeZone);
 
     const response = NextResponse.json({
       ok: true,
+      feederId,
+      feederName: feeder.name,
+      timeZone,
       status: feederData.status || 0,
       lastFeedTime,
       cooldownMs,
@@ -111,7 +146,15 @@ export async function GET(request) {
       canFeed: canFeedNow,
       reservationsCount: (feederData.reservations || []).length,
       deviceOnline: isOnline,
-      isFastingDay: isFasting,
+      isFastingDay: fasting !== null,
+      fasting,
+      fastingWeekdays: getFastingWeekdays(feederData),
+      scheduleMode: getScheduleMode(feederData),
+      nextSlot: getNextSlot(feederData, new Date(), timeZone),
+      lastSlot: feederData.lastSlot || null,
+      portions: getPortions(feederData),
+      pendingFeed: feederData.pendingFeed || null,
+      feedAck: getAckSettings(feederData),
     });
 
     return addCorsHeaders(response);
@@ -1,6 +1,78 @@
 import { NextResponse } from 'next/server';
-import { getDatabase } from '@/lib/services/firebase.js';
-import { formatDate } from '@/lib/services/telegram.js';
+import { getDatabase } from '@/lib/services/storage.js';
+import { callTelegramApi, clearTelegramMessages, formatDate } from '@/lib/services/telegram.js';
+import {
+  formatTankLines,
+  sendFeedExecutedMessage,
+  sendReservationCancelledMessage,
+  sendReservationCreatedMessage,
+} from '@/lib/utils/feeder.js';
+import { DEFAULT_FEEDER_ID, getFeeder, getFeederRefs, listFeeders } from '@/lib/utils/feeders.js';
+import { getFeederTimeZone, loadFeederTimeZone } from '@/lib/utils/timezone.js';
+import { getFastingReason, formatFastingLabel, formatFastingReason } from '@/lib/utils/fasting.js';
+import { getNextSlot, getScheduleMode } from '@/lib/utils/schedule.js';
+import { formatPortion, resolvePortion } from '@/lib/utils/portion.js';
+import { checkManualFeed, executeManualFeed } from '@/lib/utils/manual.js';
+import { cancelReservation, createReservation, findOwnReservation } from '@/lib/utils/booking.js';
+import { DIGEST_PERIODS, buildDigest, formatDigest } from '@/lib/utils/digest.js';
+import { MAX_RESERVATIONS, getValidReservations, toTimestamp } from '@/lib/utils/reservations.js';
+import {
+  DAY_NAMES,
+  getPrioritySettings,
+  parsePrioritySettings,
+  parseTimerSettings,
+  savePrioritySettings,
+  saveTimerSettings,
+} from '@/lib/utils/settings.js';
+import {
+  claimConfirmation,
+  confirmationKeyboard,
+  createConfirmation,
+  parseConfirmationCallback,
+} from '@/lib/utils/confirmations.js';
+import {
+  CATEGORY_NAMES,
+  getTelegramSubscriber,
+  parseCategories,
+  subscribeChat,
+  unsubscribeChat,
+} from '@/lib/utils/subscribers.js';
+import { NOTIFICATION_EVENTS } from '@/lib/utils/notifications.js';
+import {
+  CRITICAL_EVENTS,
+  QUIET_MODES,
+  getChatPreference,
+  loadQuietHoursTimeZone,
+  parseEvents,
+  parseQuietHours,
+  parseQuietTimeZone,
+  updateChatPreferences,
+} from '@/lib/utils/preferences.js';
+import {
+  ROLES,
+  getCommandRole,
+  getTelegramRole,
+  grantTelegramRole,
+  hasRole,
+  isValidAccessId,
+  listTelegramAccess,
+  revokeTelegramRole,
+} from '@/lib/utils/roles.js';
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_NAMES,
+  dayName,
+  field,
+  formatDuration,
+  normalizeLanguage,
+  stripDirectionMarks,
+  t,
+  translateError,
+  withDirection,
+} from '@/lib/utils/i18n.js';
+import { getChatLanguage, setChatLanguage } from '@/lib/utils/languages.js';
+import { isTelegramWebhookRequest } from '@/lib/utils/auth.js';
 import { addCorsHeaders, handleCORS } from '@/lib/utils/cors.js';
 
 export const runtime = 'nodejs';
@@ -40,12 +112,12 @@ function fieldsToDate(fields) {
 
 /**
  * Send a Telegram message (simple version without message limit management).
- * Used for command responses in webhook.
+ * Used for command responses in webhook - replies go to the chat that asked, laid out
+ * for the chat's language.
  */
-async function sendSimpleTelegramMessage(message) {
+async function sendSimpleTelegramMessage(message, chatId = process.env.TELEGRAM_CHAT_ID, replyMarkup = null, language = DEFAULT_LANGUAGE) {
   try {
     const token = process.env.TELEGRAM_BOT_TOKEN;
-    const chatId = process.env.TELEGRAM_CHAT_ID;
 
     if (!token || !chatId) {
       return { success: false, error: 'Missing Telegram credentials' };
@@ -58,8 +130,9 @@ async function sendSimpleTelegramMessage(message) {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         chat_id: chatId,
-        text: message,
+        text: withDirection(message, language),
         parse_mode: 'HTML',
+        ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
       }),
     });
 
@@ -74,71 +147,12 @@ async function sendSimpleTelegramMessage(message) {
   }
 }
 
-/**
- * Delete all Telegram messages by their message IDs.
- */
-async function deleteAllTelegramMessages(token, chatId, messageIds) {
-  if (!messageIds || messageIds.length === 0) return;
-
-  const deletePromises = messageIds.map(async (messageId) => {
-    try {
-      const url = `https://api.telegram.org/bot${token}/deleteMessage`;
-      await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ chat_id: chatId, message_id: messageId }),
-      });
-    } catch (error) {
-      console.warn(`[TELEGRAM] Error deleting message ${messageId}:`, error);
-    }
-  });
-
-  await Promise.all(deletePromises);
-}
-
-/**
- * Clear all Telegram messages (used by /clear command).
- */
-async function clearAllTelegramMessages(db) {
-  try {
-    const token = process.env.TELEGRAM_BOT_TOKEN;
-    const chatId = process.env.TELEGRAM_CHAT_ID;
-
-    if (!token || !chatId) {
-      return { success: false, error: 'Missing Telegram credentials' };
-    }
-
-    if (!db) {
-      return { success: false, error: 'Database not available' };
-    }
-
-    const telegramRef = db.ref('system/telegram');
-    const snapshot = await telegramRef.once('value');
-    const telegramData = snapshot.val() || {};
-    const messageIds = telegramData.messageIds || [];
-
-    if (messageIds.length === 0) {
-      return { success: true, deleted: 0 };
-    }
-
-    await deleteAllTelegramMessages(token, chatId, messageIds);
-    await telegramRef.set({ messageIds: [], count: 0 });
-
-    return { success: true, deleted: messageIds.length };
-  } catch (error) {
-    console.error('[TELEGRAM] Error clearing messages:', error);
-    return { success: false, error: error.message };
-  }
-}
-
 /**
  * Handle /status command.
  */
-async function handleStatusCommand(db) {
+async function handleStatusCommand(db, feeder, lang) {
   try {
-    const feederRef = db.ref('system/feeder');
-    const deviceRef = db.ref('system/device');
-    const sensorsRef = db.ref('system/sensors');
+    const { feederRef, deviceRef, sensorsRef } = getFeederRefs(db, feeder.id);
 
     const [feederSnapshot, deviceSnapshot, sensorsSnapshot] = await Promise.all([
       feederRef.once('value'),
@@ -147,11 +161,12 @@ async function handleStatusCommand(db) {
     ]);
 
     const feederData = feederSnapshot.val() || {};
+
+    const timeZone = getFeederTimeZone(feederData);
     const deviceData = deviceSnapshot.val() || {};
     const sensors = sensorsSnapshot.val() || {};
 
     const isOnline = deviceData?.wifi === 'connected' && deviceData?.uptime > 0;
-    const deviceStatus = isOnline ? 'online' : 'offline';
     const wifiStatus = deviceData?.wifi || 'disconnected';
     const servoStatus = deviceData?.servo || 'off';
     const uptime = deviceData?.uptime || 0;
@@ -173,7 +188,7 @@ async function handleStatusCommand(db) {
     // Calculate next feed time
     const now = Date.now();
     let nextFeedTime = null;
-    let nextFeedType = 'Auto Feed';
+    let nextFeedType = t(lang, 'feed_type.auto_feed');
     
     if (validReservations.length > 0) {
       const nextReservation = validReservations
@@ -183,125 +198,160 @@ async function handleStatusCommand(db) {
         }))
         .sort((a, b) => a.scheduledTime - b.scheduledTime)[0];
       nextFeedTime = new Date(nextReservation.scheduledTime);
-      nextFeedType = `Reservation (${nextReservation.user || 'Unknown'})`;
-    } else if (lastFeedTime) {
+      nextFeedType = t(lang, 'feed_type.next_reservation', { user: nextReservation.user || t(lang, 'common.unknown') });
+    } else if (lastFeedTime && getScheduleMode(feederData) !== 'clock') {
       const cooldownEndTime = lastFeedTime.getTime() + cooldownMs;
       nextFeedTime = new Date(cooldownEndTime + autoFeedDelayMs);
     }
+
+    // A clock schedule slot may come first
+    const nextSlot = getNextSlot(feederData, new Date(now), timeZone);
+    if (nextSlot && (!nextFeedTime || nextSlot.scheduledAt < nextFeedTime.getTime())) {
+      nextFeedTime = new Date(nextSlot.scheduledAt);
+      nextFeedType = t(lang, 'feed_type.next_scheduled', { time: nextSlot.time });
+    }
     
     // Calculate time remaining
     const remainingMs = nextFeedTime ? Math.max(0, nextFeedTime.getTime() - now) : 0;
-    const remainingHours = Math.floor(remainingMs / 3600000);
-    const remainingMinutes = Math.floor((remainingMs % 3600000) / 60000);
-    let timeRemaining = 'Ready now';
-    if (remainingMs > 0) {
-      if (remainingHours > 0) {
-        timeRemaining = `${remainingHours}h ${remainingMinutes}m`;
-      } else {
-        timeRemaining = `${remainingMinutes}m`;
-      }
-    }
-    
-    // Format uptime
-    const uptimeHours = Math.floor(uptime / 3600);
-    const uptimeMins = Math.floor((uptime % 3600) / 60);
-    const uptimeStr = uptimeHours > 0 
-      ? `${uptimeHours}h ${uptimeMins}m`
-      : `${uptimeMins}m`;
+    const timeRemaining = remainingMs > 0 ? formatDuration(remainingMs, lang) : t(lang, 'time_left.ready_now');
 
     const message = [
-      '📊 <b>SYSTEM STATUS</b>',
+      t(lang, 'status.title'),
       '',
-      '<b>🔌 Device Status:</b>',
-      `   ${isOnline ? '🟢' : '🔴'} <b>Status:</b> <code>${deviceStatus.toUpperCase()}</code>`,
-      `   📶 <b>WiFi:</b> <code>${wifiStatus}</code>`,
-      `   ⚙️ <b>Servo:</b> <code>${servoStatus}</code>`,
-      `   ⏱️ <b>Uptime:</b> <code>${uptimeStr}</code>`,
+      ...formatTankLines(feeder.name, lang),
       '',
-      '<b>🍽️ Feed Status:</b>',
-      `   🕐 <b>Last Feed:</b> <code>${formatDate(lastFeedTime)}</code>`,
-      `   ⏰ <b>Next Feed:</b> <code>${formatDate(nextFeedTime)}</code>`,
-      `   🔧 <b>Type:</b> <code>${nextFeedType}</code>`,
-      `   ⏳ <b>Time Remaining:</b> <code>${timeRemaining}</code>`,
-      `   ⏱️ <b>Cooldown:</b> <code>${cooldownStr}</code>`,
+      t(lang, 'status.device'),
+      `   ${field(lang, isOnline ? '🟢' : '🔴', 'label.status', t(lang, isOnline ? 'status.online' : 'status.offline'))}`,
+      `   ${field(lang, '📶', 'label.wifi', wifiStatus)}`,
+      `   ${field(lang, '⚙️', 'label.servo', servoStatus)}`,
+      `   ${field(lang, '⏱️', 'label.uptime', formatDuration(uptime * 1000, lang))}`,
       '',
-      '<b>🌡️ Sensors:</b>',
-      `   🌡️ <b>Temperature:</b> <code>${sensors.temperature || 'N/A'}°C</code>`,
-      `   💧 <b>TDS:</b> <code>${sensors.tds || 'N/A'} ppm</code>`,
+      t(lang, 'status.feed'),
+      `   ${field(lang, '🕐', 'label.last_feed', formatDate(lastFeedTime, timeZone, lang))}`,
+      `   ${field(lang, '⏰', 'label.next_feed', formatDate(nextFeedTime, timeZone, lang))}`,
+      `   ${field(lang, '🔧', 'label.type', nextFeedType)}`,
+      `   ${field(lang, '⏳', 'label.time_remaining', timeRemaining)}`,
+      `   ${field(lang, '⏱️', 'label.cooldown', cooldownStr)}`,
+      `   ${field(lang, '🌍', 'label.timezone', timeZone)}`,
+      `   ${field(lang, '🚫', 'label.fasting_today', formatFastingReason(getFastingReason(feederData, new Date(), timeZone), lang))}`,
       '',
-      '<b>📌 Reservations:</b>',
-      `   📋 <b>Count:</b> <code>${validReservations.length}</code>`,
+      t(lang, 'status.sensors'),
+      `   ${field(lang, '🌡️', 'label.temperature', `${sensors.temperature || t(lang, 'common.na')}°C`)}`,
+      `   ${field(lang, '💧', 'label.tds', `${sensors.tds || t(lang, 'common.na')} ppm`)}`,
+      '',
+      t(lang, 'status.reservations'),
+      `   ${field(lang, '📋', 'label.count', validReservations.length)}`,
     ].join('\n');
 
     return message;
   } catch (error) {
     console.error('[TELEGRAM] Error handling /status:', error);
-    return '❌ Error: Failed to get system status.';
+    return t(lang, 'bot.error.status');
   }
 }
 
 /**
  * Handle /history command.
  */
-async function handleHistoryCommand(db) {
+async function handleHistoryCommand(db, feeder, lang) {
   try {
-    const feederRef = db.ref('system/feeder');
+    const { feederRef } = getFeederRefs(db, feeder.id);
     const feederSnapshot = await feederRef.once('value');
     const feederData = feederSnapshot.val() || {};
+    const timeZone = getFeederTimeZone(feederData);
     const history = feederData.history || [];
 
     if (history.length === 0) {
-      return '📜 <b>FEED HISTORY</b>\n\nNo feed history available.';
+      return [t(lang, 'history.title'), '', ...formatTankLines(feeder.name, lang), t(lang, 'history.empty')].join('\n');
     }
 
     const last5 = history.slice(0, 5);
-    const lines = ['📜 <b>LAST 5 FEEDS</b>', ''];
+    const lines = [t(lang, 'history.last'), '', ...formatTankLines(feeder.name, lang)];
 
     last5.forEach((entry, index) => {
       const timestamp = typeof entry.timestamp === 'string' 
         ? parseInt(entry.timestamp, 10) 
         : entry.timestamp;
       const date = timestamp ? new Date(timestamp) : new Date();
-      const type = entry.type || 'unknown';
-      const user = entry.user || 'System';
-      const timeStr = formatDate(date);
+      const type = entry.slot ? `${entry.type || 'timer'} ${entry.slot}` : (entry.type || 'unknown');
+      const user = entry.user || t(lang, 'common.system');
+      const timeStr = formatDate(date, timeZone, lang);
+      const portion = entry.portion ? ` (${formatPortion(entry.portion, lang)})` : '';
+      const outcome = entry.outcome === 'failed' ? ` ${t(lang, 'history.not_confirmed')}` : (entry.outcome === 'pending' ? ' ⏳' : '');
 
-      lines.push(`${index + 1}. [${type}] ${user} – ${timeStr}`);
+      lines.push(`${index + 1}. [${type}] ${user} – ${timeStr}${portion}${outcome}`);
     });
 
     return lines.join('\n');
   } catch (error) {
     console.error('[TELEGRAM] Error handling /history:', error);
-    return '❌ Error: Failed to get feed history.';
+    return t(lang, 'bot.error.history');
+  }
+}
+
+/**
+ * Handle /report [day|week] [tank] - the digest of yesterday or the last 7 days, on demand.
+ */
+async function handleReportCommand(db, args, lang) {
+  const period = (args[0] || 'day').toLowerCase();
+  if (!DIGEST_PERIODS.includes(period)) {
+    return t(lang, 'report.usage');
+  }
+
+  const feeder = await getFeeder(db, args[1] || DEFAULT_FEEDER_ID);
+  if (!feeder) {
+    return t(lang, 'bot.unknown_tank');
+  }
+
+  try {
+    const refs = getFeederRefs(db, feeder.id);
+    const timeZone = await loadFeederTimeZone(refs.feederRef);
+    const digest = await buildDigest(refs, period, new Date(), timeZone);
+    return formatDigest(digest, { feederName: feeder.name, timeZone }, lang);
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /report:', error);
+    return t(lang, 'bot.error.report');
   }
 }
 
+/**
+ * Time left until a scheduled feed, e.g. "⏳ 1h 20m" or "⏰ Ready now"
+ */
+function formatTimeLeft(scheduledTime, lang, now = Date.now()) {
+  const remainingMs = Math.max(0, scheduledTime - now);
+  if (remainingMs <= 0) return t(lang, 'time_left.ready');
+  return t(lang, 'time_left.remaining', { duration: formatDuration(remainingMs, lang) });
+}
+
 /**
  * Handle /reservations command.
  */
-async function handleReservationsCommand(db) {
+async function handleReservationsCommand(db, feeder, lang) {
   try {
-    const feederRef = db.ref('system/feeder');
+    const { feederRef } = getFeederRefs(db, feeder.id);
     const feederSnapshot = await feederRef.once('value');
     const feederData = feederSnapshot.val() || {};
+    const timeZone = getFeederTimeZone(feederData);
     const reservations = feederData.reservations || [];
     const validReservations = reservations.filter((r) => r && r.scheduledTime);
 
     if (validReservations.length === 0) {
       return [
-        '📌 <b>ACTIVE RESERVATIONS</b>',
+        t(lang, 'reservations.title'),
         '',
-        'No active reservations in queue.',
+        ...formatTankLines(feeder.name, lang),
+        t(lang, 'reservations.empty'),
         '',
-        '💡 Use the frontend to create a reservation.',
+        t(lang, 'reservations.tip_reserve', { tank: tankArgument(feeder) }),
       ].join('\n');
     }
 
     const now = Date.now();
     const lines = [
-      '📌 <b>ACTIVE RESERVATIONS</b>',
+      t(lang, 'reservations.title'),
       '',
-      `Total: <code>${validReservations.length}</code> reservation(s)`,
+      ...formatTankLines(feeder.name, lang),
+      t(lang, 'reservations.total', { count: validReservations.length }),
       '',
     ];
 
@@ -310,27 +360,13 @@ async function handleReservationsCommand(db) {
         ? reservation.scheduledTime 
         : parseInt(reservation.scheduledTime, 10);
       const scheduledDate = scheduledTime ? new Date(scheduledTime) : null;
-      const timeStr = formatDate(scheduledDate);
-      const user = reservation.user || 'unknown';
-      
-      // Calculate time remaining
-      const remainingMs = Math.max(0, scheduledTime - now);
-      const remainingHours = Math.floor(remainingMs / 3600000);
-      const remainingMinutes = Math.floor((remainingMs % 3600000) / 60000);
-      
-      let timeLeft = '⏰ Ready now';
-      if (remainingMs > 0) {
-        if (remainingHours > 0) {
-          timeLeft = `⏳ ${remainingHours}h ${remainingMinutes}m`;
-        } else {
-          timeLeft = `⏳ ${remainingMinutes}m`;
-        }
-      }
+      const timeStr = formatDate(scheduledDate, timeZone, lang);
+      const user = reservation.user || t(lang, 'common.unknown');
       
       lines.push(
         `${index + 1}. <b>${user}</b>`,
         `   🕐 ${timeStr}`,
-        `   ${timeLeft}`,
+        `   ${formatTimeLeft(scheduledTime, lang, now)}`,
         ''
       );
     });
@@ -338,18 +374,196 @@ async function handleReservationsCommand(db) {
     return lines.join('\n');
   } catch (error) {
     console.error('[TELEGRAM] Error handling /reservations:', error);
-    return '❌ Error: Failed to get reservations.';
+    return t(lang, 'bot.error.reservations');
+  }
+}
+
+/**
+ * Tank argument to repeat in hints, empty for the default tank
+ */
+function tankArgument(feeder) {
+  return feeder.id === DEFAULT_FEEDER_ID ? '' : ` ${feeder.id}`;
+}
+
+/**
+ * Why a reservation can't be created or cancelled, for Telegram
+ */
+function formatReservationBlock(block, feeder, lang) {
+  switch (block.error) {
+    case 'FASTING_DAY':
+      return t(lang, 'reservation_block.fasting', { label: formatFastingLabel(block.fasting, lang) });
+    case 'QUEUE_FULL':
+      return t(lang, 'reservation_block.full', { max: MAX_RESERVATIONS });
+    case 'QUEUE_CONFLICT':
+      return t(lang, 'reservation_block.conflict');
+    case 'RESERVATION_NOT_FOUND':
+      return [
+        t(lang, 'reservation_block.not_found'),
+        t(lang, 'reservations.tip_reserve', { tank: tankArgument(feeder) }),
+      ].join('\n');
+    default:
+      return `❌ ${translateError(lang, block)}`;
+  }
+}
+
+/**
+ * Position, scheduled time and time left of the user's reservation
+ */
+function formatOwnReservation({ reservation, position }, timeZone, lang) {
+  const scheduledTime = toTimestamp(reservation.scheduledTime);
+  return [
+    field(lang, '📊', 'label.position', `#${position}`),
+    field(lang, '🕐', 'label.scheduled_time', formatDate(new Date(scheduledTime), timeZone, lang)),
+    formatTimeLeft(scheduledTime, lang),
+  ];
+}
+
+/**
+ * Load the feeder data and timezone of a tank
+ */
+async function loadFeederState(db, feeder) {
+  const { feederRef } = getFeederRefs(db, feeder.id);
+  const feederSnapshot = await feederRef.once('value');
+  const feederData = feederSnapshot.val() || {};
+  return { feederData, timeZone: getFeederTimeZone(feederData) };
+}
+
+/**
+ * Handle /reserve command - join the reservation queue as the Telegram user who sent it.
+ * Same rules as POST /api/reservations/create (fasting day, one reservation per user, queue limit).
+ */
+async function handleReserveCommand(db, feeder, from, lang) {
+  try {
+    const { feederData, timeZone } = await loadFeederState(db, feeder);
+    const user = `${telegramUserName(from)} (Telegram)`;
+
+    const result = await createReservation({
+      db,
+      feeder,
+      feederData,
+      timeZone,
+      owner: { telegramUserId: from.id },
+      user,
+    });
+    if (result.error) {
+      console.log(`[TELEGRAM] /reserve for ${feeder.id} blocked: ${result.error}`);
+      return [t(lang, 'reserve.not_created'), '', ...formatTankLines(feeder.name, lang), formatReservationBlock(result, feeder, lang)].join('\n');
+    }
+
+    if (result.existing) {
+      return [
+        t(lang, 'reserve.already'),
+        '',
+        ...formatTankLines(feeder.name, lang),
+        ...formatOwnReservation(result, timeZone, lang),
+        '',
+        t(lang, 'reservations.tip_cancel', { tank: tankArgument(feeder) }),
+      ].join('\n');
+    }
+
+    console.log(`[TELEGRAM] /reserve for ${feeder.id} by ${user} at position ${result.position}`);
+
+    // Same notification as a reservation from the web frontend
+    await sendReservationCreatedMessage({
+      user,
+      scheduledTime: result.reservation.scheduledTime,
+      position: result.position,
+      db,
+      feederName: feeder.name,
+      timeZone,
+    });
+
+    return [
+      t(lang, 'reserve.created'),
+      '',
+      ...formatTankLines(feeder.name, lang),
+      ...formatOwnReservation(result, timeZone, lang),
+      '',
+      t(lang, 'reservations.tip_created', { tank: tankArgument(feeder) }),
+    ].join('\n');
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /reserve:', error);
+    return t(lang, 'bot.error.reserve');
+  }
+}
+
+/**
+ * Handle /myreservation command - position and ETA of the sender's reservation.
+ */
+async function handleMyReservationCommand(db, feeder, from, lang) {
+  try {
+    const { feederData, timeZone } = await loadFeederState(db, feeder);
+    const own = findOwnReservation(feederData, { telegramUserId: from.id });
+
+    if (!own) {
+      return [t(lang, 'myreservation.title'), '', ...formatTankLines(feeder.name, lang), formatReservationBlock({ error: 'RESERVATION_NOT_FOUND' }, feeder, lang)].join('\n');
+    }
+
+    const reservationCount = getValidReservations(feederData.reservations).length;
+    return [
+      t(lang, 'myreservation.title'),
+      '',
+      ...formatTankLines(feeder.name, lang),
+      ...formatOwnReservation(own, timeZone, lang),
+      field(lang, '👥', 'label.queue', t(lang, 'reservations.count', { count: reservationCount })),
+      '',
+      t(lang, 'reservations.tip_cancel', { tank: tankArgument(feeder) }),
+    ].join('\n');
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /myreservation:', error);
+    return t(lang, 'bot.error.myreservation');
+  }
+}
+
+/**
+ * Handle /cancel command - leave the reservation queue.
+ * Same as DELETE /api/reservations/cancel: the rest of the queue is rescheduled.
+ */
+async function handleCancelCommand(db, feeder, from, lang) {
+  try {
+    const { feederData } = await loadFeederState(db, feeder);
+
+    const result = await cancelReservation({
+      db,
+      feeder,
+      feederData,
+      owner: { telegramUserId: from.id },
+    });
+    if (result.error) {
+      return [t(lang, 'cancel.nothing'), '', ...formatTankLines(feeder.name, lang), formatReservationBlock(result, feeder, lang)].join('\n');
+    }
+
+    console.log(`[TELEGRAM] /cancel for ${feeder.id} by ${result.removed.user}`);
+
+    // Same notification as a cancellation from the web frontend
+    await sendReservationCancelledMessage({
+      user: result.removed.user,
+      db,
+      feederId: feeder.id,
+      feederName: feeder.name,
+    });
+
+    return [
+      t(lang, 'cancel.done'),
+      '',
+      ...formatTankLines(feeder.name, lang),
+      t(lang, 'cancel.left'),
+    ].join('\n');
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /cancel:', error);
+    return t(lang, 'bot.error.cancel');
   }
 }
 
 /**
  * Handle /nextfeed command - show when next feed will happen
  */
-async function handleNextFeedCommand(db) {
+async function handleNextFeedCommand(db, feeder, lang) {
   try {
-    const feederRef = db.ref('system/feeder');
+    const { feederRef } = getFeederRefs(db, feeder.id);
     const feederSnapshot = await feederRef.once('value');
     const feederData = feederSnapshot.val() || {};
+    const timeZone = getFeederTimeZone(feederData);
     
     const lastFeedTime = feederData.lastFeedTime || 0;
     const timerHour = feederData.timer?.hour || 0;
@@ -365,7 +579,7 @@ async function handleNextFeedCommand(db) {
     
     const now = Date.now();
     let nextFeedTime = null;
-    let nextFeedType = 'Auto Feed';
+    let nextFeedType = t(lang, 'feed_type.auto_feed');
     
     // Check if there's a reservation ready or upcoming
     if (validReservations.length > 0) {
@@ -377,8 +591,8 @@ async function handleNextFeedCommand(db) {
         .sort((a, b) => a.scheduledTime - b.scheduledTime)[0];
       
       nextFeedTime = nextReservation.scheduledTime;
-      nextFeedType = `Reservation (${nextReservation.user || 'Unknown'})`;
-    } else {
+      nextFeedType = t(lang, 'feed_type.next_reservation', { user: nextReservation.user || t(lang, 'common.unknown') });
+    } else if (getScheduleMode(feederData) !== 'clock') {
       // Calculate auto feed time
       if (lastFeedTime > 0) {
         const cooldownEndTime = lastFeedTime + cooldownMs;
@@ -387,50 +601,49 @@ async function handleNextFeedCommand(db) {
         nextFeedTime = now;
       }
     }
+
+    // A clock schedule slot may come first
+    const nextSlot = getNextSlot(feederData, new Date(now), timeZone);
+    if (nextSlot && (nextFeedTime === null || nextSlot.scheduledAt < nextFeedTime)) {
+      nextFeedTime = nextSlot.scheduledAt;
+      nextFeedType = t(lang, 'feed_type.next_scheduled', { time: nextSlot.time });
+    }
     
     const remainingMs = Math.max(0, nextFeedTime - now);
-    const remainingHours = Math.floor(remainingMs / 3600000);
-    const remainingMinutes = Math.floor((remainingMs % 3600000) / 60000);
-    const remainingSeconds = Math.floor((remainingMs % 60000) / 1000);
-    
-    let timeRemaining = 'Ready now';
-    if (remainingMs > 0) {
-      if (remainingHours > 0) {
-        timeRemaining = `${remainingHours}h ${remainingMinutes}m`;
-      } else if (remainingMinutes > 0) {
-        timeRemaining = `${remainingMinutes}m ${remainingSeconds}s`;
-      } else {
-        timeRemaining = `${remainingSeconds}s`;
-      }
-    }
+    // Under an hour the seconds are shown too
+    const timeRemaining = remainingMs > 0
+      ? formatDuration(remainingMs, lang, { seconds: remainingMs < 3600000 })
+      : t(lang, 'time_left.ready_now');
     
     const nextFeedDate = nextFeedTime ? new Date(nextFeedTime) : null;
     
     return [
-      '⏰ <b>NEXT FEED</b>',
+      t(lang, 'nextfeed.title'),
       '',
-      `🔧 <b>Type:</b> <code>${nextFeedType}</code>`,
-      `🕐 <b>Scheduled:</b> <code>${formatDate(nextFeedDate)}</code>`,
-      `⏳ <b>Time Remaining:</b> <code>${timeRemaining}</code>`,
+      ...formatTankLines(feeder.name, lang),
+      field(lang, '🔧', 'label.type', nextFeedType),
+      field(lang, '🕐', 'label.scheduled', formatDate(nextFeedDate, timeZone, lang)),
+      field(lang, '⏳', 'label.time_remaining', timeRemaining),
       '',
       validReservations.length > 0 
-        ? `📌 <b>Reservations:</b> <code>${validReservations.length}</code> in queue`
-        : '🤖 Auto feed will trigger after cooldown + delay',
+        ? t(lang, 'nextfeed.reservations', { count: validReservations.length })
+        : t(lang, 'nextfeed.auto'),
     ].join('\n');
   } catch (error) {
     console.error('[TELEGRAM] Error handling /nextfeed:', error);
-    return '❌ Error: Failed to get next feed time.';
+    return t(lang, 'bot.error.nextfeed');
   }
 }
 
 /**
  * Handle /cooldown command - show cooldown status
  */
-async function handleCooldownCommand(db) {
+async function handleCooldownCommand(db, feeder, lang) {
   try {
-    const feederRef = db.ref('system/feeder');
+    const { feederRef } = getFeederRefs(db, feeder.id);
     const feederSnapshot = await feederRef.once('value');
     const feederData = feederSnapshot.val() || {};
+    const timeZone = getFeederTimeZone(feederData);
     
     const lastFeedTime = feederData.lastFeedTime || 0;
     const timerHour = feederData.timer?.hour || 0;
@@ -445,55 +658,908 @@ async function handleCooldownCommand(db) {
     const cooldownMins = Math.floor((cooldownMs % 3600000) / 60000);
     const cooldownStr = `${cooldownHours}:${cooldownMins.toString().padStart(2, '0')}`;
     
-    const remainingHours = Math.floor(remainingMs / 3600000);
-    const remainingMinutes = Math.floor((remainingMs % 3600000) / 60000);
-    const remainingSeconds = Math.floor((remainingMs % 60000) / 1000);
-    
-    let remainingStr = '✅ Cooldown finished';
-    if (remainingMs > 0) {
-      if (remainingHours > 0) {
-        remainingStr = `${remainingHours}h ${remainingMinutes}m ${remainingSeconds}s`;
-      } else if (remainingMinutes > 0) {
-        remainingStr = `${remainingMinutes}m ${remainingSeconds}s`;
-      } else {
-        remainingStr = `${remainingSeconds}s`;
-      }
-    }
-    
     return [
-      '⏳ <b>COOLDOWN STATUS</b>',
+      t(lang, 'cooldown.title'),
       '',
-      `⏱️ <b>Cooldown Period:</b> <code>${cooldownStr}</code>`,
-      `⏰ <b>Last Feed:</b> <code>${formatDate(lastFeedTime ? new Date(lastFeedTime) : null)}</code>`,
-      `🕐 <b>Cooldown Ends:</b> <code>${formatDate(new Date(cooldownEndsAt))}</code>`,
+      ...formatTankLines(feeder.name, lang),
+      field(lang, '⏱️', 'label.cooldown_period', cooldownStr),
+      field(lang, '⏰', 'label.last_feed', formatDate(lastFeedTime ? new Date(lastFeedTime) : null, timeZone, lang)),
+      field(lang, '🕐', 'label.cooldown_ends', formatDate(new Date(cooldownEndsAt), timeZone, lang)),
       '',
       remainingMs > 0 
-        ? `⏳ <b>Time Remaining:</b> <code>${remainingStr}</code>`
-        : `✅ <b>Status:</b> <code>${remainingStr}</code>`,
+        ? field(lang, '⏳', 'label.time_remaining', formatDuration(remainingMs, lang, { seconds: true }))
+        : field(lang, '✅', 'label.status', t(lang, 'cooldown.finished')),
     ].join('\n');
   } catch (error) {
     console.error('[TELEGRAM] Error handling /cooldown:', error);
-    return '❌ Error: Failed to get cooldown status.';
+    return t(lang, 'bot.error.cooldown');
+  }
+}
+
+/**
+ * Display name of a Telegram user for history and messages
+ */
+function telegramUserName(from) {
+  const name = from?.username ? `@${from.username}` : (from?.first_name || `User ${from?.id}`);
+  return name.toString().replace(/[<>&]/g, '').substring(0, 80);
+}
+
+/**
+ * Why a manual feed can't run, for Telegram
+ */
+function formatFeedBlock(block, timeZone, lang) {
+  switch (block.error) {
+    case 'FASTING_DAY':
+      return t(lang, 'feed_block.fasting', { label: formatFastingLabel(block.fasting, lang) });
+    case 'DEVICE_OFFLINE':
+      return t(lang, 'feed_block.offline');
+    case 'ALREADY_FEEDING':
+      return t(lang, 'feed_block.feeding');
+    case 'COOLDOWN_ACTIVE':
+      return t(lang, 'feed_block.cooldown', {
+        time: formatDate(new Date(block.cooldownEndsAt), timeZone, lang),
+        minutes: block.remainingMinutes,
+      });
+    case 'RESERVATIONS_EXIST':
+      return t(lang, 'feed_block.reservations', { count: block.reservationCount });
+    default:
+      return `❌ ${translateError(lang, block)}`;
+  }
+}
+
+/**
+ * Load what a manual feed needs: feeder data, device data and timezone
+ */
+async function loadFeedState(db, feeder) {
+  const { feederRef, deviceRef } = getFeederRefs(db, feeder.id);
+  const [feederSnapshot, deviceSnapshot] = await Promise.all([
+    feederRef.once('value'),
+    deviceRef.once('value'),
+  ]);
+  const feederData = feederSnapshot.val() || {};
+  return {
+    feederData,
+    deviceData: deviceSnapshot.val() || {},
+    timeZone: getFeederTimeZone(feederData),
+  };
+}
+
+/**
+ * Handle /feed command - ask for confirmation with "Feed now" / "Cancel" buttons.
+ * Returns { message, replyMarkup }.
+ */
+async function handleFeedCommand(db, feeder, chatId, from, lang) {
+  try {
+    const { feederData, deviceData, timeZone } = await loadFeedState(db, feeder);
+
+    // Say right away when the feed could not run anyway
+    const block = await checkManualFeed({ db, feeder, feederData, deviceData, timeZone });
+    if (block) {
+      return {
+        message: [t(lang, 'feed.cannot'), '', ...formatTankLines(feeder.name, lang), formatFeedBlock(block, timeZone, lang)].join('\n'),
+      };
+    }
+
+    const token = await createConfirmation(db, {
+      action: 'feed',
+      params: { feederId: feeder.id },
+      chatId,
+      userId: from?.id ?? null,
+    });
+
+    return {
+      message: [
+        t(lang, 'feed.confirm'),
+        '',
+        ...formatTankLines(feeder.name, lang),
+        field(lang, '🥄', 'label.portion', formatPortion(resolvePortion(feederData, 'manual'), lang)),
+        '',
+        t(lang, 'common.confirm_within'),
+      ].join('\n'),
+      replyMarkup: confirmationKeyboard(token, t(lang, 'feed.button'), t(lang, 'common.cancel_button')),
+    };
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /feed:', error);
+    return { message: t(lang, 'bot.error.feed') };
+  }
+}
+
+/**
+ * Run a confirmed /feed with the same checks as POST /api/feed/manual.
+ * Returns { ok, text } - whether the feed ran, and the text to put in the confirmation message.
+ */
+async function runConfirmedFeed(db, feederId, from, lang) {
+  const feeder = await getFeeder(db, feederId);
+  if (!feeder) {
+    return { ok: false, text: t(lang, 'bot.unknown_tank') };
+  }
+
+  const { feederData, deviceData, timeZone } = await loadFeedState(db, feeder);
+  const now = new Date();
+
+  const block = await checkManualFeed({ db, feeder, feederData, deviceData, timeZone, now });
+  if (block) {
+    console.log(`[TELEGRAM] /feed for ${feeder.id} blocked: ${block.error}`);
+    return {
+      ok: false,
+      text: [t(lang, 'feed.not_sent'), '', ...formatTankLines(feeder.name, lang), formatFeedBlock(block, timeZone, lang)].join('\n'),
+    };
+  }
+
+  const user = `${telegramUserName(from)} (Telegram)`;
+  const { portion } = await executeManualFeed({ db, feeder, feederData, user, timeZone, now });
+  console.log(`[TELEGRAM] /feed for ${feeder.id} executed by ${user}`);
+
+  // Same notification as a feed from the web frontend
+  await sendFeedExecutedMessage({ type: 'manual', user, now, db, feederName: feeder.name, timeZone, portion });
+
+  return {
+    ok: true,
+    text: [
+      t(lang, 'feed.sent'),
+      '',
+      ...formatTankLines(feeder.name, lang),
+      field(lang, '👤', 'label.by', telegramUserName(from)),
+      field(lang, '🥄', 'label.portion', formatPortion(portion, lang)),
+      field(lang, '🕐', 'label.time', formatDate(now, timeZone, lang)),
+    ].join('\n'),
+  };
+}
+
+/**
+ * Handle a button press (callback_query) on a confirmation message.
+ * The message is edited in place with the result and the buttons removed.
+ */
+async function handleCallbackQuery(callbackQuery) {
+  const { id: callbackQueryId, from, message, data } = callbackQuery;
+  // Known once the database is up
+  let lang = DEFAULT_LANGUAGE;
+  const answer = (text, showAlert = false) => callTelegramApi('answerCallbackQuery', {
+    callback_query_id: callbackQueryId,
+    ...(text ? { text, show_alert: showAlert } : {}),
+  });
+  const edit = (text) => callTelegramApi('editMessageText', {
+    chat_id: message.chat.id,
+    message_id: message.message_id,
+    text: withDirection(text, lang),
+    parse_mode: 'HTML',
+  });
+
+  const parsed = parseConfirmationCallback(data);
+  if (!parsed || !message) {
+    await answer(t(lang, 'callback.unknown'));
+    return;
+  }
+
+  let db;
+  try {
+    db = getDatabase();
+  } catch (error) {
+    console.error('[TELEGRAM] Firebase initialization failed:', error);
+    await answer(t(lang, 'callback.database'), true);
+    return;
+  }
+
+  const chatId = message.chat.id;
+  const [role, chatLanguage] = await Promise.all([
+    getTelegramRole(db, { userId: from.id, chatId }),
+    getChatLanguage(db, chatId),
+  ]);
+  lang = chatLanguage;
+  if (!hasRole(role, 'operator')) {
+    console.warn(`[TELEGRAM] Refused button press from chat ${chatId}, user ${from.id} (role: ${role || 'none'}, needs operator)`);
+    await answer(t(lang, 'callback.needs_operator'), true);
+    return;
+  }
+
+  const confirmation = await claimConfirmation(db, parsed.token, from.id);
+  if (!confirmation) {
+    await answer(t(lang, 'callback.answered'));
+    return;
+  }
+  if (confirmation.denied) {
+    await answer(t(lang, 'callback.denied'), true);
+    return;
+  }
+  if (parsed.choice === 'cancel') {
+    await edit(t(lang, 'callback.cancelled_text'));
+    await answer(t(lang, 'callback.cancelled'));
+    return;
+  }
+  if (confirmation.expired) {
+    await edit(t(lang, 'callback.expired_text'));
+    await answer(t(lang, 'callback.expired'));
+    return;
+  }
+
+  // Re-check the role of the action (the button itself only needs operator)
+  const requiredRole = getCommandRole(`/${confirmation.action}`);
+  if (!hasRole(role, requiredRole)) {
+    console.warn(`[TELEGRAM] Refused /${confirmation.action} confirmation from user ${from.id} (role: ${role}, needs ${requiredRole})`);
+    await edit(t(lang, 'callback.refused_text', { role: requiredRole }));
+    await answer(t(lang, 'callback.refused'));
+    return;
+  }
+
+  // The confirmation is claimed: whatever happens, edit the message (removing the buttons) and answer
+  if (confirmation.action === 'feed') {
+    let result;
+    try {
+      result = await runConfirmedFeed(db, confirmation.params?.feederId, from, lang);
+    } catch (error) {
+      console.error('[TELEGRAM] Error running confirmed /feed:', error);
+      result = { ok: false, text: t(lang, 'bot.error.feed_run') };
+    }
+    await edit(result.text);
+    await answer(t(lang, result.ok ? 'callback.feed_sent' : 'callback.feed_not_sent'));
+    return;
+  }
+
+  if (['settimer', 'setfast', 'setdelay'].includes(confirmation.action)) {
+    let result;
+    try {
+      result = await runConfirmedSettings(db, confirmation, from, lang);
+    } catch (error) {
+      console.error(`[TELEGRAM] Error running confirmed /${confirmation.action}:`, error);
+      result = { ok: false, text: t(lang, 'bot.error.settings_save') };
+    }
+    await edit(result.text);
+    await answer(t(lang, result.ok ? 'callback.saved' : 'callback.not_saved'));
+    return;
+  }
+
+  await answer(t(lang, 'callback.unknown'));
+}
+
+// /setdelay kinds and the priority setting they change
+const DELAY_FIELDS = {
+  auto: 'autoFeedDelayMinutes',
+  reservation: 'reservationDelayMinutes',
+  res: 'reservationDelayMinutes',
+};
+
+/**
+ * Parse an interval like "4h30m", "4h", "45m" or "4:30". Returns { hour, minute } or null.
+ * Ranges are checked by parseTimerSettings, so "25h" gives the same error as the HTTP route.
+ */
+function parseIntervalArgument(text) {
+  const value = (text || '').toLowerCase();
+  const clock = /^(\d{1,2}):(\d{1,2})$/.exec(value);
+  if (clock) {
+    return { hour: Number(clock[1]), minute: Number(clock[2]) };
+  }
+  const units = /^(?:(\d{1,3})h)?(?:(\d{1,3})m)?$/.exec(value);
+  if (units && (units[1] || units[2])) {
+    return { hour: Number(units[1] || 0), minute: Number(units[2] || 0) };
+  }
+  return null;
+}
+
+/**
+ * Fold letters that are typed interchangeably in Arabic script (alef forms, teh marbuta,
+ * Kurdish heh) and the Arabic article, so "جمعة" matches "الجمعة"
+ */
+function foldDayName(text) {
+  return text.toLowerCase()
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/[ةھ]/g, 'ه')
+    .replace(/^ال/, '');
+}
+
+/**
+ * Parse a weekday ("friday", "fri", "5", or the day in the chat's language) or "none".
+ * Returns the day number, null for none, or the text itself so parseTimerSettings
+ * reports it as invalid.
+ */
+function parseWeekdayArgument(text, lang) {
+  const value = (text || '').toLowerCase();
+  if (value === 'none' || value === 'off' || value === t(lang, 'common.none').toLowerCase()) return null;
+  const folded = foldDayName(value);
+  const index = folded.length >= 3
+    ? DAY_NAMES.findIndex((day, weekday) => [day, dayName(weekday, lang)]
+      .some((name) => foldDayName(name).startsWith(folded)))
+    : -1;
+  return index === -1 ? value : index;
+}
+
+/**
+ * Interval as H:MM, like the settings notification
+ */
+function formatInterval(hour, minute) {
+  return `${hour}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Fasting weekday name of timer.noFeedDay
+ */
+function formatNoFeedDay(noFeedDay, lang) {
+  return noFeedDay !== null && noFeedDay !== undefined ? dayName(noFeedDay, lang) : t(lang, 'common.none');
+}
+
+/**
+ * Store a settings change and ask for confirmation with "Save" / "Cancel" buttons.
+ * Returns { message, replyMarkup }.
+ */
+async function proposeSettingsChange(db, feeder, { action, params, chatId, from, lines, lang }) {
+  const token = await createConfirmation(db, {
+    action,
+    params: { feederId: feeder.id, ...params },
+    chatId,
+    userId: from?.id ?? null,
+  });
+
+  return {
+    message: [
+      t(lang, 'settings.confirm'),
+      '',
+      ...formatTankLines(feeder.name, lang),
+      ...lines,
+      '',
+      t(lang, 'common.confirm_within'),
+    ].join('\n'),
+    replyMarkup: confirmationKeyboard(token, t(lang, 'settings.button'), t(lang, 'common.cancel_button')),
+  };
+}
+
+/**
+ * Handle /settimer command - change the feed interval (cooldown), e.g. /settimer 4h30m [tank].
+ * Same validation as PUT /api/settings/timer; the fasting day is kept.
+ */
+async function handleSetTimerCommand(db, args, chatId, from, lang) {
+  const interval = parseIntervalArgument(args[0]);
+  if (!interval) {
+    return { message: t(lang, 'settimer.usage') };
+  }
+
+  const feeder = await getFeeder(db, args[1] || DEFAULT_FEEDER_ID);
+  if (!feeder) return { message: t(lang, 'bot.unknown_tank') };
+
+  try {
+    const { feederData } = await loadFeederState(db, feeder);
+    const { timer, error, message } = parseTimerSettings({ ...interval, noFeedDay: feederData.timer?.noFeedDay });
+    if (error) {
+      return { message: `❌ ${translateError(lang, { error, message })}` };
+    }
+
+    const reservationCount = getValidReservations(feederData.reservations).length;
+    return await proposeSettingsChange(db, feeder, {
+      action: 'settimer',
+      params: { hour: timer.hour, minute: timer.minute },
+      chatId,
+      from,
+      lang,
+      lines: [
+        `${field(lang, '⏰', 'label.interval', formatInterval(Number(feederData.timer?.hour) || 0, Number(feederData.timer?.minute) || 0))} → <code>${formatInterval(timer.hour, timer.minute)}</code>`,
+        ...(reservationCount > 0 ? [t(lang, 'settings.rescheduled', { count: reservationCount })] : []),
+      ],
+    });
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /settimer:', error);
+    return { message: t(lang, 'bot.error.settings') };
+  }
+}
+
+/**
+ * Handle /setfast command - set or clear the weekly fasting day, e.g. /setfast friday [tank].
+ * Same validation as PUT /api/settings/timer; the interval is kept.
+ */
+async function handleSetFastCommand(db, args, chatId, from, lang) {
+  if (!args[0]) {
+    return { message: t(lang, 'setfast.usage') };
+  }
+
+  const feeder = await getFeeder(db, args[1] || DEFAULT_FEEDER_ID);
+  if (!feeder) return { message: t(lang, 'bot.unknown_tank') };
+
+  try {
+    const { feederData } = await loadFeederState(db, feeder);
+    const { timer, error, message } = parseTimerSettings({
+      hour: feederData.timer?.hour || 0,
+      minute: feederData.timer?.minute || 0,
+      noFeedDay: parseWeekdayArgument(args[0], lang),
+    });
+    if (error) {
+      return { message: `❌ ${translateError(lang, { error, message })}\n${t(lang, 'setfast.usage')}` };
+    }
+
+    return await proposeSettingsChange(db, feeder, {
+      action: 'setfast',
+      params: { noFeedDay: timer.noFeedDay },
+      chatId,
+      from,
+      lang,
+      lines: [
+        `${field(lang, '🚫', 'label.fasting_day', formatNoFeedDay(feederData.timer?.noFeedDay, lang))} → <code>${formatNoFeedDay(timer.noFeedDay, lang)}</code>`,
+      ],
+    });
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /setfast:', error);
+    return { message: t(lang, 'bot.error.settings') };
+  }
+}
+
+/**
+ * Handle /setdelay command - change one delay, e.g. /setdelay auto 15 [tank].
+ * Same validation as PUT /api/settings/priority; the other delay is kept.
+ */
+async function handleSetDelayCommand(db, args, chatId, from, lang) {
+  const delayField = DELAY_FIELDS[(args[0] || '').toLowerCase()];
+  if (!delayField || args[1] === undefined) {
+    return { message: t(lang, 'setdelay.usage') };
+  }
+
+  const feeder = await getFeeder(db, args[2] || DEFAULT_FEEDER_ID);
+  if (!feeder) return { message: t(lang, 'bot.unknown_tank') };
+
+  try {
+    const { feederData } = await loadFeederState(db, feeder);
+    const current = getPrioritySettings(feederData);
+    const { priority, error, message } = parsePrioritySettings({ ...current, [delayField]: args[1] });
+    if (error) {
+      return { message: `❌ ${translateError(lang, { error, message })}` };
+    }
+
+    const [emoji, labelKey] = delayField === 'autoFeedDelayMinutes'
+      ? ['⏰', 'label.auto_feed_delay']
+      : ['📅', 'label.reservation_delay'];
+    return await proposeSettingsChange(db, feeder, {
+      action: 'setdelay',
+      params: { field: delayField, minutes: priority[delayField] },
+      chatId,
+      from,
+      lang,
+      lines: [
+        `${field(lang, emoji, labelKey, t(lang, 'common.minutes', { minutes: current[delayField] }))} → <code>${t(lang, 'common.minutes', { minutes: priority[delayField] })}</code>`,
+      ],
+    });
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /setdelay:', error);
+    return { message: t(lang, 'bot.error.settings') };
+  }
+}
+
+/**
+ * Save a confirmed /settimer, /setfast or /setdelay with the current values of the other settings.
+ * Returns { ok, text } - whether the settings were saved, and the text to put in the confirmation message.
+ */
+async function runConfirmedSettings(db, { action, params = {} }, from, lang) {
+  const feeder = await getFeeder(db, params.feederId);
+  if (!feeder) return { ok: false, text: t(lang, 'bot.unknown_tank') };
+
+  const { feederData } = await loadFeederState(db, feeder);
+
+  if (action === 'setdelay') {
+    const { priority, error, message } = parsePrioritySettings({ ...getPrioritySettings(feederData), [params.field]: params.minutes });
+    if (error) return { ok: false, text: `❌ ${translateError(lang, { error, message })}` };
+
+    await savePrioritySettings({ db, feeder, priority });
+    console.log(`[TELEGRAM] /setdelay for ${feeder.id} saved by ${telegramUserName(from)}`);
+    return {
+      ok: true,
+      text: [
+        t(lang, 'settings.saved_title'),
+        '',
+        ...formatTankLines(feeder.name, lang),
+        field(lang, '📅', 'label.reservation_delay', t(lang, 'common.minutes', { minutes: priority.reservationDelayMinutes })),
+        field(lang, '⏰', 'label.auto_feed_delay', t(lang, 'common.minutes', { minutes: priority.autoFeedDelayMinutes })),
+      ].join('\n'),
+    };
+  }
+
+  // settimer keeps the fasting day, setfast keeps the interval (RTDB drops the null of "none")
+  const { timer, error, message } = parseTimerSettings(action === 'settimer'
+    ? { hour: params.hour, minute: params.minute, noFeedDay: feederData.timer?.noFeedDay }
+    : { hour: feederData.timer?.hour || 0, minute: feederData.timer?.minute || 0, noFeedDay: params.noFeedDay ?? null });
+  if (error) return { ok: false, text: `❌ ${translateError(lang, { error, message })}` };
+
+  await saveTimerSettings({ db, feeder, feederData, timer });
+  console.log(`[TELEGRAM] /${action} for ${feeder.id} saved by ${telegramUserName(from)}`);
+  return {
+    ok: true,
+    text: [
+      t(lang, 'settings.saved_title'),
+      '',
+      ...formatTankLines(feeder.name, lang),
+      field(lang, '⏰', 'label.interval', formatInterval(timer.hour, timer.minute)),
+      field(lang, '🚫', 'label.fasting_day', formatNoFeedDay(timer.noFeedDay, lang)),
+    ].join('\n'),
+  };
+}
+
+/**
+ * Handle /tanks command - list registered feeders.
+ */
+async function handleTanksCommand(db, lang) {
+  try {
+    const feeders = await listFeeders(db);
+    const lines = [t(lang, 'tanks.title'), ''];
+    feeders.forEach((feeder, index) => {
+      const marker = feeder.id === DEFAULT_FEEDER_ID ? t(lang, 'tanks.default') : '';
+      lines.push(`${index + 1}. <b>${feeder.name}</b> – <code>${feeder.id}</code>${marker}`);
+    });
+    lines.push('', t(lang, 'tanks.tip', { id: feeders[0].id }));
+    return lines.join('\n');
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /tanks:', error);
+    return t(lang, 'bot.error.tanks');
+  }
+}
+
+/**
+ * Subscription summary for a chat
+ */
+function formatSubscription(subscriber, lang) {
+  if (!subscriber) {
+    return [
+      t(lang, 'subscription.none_title'),
+      '',
+      t(lang, 'subscription.none_body'),
+      t(lang, 'subscription.none_tip'),
+    ].join('\n');
+  }
+
+  return [
+    t(lang, 'subscription.title'),
+    '',
+    ...CATEGORY_NAMES.map((name) => `${subscriber.categories.includes(name) ? '✅' : '▫️'} ${t(lang, `category.${name}`)}`),
+    '',
+    t(lang, 'subscription.tip'),
+  ].join('\n');
+}
+
+/**
+ * Reply for unknown subscription categories
+ */
+function formatUnknownCategories(unknown, lang) {
+  return t(lang, 'subscription.unknown', { unknown: unknown.join(', '), categories: CATEGORY_NAMES.join(', ') });
+}
+
+/**
+ * Handle /subscribe command - subscribe this chat to all or some categories.
+ */
+async function handleSubscribeCommand(db, chat, args, lang) {
+  try {
+    const { categories, unknown } = parseCategories(args);
+    if (!categories) {
+      return formatUnknownCategories(unknown, lang);
+    }
+
+    const subscriber = await subscribeChat(db, chat, categories);
+    console.log(`[TELEGRAM] Chat ${chat.id} subscribed to ${subscriber.categories.join(', ')}`);
+    return formatSubscription(subscriber, lang);
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /subscribe:', error);
+    return t(lang, 'bot.error.subscription');
+  }
+}
+
+/**
+ * Handle /unsubscribe command - remove some categories, or all without arguments.
+ */
+async function handleUnsubscribeCommand(db, chat, args, lang) {
+  try {
+    let categories = null;
+    if (args.length > 0) {
+      const parsed = parseCategories(args);
+      if (!parsed.categories) {
+        return formatUnknownCategories(parsed.unknown, lang);
+      }
+      categories = parsed.categories;
+    }
+
+    const subscriber = await unsubscribeChat(db, chat.id, categories);
+    console.log(`[TELEGRAM] Chat ${chat.id} ${subscriber ? 'updated' : 'unsubscribed'}`);
+    return formatSubscription(subscriber, lang);
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /unsubscribe:', error);
+    return t(lang, 'bot.error.subscription');
+  }
+}
+
+/**
+ * Handle /subscriptions command - show what this chat receives.
+ */
+async function handleSubscriptionsCommand(db, chat, lang) {
+  try {
+    return formatSubscription(await getTelegramSubscriber(db, chat.id), lang);
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /subscriptions:', error);
+    return t(lang, 'bot.error.subscription_load');
+  }
+}
+
+/**
+ * Notification preferences summary for a chat.
+ * `defaultTimeZone` is shown for quiet hours when the chat set no timezone of its own.
+ */
+function formatPreferences({ quietHours, mutedEvents, timeZone }, defaultTimeZone, lang) {
+  const lines = [
+    t(lang, 'preferences.title'),
+    '',
+    field(lang, '🌙', 'label.quiet_hours', quietHours
+      ? `${quietHours.start}–${quietHours.end} (${timeZone || defaultTimeZone})`
+      : t(lang, 'preferences.off')),
+  ];
+  if (quietHours) {
+    lines.push(t(lang, `preferences.mode_${quietHours.mode}`, { end: quietHours.end }));
+    lines.push(quietHours.critical
+      ? t(lang, 'preferences.critical_on', { events: CRITICAL_EVENTS.join(', ') })
+      : t(lang, 'preferences.critical_off'));
+  }
+  lines.push(
+    field(lang, '🔇', 'label.muted', mutedEvents.length > 0 ? mutedEvents.join(', ') : t(lang, 'common.none')),
+    '',
+    t(lang, 'preferences.quiet_usage'),
+    t(lang, 'preferences.mute_usage', { events: NOTIFICATION_EVENTS.join(' ') }),
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Handle /quiet command - show or change this chat's quiet hours.
+ */
+async function handleQuietCommand(db, chat, args, lang) {
+  try {
+    const [current, timeZone] = await Promise.all([getChatPreference(db, chat.id), loadQuietHoursTimeZone(db)]);
+    if (args.length === 0) {
+      return formatPreferences(current, timeZone, lang);
+    }
+
+    if (args[0].toLowerCase() === 'tz') {
+      return await handleQuietTimeZone(db, chat, args[1], timeZone, lang);
+    }
+
+    const { quietHours, error, value } = parseQuietHours(args, current.quietHours);
+    if (error === 'NO_QUIET_HOURS') {
+      return t(lang, 'preferences.no_quiet_hours');
+    }
+    if (error) {
+      const key = error === 'INVALID_QUIET_MODE' ? 'preferences.invalid_mode' : 'preferences.invalid_quiet';
+      return t(lang, key, { value: value.replace(/[<>&]/g, '').substring(0, 30), modes: QUIET_MODES.join(', ') });
+    }
+
+    const preferences = await updateChatPreferences(db, chat.id, (saved) => ({ ...saved, quietHours }));
+    console.log(`[TELEGRAM] Chat ${chat.id} quiet hours ${quietHours ? `${quietHours.start}-${quietHours.end} (${quietHours.mode})` : 'off'}`);
+    return formatPreferences(preferences, timeZone, lang);
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /quiet:', error);
+    return t(lang, 'bot.error.preferences');
+  }
+}
+
+/**
+ * Handle /quiet tz <IANA name|default> - the timezone of this chat's quiet hours
+ */
+async function handleQuietTimeZone(db, chat, name, defaultTimeZone, lang) {
+  const { timeZone, error, value } = parseQuietTimeZone(name);
+  if (error) {
+    return t(lang, 'preferences.invalid_timezone', { value: value.replace(/[<>&]/g, '').substring(0, 64) });
+  }
+
+  const preferences = await updateChatPreferences(db, chat.id, (saved) => ({ ...saved, timeZone }));
+  console.log(`[TELEGRAM] Chat ${chat.id} quiet hours timezone ${timeZone || 'default'}`);
+  return formatPreferences(preferences, defaultTimeZone, lang);
+}
+
+/**
+ * Handle /mute and /unmute commands - stop or restart single events in this chat.
+ * /mute without arguments shows the preferences, /unmute without arguments unmutes everything.
+ */
+async function handleMuteCommand(db, chat, args, mute, lang) {
+  try {
+    if (mute && args.length === 0) {
+      const [current, timeZone] = await Promise.all([getChatPreference(db, chat.id), loadQuietHoursTimeZone(db)]);
+      return formatPreferences(current, timeZone, lang);
+    }
+
+    const { events, unknown } = args.length > 0 ? parseEvents(args) : { events: [...NOTIFICATION_EVENTS] };
+    if (!events) {
+      return t(lang, 'preferences.unknown_event', {
+        unknown: unknown.join(', ').replace(/[<>&]/g, '').substring(0, 50),
+        events: NOTIFICATION_EVENTS.join(', '),
+      });
+    }
+
+    const [preferences, timeZone] = await Promise.all([
+      updateChatPreferences(db, chat.id, (saved) => ({
+        ...saved,
+        mutedEvents: NOTIFICATION_EVENTS.filter((event) => (
+          mute ? events.includes(event) || saved.mutedEvents.includes(event) : saved.mutedEvents.includes(event) && !events.includes(event)
+        )),
+      })),
+      loadQuietHoursTimeZone(db),
+    ]);
+    console.log(`[TELEGRAM] Chat ${chat.id} muted events: ${preferences.mutedEvents.join(', ') || 'none'}`);
+    return formatPreferences(preferences, timeZone, lang);
+  } catch (error) {
+    console.error(`[TELEGRAM] Error handling /${mute ? 'mute' : 'unmute'}:`, error);
+    return t(lang, 'bot.error.preferences');
+  }
+}
+
+/**
+ * Polite refusal for a caller without the role a command needs
+ */
+function formatRefusal({ command, role, requiredRole, chatId, userId }, lang) {
+  if (!role) {
+    return [
+      t(lang, 'refusal.private'),
+      '',
+      t(lang, 'refusal.ask_admin'),
+      `<code>/allow ${userId ?? chatId} viewer</code>`,
+      ...(userId !== null && String(userId) !== String(chatId)
+        ? ['', t(lang, 'refusal.whole_chat', { id: chatId })]
+        : []),
+    ].join('\n');
+  }
+
+  return [
+    t(lang, 'refusal.needs_role', { command, role: requiredRole }),
+    t(lang, 'refusal.your_role', { role }),
+  ].join('\n');
+}
+
+/**
+ * Handle /allow command - give a user or chat a role.
+ * Usage: /allow <id> <viewer|operator|admin> [name]
+ */
+async function handleAllowCommand(db, args, from, lang) {
+  try {
+    const [id, role, ...nameParts] = args;
+    if (!isValidAccessId(id || '') || !ROLES.includes((role || '').toLowerCase())) {
+      return [
+        t(lang, 'allow.usage'),
+        t(lang, 'allow.roles', { roles: ROLES.join(', ') }),
+      ].join('\n');
+    }
+
+    const entry = await grantTelegramRole(db, {
+      id,
+      role: role.toLowerCase(),
+      name: nameParts.join(' ') || null,
+      addedBy: from?.id ?? null,
+    });
+    console.log(`[TELEGRAM] ${from?.id} granted ${entry.role} to ${id}`);
+    return t(lang, 'allow.done', { id, name: entry.name, role: entry.role });
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /allow:', error);
+    return t(lang, 'bot.error.access');
+  }
+}
+
+/**
+ * Handle /deny command - remove a user or chat from the allowlist.
+ */
+async function handleDenyCommand(db, args, from, lang) {
+  try {
+    const [id] = args;
+    if (!isValidAccessId(id || '')) {
+      return t(lang, 'deny.usage');
+    }
+    if (id === String(process.env.TELEGRAM_CHAT_ID)) {
+      return t(lang, 'deny.main_chat');
+    }
+
+    const removed = await revokeTelegramRole(db, id);
+    if (removed) {
+      // A chat without access must not keep receiving notifications
+      await unsubscribeChat(db, id);
+      console.log(`[TELEGRAM] ${from?.id} revoked access of ${id}`);
+    }
+    return t(lang, removed ? 'deny.done' : 'deny.not_listed', { id });
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /deny:', error);
+    return t(lang, 'bot.error.access');
+  }
+}
+
+/**
+ * Handle /access command - list the allowlist.
+ */
+async function handleAccessCommand(db, lang) {
+  try {
+    const entries = await listTelegramAccess(db);
+    const lines = [
+      t(lang, 'access.title'),
+      '',
+      t(lang, 'access.main_chat', { id: process.env.TELEGRAM_CHAT_ID || t(lang, 'access.not_set') }),
+    ];
+    entries.forEach((entry) => {
+      lines.push(`• <code>${entry.id}</code> ${entry.name} – ${entry.role}`);
+    });
+    lines.push('', t(lang, 'access.tip'));
+    return lines.join('\n');
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /access:', error);
+    return t(lang, 'bot.error.access_list');
+  }
+}
+
+/**
+ * Handle /language command - show or change the language of this chat's replies and
+ * notifications, e.g. /language ar. Returns { message, language } (the language to reply in).
+ */
+async function handleLanguageCommand(db, chat, args, lang) {
+  if (!args[0]) {
+    return {
+      message: [
+        t(lang, 'language.title'),
+        '',
+        field(lang, '🌐', 'label.language', `${LANGUAGE_NAMES[lang]} (${lang})`),
+        '',
+        t(lang, 'language.usage'),
+      ].join('\n'),
+      language: lang,
+    };
+  }
+
+  const language = normalizeLanguage(args[0]);
+  if (!language) {
+    return {
+      message: [
+        t(lang, 'language.unknown', { value: args[0].replace(/[<>&]/g, '').substring(0, 20) }),
+        `<code>${LANGUAGES.join(', ')}</code>`,
+      ].join('\n'),
+      language: lang,
+    };
+  }
+
+  try {
+    await setChatLanguage(db, chat.id, language);
+    console.log(`[TELEGRAM] Chat ${chat.id} language set to ${language}`);
+    return { message: t(language, 'language.changed', { name: LANGUAGE_NAMES[language] }), language };
+  } catch (error) {
+    console.error('[TELEGRAM] Error handling /language:', error);
+    return { message: t(lang, 'bot.error.language'), language: lang };
   }
 }
 
 /**
  * Handle /help command.
  */
-function handleHelpCommand() {
+function handleHelpCommand(lang) {
   return [
-    '🤖 <b>FishFeeder Bot Commands</b>',
+    t(lang, 'help.title'),
+    '',
+    t(lang, 'help.information'),
+    t(lang, 'help.status'),
+    t(lang, 'help.nextfeed'),
+    t(lang, 'help.cooldown'),
+    t(lang, 'help.reservations'),
+    t(lang, 'help.history'),
+    t(lang, 'help.report'),
+    t(lang, 'help.tanks'),
+    '',
+    t(lang, 'help.reservations_section'),
+    t(lang, 'help.reserve'),
+    t(lang, 'help.myreservation'),
+    t(lang, 'help.cancel'),
     '',
-    '📊 <b>Information:</b>',
-    '  /status – Full system status',
-    '  /nextfeed – When next feed will happen',
-    '  /cooldown – Cooldown status and time remaining',
-    '  /reservations – Active reservation queue with time left',
-    '  /history – Last 5 feed events',
+    t(lang, 'help.tank_hint'),
     '',
-    '🔧 <b>Actions:</b>',
-    '  /clear – Clear all bot messages',
-    '  /help – Show this help message',
+    t(lang, 'help.notifications'),
+    t(lang, 'help.subscribe'),
+    t(lang, 'help.subscribe_some', { categories: CATEGORY_NAMES.join(' ') }),
+    t(lang, 'help.unsubscribe'),
+    t(lang, 'help.subscriptions'),
+    t(lang, 'help.language'),
+    t(lang, 'help.quiet'),
+    t(lang, 'help.mute'),
+    '',
+    t(lang, 'help.actions'),
+    t(lang, 'help.feed'),
+    t(lang, 'help.clear'),
+    t(lang, 'help.help'),
+    '',
+    t(lang, 'help.settings'),
+    t(lang, 'help.settimer'),
+    t(lang, 'help.setfast'),
+    t(lang, 'help.setdelay'),
+    '',
+    t(lang, 'help.access'),
+    t(lang, 'help.allow'),
+    t(lang, 'help.deny'),
+    t(lang, 'help.access_list'),
   ].join('\n');
 }
 
@@ -506,58 +1572,161 @@ export async function POST(request) {
   if (corsResponse) return corsResponse;
 
   try {
+    // Only Telegram knows the secret token given to setWebhook
+    if (!isTelegramWebhookRequest(request)) {
+      console.warn('[TELEGRAM] Rejected webhook update with a missing or wrong secret token');
+      const response = NextResponse.json({ ok: false, error: 'UNAUTHORIZED' }, { status: 401 });
+      return addCorsHeaders(response);
+    }
+
     const body = await request.json();
 
+    // Button presses on confirmation messages
+    if (body.callback_query) {
+      await handleCallbackQuery(body.callback_query);
+      const response = NextResponse.json({ ok: true });
+      return addCorsHeaders(response);
+    }
+
     // Check if it's a message update
     if (!body.message || !body.message.text) {
       const response = NextResponse.json({ ok: true });
       return addCorsHeaders(response);
     }
 
-    const messageText = body.message.text.trim();
-    const chatId = body.message.chat.id;
+    // Direction marks come along when a command is copied out of an Arabic or Kurdish reply
+    const messageText = stripDirectionMarks(body.message.text).trim();
+    const { chat, from } = body.message;
+    const chatId = chat.id;
+    const userId = from?.id ?? null;
+
+    // "/status@MyBot tank2" -> command "/status", args ["tank2"]
+    const [rawCommand, ...args] = messageText.split(/\s+/);
+    const command = rawCommand.split('@')[0].toLowerCase();
 
-  
 
     let db;
     try {
       db = getDatabase();
     } catch (error) {
       console.error('[TELEGRAM] Firebase initialization failed:', error);
-      await sendSimpleTelegramMessage('❌ Error: Failed to initialize database.');
+      await sendSimpleTelegramMessage(t(DEFAULT_LANGUAGE, 'bot.error.database'), chatId);
+      const response = NextResponse.json({ ok: true });
+      return addCorsHeaders(response);
+    }
+
+    // Check the caller's role before running anything
+    const requiredRole = getCommandRole(command);
+    const [role, lang] = await Promise.all([
+      getTelegramRole(db, { userId, chatId }),
+      getChatLanguage(db, chatId),
+    ]);
+    if (!hasRole(role, requiredRole)) {
+      console.warn(`[TELEGRAM] Refused ${command} from chat ${chatId}, user ${userId} (role: ${role || 'none'}, needs ${requiredRole})`);
+      await sendSimpleTelegramMessage(formatRefusal({ command, role, requiredRole, chatId, userId }, lang), chatId, null, lang);
       const response = NextResponse.json({ ok: true });
       return addCorsHeaders(response);
     }
 
     let responseMessage = '';
+    let replyMarkup = null;
+    // /language answers in the language it switches to
+    let replyLanguage = lang;
+
+    // Per-tank commands take an optional tank ID argument
+    const feederCommands = {
+      '/status': handleStatusCommand,
+      '/nextfeed': handleNextFeedCommand,
+      '/next': handleNextFeedCommand,
+      '/cooldown': handleCooldownCommand,
+      '/history': handleHistoryCommand,
+      '/reservations': handleReservationsCommand,
+      '/res': handleReservationsCommand,
+    };
+
+    // Reservation commands act for the Telegram user who sent them
+    const reservationCommands = {
+      '/reserve': handleReserveCommand,
+      '/myreservation': handleMyReservationCommand,
+      '/cancel': handleCancelCommand,
+    };
+
+    // Settings commands ask for confirmation; the tank ID comes after their arguments
+    const settingsCommands = {
+      '/settimer': handleSetTimerCommand,
+      '/setfast': handleSetFastCommand,
+      '/setdelay': handleSetDelayCommand,
+    };
 
     // Handle commands
-    if (messageText === '/status') {
-      responseMessage = await handleStatusCommand(db);
-    } else if (messageText === '/nextfeed' || messageText === '/next') {
-      responseMessage = await handleNextFeedCommand(db);
-    } else if (messageText === '/cooldown') {
-      responseMessage = await handleCooldownCommand(db);
-    } else if (messageText === '/history') {
-      responseMessage = await handleHistoryCommand(db);
-    } else if (messageText === '/reservations' || messageText === '/res') {
-      responseMessage = await handleReservationsCommand(db);
-    } else if (messageText === '/help' || messageText === '/start') {
-      responseMessage = handleHelpCommand();
-    } else if (messageText === '/clear') {
-      const result = await clearAllTelegramMessages(db);
+    if (feederCommands[command]) {
+      const feederId = args[0] || DEFAULT_FEEDER_ID;
+      const feeder = await getFeeder(db, feederId);
+      if (feeder) {
+        responseMessage = await feederCommands[command](db, feeder, lang);
+      } else {
+        responseMessage = t(lang, 'bot.unknown_tank');
+      }
+    } else if (command === '/feed') {
+      const feeder = await getFeeder(db, args[0] || DEFAULT_FEEDER_ID);
+      if (feeder) {
+        ({ message: responseMessage, replyMarkup = null } = await handleFeedCommand(db, feeder, chatId, from, lang));
+      } else {
+        responseMessage = t(lang, 'bot.unknown_tank');
+      }
+    } else if (reservationCommands[command]) {
+      const feeder = await getFeeder(db, args[0] || DEFAULT_FEEDER_ID);
+      if (!feeder) {
+        responseMessage = t(lang, 'bot.unknown_tank');
+      } else if (!from?.id) {
+        // Reservations belong to a Telegram user - anonymous channel posts have none
+        responseMessage = t(lang, 'bot.needs_user', { command });
+      } else {
+        responseMessage = await reservationCommands[command](db, feeder, from, lang);
+      }
+    } else if (settingsCommands[command]) {
+      ({ message: responseMessage, replyMarkup = null } = await settingsCommands[command](db, args, chatId, from, lang));
+    } else if (command === '/report') {
+      responseMessage = await handleReportCommand(db, args, lang);
+    } else if (command === '/tanks') {
+      responseMessage = await handleTanksCommand(db, lang);
+    } else if (command === '/help' || command === '/start') {
+      responseMessage = handleHelpCommand(lang);
+    } else if (command === '/language') {
+      ({ message: responseMessage, language: replyLanguage } = await handleLanguageCommand(db, chat, args, lang));
+    } else if (command === '/subscribe') {
+      responseMessage = await handleSubscribeCommand(db, chat, args, lang);
+    } else if (command === '/unsubscribe') {
+      responseMessage = await handleUnsubscribeCommand(db, chat, args, lang);
+    } else if (command === '/subscriptions') {
+      responseMessage = await handleSubscriptionsCommand(db, chat, lang);
+    } else if (command === '/quiet') {
+      responseMessage = await handleQuietCommand(db, chat, args, lang);
+    } else if (command === '/mute' || command === '/unmute') {
+      responseMessage = await handleMuteCommand(db, chat, args, command === '/mute', lang);
+    } else if (command === '/allow') {
+      responseMessage = await handleAllowCommand(db, args, from, lang);
+    } else if (command === '/deny') {
+      responseMessage = await handleDenyCommand(db, args, from, lang);
+    } else if (command === '/access') {
+      responseMessage = await handleAccessCommand(db, lang);
+    } else if (command === '/clear' && String(chatId) !== String(process.env.TELEGRAM_CHAT_ID)) {
+      // Only the main chat's message IDs are tracked
+      responseMessage = t(lang, 'clear.main_only');
+    } else if (command === '/clear') {
+      const result = await clearTelegramMessages(db).catch((error) => ({ success: false, error: error.message }));
       if (result.success) {
-        responseMessage = `✅ <b>Chat Cleared</b>\n🗑️ Deleted <code>${result.deleted}</code> message(s).`;
+        responseMessage = t(lang, 'clear.done', { count: result.deleted });
       } else {
-        responseMessage = `❌ Error: ${result.error}`;
+        responseMessage = t(lang, 'bot.error.generic', { error: result.error });
       }
     } else {
       // Unknown command - show help
-      responseMessage = '❓ Unknown command. Use /help to see available commands.';
+      responseMessage = t(lang, 'bot.unknown_command');
     }
 
     if (responseMessage) {
-      await sendSimpleTelegramMessage(responseMessage);
+      await sendSimpleTelegramMessage(responseMessage, chatId, replyMarkup, replyLanguage);
     }
 
     const response = NextResponse.json({ ok: true });
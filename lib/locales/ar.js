@@ -0,0 +1,394 @@
+/**
+ * Arabic message catalog. Missing keys fall back to English; see lib/utils/i18n.js.
+ */
+export default {
+  // Shared values
+  'common.na': 'غير متوفر',
+  'common.none': 'لا يوجد',
+  'common.never': 'أبداً',
+  'common.unknown': 'غير معروف',
+  'common.system': 'النظام',
+  'common.visitor': 'زائر',
+  'common.yes': 'نعم',
+  'common.no': 'لا',
+  'common.minutes': '{minutes} دقيقة',
+  'common.ago': 'منذ {duration}',
+  'common.confirm_within': '⌛ يرجى التأكيد خلال 5 دقائق.',
+  'common.cancel_button': '✖️ إلغاء',
+
+  'duration.hm': '{hours} س {minutes} د',
+  'duration.m': '{minutes} د',
+  'duration.hms': '{hours} س {minutes} د {seconds} ث',
+  'duration.ms': '{minutes} د {seconds} ث',
+  'duration.s': '{seconds} ث',
+
+  'portion.default': 'الافتراضية',
+  'portion.ms': '{amount} ملي ثانية',
+  'portion.pulse': 'نبضة واحدة',
+  'portion.pulses': '{amount} نبضات',
+
+  // Field labels
+  'label.tank': 'الحوض',
+  'label.user': 'المستخدم',
+  'label.by': 'بواسطة',
+  'label.date': 'التاريخ',
+  'label.time': 'الوقت',
+  'label.type': 'النوع',
+  'label.portion': 'الكمية',
+  'label.slot': 'الموعد',
+  'label.scheduled': 'الموعد المحدد',
+  'label.scheduled_time': 'الوقت المحدد',
+  'label.position': 'الترتيب في الطابور',
+  'label.queue': 'الطابور',
+  'label.status': 'الحالة',
+  'label.wifi': 'الواي فاي',
+  'label.servo': 'المحرك',
+  'label.uptime': 'مدة التشغيل',
+  'label.last_seen': 'آخر ظهور',
+  'label.time_since': 'منذ',
+  'label.last_sync': 'آخر مزامنة',
+  'label.last_feed': 'آخر وجبة',
+  'label.next_feed': 'الوجبة القادمة',
+  'label.time_remaining': 'الوقت المتبقي',
+  'label.cooldown': 'فترة الانتظار',
+  'label.cooldown_period': 'فترة الانتظار',
+  'label.cooldown_ends': 'تنتهي فترة الانتظار',
+  'label.timezone': 'المنطقة الزمنية',
+  'label.fasting_today': 'صيام اليوم',
+  'label.fasting_day': 'يوم الصيام',
+  'label.interval': 'الفاصل الزمني',
+  'label.reservation_delay': 'تأخير الحجز',
+  'label.auto_feed_delay': 'تأخير الوجبة التلقائية',
+  'label.temperature': 'درجة الحرارة',
+  'label.tds': 'الأملاح الذائبة',
+  'label.tds_level': 'مستوى الأملاح الذائبة',
+  'label.current': 'الحالية',
+  'label.normal_range': 'المدى الطبيعي',
+  'label.safe_range': 'المدى الآمن',
+  'label.ongoing_for': 'مستمر منذ',
+  'label.peak': 'الذروة ({level})',
+  'label.duration': 'المدة',
+  'label.started': 'البداية',
+  'label.requested': 'وقت الطلب',
+  'label.attempts': 'المحاولات',
+  'label.count': 'العدد',
+  'label.language': 'اللغة',
+  'label.period': 'الفترة',
+  'label.longest_gap': 'أطول فاصل',
+  'label.device_uptime': 'مدة تشغيل الجهاز',
+  'label.longest': 'الأطول',
+  'label.still_open': 'ما زالت مفتوحة',
+  'label.quiet_hours': 'ساعات الهدوء',
+  'label.muted': 'مكتوم',
+
+  // Feed types
+  'feed_type.manual': 'يدوية',
+  'feed_type.reservation': 'حجز',
+  'feed_type.timer': 'تلقائية',
+  'feed_type.system': 'النظام',
+  'feed_type.auto_feed': 'وجبة تلقائية',
+  'feed_type.scheduled_feed': 'وجبة مجدولة',
+  'feed_type.next_reservation': 'حجز ({user})',
+  'feed_type.next_scheduled': 'مجدولة ({time})',
+
+  // Feed notifications
+  'notify.alert_title': '🐟 <b>تنبيه مغذّي الأسماك</b>',
+  'notify.feed.manual': 'وجبة يدوية',
+  'notify.feed.reservation': 'وجبة حجز',
+  'notify.feed.timer': 'وجبة تلقائية',
+  'notify.feed.other': 'تم تقديم الوجبة',
+  'notify.reservation_created.title': '📝 <b>تم إنشاء حجز جديد</b>',
+  'notify.reservation_created.footer': '✅ أُضيف الحجز إلى طابور الوجبات.',
+  'notify.reservation_cancelled.title': '❌ تم إلغاء الحجز',
+  'notify.reservation_cancelled.user': '👤 المستخدم: {user}',
+  'notify.reservation_cancelled.footer': 'أُزيل الحجز من الطابور.',
+  'notify.reservation_executed.title': '🎉 <b>تم تقديم وجبة الحجز</b>',
+  'notify.reservation_executed.footer': '✨ اكتملت الوجبة المجدولة بنجاح.',
+  'notify.auto_feed.title': '🤖 <b>تم تقديم الوجبة التلقائية</b>',
+  'notify.auto_feed.footer': '✨ أطعم النظام الأسماك تلقائياً.',
+  'notify.device_offline.title': '🔴 <b>الجهاز غير متصل</b>',
+  'notify.device_offline.body': '⚠️ فقد المغذّي الاتصال بالإنترنت.',
+  'notify.device_offline.tip': '💡 تحقق من اتصال الواي فاي والتغذية الكهربائية للأردوينو.',
+  'notify.device_online.title': '🟢 <b>الجهاز متصل</b>',
+  'notify.device_online.body': '✅ عاد الاتصال بنجاح.',
+  'notify.device_online.footer': '✨ النظام يعمل.',
+  'notify.connection_info': '<b>📡 معلومات الاتصال:</b>',
+  'notify.fasting.active': '🚫 يوم الصيام مفعّل',
+  'notify.fasting.today': '📅 اليوم {day}',
+  'notify.fasting.skipped': '❌ أُلغيت جميع الوجبات',
+  'notify.fasting.footer': '🐟 الأسماك صائمة اليوم.',
+
+  // Fasting status
+  'fasting.weekday': 'نعم (كل {day})',
+  'fasting.entry': 'نعم ({label})',
+  'fasting.default_label': 'يوم صيام',
+
+  // Sensor notifications
+  'sensor.level.HIGH': 'مرتفع',
+  'sensor.level.LOW': 'منخفض',
+  'sensor.tds.warning': '⚠️ <b>تحذير جودة المياه</b>',
+  'sensor.tds.high_tip': '💡 يُنصح بتغيير الماء أو تحسين الفلترة.',
+  'sensor.tds.low_tip': '💡 تحقق من حساس الأملاح ومحتوى المعادن في الماء.',
+  'sensor.tds.recovered': '✅ <b>عادت جودة المياه إلى طبيعتها</b>',
+  'sensor.temperature.warning': '<b>تحذير درجة الحرارة</b>',
+  'sensor.temperature.low_tip': '💡 يُنصح باستخدام سخّان.',
+  'sensor.temperature.high_tip': '💡 يُنصح بالتبريد أو التظليل.',
+  'sensor.temperature.recovered': '✅ <b>عادت درجة الحرارة إلى طبيعتها</b>',
+  'sensor.recovered.footer': '✨ القراءة ضمن المدى مجدداً.',
+
+  // Feed not confirmed
+  'feed_failed.title': '🚨 <b>لم يتم تأكيد الوجبة</b>',
+  'feed_failed.body': '⚠️ لم يؤكد المغذّي تقديم الوجبة. قد يكون المحرك عالقاً.',
+  'feed_failed.outcome.none': '⏸️ بقيت الحالة 1 - الوجبات متوقفة حتى يعيد الجهاز ضبطها.',
+  'feed_failed.outcome.reset': '🔄 أُعيدت الحالة إلى 0 - يمكن تقديم الوجبات التالية.',
+  'feed_failed.tip': '💡 تحقق من المحرك ومن حاوية الطعام.',
+
+  // Daily and weekly digests
+  'digest.title.day': '📊 <b>التقرير اليومي</b>',
+  'digest.title.week': '📊 <b>التقرير الأسبوعي</b>',
+  'digest.feeds': '🍽️ <b>الوجبات:</b> {count}',
+  'digest.not_confirmed': '❌ غير مؤكدة: {count}',
+  'digest.top_users': '👥 <b>أكثر المستخدمين حجزاً:</b>',
+  'digest.top_user': '{rank}. {user} – {count}',
+  'digest.no_reservations': 'لا توجد وجبات حجز',
+  'digest.no_readings': 'لا توجد قراءات',
+  'digest.incidents': '⚠️ <b>حوادث التنبيه:</b> {count}',
+
+  // Settings notifications
+  'settings.timer_updated': '⚙️ تم تحديث إعدادات المؤقت',
+  'settings.priority_updated': '⚙️ تم تحديث إعدادات الأولوية',
+  'settings.interval': '⏰ الفاصل الزمني: {value}',
+  'settings.fasting_day': '🚫 يوم الصيام: {value}',
+  'settings.timezone': '🌍 المنطقة الزمنية: {value}',
+  'settings.reservation_delay': '📅 تأخير الحجز: {minutes} دقيقة',
+  'settings.auto_feed_delay': '⏰ تأخير الوجبة التلقائية: {minutes} دقيقة',
+  'settings.saved': 'تم حفظ الإعدادات بنجاح.',
+
+  // Bot: errors
+  'bot.error.database': '❌ خطأ: تعذّر تهيئة قاعدة البيانات.',
+  'bot.error.status': '❌ خطأ: تعذّر جلب حالة النظام.',
+  'bot.error.history': '❌ خطأ: تعذّر جلب سجل الوجبات.',
+  'bot.error.report': '❌ خطأ: تعذّر إعداد التقرير.',
+  'bot.error.reservations': '❌ خطأ: تعذّر جلب الحجوزات.',
+  'bot.error.reserve': '❌ خطأ: تعذّر إنشاء الحجز.',
+  'bot.error.myreservation': '❌ خطأ: تعذّر جلب حجزك.',
+  'bot.error.cancel': '❌ خطأ: تعذّر إلغاء الحجز.',
+  'bot.error.nextfeed': '❌ خطأ: تعذّر جلب موعد الوجبة القادمة.',
+  'bot.error.cooldown': '❌ خطأ: تعذّر جلب حالة فترة الانتظار.',
+  'bot.error.feed': '❌ خطأ: تعذّر تجهيز الوجبة.',
+  'bot.error.settings': '❌ خطأ: تعذّر تجهيز التغيير.',
+  'bot.error.feed_run': '❌ خطأ: تعذّر تنفيذ الوجبة. يرجى إعادة المحاولة بـ /feed.',
+  'bot.error.settings_save': '❌ خطأ: تعذّر حفظ التغيير. يرجى إعادة المحاولة.',
+  'bot.error.tanks': '❌ خطأ: تعذّر عرض الأحواض.',
+  'bot.error.subscription': '❌ خطأ: تعذّر تحديث الاشتراك.',
+  'bot.error.subscription_load': '❌ خطأ: تعذّر تحميل الاشتراك.',
+  'bot.error.access': '❌ خطأ: تعذّر تحديث الصلاحيات.',
+  'bot.error.access_list': '❌ خطأ: تعذّر عرض الصلاحيات.',
+  'bot.error.language': '❌ خطأ: تعذّر تغيير اللغة.',
+  'bot.error.preferences': '❌ خطأ: تعذّر تحديث تفضيلات الإشعارات.',
+  'bot.error.generic': '❌ خطأ: {error}',
+  'bot.unknown_tank': '❓ حوض غير معروف. استخدم /tanks لعرض الأحواض المتاحة.',
+  'bot.unknown_command': '❓ أمر غير معروف. استخدم /help لعرض الأوامر المتاحة.',
+  'bot.needs_user': '❓ يجب أن يُرسل الأمر {command} من مستخدم تيليجرام.',
+
+  // Bot: /status
+  'status.title': '📊 <b>حالة النظام</b>',
+  'status.device': '<b>🔌 حالة الجهاز:</b>',
+  'status.feed': '<b>🍽️ حالة الوجبات:</b>',
+  'status.sensors': '<b>🌡️ الحساسات:</b>',
+  'status.reservations': '<b>📌 الحجوزات:</b>',
+  'status.online': 'متصل',
+  'status.offline': 'غير متصل',
+
+  // Bot: /history
+  'history.title': '📜 <b>سجل الوجبات</b>',
+  'history.empty': 'لا يوجد سجل للوجبات.',
+  'history.last': '📜 <b>آخر 5 وجبات</b>',
+  'history.not_confirmed': '❌ غير مؤكدة',
+
+  // Bot: reservations
+  'time_left.ready': '⏰ جاهز الآن',
+  'time_left.remaining': '⏳ {duration}',
+  'time_left.ready_now': 'جاهز الآن',
+  'reservations.title': '📌 <b>الحجوزات الحالية</b>',
+  'reservations.empty': 'لا توجد حجوزات في الطابور.',
+  'reservations.total': 'المجموع: <code>{count}</code> حجز',
+  'reservations.count': '{count} حجز',
+  'reservations.tip_reserve': '💡 استخدم /reserve{tank} للانضمام إلى الطابور.',
+  'reservations.tip_cancel': '💡 استخدم /cancel{tank} لمغادرة الطابور.',
+  'reservations.tip_created': '💡 /myreservation{tank} لمتابعة حجزك، /cancel{tank} لمغادرة الطابور.',
+  'reservation_block.fasting': '🚫 يوم صيام ({label}) – لا حجوزات اليوم.',
+  'reservation_block.full': '🚫 الطابور ممتلئ ({max} حجزاً). حاول لاحقاً.',
+  'reservation_block.conflict': '⏳ الطابور مشغول. يرجى المحاولة مجدداً.',
+  'reservation_block.not_found': '📌 ليس لديك حجز في هذا الحوض.',
+  'reserve.not_created': '📌 <b>لم يتم إنشاء الحجز</b>',
+  'reserve.already': '📌 <b>لديك حجز مسبق</b>',
+  'reserve.created': '✅ <b>تم إنشاء الحجز</b>',
+  'myreservation.title': '📌 <b>حجزي</b>',
+  'cancel.nothing': '📌 <b>لا يوجد ما يُلغى</b>',
+  'cancel.done': '✅ <b>تم إلغاء الحجز</b>',
+  'cancel.left': 'غادرت الطابور.',
+
+  // Bot: /nextfeed, /cooldown
+  'nextfeed.title': '⏰ <b>الوجبة القادمة</b>',
+  'nextfeed.reservations': '📌 <b>الحجوزات:</b> <code>{count}</code> في الطابور',
+  'nextfeed.auto': '🤖 ستُقدَّم الوجبة التلقائية بعد فترة الانتظار والتأخير',
+  'cooldown.title': '⏳ <b>حالة فترة الانتظار</b>',
+  'cooldown.finished': '✅ انتهت فترة الانتظار',
+
+  // Bot: /feed
+  'feed_block.fasting': '🚫 يوم صيام ({label}) – أُلغيت جميع الوجبات.',
+  'feed_block.offline': '🔴 المغذّي غير متصل.',
+  'feed_block.feeding': '⏳ المغذّي يقدّم وجبة الآن.',
+  'feed_block.cooldown': '⏱️ فترة الانتظار مستمرة حتى <code>{time}</code> ({minutes} دقيقة).',
+  'feed_block.reservations': '📌 يوجد {count} حجز في الطابور ولها الأولوية.',
+  'feed.cannot': '🍽️ <b>لا يمكن تقديم الوجبة الآن</b>',
+  'feed.confirm': '🍽️ <b>تقديم وجبة الآن؟</b>',
+  'feed.button': '✅ أطعم الآن',
+  'feed.not_sent': '🍽️ <b>لم تُرسل الوجبة</b>',
+  'feed.sent': '✅ <b>أُرسلت الوجبة</b>',
+
+  // Bot: confirmation buttons
+  'callback.unknown': 'إجراء غير معروف.',
+  'callback.database': '❌ قاعدة البيانات غير متاحة، حاول لاحقاً.',
+  'callback.needs_operator': '🔒 عذراً، تحتاج إلى صلاحية operator لهذا الإجراء.',
+  'callback.answered': 'تمت الإجابة على هذا مسبقاً.',
+  'callback.denied': 'فقط صاحب الطلب يمكنه الإجابة.',
+  'callback.cancelled_text': '✖️ تم الإلغاء.',
+  'callback.cancelled': 'تم الإلغاء',
+  'callback.expired_text': '⌛ انتهت مهلة التأكيد. أرسل الأمر مجدداً.',
+  'callback.expired': 'انتهت المهلة',
+  'callback.refused_text': '🔒 لم يُحفظ – تحتاج إلى صلاحية {role}.',
+  'callback.refused': 'مرفوض',
+  'callback.feed_sent': 'أُرسلت الوجبة',
+  'callback.feed_not_sent': 'لم تُرسل الوجبة',
+  'callback.saved': 'تم الحفظ',
+  'callback.not_saved': 'لم يُحفظ',
+
+  // Bot: /settimer, /setfast, /setdelay
+  'settimer.usage': '❓ الاستخدام: <code>/settimer 4h30m [tank]</code> (أو <code>4:30</code>)',
+  'setfast.usage': '❓ الاستخدام: <code>/setfast friday|none [tank]</code>',
+  'setdelay.usage': '❓ الاستخدام: <code>/setdelay auto|reservation &lt;minutes&gt; [tank]</code>',
+  'settings.confirm': '⚙️ <b>حفظ الإعدادات؟</b>',
+  'settings.button': '✅ حفظ',
+  'settings.rescheduled': '📌 ستُعاد جدولة {count} حجز.',
+  'settings.saved_title': '✅ <b>تم حفظ الإعدادات</b>',
+
+  // Bot: /tanks
+  'tanks.title': '🐠 <b>الأحواض</b>',
+  'tanks.default': ' (الافتراضي)',
+  'tanks.tip': '💡 أضف معرّف الحوض إلى أي أمر، مثل <code>/status {id}</code>',
+
+  // Bot: subscriptions
+  'category.feeds': '🍽️ feeds – الوجبات اليدوية والتلقائية والفاشلة وأيام الصيام',
+  'category.reservations': '📌 reservations – إنشاء الحجوزات وتنفيذها وإلغاؤها',
+  'category.device': '📡 device – انقطاع الجهاز وعودته',
+  'category.sensors': '🌡️ sensors – تنبيهات الأملاح الذائبة ودرجة الحرارة',
+  'category.settings': '⚙️ settings – تغييرات الإعدادات وتشغيل المجدول',
+  'category.reports': '📊 reports – التقارير اليومية والأسبوعية',
+  'subscription.none_title': '🔕 <b>غير مشترك</b>',
+  'subscription.none_body': 'لا تصل أي إشعارات إلى هذه المحادثة.',
+  'subscription.none_tip': '💡 استخدم <code>/subscribe</code> لكل الإشعارات أو اختر فئات، مثل <code>/subscribe feeds sensors</code>',
+  'subscription.title': '🔔 <b>الاشتراكات</b>',
+  'subscription.tip': '💡 <code>/subscribe &lt;category&gt;</code> للإضافة، <code>/unsubscribe &lt;category&gt;</code> للإزالة',
+  'subscription.unknown': '❓ فئة غير معروفة: <code>{unknown}</code>\nالفئات: <code>{categories}</code>',
+
+  // Bot: roles and access
+  'refusal.private': '🔒 <b>عذراً، هذا البوت خاص.</b>',
+  'refusal.ask_admin': 'اطلب من أحد المشرفين منحك الصلاحية:',
+  'refusal.whole_chat': '💬 لكامل هذه المحادثة: <code>/allow {id} viewer</code>',
+  'refusal.needs_role': '🔒 عذراً، الأمر <code>{command}</code> يحتاج إلى صلاحية <b>{role}</b>.',
+  'refusal.your_role': 'صلاحيتك: <code>{role}</code>',
+  'allow.usage': '❓ الاستخدام: <code>/allow &lt;user or chat id&gt; &lt;role&gt; [name]</code>',
+  'allow.roles': 'الصلاحيات: <code>{roles}</code>',
+  'allow.done': '✅ أصبح <code>{id}</code> ({name}) بصلاحية <b>{role}</b>.',
+  'deny.usage': '❓ الاستخدام: <code>/deny &lt;user or chat id&gt;</code>',
+  'deny.main_chat': '❌ المحادثة الرئيسية مشرفة دائماً.',
+  'deny.done': '✅ لم يعد لدى <code>{id}</code> أي صلاحية.',
+  'deny.not_listed': '❓ <code>{id}</code> ليس في قائمة السماح.',
+  'access.title': '🔐 <b>الصلاحيات</b>',
+  'access.main_chat': '👑 المحادثة الرئيسية <code>{id}</code> – admin',
+  'access.not_set': 'غير محددة',
+  'access.tip': '💡 <code>/allow &lt;id&gt; &lt;role&gt;</code> · <code>/deny &lt;id&gt;</code>',
+
+  // Bot: /report
+  'report.usage': '📊 الاستخدام: <code>/report day</code> (أمس) أو <code>/report week</code> (آخر 7 أيام)، ويمكن إضافة رقم الحوض بعدها',
+
+  // Bot: /clear
+  'clear.main_only': '❌ الأمر /clear يعمل في المحادثة الرئيسية فقط.',
+  'clear.done': '✅ <b>تم مسح المحادثة</b>\n🗑️ حُذفت <code>{count}</code> رسالة.',
+
+  // Bot: /language
+  'language.title': '🌐 <b>اللغة</b>',
+  'language.changed': '✅ أصبحت الردود والإشعارات في هذه المحادثة باللغة {name}.',
+  'language.unknown': '❓ لغة غير معروفة: <code>{value}</code>',
+
+  // Bot: /quiet, /mute, /unmute
+  'preferences.title': '🌙 <b>تفضيلات الإشعارات</b>',
+  'preferences.off': 'متوقفة',
+  'preferences.mode_delay': '📨 خلال ساعات الهدوء تنتظر الرسائل حتى {end}.',
+  'preferences.mode_silent': '📨 خلال ساعات الهدوء تصل الرسائل بدون صوت.',
+  'preferences.mode_drop': '📨 خلال ساعات الهدوء لا تُرسل الرسائل.',
+  'preferences.critical_on': '🚨 التنبيهات الحرجة (<code>{events}</code>) تصل دائماً.',
+  'preferences.critical_off': '🚨 التنبيهات الحرجة تتبع ساعات الهدوء أيضاً.',
+  'preferences.quiet_usage': '💡 <code>/quiet 22:00-07:00 delay</code> (أو <code>silent</code>، <code>drop</code>) · <code>/quiet critical on|off</code> · <code>/quiet off</code> · <code>/quiet tz Europe/Berlin</code> (أو <code>default</code>)',
+  'preferences.mute_usage': '💡 <code>/mute auto_feed reservation</code> · <code>/unmute all</code>\nالأحداث: <code>{events}</code>',
+  'preferences.invalid_quiet': '❓ ساعات هدوء غير صالحة: <code>{value}</code>\nاكتب البداية-النهاية بنظام 24 ساعة، مثل <code>/quiet 22:00-07:00</code>',
+  'preferences.invalid_mode': '❓ وضع غير معروف: <code>{value}</code>\nالأوضاع: <code>{modes}</code>',
+  'preferences.invalid_timezone': '❓ منطقة زمنية غير معروفة: <code>{value}</code>\nاستخدم اسم IANA، مثل <code>/quiet tz Europe/Berlin</code>، أو <code>/quiet tz default</code>',
+  'preferences.no_quiet_hours': '❓ حدّد ساعات الهدوء أولاً، مثل <code>/quiet 22:00-07:00</code>',
+  'preferences.unknown_event': '❓ حدث غير معروف: <code>{unknown}</code>\nالأحداث: <code>{events}</code>',
+
+  // Bot: /help
+  'help.title': '🤖 <b>أوامر بوت مغذّي الأسماك</b>',
+  'help.information': '📊 <b>المعلومات:</b>',
+  'help.status': '  /status – حالة النظام الكاملة',
+  'help.nextfeed': '  /nextfeed – موعد الوجبة القادمة',
+  'help.cooldown': '  /cooldown – حالة فترة الانتظار والوقت المتبقي',
+  'help.reservations': '  /reservations – طابور الحجوزات والوقت المتبقي',
+  'help.history': '  /history – آخر 5 وجبات',
+  'help.report': '  /report day|week – تقرير الأمس أو آخر 7 أيام',
+  'help.tanks': '  /tanks – عرض جميع الأحواض',
+  'help.reservations_section': '📌 <b>الحجوزات:</b>',
+  'help.reserve': '  /reserve – الانضمام إلى طابور الحجوزات',
+  'help.myreservation': '  /myreservation – ترتيبك وموعدك',
+  'help.cancel': '  /cancel – مغادرة الطابور',
+  'help.tank_hint': '🐠 أضف معرّف الحوض لاختياره، مثل <code>/status tank2</code>',
+  'help.notifications': '🔔 <b>الإشعارات:</b>',
+  'help.subscribe': '  /subscribe – استقبال الإشعارات في هذه المحادثة',
+  'help.subscribe_some': '  /subscribe &lt;categories&gt; – بعضها فقط: <code>{categories}</code>',
+  'help.unsubscribe': '  /unsubscribe – إيقاف كل الإشعارات (أو بعضها)',
+  'help.subscriptions': '  /subscriptions – عرض ما تستقبله هذه المحادثة',
+  'help.language': '  /language – لغة هذه المحادثة: English، العربية، کوردی',
+  'help.quiet': '  /quiet – ساعات الهدوء: تأجيل الرسائل ليلاً أو كتم صوتها أو عدم إرسالها',
+  'help.mute': '  /mute، /unmute – إيقاف أحداث معيّنة أو إعادتها، مثل <code>auto_feed</code>',
+  'help.actions': '🔧 <b>الإجراءات:</b>',
+  'help.feed': '  /feed – تقديم وجبة الآن بعد التأكيد (operator)',
+  'help.clear': '  /clear – مسح جميع رسائل البوت (operator)',
+  'help.help': '  /help – عرض هذه المساعدة',
+  'help.settings': '⚙️ <b>الإعدادات (admin):</b>',
+  'help.settimer': '  /settimer 4h30m – الفاصل بين الوجبات (فترة الانتظار)',
+  'help.setfast': '  /setfast friday – يوم الصيام الأسبوعي (أو none)',
+  'help.setdelay': '  /setdelay auto 15 – تأخير الوجبة التلقائية أو الحجز بالدقائق',
+  'help.access': '🔐 <b>الصلاحيات (admin):</b>',
+  'help.allow': '  /allow &lt;id&gt; &lt;role&gt; – منح مستخدم أو محادثة صلاحية (viewer، operator، admin)',
+  'help.deny': '  /deny &lt;id&gt; – سحب الصلاحية',
+  'help.access_list': '  /access – عرض أصحاب الصلاحيات',
+
+  // Error messages of the API and the bot (see translateError)
+  'error.FASTING_DAY': 'اليوم يوم صيام. لا وجبات ولا حجوزات اليوم.',
+  'error.DEVICE_OFFLINE': 'الجهاز غير متصل. لا يمكن تقديم الوجبة.',
+  'error.ALREADY_FEEDING': 'الجهاز يقدّم وجبة الآن.',
+  'error.COOLDOWN_ACTIVE': 'فترة الانتظار مستمرة. الوقت المتبقي: {remainingMinutes} دقيقة',
+  'error.RESERVATIONS_EXIST': 'لا يمكن تقديم وجبة يدوية بوجود حجوزات. الأولوية للحجوزات.',
+  'error.QUEUE_FULL': 'وصل الطابور إلى الحد الأقصى من الحجوزات',
+  'error.QUEUE_CONFLICT': 'طابور الحجوزات مشغول. يرجى المحاولة مجدداً.',
+  'error.INVALID_SCHEDULE': 'يجب أن يكون الموعد في المستقبل',
+  'error.RESERVATION_NOT_FOUND': 'لم يُعثر على الحجز',
+  'error.TIMEOUT': 'انتهت مهلة قاعدة البيانات',
+  'error.INVALID_HOUR': 'يجب أن تكون الساعات بين 0 و 23',
+  'error.INVALID_MINUTE': 'يجب أن تكون الدقائق بين 0 و 59',
+  'error.INVALID_NO_FEED_DAY': 'يوم الصيام غير صالح',
+  'error.INVALID_RESERVATION_DELAY': 'يجب أن يكون تأخير الحجز بين 0 و 60 دقيقة',
+  'error.INVALID_AUTO_FEED_DELAY': 'يجب أن يكون تأخير الوجبة التلقائية بين 0 و 120 دقيقة',
+};
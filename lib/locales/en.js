@@ -0,0 +1,379 @@
+/**
+ * English message catalog (default language, and the fallback for missing keys).
+ * Values are Telegram HTML with {placeholders}; see lib/utils/i18n.js.
+ */
+export default {
+  // Shared values
+  'common.na': 'N/A',
+  'common.none': 'None',
+  'common.never': 'Never',
+  'common.unknown': 'Unknown',
+  'common.system': 'System',
+  'common.visitor': 'Visitor',
+  'common.yes': 'Yes',
+  'common.no': 'No',
+  'common.minutes': '{minutes} min',
+  'common.ago': '{duration} ago',
+  'common.confirm_within': '⌛ Confirm within 5 minutes.',
+  'common.cancel_button': '✖️ Cancel',
+
+  'duration.hm': '{hours}h {minutes}m',
+  'duration.m': '{minutes}m',
+  'duration.hms': '{hours}h {minutes}m {seconds}s',
+  'duration.ms': '{minutes}m {seconds}s',
+  'duration.s': '{seconds}s',
+
+  'portion.default': 'Default',
+  'portion.ms': '{amount} ms',
+  'portion.pulse': '{amount} pulse',
+  'portion.pulses': '{amount} pulses',
+
+  // Field labels ("👤 <b>User:</b> <code>...</code>")
+  'label.tank': 'Tank',
+  'label.user': 'User',
+  'label.by': 'By',
+  'label.date': 'Date',
+  'label.time': 'Time',
+  'label.type': 'Type',
+  'label.portion': 'Portion',
+  'label.slot': 'Slot',
+  'label.scheduled': 'Scheduled',
+  'label.scheduled_time': 'Scheduled Time',
+  'label.position': 'Position in Queue',
+  'label.queue': 'Queue',
+  'label.status': 'Status',
+  'label.wifi': 'WiFi',
+  'label.servo': 'Servo',
+  'label.uptime': 'Uptime',
+  'label.last_seen': 'Last Seen',
+  'label.time_since': 'Time Since',
+  'label.last_sync': 'Last Sync',
+  'label.last_feed': 'Last Feed',
+  'label.next_feed': 'Next Feed',
+  'label.time_remaining': 'Time Remaining',
+  'label.cooldown': 'Cooldown',
+  'label.cooldown_period': 'Cooldown Period',
+  'label.cooldown_ends': 'Cooldown Ends',
+  'label.timezone': 'Timezone',
+  'label.fasting_today': 'Fasting Today',
+  'label.fasting_day': 'Fasting Day',
+  'label.interval': 'Interval',
+  'label.reservation_delay': 'Reservation Delay',
+  'label.auto_feed_delay': 'Auto Feed Delay',
+  'label.temperature': 'Temperature',
+  'label.tds': 'TDS',
+  'label.tds_level': 'TDS Level',
+  'label.current': 'Current',
+  'label.normal_range': 'Normal Range',
+  'label.safe_range': 'Safe Range',
+  'label.ongoing_for': 'Ongoing for',
+  'label.peak': 'Peak ({level})',
+  'label.duration': 'Duration',
+  'label.started': 'Started',
+  'label.requested': 'Requested',
+  'label.attempts': 'Attempts',
+  'label.count': 'Count',
+  'label.language': 'Language',
+  'label.period': 'Period',
+  'label.longest_gap': 'Longest Gap',
+  'label.device_uptime': 'Device Uptime',
+  'label.longest': 'Longest',
+  'label.still_open': 'Still Open',
+  'label.quiet_hours': 'Quiet Hours',
+  'label.muted': 'Muted',
+
+  // Feed types
+  'feed_type.manual': 'Manual',
+  'feed_type.reservation': 'Reservation',
+  'feed_type.timer': 'Auto',
+  'feed_type.system': 'System',
+  'feed_type.auto_feed': 'Auto Feed',
+  'feed_type.scheduled_feed': 'Scheduled Feed',
+  'feed_type.next_reservation': 'Reservation ({user})',
+  'feed_type.next_scheduled': 'Scheduled ({time})',
+
+  // Feed notifications (lib/utils/feeder.js)
+  'notify.alert_title': '🐟 <b>FISH FEEDER ALERT</b>',
+  'notify.feed.manual': 'MANUAL FEED',
+  'notify.feed.reservation': 'RESERVATION FEED',
+  'notify.feed.timer': 'AUTO FEED',
+  'notify.feed.other': 'FEED EXECUTED',
+  'notify.reservation_created.title': '📝 <b>NEW RESERVATION CREATED</b>',
+  'notify.reservation_created.footer': '✅ Reservation added to feed queue.',
+  'notify.reservation_cancelled.title': '❌ Reservation Cancelled',
+  'notify.reservation_cancelled.user': '👤 User: {user}',
+  'notify.reservation_cancelled.footer': 'Reservation removed from queue.',
+  'notify.reservation_executed.title': '🎉 <b>RESERVATION FEED EXECUTED</b>',
+  'notify.reservation_executed.footer': '✨ Scheduled feed completed successfully.',
+  'notify.auto_feed.title': '🤖 <b>AUTO FEED EXECUTED</b>',
+  'notify.auto_feed.footer': '✨ System automatically fed the fish.',
+  'notify.device_offline.title': '🔴 <b>DEVICE OFFLINE</b>',
+  'notify.device_offline.body': '⚠️ The feeder has lost internet connection.',
+  'notify.device_offline.tip': '💡 Check Arduino WiFi connection and power.',
+  'notify.device_online.title': '🟢 <b>DEVICE ONLINE</b>',
+  'notify.device_online.body': '✅ Connection restored successfully.',
+  'notify.device_online.footer': '✨ System is operational.',
+  'notify.connection_info': '<b>📡 Connection Info:</b>',
+  'notify.fasting.active': '🚫 Fasting Day Active',
+  'notify.fasting.today': '📅 Today is {day}',
+  'notify.fasting.skipped': '❌ All feeds skipped',
+  'notify.fasting.footer': '🐟 Fish are fasting today.',
+
+  // Fasting status (lib/utils/fasting.js)
+  'fasting.weekday': 'Yes (every {day})',
+  'fasting.entry': 'Yes ({label})',
+  'fasting.default_label': 'Fasting day',
+
+  // Sensor notifications (lib/utils/alerts.js)
+  'sensor.level.HIGH': 'HIGH',
+  'sensor.level.LOW': 'LOW',
+  'sensor.tds.warning': '⚠️ <b>WATER QUALITY WARNING</b>',
+  'sensor.tds.high_tip': '💡 Consider water change or filtration.',
+  'sensor.tds.low_tip': '💡 Check the TDS sensor and the water mineral content.',
+  'sensor.tds.recovered': '✅ <b>WATER QUALITY RECOVERED</b>',
+  'sensor.temperature.warning': '<b>TEMPERATURE WARNING</b>',
+  'sensor.temperature.low_tip': '💡 Consider using a heater.',
+  'sensor.temperature.high_tip': '💡 Consider cooling or shade.',
+  'sensor.temperature.recovered': '✅ <b>TEMPERATURE RECOVERED</b>',
+  'sensor.recovered.footer': '✨ Back within range.',
+
+  // Feed not confirmed (lib/utils/acknowledgement.js)
+  'feed_failed.title': '🚨 <b>FEED NOT CONFIRMED</b>',
+  'feed_failed.body': '⚠️ The feeder did not confirm the feed. The servo may be stuck.',
+  'feed_failed.outcome.none': '⏸️ Status left at 1 - feeds are blocked until the device resets it.',
+  'feed_failed.outcome.reset': '🔄 Status reset to 0 - later feeds can run.',
+  'feed_failed.tip': '💡 Check the servo and the food container.',
+
+  // Daily and weekly digests (lib/utils/digest.js)
+  'digest.title.day': '📊 <b>DAILY REPORT</b>',
+  'digest.title.week': '📊 <b>WEEKLY REPORT</b>',
+  'digest.feeds': '🍽️ <b>Feeds:</b> {count}',
+  'digest.not_confirmed': '❌ Not confirmed: {count}',
+  'digest.top_users': '👥 <b>Top Reservation Users:</b>',
+  'digest.top_user': '{rank}. {user} – {count}',
+  'digest.no_reservations': 'No reservation feeds',
+  'digest.no_readings': 'No readings',
+  'digest.incidents': '⚠️ <b>Alert Incidents:</b> {count}',
+
+  // Settings notifications (lib/utils/settings.js)
+  'settings.timer_updated': '⚙️ Timer Settings Updated',
+  'settings.priority_updated': '⚙️ Priority Settings Updated',
+  'settings.interval': '⏰ Interval: {value}',
+  'settings.fasting_day': '🚫 Fasting Day: {value}',
+  'settings.timezone': '🌍 Timezone: {value}',
+  'settings.reservation_delay': '📅 Reservation Delay: {minutes} min',
+  'settings.auto_feed_delay': '⏰ Auto Feed Delay: {minutes} min',
+  'settings.saved': 'Settings saved successfully.',
+
+  // Bot: errors
+  'bot.error.database': '❌ Error: Failed to initialize database.',
+  'bot.error.status': '❌ Error: Failed to get system status.',
+  'bot.error.history': '❌ Error: Failed to get feed history.',
+  'bot.error.report': '❌ Error: Failed to build the report.',
+  'bot.error.reservations': '❌ Error: Failed to get reservations.',
+  'bot.error.reserve': '❌ Error: Failed to create the reservation.',
+  'bot.error.myreservation': '❌ Error: Failed to get your reservation.',
+  'bot.error.cancel': '❌ Error: Failed to cancel the reservation.',
+  'bot.error.nextfeed': '❌ Error: Failed to get next feed time.',
+  'bot.error.cooldown': '❌ Error: Failed to get cooldown status.',
+  'bot.error.feed': '❌ Error: Failed to prepare the feed.',
+  'bot.error.settings': '❌ Error: Failed to prepare the change.',
+  'bot.error.feed_run': '❌ Error: The feed could not be run. Please try /feed again.',
+  'bot.error.settings_save': '❌ Error: The change could not be saved. Please try again.',
+  'bot.error.tanks': '❌ Error: Failed to list tanks.',
+  'bot.error.subscription': '❌ Error: Failed to update subscription.',
+  'bot.error.subscription_load': '❌ Error: Failed to load subscription.',
+  'bot.error.access': '❌ Error: Failed to update access.',
+  'bot.error.access_list': '❌ Error: Failed to list access.',
+  'bot.error.language': '❌ Error: Failed to change the language.',
+  'bot.error.preferences': '❌ Error: Failed to update notification preferences.',
+  'bot.error.generic': '❌ Error: {error}',
+  'bot.unknown_tank': '❓ Unknown tank. Use /tanks to see available tanks.',
+  'bot.unknown_command': '❓ Unknown command. Use /help to see available commands.',
+  'bot.needs_user': '❓ {command} must be sent by a Telegram user.',
+
+  // Bot: /status
+  'status.title': '📊 <b>SYSTEM STATUS</b>',
+  'status.device': '<b>🔌 Device Status:</b>',
+  'status.feed': '<b>🍽️ Feed Status:</b>',
+  'status.sensors': '<b>🌡️ Sensors:</b>',
+  'status.reservations': '<b>📌 Reservations:</b>',
+  'status.online': 'ONLINE',
+  'status.offline': 'OFFLINE',
+
+  // Bot: /history
+  'history.title': '📜 <b>FEED HISTORY</b>',
+  'history.empty': 'No feed history available.',
+  'history.last': '📜 <b>LAST 5 FEEDS</b>',
+  'history.not_confirmed': '❌ not confirmed',
+
+  // Bot: /reservations, /reserve, /myreservation, /cancel
+  'time_left.ready': '⏰ Ready now',
+  'time_left.remaining': '⏳ {duration}',
+  'time_left.ready_now': 'Ready now',
+  'reservations.title': '📌 <b>ACTIVE RESERVATIONS</b>',
+  'reservations.empty': 'No active reservations in queue.',
+  'reservations.total': 'Total: <code>{count}</code> reservation(s)',
+  'reservations.count': '{count} reservation(s)',
+  'reservations.tip_reserve': '💡 Use /reserve{tank} to join the queue.',
+  'reservations.tip_cancel': '💡 Use /cancel{tank} to leave the queue.',
+  'reservations.tip_created': '💡 /myreservation{tank} to check it, /cancel{tank} to leave the queue.',
+  'reservation_block.fasting': '🚫 Fasting day ({label}) – no reservations today.',
+  'reservation_block.full': '🚫 The queue is full ({max} reservations). Try again later.',
+  'reservation_block.conflict': '⏳ The queue is busy. Please try again.',
+  'reservation_block.not_found': '📌 You have no reservation on this tank.',
+  'reserve.not_created': '📌 <b>RESERVATION NOT CREATED</b>',
+  'reserve.already': '📌 <b>ALREADY RESERVED</b>',
+  'reserve.created': '✅ <b>RESERVATION CREATED</b>',
+  'myreservation.title': '📌 <b>MY RESERVATION</b>',
+  'cancel.nothing': '📌 <b>NOTHING TO CANCEL</b>',
+  'cancel.done': '✅ <b>RESERVATION CANCELLED</b>',
+  'cancel.left': 'You left the queue.',
+
+  // Bot: /nextfeed, /cooldown
+  'nextfeed.title': '⏰ <b>NEXT FEED</b>',
+  'nextfeed.reservations': '📌 <b>Reservations:</b> <code>{count}</code> in queue',
+  'nextfeed.auto': '🤖 Auto feed will trigger after cooldown + delay',
+  'cooldown.title': '⏳ <b>COOLDOWN STATUS</b>',
+  'cooldown.finished': '✅ Cooldown finished',
+
+  // Bot: /feed
+  'feed_block.fasting': '🚫 Fasting day ({label}) – all feeds are skipped.',
+  'feed_block.offline': '🔴 The feeder is offline.',
+  'feed_block.feeding': '⏳ The feeder is feeding right now.',
+  'feed_block.cooldown': '⏱️ Cooldown active until <code>{time}</code> ({minutes} min).',
+  'feed_block.reservations': '📌 {count} reservation(s) in the queue have priority.',
+  'feed.cannot': '🍽️ <b>CANNOT FEED NOW</b>',
+  'feed.confirm': '🍽️ <b>FEED NOW?</b>',
+  'feed.button': '✅ Feed now',
+  'feed.not_sent': '🍽️ <b>FEED NOT SENT</b>',
+  'feed.sent': '✅ <b>FEED SENT</b>',
+
+  // Bot: confirmation buttons
+  'callback.unknown': 'Unknown action.',
+  'callback.database': '❌ Database unavailable, try again later.',
+  'callback.needs_operator': '🔒 Sorry, you need the operator role for this.',
+  'callback.answered': 'This was already answered.',
+  'callback.denied': 'Only the person who asked can answer this.',
+  'callback.cancelled_text': '✖️ Cancelled.',
+  'callback.cancelled': 'Cancelled',
+  'callback.expired_text': '⌛ Confirmation expired. Send the command again.',
+  'callback.expired': 'Expired',
+  'callback.refused_text': '🔒 Not saved – you need the {role} role.',
+  'callback.refused': 'Refused',
+  'callback.feed_sent': 'Feed sent',
+  'callback.feed_not_sent': 'Feed not sent',
+  'callback.saved': 'Saved',
+  'callback.not_saved': 'Not saved',
+
+  // Bot: /settimer, /setfast, /setdelay
+  'settimer.usage': '❓ Usage: <code>/settimer 4h30m [tank]</code> (or <code>4:30</code>)',
+  'setfast.usage': '❓ Usage: <code>/setfast friday|none [tank]</code>',
+  'setdelay.usage': '❓ Usage: <code>/setdelay auto|reservation &lt;minutes&gt; [tank]</code>',
+  'settings.confirm': '⚙️ <b>SAVE SETTINGS?</b>',
+  'settings.button': '✅ Save',
+  'settings.rescheduled': '📌 {count} reservation(s) will be rescheduled.',
+  'settings.saved_title': '✅ <b>SETTINGS SAVED</b>',
+
+  // Bot: /tanks
+  'tanks.title': '🐠 <b>TANKS</b>',
+  'tanks.default': ' (default)',
+  'tanks.tip': '💡 Add a tank ID to any command, e.g. <code>/status {id}</code>',
+
+  // Bot: /subscribe, /unsubscribe, /subscriptions
+  'category.feeds': '🍽️ feeds – manual, auto, failed feeds and fasting days',
+  'category.reservations': '📌 reservations – created, executed, cancelled',
+  'category.device': '📡 device – offline / online',
+  'category.sensors': '🌡️ sensors – TDS and temperature alerts',
+  'category.settings': '⚙️ settings – settings changes and scheduler runs',
+  'category.reports': '📊 reports – daily and weekly digests',
+  'subscription.none_title': '🔕 <b>NOT SUBSCRIBED</b>',
+  'subscription.none_body': 'This chat receives no notifications.',
+  'subscription.none_tip': '💡 Use <code>/subscribe</code> for everything or pick categories, e.g. <code>/subscribe feeds sensors</code>',
+  'subscription.title': '🔔 <b>SUBSCRIPTIONS</b>',
+  'subscription.tip': '💡 <code>/subscribe &lt;category&gt;</code> to add, <code>/unsubscribe &lt;category&gt;</code> to remove',
+  'subscription.unknown': '❓ Unknown category: <code>{unknown}</code>\nCategories: <code>{categories}</code>',
+
+  // Bot: roles and access
+  'refusal.private': '🔒 <b>Sorry, this bot is private.</b>',
+  'refusal.ask_admin': 'Ask an admin to give you access:',
+  'refusal.whole_chat': '💬 For this whole chat: <code>/allow {id} viewer</code>',
+  'refusal.needs_role': '🔒 Sorry, <code>{command}</code> needs the <b>{role}</b> role.',
+  'refusal.your_role': 'Your role: <code>{role}</code>',
+  'allow.usage': '❓ Usage: <code>/allow &lt;user or chat id&gt; &lt;role&gt; [name]</code>',
+  'allow.roles': 'Roles: <code>{roles}</code>',
+  'allow.done': '✅ <code>{id}</code> ({name}) is now <b>{role}</b>.',
+  'deny.usage': '❓ Usage: <code>/deny &lt;user or chat id&gt;</code>',
+  'deny.main_chat': '❌ The main chat is always admin.',
+  'deny.done': '✅ <code>{id}</code> no longer has access.',
+  'deny.not_listed': '❓ <code>{id}</code> is not on the allowlist.',
+  'access.title': '🔐 <b>ACCESS</b>',
+  'access.main_chat': '👑 Main chat <code>{id}</code> – admin',
+  'access.not_set': 'not set',
+  'access.tip': '💡 <code>/allow &lt;id&gt; &lt;role&gt;</code> · <code>/deny &lt;id&gt;</code>',
+
+  // Bot: /report
+  'report.usage': '📊 Usage: <code>/report day</code> (yesterday) or <code>/report week</code> (last 7 days), optionally followed by a tank ID',
+
+  // Bot: /clear
+  'clear.main_only': '❌ /clear only works in the main chat.',
+  'clear.done': '✅ <b>Chat Cleared</b>\n🗑️ Deleted <code>{count}</code> message(s).',
+
+  // Bot: /language
+  'language.title': '🌐 <b>LANGUAGE</b>',
+  'language.changed': '✅ Replies and notifications in this chat are now in {name}.',
+  'language.unknown': '❓ Unknown language: <code>{value}</code>',
+  'language.usage': '💡 <code>/language en</code> · <code>/language ar</code> · <code>/language ku</code>',
+
+  // Bot: /quiet, /mute, /unmute
+  'preferences.title': '🌙 <b>NOTIFICATION PREFERENCES</b>',
+  'preferences.off': 'off',
+  'preferences.mode_delay': '📨 During quiet hours messages wait until {end}.',
+  'preferences.mode_silent': '📨 During quiet hours messages arrive without sound.',
+  'preferences.mode_drop': '📨 During quiet hours messages are not sent.',
+  'preferences.critical_on': '🚨 Critical alerts (<code>{events}</code>) always get through.',
+  'preferences.critical_off': '🚨 Critical alerts follow quiet hours too.',
+  'preferences.quiet_usage': '💡 <code>/quiet 22:00-07:00 delay</code> (or <code>silent</code>, <code>drop</code>) · <code>/quiet critical on|off</code> · <code>/quiet off</code> · <code>/quiet tz Europe/Berlin</code> (or <code>default</code>)',
+  'preferences.mute_usage': '💡 <code>/mute auto_feed reservation</code> · <code>/unmute all</code>\nEvents: <code>{events}</code>',
+  'preferences.invalid_quiet': '❓ Invalid quiet hours: <code>{value}</code>\nUse start-end in 24-hour time, e.g. <code>/quiet 22:00-07:00</code>',
+  'preferences.invalid_mode': '❓ Unknown mode: <code>{value}</code>\nModes: <code>{modes}</code>',
+  'preferences.invalid_timezone': '❓ Unknown timezone: <code>{value}</code>\nUse an IANA name, e.g. <code>/quiet tz Europe/Berlin</code>, or <code>/quiet tz default</code>',
+  'preferences.no_quiet_hours': '❓ Set quiet hours first, e.g. <code>/quiet 22:00-07:00</code>',
+  'preferences.unknown_event': '❓ Unknown event: <code>{unknown}</code>\nEvents: <code>{events}</code>',
+
+  // Bot: /help
+  'help.title': '🤖 <b>FishFeeder Bot Commands</b>',
+  'help.information': '📊 <b>Information:</b>',
+  'help.status': '  /status – Full system status',
+  'help.nextfeed': '  /nextfeed – When next feed will happen',
+  'help.cooldown': '  /cooldown – Cooldown status and time remaining',
+  'help.reservations': '  /reservations – Active reservation queue with time left',
+  'help.history': '  /history – Last 5 feed events',
+  'help.report': '  /report day|week – Digest of yesterday or the last 7 days',
+  'help.tanks': '  /tanks – List all tanks',
+  'help.reservations_section': '📌 <b>Reservations:</b>',
+  'help.reserve': '  /reserve – Join the reservation queue',
+  'help.myreservation': '  /myreservation – Your position and scheduled time',
+  'help.cancel': '  /cancel – Leave the queue',
+  'help.tank_hint': '🐠 Add a tank ID to pick a tank, e.g. <code>/status tank2</code>',
+  'help.notifications': '🔔 <b>Notifications:</b>',
+  'help.subscribe': '  /subscribe – Receive notifications in this chat',
+  'help.subscribe_some': '  /subscribe &lt;categories&gt; – Only some: <code>{categories}</code>',
+  'help.unsubscribe': '  /unsubscribe – Stop all (or some) notifications',
+  'help.subscriptions': '  /subscriptions – Show what this chat receives',
+  'help.language': '  /language – Language of this chat: English, العربية, کوردی',
+  'help.quiet': '  /quiet – Quiet hours: delay, silence or drop messages at night',
+  'help.mute': '  /mute, /unmute – Stop or restart single events, e.g. <code>auto_feed</code>',
+  'help.actions': '🔧 <b>Actions:</b>',
+  'help.feed': '  /feed – Feed now, after confirming (operator)',
+  'help.clear': '  /clear – Clear all bot messages (operator)',
+  'help.help': '  /help – Show this help message',
+  'help.settings': '⚙️ <b>Settings (admin):</b>',
+  'help.settimer': '  /settimer 4h30m – Feed interval (cooldown)',
+  'help.setfast': '  /setfast friday – Weekly fasting day (or none)',
+  'help.setdelay': '  /setdelay auto 15 – Auto feed or reservation delay in minutes',
+  'help.access': '🔐 <b>Access (admin):</b>',
+  'help.allow': '  /allow &lt;id&gt; &lt;role&gt; – Give a user or chat a role (viewer, operator, admin)',
+  'help.deny': '  /deny &lt;id&gt; – Remove access',
+  'help.access_list': '  /access – List who has access',
+};
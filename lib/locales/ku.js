@@ -0,0 +1,394 @@
+/**
+ * Kurdish (Sorani) message catalog. Missing keys fall back to English; see lib/utils/i18n.js.
+ */
+export default {
+  // Shared values
+  'common.na': 'بەردەست نییە',
+  'common.none': 'هیچ',
+  'common.never': 'هەرگیز',
+  'common.unknown': 'نەزانراو',
+  'common.system': 'سیستەم',
+  'common.visitor': 'میوان',
+  'common.yes': 'بەڵێ',
+  'common.no': 'نەخێر',
+  'common.minutes': '{minutes} خولەک',
+  'common.ago': 'پێش {duration}',
+  'common.confirm_within': '⌛ لە ماوەی 5 خولەکدا پشتڕاستی بکەرەوە.',
+  'common.cancel_button': '✖️ هەڵوەشاندنەوە',
+
+  'duration.hm': '{hours} کاتژمێر {minutes} خولەک',
+  'duration.m': '{minutes} خولەک',
+  'duration.hms': '{hours} کاتژمێر {minutes} خولەک {seconds} چرکە',
+  'duration.ms': '{minutes} خولەک {seconds} چرکە',
+  'duration.s': '{seconds} چرکە',
+
+  'portion.default': 'بنەڕەتی',
+  'portion.ms': '{amount} میلیچرکە',
+  'portion.pulse': '{amount} پاڵس',
+  'portion.pulses': '{amount} پاڵس',
+
+  // Field labels
+  'label.tank': 'حەوز',
+  'label.user': 'بەکارهێنەر',
+  'label.by': 'لەلایەن',
+  'label.date': 'بەروار',
+  'label.time': 'کات',
+  'label.type': 'جۆر',
+  'label.portion': 'بڕ',
+  'label.slot': 'کاتی خشتە',
+  'label.scheduled': 'کاتی دیاریکراو',
+  'label.scheduled_time': 'کاتی دیاریکراو',
+  'label.position': 'شوێن لە ڕیزدا',
+  'label.queue': 'ڕیز',
+  'label.status': 'دۆخ',
+  'label.wifi': 'وای فای',
+  'label.servo': 'بزوێنەر',
+  'label.uptime': 'ماوەی کارکردن',
+  'label.last_seen': 'دوایین بینین',
+  'label.time_since': 'لەو کاتەوە',
+  'label.last_sync': 'دوایین هاوکاتکردن',
+  'label.last_feed': 'دوایین خواردن',
+  'label.next_feed': 'خواردنی داهاتوو',
+  'label.time_remaining': 'کاتی ماوە',
+  'label.cooldown': 'ماوەی چاوەڕوانی',
+  'label.cooldown_period': 'ماوەی چاوەڕوانی',
+  'label.cooldown_ends': 'کۆتایی چاوەڕوانی',
+  'label.timezone': 'ناوچەی کات',
+  'label.fasting_today': 'ڕۆژووی ئەمڕۆ',
+  'label.fasting_day': 'ڕۆژی ڕۆژوو',
+  'label.interval': 'ماوەی نێوان خواردنەکان',
+  'label.reservation_delay': 'دواخستنی نۆرە',
+  'label.auto_feed_delay': 'دواخستنی خواردنی خۆکار',
+  'label.temperature': 'پلەی گەرمی',
+  'label.tds': 'TDS',
+  'label.tds_level': 'ئاستی TDS',
+  'label.current': 'ئێستا',
+  'label.normal_range': 'مەودای ئاسایی',
+  'label.safe_range': 'مەودای سەلامەت',
+  'label.ongoing_for': 'بەردەوامە بۆ',
+  'label.peak': 'بەرزترین ({level})',
+  'label.duration': 'ماوە',
+  'label.started': 'دەستپێک',
+  'label.requested': 'کاتی داواکردن',
+  'label.attempts': 'هەوڵەکان',
+  'label.count': 'ژمارە',
+  'label.language': 'زمان',
+  'label.period': 'ماوە',
+  'label.longest_gap': 'درێژترین بۆشایی',
+  'label.device_uptime': 'کاتی کارکردنی ئامێر',
+  'label.longest': 'درێژترین',
+  'label.still_open': 'هێشتا کراوەیە',
+  'label.quiet_hours': 'کاتژمێرەکانی بێدەنگی',
+  'label.muted': 'بێدەنگکراو',
+
+  // Feed types
+  'feed_type.manual': 'دەستی',
+  'feed_type.reservation': 'نۆرە',
+  'feed_type.timer': 'خۆکار',
+  'feed_type.system': 'سیستەم',
+  'feed_type.auto_feed': 'خواردنی خۆکار',
+  'feed_type.scheduled_feed': 'خواردنی خشتەکراو',
+  'feed_type.next_reservation': 'نۆرە ({user})',
+  'feed_type.next_scheduled': 'خشتەکراو ({time})',
+
+  // Feed notifications
+  'notify.alert_title': '🐟 <b>ئاگاداری خواردندەری ماسی</b>',
+  'notify.feed.manual': 'خواردنی دەستی',
+  'notify.feed.reservation': 'خواردنی نۆرە',
+  'notify.feed.timer': 'خواردنی خۆکار',
+  'notify.feed.other': 'خواردن درا',
+  'notify.reservation_created.title': '📝 <b>نۆرەیەکی نوێ دروستکرا</b>',
+  'notify.reservation_created.footer': '✅ نۆرەکە زیادکرا بۆ ڕیزی خواردن.',
+  'notify.reservation_cancelled.title': '❌ نۆرە هەڵوەشێنرایەوە',
+  'notify.reservation_cancelled.user': '👤 بەکارهێنەر: {user}',
+  'notify.reservation_cancelled.footer': 'نۆرەکە لە ڕیزەکە لابرا.',
+  'notify.reservation_executed.title': '🎉 <b>خواردنی نۆرە درا</b>',
+  'notify.reservation_executed.footer': '✨ خواردنی دیاریکراو بە سەرکەوتوویی تەواو بوو.',
+  'notify.auto_feed.title': '🤖 <b>خواردنی خۆکار درا</b>',
+  'notify.auto_feed.footer': '✨ سیستەمەکە بە شێوەی خۆکار خواردنی دایە ماسییەکان.',
+  'notify.device_offline.title': '🔴 <b>ئامێرەکە پچڕاوە</b>',
+  'notify.device_offline.body': '⚠️ پەیوەندی خواردندەرەکە بە ئینتەرنێتەوە پچڕا.',
+  'notify.device_offline.tip': '💡 پەیوەندی وای فای و کارەبای ئاردوینۆکە بپشکنە.',
+  'notify.device_online.title': '🟢 <b>ئامێرەکە پەیوەستە</b>',
+  'notify.device_online.body': '✅ پەیوەندی بە سەرکەوتوویی گەڕایەوە.',
+  'notify.device_online.footer': '✨ سیستەمەکە کار دەکات.',
+  'notify.connection_info': '<b>📡 زانیاری پەیوەندی:</b>',
+  'notify.fasting.active': '🚫 ڕۆژی ڕۆژوو چالاکە',
+  'notify.fasting.today': '📅 ئەمڕۆ {day}یە',
+  'notify.fasting.skipped': '❌ هەموو خواردنەکان وەستێنران',
+  'notify.fasting.footer': '🐟 ماسییەکان ئەمڕۆ بەڕۆژوون.',
+
+  // Fasting status
+  'fasting.weekday': 'بەڵێ (هەموو {day}یەک)',
+  'fasting.entry': 'بەڵێ ({label})',
+  'fasting.default_label': 'ڕۆژی ڕۆژوو',
+
+  // Sensor notifications
+  'sensor.level.HIGH': 'بەرز',
+  'sensor.level.LOW': 'نزم',
+  'sensor.tds.warning': '⚠️ <b>ئاگاداری کوالیتی ئاو</b>',
+  'sensor.tds.high_tip': '💡 ئاوەکە بگۆڕە یان پاڵاوتن باشتر بکە.',
+  'sensor.tds.low_tip': '💡 هەستەوەری TDS و کانزاکانی ئاوەکە بپشکنە.',
+  'sensor.tds.recovered': '✅ <b>کوالیتی ئاو گەڕایەوە دۆخی ئاسایی</b>',
+  'sensor.temperature.warning': '<b>ئاگاداری پلەی گەرمی</b>',
+  'sensor.temperature.low_tip': '💡 گەرمکەرەوەیەک بەکاربهێنە.',
+  'sensor.temperature.high_tip': '💡 ساردکردنەوە یان سێبەر بەکاربهێنە.',
+  'sensor.temperature.recovered': '✅ <b>پلەی گەرمی گەڕایەوە دۆخی ئاسایی</b>',
+  'sensor.recovered.footer': '✨ دیسان لەناو مەوداکەدایە.',
+
+  // Feed not confirmed
+  'feed_failed.title': '🚨 <b>خواردنەکە پشتڕاست نەکرایەوە</b>',
+  'feed_failed.body': '⚠️ خواردندەرەکە خواردنەکەی پشتڕاست نەکردەوە. لەوانەیە بزوێنەرەکە گیرابێت.',
+  'feed_failed.outcome.none': '⏸️ دۆخ لەسەر 1 مایەوە - خواردنەکان ڕاگیراون تا ئامێرەکە ڕێکی دەخاتەوە.',
+  'feed_failed.outcome.reset': '🔄 دۆخ گەڕێنرایەوە بۆ 0 - خواردنەکانی دواتر دەتوانن بدرێن.',
+  'feed_failed.tip': '💡 بزوێنەرەکە و قوتووی خواردنەکە بپشکنە.',
+
+  // Daily and weekly digests
+  'digest.title.day': '📊 <b>ڕاپۆرتی ڕۆژانە</b>',
+  'digest.title.week': '📊 <b>ڕاپۆرتی هەفتانە</b>',
+  'digest.feeds': '🍽️ <b>خواردنەکان:</b> {count}',
+  'digest.not_confirmed': '❌ پشتڕاست نەکراوە: {count}',
+  'digest.top_users': '👥 <b>زۆرترین بەکارهێنەرانی نۆرە:</b>',
+  'digest.top_user': '{rank}. {user} – {count}',
+  'digest.no_reservations': 'هیچ خواردنێکی نۆرە نییە',
+  'digest.no_readings': 'هیچ خوێندنەوەیەک نییە',
+  'digest.incidents': '⚠️ <b>ڕووداوەکانی ئاگاداری:</b> {count}',
+
+  // Settings notifications
+  'settings.timer_updated': '⚙️ ڕێکخستنەکانی کاتژمێر نوێکرانەوە',
+  'settings.priority_updated': '⚙️ ڕێکخستنەکانی پێشینە نوێکرانەوە',
+  'settings.interval': '⏰ ماوەی نێوان خواردنەکان: {value}',
+  'settings.fasting_day': '🚫 ڕۆژی ڕۆژوو: {value}',
+  'settings.timezone': '🌍 ناوچەی کات: {value}',
+  'settings.reservation_delay': '📅 دواخستنی نۆرە: {minutes} خولەک',
+  'settings.auto_feed_delay': '⏰ دواخستنی خواردنی خۆکار: {minutes} خولەک',
+  'settings.saved': 'ڕێکخستنەکان بە سەرکەوتوویی پاشەکەوت کران.',
+
+  // Bot: errors
+  'bot.error.database': '❌ هەڵە: بنکەدراوە ئامادە نەکرا.',
+  'bot.error.status': '❌ هەڵە: دۆخی سیستەم وەرنەگیرا.',
+  'bot.error.history': '❌ هەڵە: مێژووی خواردن وەرنەگیرا.',
+  'bot.error.report': '❌ هەڵە: ڕاپۆرت ئامادە نەکرا.',
+  'bot.error.reservations': '❌ هەڵە: نۆرەکان وەرنەگیران.',
+  'bot.error.reserve': '❌ هەڵە: نۆرەکە دروست نەکرا.',
+  'bot.error.myreservation': '❌ هەڵە: نۆرەکەت وەرنەگیرا.',
+  'bot.error.cancel': '❌ هەڵە: نۆرەکە هەڵنەوەشێنرایەوە.',
+  'bot.error.nextfeed': '❌ هەڵە: کاتی خواردنی داهاتوو وەرنەگیرا.',
+  'bot.error.cooldown': '❌ هەڵە: دۆخی ماوەی چاوەڕوانی وەرنەگیرا.',
+  'bot.error.feed': '❌ هەڵە: خواردنەکە ئامادە نەکرا.',
+  'bot.error.settings': '❌ هەڵە: گۆڕانکارییەکە ئامادە نەکرا.',
+  'bot.error.feed_run': '❌ هەڵە: خواردنەکە نەدرا. تکایە دووبارە /feed تاقی بکەرەوە.',
+  'bot.error.settings_save': '❌ هەڵە: گۆڕانکارییەکە پاشەکەوت نەکرا. تکایە دووبارە هەوڵ بدەرەوە.',
+  'bot.error.tanks': '❌ هەڵە: لیستی حەوزەکان پیشان نەدرا.',
+  'bot.error.subscription': '❌ هەڵە: بەشداریکردن نوێ نەکرایەوە.',
+  'bot.error.subscription_load': '❌ هەڵە: بەشداریکردن بار نەکرا.',
+  'bot.error.access': '❌ هەڵە: دەسەڵاتەکان نوێ نەکرانەوە.',
+  'bot.error.access_list': '❌ هەڵە: لیستی دەسەڵاتەکان پیشان نەدرا.',
+  'bot.error.language': '❌ هەڵە: زمانەکە نەگۆڕدرا.',
+  'bot.error.preferences': '❌ هەڵە: ڕێکخستنەکانی ئاگادارکردنەوە نوێ نەکرانەوە.',
+  'bot.error.generic': '❌ هەڵە: {error}',
+  'bot.unknown_tank': '❓ حەوزی نەناسراو. /tanks بەکاربهێنە بۆ بینینی حەوزەکان.',
+  'bot.unknown_command': '❓ فەرمانی نەناسراو. /help بەکاربهێنە بۆ بینینی فەرمانەکان.',
+  'bot.needs_user': '❓ فەرمانی {command} دەبێت لەلایەن بەکارهێنەرێکی تێلیگرامەوە بنێردرێت.',
+
+  // Bot: /status
+  'status.title': '📊 <b>دۆخی سیستەم</b>',
+  'status.device': '<b>🔌 دۆخی ئامێر:</b>',
+  'status.feed': '<b>🍽️ دۆخی خواردن:</b>',
+  'status.sensors': '<b>🌡️ هەستەوەرەکان:</b>',
+  'status.reservations': '<b>📌 نۆرەکان:</b>',
+  'status.online': 'پەیوەستە',
+  'status.offline': 'پچڕاوە',
+
+  // Bot: /history
+  'history.title': '📜 <b>مێژووی خواردن</b>',
+  'history.empty': 'هیچ مێژوویەکی خواردن نییە.',
+  'history.last': '📜 <b>دوایین 5 خواردن</b>',
+  'history.not_confirmed': '❌ پشتڕاست نەکراوەتەوە',
+
+  // Bot: reservations
+  'time_left.ready': '⏰ ئێستا ئامادەیە',
+  'time_left.remaining': '⏳ {duration}',
+  'time_left.ready_now': 'ئێستا ئامادەیە',
+  'reservations.title': '📌 <b>نۆرە چالاکەکان</b>',
+  'reservations.empty': 'هیچ نۆرەیەک لە ڕیزدا نییە.',
+  'reservations.total': 'کۆی گشتی: <code>{count}</code> نۆرە',
+  'reservations.count': '{count} نۆرە',
+  'reservations.tip_reserve': '💡 /reserve{tank} بەکاربهێنە بۆ چوونە ناو ڕیزەکە.',
+  'reservations.tip_cancel': '💡 /cancel{tank} بەکاربهێنە بۆ جێهێشتنی ڕیزەکە.',
+  'reservations.tip_created': '💡 /myreservation{tank} بۆ بینینی نۆرەکەت، /cancel{tank} بۆ جێهێشتنی ڕیزەکە.',
+  'reservation_block.fasting': '🚫 ڕۆژی ڕۆژوو ({label}) – ئەمڕۆ نۆرە نییە.',
+  'reservation_block.full': '🚫 ڕیزەکە پڕە ({max} نۆرە). دواتر هەوڵ بدەرەوە.',
+  'reservation_block.conflict': '⏳ ڕیزەکە سەرقاڵە. تکایە دووبارە هەوڵ بدەرەوە.',
+  'reservation_block.not_found': '📌 تۆ هیچ نۆرەیەکت لەم حەوزەدا نییە.',
+  'reserve.not_created': '📌 <b>نۆرە دروست نەکرا</b>',
+  'reserve.already': '📌 <b>پێشتر نۆرەت گرتووە</b>',
+  'reserve.created': '✅ <b>نۆرە دروستکرا</b>',
+  'myreservation.title': '📌 <b>نۆرەکەم</b>',
+  'cancel.nothing': '📌 <b>هیچ شتێک نییە بۆ هەڵوەشاندنەوە</b>',
+  'cancel.done': '✅ <b>نۆرە هەڵوەشێنرایەوە</b>',
+  'cancel.left': 'ڕیزەکەت جێهێشت.',
+
+  // Bot: /nextfeed, /cooldown
+  'nextfeed.title': '⏰ <b>خواردنی داهاتوو</b>',
+  'nextfeed.reservations': '📌 <b>نۆرەکان:</b> <code>{count}</code> لە ڕیزدا',
+  'nextfeed.auto': '🤖 خواردنی خۆکار دوای ماوەی چاوەڕوانی و دواخستن دەدرێت',
+  'cooldown.title': '⏳ <b>دۆخی ماوەی چاوەڕوانی</b>',
+  'cooldown.finished': '✅ ماوەی چاوەڕوانی تەواو بوو',
+
+  // Bot: /feed
+  'feed_block.fasting': '🚫 ڕۆژی ڕۆژوو ({label}) – هەموو خواردنەکان وەستێنراون.',
+  'feed_block.offline': '🔴 خواردندەرەکە پچڕاوە.',
+  'feed_block.feeding': '⏳ خواردندەرەکە ئێستا خواردن دەدات.',
+  'feed_block.cooldown': '⏱️ ماوەی چاوەڕوانی بەردەوامە تا <code>{time}</code> ({minutes} خولەک).',
+  'feed_block.reservations': '📌 {count} نۆرە لە ڕیزدان و پێشینەیان هەیە.',
+  'feed.cannot': '🍽️ <b>ئێستا ناتوانرێت خواردن بدرێت</b>',
+  'feed.confirm': '🍽️ <b>ئێستا خواردن بدرێت؟</b>',
+  'feed.button': '✅ ئێستا خواردن بدە',
+  'feed.not_sent': '🍽️ <b>خواردن نەنێردرا</b>',
+  'feed.sent': '✅ <b>خواردن نێردرا</b>',
+
+  // Bot: confirmation buttons
+  'callback.unknown': 'کردارێکی نەناسراو.',
+  'callback.database': '❌ بنکەدراوە بەردەست نییە، دواتر هەوڵ بدەرەوە.',
+  'callback.needs_operator': '🔒 ببورە، بۆ ئەمە پێویستت بە ڕۆڵی operator هەیە.',
+  'callback.answered': 'پێشتر وەڵامی ئەمە درایەوە.',
+  'callback.denied': 'تەنها ئەو کەسەی داوای کردووە دەتوانێت وەڵام بداتەوە.',
+  'callback.cancelled_text': '✖️ هەڵوەشێنرایەوە.',
+  'callback.cancelled': 'هەڵوەشێنرایەوە',
+  'callback.expired_text': '⌛ کاتی پشتڕاستکردنەوە بەسەرچوو. فەرمانەکە دووبارە بنێرە.',
+  'callback.expired': 'بەسەرچوو',
+  'callback.refused_text': '🔒 پاشەکەوت نەکرا – پێویستت بە ڕۆڵی {role} هەیە.',
+  'callback.refused': 'ڕەتکرایەوە',
+  'callback.feed_sent': 'خواردن نێردرا',
+  'callback.feed_not_sent': 'خواردن نەنێردرا',
+  'callback.saved': 'پاشەکەوت کرا',
+  'callback.not_saved': 'پاشەکەوت نەکرا',
+
+  // Bot: /settimer, /setfast, /setdelay
+  'settimer.usage': '❓ بەکارهێنان: <code>/settimer 4h30m [tank]</code> (یان <code>4:30</code>)',
+  'setfast.usage': '❓ بەکارهێنان: <code>/setfast friday|none [tank]</code>',
+  'setdelay.usage': '❓ بەکارهێنان: <code>/setdelay auto|reservation &lt;minutes&gt; [tank]</code>',
+  'settings.confirm': '⚙️ <b>ڕێکخستنەکان پاشەکەوت بکرێن؟</b>',
+  'settings.button': '✅ پاشەکەوتکردن',
+  'settings.rescheduled': '📌 {count} نۆرە کاتەکەیان دووبارە دیاری دەکرێتەوە.',
+  'settings.saved_title': '✅ <b>ڕێکخستنەکان پاشەکەوت کران</b>',
+
+  // Bot: /tanks
+  'tanks.title': '🐠 <b>حەوزەکان</b>',
+  'tanks.default': ' (بنەڕەتی)',
+  'tanks.tip': '💡 ناسنامەی حەوز بۆ هەر فەرمانێک زیاد بکە، بۆ نموونە <code>/status {id}</code>',
+
+  // Bot: subscriptions
+  'category.feeds': '🍽️ feeds – خواردنی دەستی، خۆکار، شکستخواردوو و ڕۆژانی ڕۆژوو',
+  'category.reservations': '📌 reservations – دروستکردن، جێبەجێکردن و هەڵوەشاندنەوەی نۆرە',
+  'category.device': '📡 device – پچڕان و گەڕانەوەی ئامێر',
+  'category.sensors': '🌡️ sensors – ئاگادارییەکانی TDS و پلەی گەرمی',
+  'category.settings': '⚙️ settings – گۆڕینی ڕێکخستنەکان و کارکردنی خشتەدانەر',
+  'category.reports': '📊 reports – ڕاپۆرتی ڕۆژانە و هەفتانە',
+  'subscription.none_title': '🔕 <b>بەشدار نەبوویت</b>',
+  'subscription.none_body': 'ئەم گفتوگۆیە هیچ ئاگادارکردنەوەیەک وەرناگرێت.',
+  'subscription.none_tip': '💡 <code>/subscribe</code> بۆ هەموو شتێک بەکاربهێنە یان پۆل هەڵبژێرە، بۆ نموونە <code>/subscribe feeds sensors</code>',
+  'subscription.title': '🔔 <b>بەشداریکردنەکان</b>',
+  'subscription.tip': '💡 <code>/subscribe &lt;category&gt;</code> بۆ زیادکردن، <code>/unsubscribe &lt;category&gt;</code> بۆ لابردن',
+  'subscription.unknown': '❓ پۆلی نەناسراو: <code>{unknown}</code>\nپۆلەکان: <code>{categories}</code>',
+
+  // Bot: roles and access
+  'refusal.private': '🔒 <b>ببورە، ئەم بۆتە تایبەتە.</b>',
+  'refusal.ask_admin': 'داوا لە بەڕێوەبەرێک بکە دەسەڵاتت پێبدات:',
+  'refusal.whole_chat': '💬 بۆ هەموو ئەم گفتوگۆیە: <code>/allow {id} viewer</code>',
+  'refusal.needs_role': '🔒 ببورە، <code>{command}</code> پێویستی بە ڕۆڵی <b>{role}</b> هەیە.',
+  'refusal.your_role': 'ڕۆڵەکەت: <code>{role}</code>',
+  'allow.usage': '❓ بەکارهێنان: <code>/allow &lt;user or chat id&gt; &lt;role&gt; [name]</code>',
+  'allow.roles': 'ڕۆڵەکان: <code>{roles}</code>',
+  'allow.done': '✅ <code>{id}</code> ({name}) ئێستا <b>{role}</b>ە.',
+  'deny.usage': '❓ بەکارهێنان: <code>/deny &lt;user or chat id&gt;</code>',
+  'deny.main_chat': '❌ گفتوگۆی سەرەکی هەمیشە admin ە.',
+  'deny.done': '✅ <code>{id}</code> چیتر دەسەڵاتی نییە.',
+  'deny.not_listed': '❓ <code>{id}</code> لە لیستی ڕێپێدراوەکاندا نییە.',
+  'access.title': '🔐 <b>دەسەڵاتەکان</b>',
+  'access.main_chat': '👑 گفتوگۆی سەرەکی <code>{id}</code> – admin',
+  'access.not_set': 'دیاری نەکراوە',
+  'access.tip': '💡 <code>/allow &lt;id&gt; &lt;role&gt;</code> · <code>/deny &lt;id&gt;</code>',
+
+  // Bot: /report
+  'report.usage': '📊 بەکارهێنان: <code>/report day</code> (دوێنێ) یان <code>/report week</code> (دوایین 7 ڕۆژ)، دەکرێت ژمارەی حەوز دوای زیاد بکرێت',
+
+  // Bot: /clear
+  'clear.main_only': '❌ /clear تەنها لە گفتوگۆی سەرەکیدا کار دەکات.',
+  'clear.done': '✅ <b>گفتوگۆکە پاککرایەوە</b>\n🗑️ <code>{count}</code> نامە سڕایەوە.',
+
+  // Bot: /language
+  'language.title': '🌐 <b>زمان</b>',
+  'language.changed': '✅ وەڵام و ئاگادارکردنەوەکانی ئەم گفتوگۆیە ئێستا بە {name}ن.',
+  'language.unknown': '❓ زمانی نەناسراو: <code>{value}</code>',
+
+  // Bot: /quiet, /mute, /unmute
+  'preferences.title': '🌙 <b>ڕێکخستنەکانی ئاگادارکردنەوە</b>',
+  'preferences.off': 'کوژاوە',
+  'preferences.mode_delay': '📨 لە کاتژمێرەکانی بێدەنگیدا نامەکان تا {end} چاوەڕێ دەکەن.',
+  'preferences.mode_silent': '📨 لە کاتژمێرەکانی بێدەنگیدا نامەکان بێ دەنگ دەگەن.',
+  'preferences.mode_drop': '📨 لە کاتژمێرەکانی بێدەنگیدا نامەکان نانێردرێن.',
+  'preferences.critical_on': '🚨 ئاگادارییە گرنگەکان (<code>{events}</code>) هەمیشە دەگەن.',
+  'preferences.critical_off': '🚨 ئاگادارییە گرنگەکانیش پەیڕەوی کاتژمێرەکانی بێدەنگی دەکەن.',
+  'preferences.quiet_usage': '💡 <code>/quiet 22:00-07:00 delay</code> (یان <code>silent</code>، <code>drop</code>) · <code>/quiet critical on|off</code> · <code>/quiet off</code> · <code>/quiet tz Europe/Berlin</code> (یان <code>default</code>)',
+  'preferences.mute_usage': '💡 <code>/mute auto_feed reservation</code> · <code>/unmute all</code>\nڕووداوەکان: <code>{events}</code>',
+  'preferences.invalid_quiet': '❓ کاتژمێری بێدەنگی نادروستە: <code>{value}</code>\nدەستپێک-کۆتایی بە سیستەمی 24 کاتژمێری بنووسە، بۆ نموونە <code>/quiet 22:00-07:00</code>',
+  'preferences.invalid_mode': '❓ دۆخی نەناسراو: <code>{value}</code>\nدۆخەکان: <code>{modes}</code>',
+  'preferences.invalid_timezone': '❓ ناوچەی کاتی نەناسراو: <code>{value}</code>\nناوێکی IANA بەکاربهێنە، بۆ نموونە <code>/quiet tz Europe/Berlin</code>، یان <code>/quiet tz default</code>',
+  'preferences.no_quiet_hours': '❓ سەرەتا کاتژمێرەکانی بێدەنگی دیاری بکە، بۆ نموونە <code>/quiet 22:00-07:00</code>',
+  'preferences.unknown_event': '❓ ڕووداوی نەناسراو: <code>{unknown}</code>\nڕووداوەکان: <code>{events}</code>',
+
+  // Bot: /help
+  'help.title': '🤖 <b>فەرمانەکانی بۆتی خواردندەری ماسی</b>',
+  'help.information': '📊 <b>زانیاری:</b>',
+  'help.status': '  /status – دۆخی تەواوی سیستەم',
+  'help.nextfeed': '  /nextfeed – کاتی خواردنی داهاتوو',
+  'help.cooldown': '  /cooldown – دۆخی ماوەی چاوەڕوانی و کاتی ماوە',
+  'help.reservations': '  /reservations – ڕیزی نۆرەکان لەگەڵ کاتی ماوە',
+  'help.history': '  /history – دوایین 5 خواردن',
+  'help.report': '  /report day|week – ڕاپۆرتی دوێنێ یان دوایین 7 ڕۆژ',
+  'help.tanks': '  /tanks – لیستی هەموو حەوزەکان',
+  'help.reservations_section': '📌 <b>نۆرەکان:</b>',
+  'help.reserve': '  /reserve – چوونە ناو ڕیزی نۆرەکان',
+  'help.myreservation': '  /myreservation – شوێن و کاتی نۆرەکەت',
+  'help.cancel': '  /cancel – جێهێشتنی ڕیزەکە',
+  'help.tank_hint': '🐠 ناسنامەی حەوز زیاد بکە بۆ هەڵبژاردنی، بۆ نموونە <code>/status tank2</code>',
+  'help.notifications': '🔔 <b>ئاگادارکردنەوەکان:</b>',
+  'help.subscribe': '  /subscribe – وەرگرتنی ئاگادارکردنەوە لەم گفتوگۆیەدا',
+  'help.subscribe_some': '  /subscribe &lt;categories&gt; – تەنها هەندێکیان: <code>{categories}</code>',
+  'help.unsubscribe': '  /unsubscribe – ڕاگرتنی هەموو (یان هەندێک) ئاگادارکردنەوەکان',
+  'help.subscriptions': '  /subscriptions – پیشاندانی ئەوەی ئەم گفتوگۆیە وەریدەگرێت',
+  'help.language': '  /language – زمانی ئەم گفتوگۆیە: English، العربية، کوردی',
+  'help.quiet': '  /quiet – کاتژمێرەکانی بێدەنگی: دواخستن، بێدەنگکردن یان نەناردنی نامەکان لە شەودا',
+  'help.mute': '  /mute، /unmute – ڕاگرتن یان گەڕاندنەوەی ڕووداوی دیاریکراو، بۆ نموونە <code>auto_feed</code>',
+  'help.actions': '🔧 <b>کردارەکان:</b>',
+  'help.feed': '  /feed – ئێستا خواردن بدە، دوای پشتڕاستکردنەوە (operator)',
+  'help.clear': '  /clear – سڕینەوەی هەموو نامەکانی بۆت (operator)',
+  'help.help': '  /help – پیشاندانی ئەم یارمەتییە',
+  'help.settings': '⚙️ <b>ڕێکخستنەکان (admin):</b>',
+  'help.settimer': '  /settimer 4h30m – ماوەی نێوان خواردنەکان',
+  'help.setfast': '  /setfast friday – ڕۆژی ڕۆژووی هەفتانە (یان none)',
+  'help.setdelay': '  /setdelay auto 15 – دواخستنی خواردنی خۆکار یان نۆرە بە خولەک',
+  'help.access': '🔐 <b>دەسەڵاتەکان (admin):</b>',
+  'help.allow': '  /allow &lt;id&gt; &lt;role&gt; – دانی ڕۆڵ بە بەکارهێنەر یان گفتوگۆیەک (viewer، operator، admin)',
+  'help.deny': '  /deny &lt;id&gt; – لابردنی دەسەڵات',
+  'help.access_list': '  /access – لیستی ئەوانەی دەسەڵاتیان هەیە',
+
+  // Error messages of the API and the bot (see translateError)
+  'error.FASTING_DAY': 'ئەمڕۆ ڕۆژی ڕۆژووە. ئەمڕۆ خواردن و نۆرە نییە.',
+  'error.DEVICE_OFFLINE': 'ئامێرەکە پچڕاوە. ناتوانرێت خواردن بدرێت.',
+  'error.ALREADY_FEEDING': 'ئامێرەکە ئێستا خواردن دەدات.',
+  'error.COOLDOWN_ACTIVE': 'ماوەی چاوەڕوانی بەردەوامە. کاتی ماوە: {remainingMinutes} خولەک',
+  'error.RESERVATIONS_EXIST': 'کاتێک نۆرە هەیە ناتوانرێت خواردنی دەستی بدرێت. نۆرەکان پێشینەیان هەیە.',
+  'error.QUEUE_FULL': 'ڕیزی نۆرەکان گەیشتووەتە زۆرترین ژمارە',
+  'error.QUEUE_CONFLICT': 'ڕیزی نۆرەکان سەرقاڵە. تکایە دووبارە هەوڵ بدەرەوە.',
+  'error.INVALID_SCHEDULE': 'کاتی دیاریکراو دەبێت لە داهاتوودا بێت',
+  'error.RESERVATION_NOT_FOUND': 'نۆرەکە نەدۆزرایەوە',
+  'error.TIMEOUT': 'کاتی بنکەدراوە بەسەرچوو',
+  'error.INVALID_HOUR': 'کاتژمێر دەبێت لە نێوان 0 و 23 بێت',
+  'error.INVALID_MINUTE': 'خولەک دەبێت لە نێوان 0 و 59 بێت',
+  'error.INVALID_NO_FEED_DAY': 'ڕۆژی ڕۆژوو دروست نییە',
+  'error.INVALID_RESERVATION_DELAY': 'دواخستنی نۆرە دەبێت لە نێوان 0 و 60 خولەک بێت',
+  'error.INVALID_AUTO_FEED_DELAY': 'دواخستنی خواردنی خۆکار دەبێت لە نێوان 0 و 120 خولەک بێت',
+};
@@ -0,0 +1,71 @@
+/**
+ * SMTP email notification channel
+ * The SMTP server comes from the environment (SMTP_URL, or SMTP_HOST / SMTP_PORT /
+ * SMTP_SECURE / SMTP_USER / SMTP_PASS); recipients are configured per channel.
+ */
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+/**
+ * Shared SMTP transport, or null when SMTP is not configured
+ */
+function getTransporter() {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_URL) {
+    transporter = nodemailer.createTransport(process.env.SMTP_URL);
+  } else if (process.env.SMTP_HOST) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      connectionTimeout: 5000,
+      greetingTimeout: 5000,
+      socketTimeout: 10000,
+    });
+  }
+
+  return transporter;
+}
+
+/**
+ * Whether an SMTP server is configured
+ */
+export function isEmailConfigured() {
+  return !!(process.env.SMTP_URL || process.env.SMTP_HOST);
+}
+
+/**
+ * Send an email. Returns { success, messageId } or { success: false, error }.
+ */
+export async function sendEmail({ to, from = null }, { subject, text, html }) {
+  const transport = getTransporter();
+  if (!transport) {
+    console.warn('[EMAIL] SMTP is not configured, skipping notification.');
+    return { success: false, error: 'MISSING_CREDENTIALS' };
+  }
+
+  const sender = from || process.env.SMTP_FROM || process.env.SMTP_USER;
+  if (!sender) {
+    return { success: false, error: 'MISSING_SENDER' };
+  }
+
+  try {
+    const info = await transport.sendMail({
+      from: sender,
+      to: Array.isArray(to) ? to.join(', ') : to,
+      subject,
+      text,
+      html,
+    });
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('[EMAIL] Failed to send:', error.message);
+    return { success: false, error: error.code || error.message };
+  }
+}
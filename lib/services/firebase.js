@@ -79,3 +79,16 @@ export function getDatabase() {
   }
 }
 
+
+/**
+ * Verify a Firebase Auth ID token with the admin SDK (initialized from
+ * FIREBASE_SERVICE_ACCOUNT, whatever the storage adapter).
+ * Resolves the decoded token ({ uid, email, email_verified, name, ... });
+ * rejects with an "auth/..." coded error when the token is invalid or expired.
+ */
+export async function verifyIdToken(idToken) {
+  if (!admin.apps.length) {
+    getDatabase();
+  }
+  return admin.auth().verifyIdToken(idToken);
+}
@@ -0,0 +1,367 @@
+/**
+ * Local database adapter (in-memory or JSON file)
+ * Implements the subset of the Firebase Realtime Database API used by the routes,
+ * so the backend can run on a laptop without a Firebase project or network.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Shared across route bundles (Next.js compiles each route separately)
+const STORE_KEY = Symbol.for('fishfeeder.localdb');
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+let lastPushTime = 0;
+let lastRandChars = [];
+
+/**
+ * Generate a chronologically ordered key (same format as Firebase push IDs)
+ */
+function generatePushId() {
+  let now = Date.now();
+  const duplicateTime = now === lastPushTime;
+  lastPushTime = now;
+
+  const timeChars = new Array(8);
+  for (let i = 7; i >= 0; i--) {
+    timeChars[i] = PUSH_CHARS.charAt(now % 64);
+    now = Math.floor(now / 64);
+  }
+
+  if (!duplicateTime) {
+    for (let i = 0; i < 12; i++) {
+      lastRandChars[i] = Math.floor(Math.random() * 64);
+    }
+  } else {
+    // Same millisecond - increment random chars to keep ordering
+    let i = 11;
+    for (; i >= 0 && lastRandChars[i] === 63; i--) {
+      lastRandChars[i] = 0;
+    }
+    lastRandChars[i] += 1;
+  }
+
+  return timeChars.join('') + lastRandChars.map((n) => PUSH_CHARS.charAt(n)).join('');
+}
+
+function splitPath(refPath) {
+  return String(refPath || '').split('/').filter(Boolean);
+}
+
+/**
+ * Normalize a value the way RTDB stores it: null/undefined removes a node,
+ * empty objects disappear, arrays become index-keyed objects and values are
+ * copied (no shared references).
+ */
+function normalize(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number' && !Number.isFinite(value)) return null;
+  if (typeof value !== 'object') return value;
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    const normalized = normalize(child);
+    if (normalized !== null) result[key] = normalized;
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Convert stored objects back to arrays when RTDB would: every key is an
+ * integer and at least half of the indexes are in use.
+ */
+function toValue(node) {
+  if (node === null || node === undefined) return null;
+  if (typeof node !== 'object') return node;
+
+  const keys = Object.keys(node);
+  const isIndexed = keys.length > 0 && keys.every((k) => /^(0|[1-9]\d*)$/.test(k));
+  if (isIndexed) {
+    const maxIndex = Math.max(...keys.map(Number));
+    if (maxIndex < keys.length * 2) {
+      const array = new Array(maxIndex + 1).fill(null);
+      keys.forEach((k) => { array[Number(k)] = toValue(node[k]); });
+      return array;
+    }
+  }
+
+  const result = {};
+  keys.forEach((k) => { result[k] = toValue(node[k]); });
+  return result;
+}
+
+function copy(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * `order` lists the child keys in query order, for forEach (default: stored order)
+ */
+function createSnapshot(key, value, order = null) {
+  const data = toValue(copy(value));
+  return {
+    key,
+    val: () => copy(data),
+    exists: () => data !== null,
+    child: (childPath) => {
+      const segments = splitPath(childPath);
+      let node = data;
+      for (const segment of segments) {
+        node = node && typeof node === 'object' ? node[segment] : undefined;
+      }
+      return createSnapshot(segments[segments.length - 1] || key, node);
+    },
+    forEach: (callback) => {
+      if (!data || typeof data !== 'object') return false;
+      for (const childKey of order || Object.keys(data)) {
+        if (callback(createSnapshot(childKey, data[childKey])) === true) return true;
+      }
+      return false;
+    },
+  };
+}
+
+/**
+ * RTDB key order: integer-like keys first (numerically), then strings (lexicographically)
+ */
+function compareKeys(a, b) {
+  const aInt = isIntegerKey(a);
+  const bInt = isIntegerKey(b);
+  if (aInt && bInt) return Number(a) - Number(b);
+  if (aInt !== bInt) return aInt ? -1 : 1;
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * RTDB only orders keys numerically when they are 32-bit integers (longer digit strings sort as text)
+ */
+function isIntegerKey(key) {
+  return /^(0|-?[1-9]\d*)$/.test(key) && Math.abs(Number(key)) <= 2147483647;
+}
+
+/**
+ * RTDB child value order: missing/null, false, true, numbers, strings, then objects
+ */
+function compareValues(a, b) {
+  const rank = (value) => {
+    if (value === null || value === undefined) return 0;
+    if (value === false) return 1;
+    if (value === true) return 2;
+    if (typeof value === 'number') return 3;
+    if (typeof value === 'string') return 4;
+    return 5;
+  };
+  const difference = rank(a) - rank(b);
+  if (difference !== 0) return difference;
+  if (typeof a === 'number') return a - b;
+  if (typeof a === 'string') return a < b ? -1 : (a > b ? 1 : 0);
+  return 0;
+}
+
+/**
+ * Read-only query: orderByKey() or orderByChild(path), then startAt/endAt/limitToFirst/limitToLast.
+ * `childPath` is null when ordered by key; children with equal values are ordered by key.
+ */
+function createQuery(store, segments, childPath = null, constraints = {}) {
+  const key = segments.length > 0 ? segments[segments.length - 1] : null;
+  const withConstraint = (name, value) => createQuery(store, segments, childPath, { ...constraints, [name]: value });
+  // Keys always compare as strings; child values keep their type
+  const bound = (value) => (childPath === null ? String(value) : value);
+
+  return {
+    startAt: (value) => withConstraint('startAt', bound(value)),
+    endAt: (value) => withConstraint('endAt', bound(value)),
+    limitToFirst: (limit) => withConstraint('limitToFirst', limit),
+    limitToLast: (limit) => withConstraint('limitToLast', limit),
+
+    once: async (eventType = 'value') => {
+      if (eventType !== 'value') {
+        throw new Error(`Local database only supports "value" events (got "${eventType}")`);
+      }
+      const node = store.read(segments);
+      if (!node || typeof node !== 'object') return createSnapshot(key, null);
+
+      const childSegments = splitPath(childPath);
+      const valueOf = (k) => childSegments.reduce(
+        (value, segment) => (value && typeof value === 'object' ? value[segment] : undefined),
+        node[k]
+      );
+      const compare = childPath === null ? compareKeys : (k, value) => compareValues(valueOf(k), value);
+
+      let keys = Object.keys(node).sort(compareKeys);
+      if (childPath !== null) keys.sort((a, b) => compareValues(valueOf(a), valueOf(b)) || compareKeys(a, b));
+      if (constraints.startAt !== undefined) keys = keys.filter((k) => compare(k, constraints.startAt) >= 0);
+      if (constraints.endAt !== undefined) keys = keys.filter((k) => compare(k, constraints.endAt) <= 0);
+      if (constraints.limitToFirst !== undefined) keys = keys.slice(0, constraints.limitToFirst);
+      if (constraints.limitToLast !== undefined) keys = keys.slice(-constraints.limitToLast);
+
+      const result = {};
+      keys.forEach((k) => { result[k] = node[k]; });
+      return createSnapshot(key, keys.length > 0 ? result : null, keys);
+    },
+  };
+}
+
+/**
+ * Create the backing store, loading the JSON file if one is configured
+ */
+function createStore(filePath) {
+  let root = null;
+
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      root = normalize(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      console.log('[LOCALDB] Loaded data from', filePath);
+    } catch (error) {
+      throw new Error(`Failed to parse local database file ${filePath}: ${error.message}`);
+    }
+  }
+
+  const read = (segments) => {
+    let node = root;
+    for (const segment of segments) {
+      if (!node || typeof node !== 'object') return null;
+      node = node[segment];
+    }
+    return node === undefined ? null : node;
+  };
+
+  const persist = () => {
+    if (!filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(root || {}, null, 2));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.error('[LOCALDB] Failed to write', filePath, error.message);
+    }
+  };
+
+  const write = (segments, value) => {
+    const normalized = normalize(value);
+
+    if (segments.length === 0) {
+      root = normalized;
+      persist();
+      return;
+    }
+
+    root = root && typeof root === 'object' ? root : {};
+    let node = root;
+    for (const segment of segments.slice(0, -1)) {
+      const next = node[segment];
+      node[segment] = next && typeof next === 'object' ? next : {};
+      node = node[segment];
+    }
+
+    const last = segments[segments.length - 1];
+    if (normalized === null) {
+      delete node[last];
+    } else {
+      node[last] = normalized;
+    }
+
+    root = normalize(root);
+    persist();
+  };
+
+  return { read, write, filePath };
+}
+
+function createReference(store, segments) {
+  const key = segments.length > 0 ? segments[segments.length - 1] : null;
+
+  const ref = {
+    key,
+    toString: () => `/${segments.join('/')}`,
+
+    child: (childPath) => createReference(store, [...segments, ...splitPath(childPath)]),
+
+    orderByKey: () => createQuery(store, segments),
+    orderByChild: (childPath) => createQuery(store, segments, String(childPath)),
+
+    once: async (eventType = 'value') => {
+      if (eventType !== 'value') {
+        throw new Error(`Local database only supports "value" events (got "${eventType}")`);
+      }
+      return createSnapshot(key, store.read(segments));
+    },
+
+    set: async (value) => {
+      store.write(segments, value);
+    },
+
+    update: async (values) => {
+      if (!values || typeof values !== 'object') {
+        throw new Error('update() requires an object');
+      }
+      // Multi-path update: keys may contain slashes, apply all or nothing
+      const current = copy(store.read(segments));
+      const next = current && typeof current === 'object' ? current : {};
+      for (const [childPath, childValue] of Object.entries(values)) {
+        const childSegments = splitPath(childPath);
+        let node = next;
+        for (const segment of childSegments.slice(0, -1)) {
+          if (!node[segment] || typeof node[segment] !== 'object') node[segment] = {};
+          node = node[segment];
+        }
+        node[childSegments[childSegments.length - 1]] = copy(childValue);
+      }
+      store.write(segments, next);
+    },
+
+    remove: async () => {
+      store.write(segments, null);
+    },
+
+    push: (value) => {
+      const childSegments = [...segments, generatePushId()];
+      const childRef = createReference(store, childSegments);
+      if (value === undefined) return childRef;
+      const promise = childRef.set(value).then(() => createReference(store, childSegments));
+      // Mirror the RTDB ThenableReference: usable as a ref and awaitable
+      return Object.assign(childRef, {
+        then: promise.then.bind(promise),
+        catch: promise.catch.bind(promise),
+      });
+    },
+
+    /**
+     * Compare-and-swap update. Node runs this synchronously, so no other
+     * write can land between the read and the write.
+     */
+    transaction: async (updateFn) => {
+      const current = toValue(copy(store.read(segments)));
+      const next = updateFn(current);
+      if (next === undefined) {
+        return { committed: false, snapshot: createSnapshot(key, current) };
+      }
+      store.write(segments, next);
+      return { committed: true, snapshot: createSnapshot(key, store.read(segments)) };
+    },
+  };
+
+  return ref;
+}
+
+/**
+ * Return the shared local database instance.
+ * When filePath is set every write is persisted to that JSON file.
+ */
+export function getLocalDatabase({ filePath = null } = {}) {
+  const resolvedPath = filePath ? path.resolve(filePath) : null;
+  const existing = globalThis[STORE_KEY];
+
+  if (existing && existing.filePath === resolvedPath) {
+    return existing.db;
+  }
+
+  const store = createStore(resolvedPath);
+  const db = {
+    ref: (refPath = '') => createReference(store, splitPath(refPath)),
+  };
+
+  globalThis[STORE_KEY] = { filePath: resolvedPath, db };
+  console.log(`[LOCALDB] Initialized ${resolvedPath ? `JSON file store (${resolvedPath})` : 'in-memory store'}`);
+  return db;
+}
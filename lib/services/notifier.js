@@ -0,0 +1,436 @@
+/**
+ * Notification dispatcher
+ * Sends a message to every enabled channel subscribed to its event
+ * (Telegram, generic webhook, Discord / Slack incoming webhook, email)
+ * and to every Telegram chat that subscribed to the event's category.
+ * Messages are written in Telegram HTML (<b>, <code>) and converted per channel.
+ * A message may also be a function (language) => HTML; it is then rendered once per
+ * language, in the language of each chat (/language) or channel (`language` setting).
+ * With a database every message goes through the outbox (see utils/outbox.js): sends that
+ * fail are retried by the cron's dispatchOutbox() instead of being lost.
+ * Telegram chats' muted events and quiet hours (see utils/preferences.js) apply per chat.
+ */
+import { sendTelegram } from './telegram.js';
+import { sendChatWebhook, sendWebhook } from './webhook.js';
+import { isEmailConfigured, sendEmail } from './email.js';
+import {
+  DEFAULT_CHANNEL_ID,
+  channelReceives,
+  getNotificationChannels,
+} from '../utils/notifications.js';
+import { getSubscribersRef, getTelegramSubscribers, subscriberReceives } from '../utils/subscribers.js';
+import { DEFAULT_LANGUAGE, isRtl, withDirection } from '../utils/i18n.js';
+import { getChatLanguages } from '../utils/languages.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import { getChatPreferences, getQuietHoursAction, loadQuietHoursTimeZone } from '../utils/preferences.js';
+import {
+  claimEntry,
+  discardEntry,
+  enqueueNotification,
+  getDueEntries,
+  pruneDeadLetters,
+  settleEntry,
+} from '../utils/outbox.js';
+
+// Telegram answers 403 when the bot was blocked or removed from the chat
+const GONE_CHAT_STATUS = 403;
+
+/**
+ * Decode the HTML entities Telegram messages may contain
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Telegram HTML to plain text
+ */
+export function htmlToText(html) {
+  return decodeEntities(html.replace(/<\/?(b|code)>/g, ''));
+}
+
+/**
+ * Telegram HTML to Discord markdown or Slack mrkdwn
+ */
+export function htmlToMarkdown(html, platform) {
+  const bold = platform === 'slack' ? '*' : '**';
+  const text = html
+    .replace(/<\/?b>/g, bold)
+    .replace(/<\/?code>/g, '`');
+  // Slack only needs &, < and > escaped - keep its entities, decode the rest
+  return platform === 'slack'
+    ? text.replace(/&quot;/g, '"')
+    : decodeEntities(text);
+}
+
+/**
+ * Email subject: the message's first line (title) as plain text, without the emoji
+ */
+function emailSubject(html, prefix = 'Fish Feeder') {
+  const title = htmlToText(html.split('\n')[0])
+    .replace(/^[^\p{L}\p{N}]+/u, '')
+    .trim();
+  return title ? `[${prefix}] ${title}` : `[${prefix}] Notification`;
+}
+
+/**
+ * Renders a message per language, each language once.
+ * Resolves { html, language } - language is null for plain (not localized) messages.
+ */
+function createRenderer(message) {
+  if (typeof message !== 'function') {
+    return () => ({ html: message, language: null });
+  }
+  const rendered = {};
+  return (language) => {
+    rendered[language] = rendered[language] || { html: message(language), language };
+    return rendered[language];
+  };
+}
+
+/**
+ * Send a message to one channel. Resolves { success, error? }.
+ * `retries` are Telegram's in-place retries (the outbox retries across cron runs instead);
+ * `timestamp` is when the event happened, for webhooks.
+ */
+async function sendToChannel(channel, event, message, db, data, language, { retries = 2, timestamp = new Date() } = {}) {
+  switch (channel.type) {
+    case 'telegram':
+      return sendTelegram(withDirection(message, language), db, retries, {
+        chatId: channel.config.chatId,
+        event,
+        silent: !!channel.silent,
+      });
+    case 'webhook':
+      return sendWebhook(channel.config, {
+        event,
+        text: htmlToText(message),
+        html: message,
+        ...(language ? { language } : {}),
+        data,
+        timestamp: new Date(timestamp).toISOString(),
+      });
+    case 'discord':
+    case 'slack':
+      return sendChatWebhook(channel.type, channel.config, htmlToMarkdown(message, channel.type));
+    case 'email':
+      return sendEmail(channel.config, {
+        subject: emailSubject(message, channel.config.subjectPrefix),
+        text: htmlToText(message),
+        html: `<div dir="${isRtl(language) ? 'rtl' : 'ltr'}" style="font-family: sans-serif; white-space: pre-wrap">${message}</div>`,
+      });
+    default:
+      return { success: false, error: 'UNKNOWN_CHANNEL_TYPE' };
+  }
+}
+
+/**
+ * Whether the environment has what a channel needs to send (bot token, chat, SMTP server).
+ * An unconfigured channel fails the same way on every attempt, so it is not queued.
+ */
+function isChannelConfigured(channel) {
+  switch (channel.type) {
+    case 'telegram':
+      return !!process.env.TELEGRAM_BOT_TOKEN && !!(channel.config.chatId || process.env.TELEGRAM_CHAT_ID);
+    case 'email':
+      return isEmailConfigured();
+    default:
+      return true;
+  }
+}
+
+/**
+ * Send to one channel and describe the result:
+ * { id, type, success, error, status?, chatId? } (chatId for subscribed chats)
+ */
+async function deliverTo(channel, event, render, db, data, options) {
+  try {
+    const { html, language } = render(channel.language || DEFAULT_LANGUAGE);
+    const result = await sendToChannel(channel, event, html, db, data, language, options);
+    if (!result?.success) {
+      console.warn(`[NOTIFY] ${channel.type} channel "${channel.id}" failed:`, result?.error);
+    }
+    return {
+      id: channel.id,
+      type: channel.type,
+      success: !!result?.success,
+      error: result?.error || null,
+      ...(result?.status ? { status: result.status } : {}),
+      ...(channel.subscriber ? { chatId: channel.config.chatId } : {}),
+    };
+  } catch (error) {
+    console.error(`[NOTIFY] ${channel.type} channel "${channel.id}" error:`, error.message);
+    return { id: channel.id, type: channel.type, success: false, error: error.message };
+  }
+}
+
+/**
+ * Make one attempt at an outbox entry and record its result.
+ * A chat that blocked the bot gets nothing more - its entry is discarded.
+ */
+async function attemptEntry(db, id, entry) {
+  const channel = { ...entry.target, config: entry.target?.config || {} };
+  const render = () => ({ html: entry.html, language: entry.language || null });
+  const result = await deliverTo(channel, entry.event, render, db, entry.data || {}, {
+    retries: 0,
+    timestamp: entry.createdAt,
+  });
+
+  try {
+    if (result.chatId && result.status === GONE_CHAT_STATUS) {
+      await discardEntry(db, id);
+      return { ...result, outbox: 'discarded' };
+    }
+    return { ...result, outbox: await settleEntry(db, id, entry, result, new Date()) };
+  } catch (error) {
+    // The entry stays leased and is retried once the lease expires
+    console.error(`[NOTIFY] Failed to update outbox entry ${id}:`, error.message);
+    return result;
+  }
+}
+
+/**
+ * Queue a message for one channel, then make its first attempt - or none yet when it is
+ * delayed until `deliverAt` (quiet hours). When the outbox cannot be written the message
+ * is sent directly instead (silently if it was to be delayed), as is a message for a
+ * channel the environment does not configure (it fails at once, without a dead letter).
+ */
+async function deliverQueued(channel, event, render, db, data, deliverAt = null) {
+  if (!isChannelConfigured(channel)) {
+    return deliverTo(channel, event, render, db, data, { retries: 0 });
+  }
+
+  let queued;
+  try {
+    const { html, language } = render(channel.language || DEFAULT_LANGUAGE);
+    queued = await enqueueNotification(db, { event, target: channel, html, language, data, deliverAt });
+  } catch (error) {
+    console.error(`[NOTIFY] Outbox write failed for ${channel.type} channel "${channel.id}":`, error.message);
+    return deliverTo({ ...channel, silent: channel.silent || !!deliverAt }, event, render, db, data);
+  }
+
+  if (deliverAt) {
+    return {
+      id: channel.id,
+      type: channel.type,
+      success: false,
+      error: 'QUIET_HOURS',
+      outbox: 'delayed',
+      delayedUntil: deliverAt,
+      ...(channel.subscriber ? { chatId: channel.config.chatId } : {}),
+    };
+  }
+  return attemptEntry(db, queued.id, queued.entry);
+}
+
+/**
+ * Apply a chat's quiet hours - in its own timezone, else `defaultTimeZone` - then deliver through the outbox
+ */
+async function deliverToChat(channel, event, render, db, data, now, defaultTimeZone) {
+  const timeZone = channel.preferences.timeZone || defaultTimeZone;
+  const { action, until } = getQuietHoursAction(channel.preferences, event, now, timeZone);
+  if (action === 'drop') {
+    return {
+      id: channel.id,
+      type: channel.type,
+      success: false,
+      error: 'QUIET_HOURS',
+      dropped: true,
+      ...(channel.subscriber ? { chatId: channel.config.chatId } : {}),
+    };
+  }
+
+  const { preferences, ...target } = channel;
+  return deliverQueued(
+    { ...target, ...(action === 'silent' ? { silent: true } : {}) },
+    event,
+    render,
+    db,
+    data,
+    action === 'delay' ? until : null
+  );
+}
+
+/**
+ * Summarize per-channel results.
+ * Succeeds when at least one channel delivered; `error` is the first failure otherwise.
+ * `queued` is set when a failed or delayed send will be made later from the outbox.
+ */
+function summarize(results) {
+  const success = results.some((result) => result.success);
+  const queued = results.some((result) => result.outbox === 'retry' || result.outbox === 'delayed');
+  return {
+    success,
+    ...(success ? {} : { error: results[0]?.error || 'NO_CHANNELS' }),
+    ...(queued ? { queued } : {}),
+    channels: results,
+  };
+}
+
+/**
+ * Deliver to channels in parallel, without the outbox
+ */
+async function deliver(channels, event, render, db, data) {
+  const results = await Promise.all(channels.map((channel) => deliverTo(channel, event, render, db, data)));
+  return summarize(results);
+}
+
+/**
+ * Send a notification for an event (see NOTIFICATION_EVENTS) to every subscribed channel.
+ * `message` is Telegram HTML, or (language) => Telegram HTML for a localized message;
+ * `data` is passed to generic webhooks as structured context.
+ * Never throws - a failing channel must not break the feed.
+ */
+export async function notify(event, message, db, data = {}) {
+  if (!message || !['string', 'function'].includes(typeof message)) {
+    console.warn('[NOTIFY] Invalid message, skipping');
+    return { success: false, error: 'INVALID_MESSAGE', channels: [] };
+  }
+
+  let channels;
+  let subscribers = [];
+  let chatLanguages = {};
+  let chatPreferences = {};
+  try {
+    [channels, subscribers, chatLanguages, chatPreferences] = db
+      ? await Promise.all([
+        getNotificationChannels(db),
+        getTelegramSubscribers(db),
+        getChatLanguages(db),
+        getChatPreferences(db),
+      ])
+      : [null, [], {}, {}];
+  } catch (error) {
+    // Channel settings unreadable - fall back to the environment's Telegram chat
+    console.error('[NOTIFY] Failed to load channels:', error.message);
+    channels = null;
+  }
+  channels = channels || [{ id: DEFAULT_CHANNEL_ID, type: 'telegram', enabled: true, events: ['*'], config: {} }];
+
+  // A Telegram chat's own /language wins over the channel's language; chats that muted the event are skipped
+  const isMuted = (chatId) => !!chatPreferences[chatId]?.mutedEvents.includes(event);
+  const targets = channels
+    .filter((channel) => channelReceives(channel, event))
+    .map((channel) => {
+      const chatId = channel.type === 'telegram' ? String(channel.config.chatId || process.env.TELEGRAM_CHAT_ID) : null;
+      return {
+        ...channel,
+        language: chatLanguages[chatId] || channel.language || null,
+        ...(chatPreferences[chatId] ? { preferences: chatPreferences[chatId] } : {}),
+      };
+    })
+    .filter((channel) => channel.type !== 'telegram' || !isMuted(String(channel.config.chatId || process.env.TELEGRAM_CHAT_ID)));
+
+  // Subscribed chats, each at most once even if a channel already sends it the event
+  const chats = new Set(targets
+    .filter((channel) => channel.type === 'telegram')
+    .map((channel) => String(channel.config.chatId || process.env.TELEGRAM_CHAT_ID)));
+  for (const subscriber of subscribers) {
+    if (!subscriberReceives(subscriber, event) || chats.has(subscriber.chatId) || isMuted(subscriber.chatId)) continue;
+    chats.add(subscriber.chatId);
+    targets.push({
+      id: `chat:${subscriber.chatId}`,
+      type: 'telegram',
+      name: subscriber.title,
+      language: chatLanguages[subscriber.chatId] || null,
+      config: { chatId: subscriber.chatId },
+      subscriber: true,
+      ...(chatPreferences[subscriber.chatId] ? { preferences: chatPreferences[subscriber.chatId] } : {}),
+    });
+  }
+
+  if (targets.length === 0) {
+    return { success: false, error: 'NO_CHANNELS', channels: [] };
+  }
+
+  const render = createRenderer(message);
+  if (!db) {
+    return deliver(targets, event, render, db, data);
+  }
+
+  // Quiet hours are local times of the chat's timezone, else of the default feeder
+  const now = new Date();
+  const timeZone = targets.some((target) => target.preferences?.quietHours && !target.preferences.timeZone)
+    ? await loadQuietHoursTimeZone(db).catch(() => DEFAULT_TIMEZONE)
+    : DEFAULT_TIMEZONE;
+
+  const result = summarize(await Promise.all(targets.map((target) => (
+    target.preferences
+      ? deliverToChat(target, event, render, db, data, now, timeZone)
+      : deliverQueued(target, event, render, db, data)
+  ))));
+  await removeGoneSubscribers(db, result.channels);
+  return result;
+}
+
+/**
+ * Retry the outbox entries that are due (run by /api/cron/notifications), at most DISPATCH_BATCH per run.
+ * Resolves { pending, attempted, delivered, retrying, dead, discarded, pruned } -
+ * pending counts the entries due before this run (up to 500).
+ */
+export async function dispatchOutbox(db, now = new Date()) {
+  const { due, pending } = await getDueEntries(db, now);
+
+  const results = await Promise.all(due.map(async ({ id }) => {
+    try {
+      const entry = await claimEntry(db, id, now);
+      return entry ? attemptEntry(db, id, entry) : null;
+    } catch (error) {
+      console.error(`[OUTBOX] Failed to claim entry ${id}:`, error.message);
+      return null;
+    }
+  }));
+  const attempted = results.filter(Boolean);
+
+  await removeGoneSubscribers(db, attempted);
+  const pruned = await pruneDeadLetters(db, now);
+
+  const count = (outcome) => attempted.filter((result) => result.outbox === outcome).length;
+  const summary = {
+    pending,
+    attempted: attempted.length,
+    delivered: count('delivered'),
+    retrying: count('retry'),
+    dead: count('dead'),
+    discarded: count('discarded'),
+    pruned,
+  };
+  if (attempted.length > 0) {
+    console.log(`[OUTBOX] Attempted ${summary.attempted}: ${summary.delivered} delivered, ${summary.retrying} retrying, ${summary.dead} dead`);
+  }
+  return summary;
+}
+
+/**
+ * Drop subscribers whose chat no longer accepts messages from the bot
+ */
+async function removeGoneSubscribers(db, results) {
+  const gone = results.filter((result) => result.chatId && result.status === GONE_CHAT_STATUS);
+  await Promise.all(gone.map(async ({ chatId }) => {
+    try {
+      await getSubscribersRef(db).child(chatId).remove();
+      console.log(`[NOTIFY] Removed subscriber ${chatId} (bot blocked or removed from chat)`);
+    } catch (error) {
+      console.warn(`[NOTIFY] Failed to remove subscriber ${chatId}:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Send a test message to a single channel, whatever events it is subscribed to
+ */
+export async function sendTestNotification(channel, db) {
+  const message = [
+    '🧪 <b>TEST NOTIFICATION</b>',
+    '',
+    `📣 <b>Channel:</b> <code>${channel.name}</code>`,
+    '',
+    '✅ Notifications from the fish feeder will arrive here.',
+  ].join('\n');
+
+  return deliver([channel], 'test', createRenderer(message), db, { channelId: channel.id });
+}
@@ -0,0 +1,53 @@
+/**
+ * Storage adapter selection
+ *
+ * Routes and utilities only use this subset of the Firebase Realtime Database API:
+ *   db.ref(path)            -> reference
+ *   ref.child(path)         -> reference
+ *   ref.once('value')       -> snapshot with val(), exists(), child(), forEach()
+ *   ref.set(value) / ref.update(values) / ref.remove()
+ *   ref.push(value)         -> reference with a chronologically ordered key
+ *   ref.transaction(fn)     -> { committed, snapshot }
+ *   ref.orderByKey()        -> query with startAt/endAt/limitToFirst/limitToLast and once('value')
+ *   ref.orderByChild(path)  -> the same, ordered by a child's value (needs ".indexOn" in the RTDB rules)
+ *
+ * STORAGE_ADAPTER picks the implementation:
+ *   firebase (default) - Firebase RTDB via firebase-admin
+ *   memory             - in-process store, lost on restart
+ *   file               - in-process store persisted to STORAGE_FILE (JSON)
+ */
+import { getDatabase as getFirebaseDatabase } from './firebase.js';
+import { getLocalDatabase } from './localdb.js';
+
+export const STORAGE_ADAPTERS = ['firebase', 'memory', 'file'];
+
+const DEFAULT_STORAGE_FILE = '.data/fishfeeder-db.json';
+
+/**
+ * Name of the configured storage adapter
+ */
+export function getStorageAdapterName() {
+  const adapter = (process.env.STORAGE_ADAPTER || 'firebase').trim().toLowerCase();
+  if (!STORAGE_ADAPTERS.includes(adapter)) {
+    throw new Error(`STORAGE_ADAPTER must be one of: ${STORAGE_ADAPTERS.join(', ')} (got "${adapter}")`);
+  }
+  return adapter;
+}
+
+/**
+ * Return the database for the configured storage adapter.
+ * Throws if the adapter cannot be initialized (same contract as the Firebase service).
+ */
+export function getDatabase() {
+  const adapter = getStorageAdapterName();
+
+  if (adapter === 'memory') {
+    return getLocalDatabase();
+  }
+
+  if (adapter === 'file') {
+    return getLocalDatabase({ filePath: process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE });
+  }
+
+  return getFirebaseDatabase();
+}
@@ -2,73 +2,244 @@
  * Telegram Bot service for sending messages
  * Robust error handling and retry logic
  */
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import { DELETE_WINDOW_MS, getRetentionSettings, selectExpiredMessages } from '../utils/retention.js';
+import { getLocale, t } from '../utils/i18n.js';
 
 /**
- * Format date for display in Iraq timezone (UTC+3, Asia/Baghdad)
+ * Format date for display in the feeder's timezone (default Asia/Baghdad) and a language
  */
-export function formatDate(date) {
-  if (!date) return 'N/A';
+export function formatDate(date, timeZone = DEFAULT_TIMEZONE, language = 'en') {
+  if (!date) return t(language, 'common.na');
   try {
     if (typeof date === 'number') {
       date = new Date(date);
     }
-    // Use Iraq timezone (Asia/Baghdad, UTC+3)
-    return date.toLocaleString('en-US', {
-      timeZone: 'Asia/Baghdad',
+    return date.toLocaleString(getLocale(language), {
+      timeZone,
       year: 'numeric',
       month: '2-digit',
       day: '2-digit',
       hour: '2-digit',
       minute: '2-digit',
       second: '2-digit',
-      hour12: false, // Use 24-hour format
+      hourCycle: 'h23', // 24-hour format, midnight as 00 (hour12: false gives 24)
     });
   } catch {
-    return 'N/A';
+    return t(language, 'common.na');
   }
 }
 
 /**
- * Delete all Telegram messages by their message IDs
+ * Call a Telegram Bot API method (no retries - for interactive replies).
+ * Returns { success, result } or { success: false, error, status }.
  */
-async function deleteAllTelegramMessages(token, chatId, messageIds) {
-  if (!messageIds || messageIds.length === 0) return;
+export async function callTelegramApi(method, params, timeoutMs = 5000) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    return { success: false, error: 'MISSING_CREDENTIALS' };
+  }
 
-  const deletePromises = messageIds.map(async (messageId) => {
-    try {
-      const url = `https://api.telegram.org/bot${token}/deleteMessage`;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3000);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
-      try {
-        await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ chat_id: chatId, message_id: messageId }),
-          signal: controller.signal,
-        });
-        clearTimeout(timeoutId);
-      } catch (error) {
-        clearTimeout(timeoutId);
-        if (error.name !== 'AbortError') {
-          throw error;
-        }
+  try {
+    const response = await fetch(`https://api.telegram.org/bot${token}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+      signal: controller.signal,
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.ok) {
+      console.error(`[TELEGRAM] ${method} failed. Status: ${response.status}, Body: ${(body.description || '').substring(0, 200)}`);
+      return { success: false, error: `HTTP_${response.status}`, status: response.status, description: body.description };
+    }
+    return { success: true, result: body.result };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.warn(`[TELEGRAM] ${method} timeout (${timeoutMs / 1000}s)`);
+      return { success: false, error: 'TIMEOUT' };
+    }
+    console.error(`[TELEGRAM] ${method} error:`, error.message);
+    return { success: false, error: error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+const TELEGRAM_PATH = 'system/telegram';
+const CLEANUP_BATCH = 50;
+
+/**
+ * Delete messages from a chat. Resolves the IDs that are gone: deleted, or refused with
+ * 400 (already deleted, or too old to delete). Other failures can be retried later.
+ */
+export async function deleteTelegramMessages(chatId, messageIds) {
+  const results = await Promise.all(messageIds.map(async (messageId) => {
+    const result = await callTelegramApi('deleteMessage', { chat_id: chatId, message_id: messageId }, 3000);
+    return result.success || result.status === 400 ? messageId : null;
+  }));
+  return results.filter((messageId) => messageId !== null);
+}
+
+/**
+ * Tracked messages of system/telegram as [{ messageId, sentAt, event }],
+ * including the messageIds list used before retention settings existed (sentAt 0)
+ */
+function getTrackedMessages(telegramData) {
+  const tracked = Object.entries(telegramData.messages || {})
+    .filter(([, value]) => value && typeof value === 'object')
+    .map(([messageId, value]) => ({
+      messageId: Number(messageId),
+      sentAt: Number(value.sentAt) || 0,
+      event: value.event || null,
+    }));
+
+  const known = new Set(tracked.map((message) => message.messageId));
+  const legacyIds = Array.isArray(telegramData.messageIds)
+    ? telegramData.messageIds
+    : Object.values(telegramData.messageIds || {});
+  const legacy = legacyIds
+    .map(Number)
+    .filter((messageId) => Number.isInteger(messageId) && !known.has(messageId))
+    .map((messageId) => ({ messageId, sentAt: 0, event: null, legacy: true }));
+
+  return [...tracked, ...legacy];
+}
+
+/**
+ * Record a message sent to the main chat for the retention policy.
+ * Messages of pinned events are pinned instead (replacing the event's previous pin),
+ * messages of exempt events are not tracked, so they are never deleted.
+ */
+async function trackSentMessage(db, { chatId, messageId, event, now = new Date() }) {
+  const telegramRef = db.ref(TELEGRAM_PATH);
+  const retentionSnapshot = await telegramRef.child('retention').once('value');
+  const settings = getRetentionSettings(retentionSnapshot.val());
+  const sentAt = now.getTime();
+
+  if (event && settings.pin.includes(event)) {
+    const pinned = await callTelegramApi('pinChatMessage', {
+      chat_id: chatId,
+      message_id: messageId,
+      disable_notification: true,
+    });
+    if (pinned.success) {
+      const pinnedRef = telegramRef.child('pinned').child(event);
+      const previousSnapshot = await pinnedRef.once('value');
+      const previous = previousSnapshot.val();
+      await pinnedRef.set({ messageId, sentAt });
+
+      // The old pin goes back to the normal policy
+      if (previous?.messageId) {
+        await callTelegramApi('unpinChatMessage', { chat_id: chatId, message_id: previous.messageId });
+        await telegramRef.child('messages').child(String(previous.messageId)).set({ sentAt: previous.sentAt || 0, event });
       }
-    } catch (error) {
-      // Silently fail - message deletion is not critical
-      console.warn(`[TELEGRAM] Error deleting message ${messageId}:`, error.message);
+      return;
     }
-  });
+    // Pinning failed (e.g. the bot is not an admin of the group) - apply the normal policy
+  }
 
-  await Promise.all(deletePromises);
+  if (event && settings.exempt.includes(event)) return;
+
+  await telegramRef.child('messages').child(String(messageId)).set({ sentAt, ...(event ? { event } : {}) });
+}
+
+/**
+ * Apply the retention policy to the main chat (run by /api/cron/notifications).
+ * Deletes at most CLEANUP_BATCH messages per run; messages Telegram no longer lets us
+ * delete are only untracked. Resolves { mode, tracked, deleted, untracked, pending }.
+ */
+export async function cleanupTelegramMessages(db, now = new Date()) {
+  const chatId = process.env.TELEGRAM_CHAT_ID;
+  if (!process.env.TELEGRAM_BOT_TOKEN || !chatId) {
+    return { skipped: 'MISSING_CREDENTIALS' };
+  }
+
+  const telegramRef = db.ref(TELEGRAM_PATH);
+  const snapshot = await telegramRef.once('value');
+  const telegramData = snapshot.val() || {};
+  const settings = getRetentionSettings(telegramData.retention);
+  const messages = getTrackedMessages(telegramData);
+
+  const expired = selectExpiredMessages(messages, settings, now);
+  const batch = expired.slice(0, CLEANUP_BATCH);
+  const tooOld = batch.filter((message) => message.sentAt && now.getTime() - message.sentAt >= DELETE_WINDOW_MS);
+  const deletable = batch.filter((message) => !tooOld.includes(message));
+
+  const deleted = deletable.length > 0
+    ? await deleteTelegramMessages(chatId, deletable.map((message) => message.messageId))
+    : [];
+  const gone = new Set([...tooOld.map((message) => message.messageId), ...deleted]);
+
+  // Untrack what is gone and move the old messageIds list into messages/
+  const updates = {};
+  for (const message of messages) {
+    if (gone.has(message.messageId)) {
+      updates[`messages/${message.messageId}`] = null;
+    } else if (message.legacy) {
+      updates[`messages/${message.messageId}`] = { sentAt: 0 };
+    }
+  }
+  if (telegramData.messageIds !== undefined || telegramData.count !== undefined) {
+    updates.messageIds = null;
+    updates.count = null;
+  }
+  if (Object.keys(updates).length > 0) {
+    await telegramRef.update(updates);
+  }
+
+  if (gone.size > 0) {
+    console.log(`[TELEGRAM] Retention (${settings.mode}): deleted ${deleted.length}, untracked ${tooOld.length} message(s)`);
+  }
+
+  return {
+    mode: settings.mode,
+    tracked: messages.length - gone.size,
+    deleted: deleted.length,
+    untracked: tooOld.length,
+    pending: expired.length - gone.size,
+  };
+}
+
+/**
+ * Delete every tracked message of the main chat (the /clear command).
+ * Pinned messages are not tracked, so they stay.
+ */
+export async function clearTelegramMessages(db) {
+  const chatId = process.env.TELEGRAM_CHAT_ID;
+  if (!process.env.TELEGRAM_BOT_TOKEN || !chatId) {
+    return { success: false, error: 'Missing Telegram credentials' };
+  }
+
+  const telegramRef = db.ref(TELEGRAM_PATH);
+  const snapshot = await telegramRef.once('value');
+  const messages = getTrackedMessages(snapshot.val() || {});
+  if (messages.length === 0) {
+    return { success: true, deleted: 0 };
+  }
+
+  const deleted = await deleteTelegramMessages(chatId, messages.map((message) => message.messageId));
+  const gone = new Set(deleted);
+  const updates = { messageIds: null, count: null };
+  for (const message of messages) {
+    updates[`messages/${message.messageId}`] = gone.has(message.messageId) ? null : { sentAt: message.sentAt };
+  }
+  await telegramRef.update(updates);
+
+  return { success: true, deleted: deleted.length };
 }
 
 /**
  * Send a Telegram message with retry logic and robust error handling
- * Stores message IDs in Firebase and deletes all messages after 10 messages.
+ * Messages to the default chat are tracked for the retention policy (see utils/retention.js);
+ * `event` decides whether the message is pinned or exempt from cleanup.
+ * `chatId` overrides TELEGRAM_CHAT_ID (only the default chat's messages are tracked);
+ * `silent` sends without a notification sound (quiet hours).
  * Returns status object for debugging.
  */
-export async function sendTelegram(message, db, retries = 2) {
+export async function sendTelegram(message, db, retries = 2, { chatId: targetChatId = null, event = null, silent = false } = {}) {
   // Validate inputs
   if (!message || typeof message !== 'string') {
     console.warn('[TELEGRAM] Invalid message, skipping');
@@ -76,7 +247,8 @@ export async function sendTelegram(message, db, retries = 2) {
   }
 
   const token = process.env.TELEGRAM_BOT_TOKEN;
-  const chatId = process.env.TELEGRAM_CHAT_ID;
+  const defaultChatId = process.env.TELEGRAM_CHAT_ID;
+  const chatId = targetChatId || defaultChatId;
 
   if (!token || !chatId) {
     console.warn('[TELEGRAM] Missing credentials, skipping notification.');
@@ -109,6 +281,7 @@ export async function sendTelegram(message, db, retries = 2) {
             chat_id: chatId,
             text: message,
             parse_mode: 'HTML',
+            ...(silent ? { disable_notification: true } : {}),
           }),
           signal: controller.signal,
         });
@@ -138,40 +311,14 @@ export async function sendTelegram(message, db, retries = 2) {
 
         const messageId = result.result.message_id;
 
-        // Store message ID in Firebase for 10-message limit (non-blocking)
-        if (db) {
-          // Use setTimeout to make this non-blocking
-          setTimeout(async () => {
-            try {
-              const telegramRef = db.ref('system/telegram');
-              const snapshot = await telegramRef.once('value').catch(() => null);
-              if (!snapshot) {
-                console.warn('[TELEGRAM] Failed to read telegram data from Firebase');
-                return;
-              }
-
-              const telegramData = snapshot.val() || {};
-              const messageIds = telegramData.messageIds || [];
-              const count = telegramData.count || 0;
-
-              const updatedMessageIds = [...messageIds, messageId];
-              const newCount = count + 1;
-
-              if (newCount >= 10) {
-                await deleteAllTelegramMessages(token, chatId, updatedMessageIds);
-                await telegramRef.set({ messageIds: [], count: 0 });
-                console.log('[TELEGRAM] Reached 10 messages, cleared all');
-              } else {
-                await telegramRef.set({
-                  messageIds: updatedMessageIds,
-                  count: newCount,
-                });
-              }
-            } catch (firebaseError) {
-              // Non-critical error - log but don't fail
-              console.error('[TELEGRAM] Error managing message IDs:', firebaseError.message);
-            }
-          }, 0);
+        // Track the message for the retention policy (cleanup runs from the notifications cron)
+        if (db && String(chatId) === String(defaultChatId)) {
+          try {
+            await trackSentMessage(db, { chatId, messageId, event });
+          } catch (firebaseError) {
+            // Non-critical error - log but don't fail
+            console.error('[TELEGRAM] Error tracking message:', firebaseError.message);
+          }
         }
 
         return { success: true, messageId }; // Success - exit retry loop
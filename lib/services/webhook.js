@@ -0,0 +1,80 @@
+/**
+ * HTTP webhook notification channels
+ * - generic webhook: JSON event payload, optionally signed with HMAC-SHA256
+ * - Discord / Slack incoming webhooks: chat message text
+ */
+import { createHmac } from 'node:crypto';
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Discord rejects content over 2000 characters; Slack truncates long text anyway
+const CHAT_MESSAGE_LIMIT = { discord: 2000, slack: 4000 };
+
+/**
+ * POST a JSON body with a timeout. Returns { success, status } or { success: false, error }.
+ */
+async function postJson(url, body, headers = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      console.error(`[WEBHOOK] Failed to send. Status: ${response.status}, Body: ${text.substring(0, 200)}`);
+      return { success: false, error: `HTTP_${response.status}`, status: response.status };
+    }
+    return { success: true, status: response.status };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.warn(`[WEBHOOK] Request timeout (${WEBHOOK_TIMEOUT_MS / 1000}s)`);
+      return { success: false, error: 'TIMEOUT' };
+    }
+    console.error('[WEBHOOK] Error:', error.message);
+    return { success: false, error: error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Send an event to a generic webhook.
+ * With a secret the body is signed: X-FishFeeder-Signature: sha256=<hex HMAC of the body>.
+ */
+export async function sendWebhook({ url, secret = null }, payload) {
+  if (!url) {
+    return { success: false, error: 'MISSING_URL' };
+  }
+
+  const body = JSON.stringify(payload);
+  const headers = { 'X-FishFeeder-Event': payload.event };
+  if (secret) {
+    headers['X-FishFeeder-Signature'] = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  return postJson(url, body, headers);
+}
+
+/**
+ * Send a message to a Discord or Slack incoming webhook.
+ * `text` must already be in the platform's markdown flavour.
+ */
+export async function sendChatWebhook(platform, { url }, text) {
+  if (!url) {
+    return { success: false, error: 'MISSING_URL' };
+  }
+
+  const limit = CHAT_MESSAGE_LIMIT[platform];
+  const content = text.length > limit ? `${text.substring(0, limit - 1)}…` : text;
+  const body = platform === 'discord'
+    ? { content, allowed_mentions: { parse: [] } }
+    : { text: content };
+
+  return postJson(url, JSON.stringify(body));
+}
@@ -0,0 +1,219 @@
+/**
+ * Feed acknowledgement and stuck-servo detection
+ *
+ * triggerFeed records the feed it started in feeder/pendingFeed:
+ *   { id, type, user, portion, requestedAt, attempts }
+ * The Arduino resets status to 0 once it has fed, which acknowledges the pending feed.
+ * If status is still 1 after feedAck.timeoutSeconds the feed counts as failed and
+ * feedAck.onTimeout decides what happens next:
+ *   'reset' - set status back to 0 so later feeds can run (default)
+ *   'retry' - send the trigger again, up to maxRetries times, then reset. status stays 1 (a 0
+ *             would read as the device's acknowledgement); the Arduino sees a new
+ *             device/feedCommand attempt and requestedAt instead
+ *   'none'  - leave status alone; feeds stay blocked until the device resets it
+ */
+import { formatDate } from '../services/telegram.js';
+import { notify } from '../services/notifier.js';
+import { DEFAULT_TIMEZONE } from './timezone.js';
+import { formatTankLines } from './feeder.js';
+import { formatPortion } from './portion.js';
+import { updateHistoryOutcome } from './history.js';
+import { field, t } from './i18n.js';
+
+export const ACK_TIMEOUT_ACTIONS = ['reset', 'retry', 'none'];
+export const DEFAULT_ACK_SETTINGS = { timeoutSeconds: 120, onTimeout: 'reset', maxRetries: 1 };
+
+/**
+ * Acknowledgement settings of a feeder, with defaults for missing values
+ */
+export function getAckSettings(feederData) {
+  const stored = feederData?.feedAck || {};
+  const timeoutSeconds = parseInt(stored.timeoutSeconds, 10);
+  const maxRetries = parseInt(stored.maxRetries, 10);
+  return {
+    timeoutSeconds: timeoutSeconds > 0 ? timeoutSeconds : DEFAULT_ACK_SETTINGS.timeoutSeconds,
+    onTimeout: ACK_TIMEOUT_ACTIONS.includes(stored.onTimeout) ? stored.onTimeout : DEFAULT_ACK_SETTINGS.onTimeout,
+    maxRetries: maxRetries >= 0 ? maxRetries : DEFAULT_ACK_SETTINGS.maxRetries,
+  };
+}
+
+/**
+ * Validate acknowledgement settings from a request body.
+ * Missing fields keep their current value. Returns { settings } or { error, message }.
+ */
+export function parseAckSettings(input, current = DEFAULT_ACK_SETTINGS) {
+  const settings = { ...current };
+
+  if (input?.timeoutSeconds !== undefined) {
+    const timeoutSeconds = Number(input.timeoutSeconds);
+    if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 10 || timeoutSeconds > 3600) {
+      return { error: 'INVALID_TIMEOUT', message: 'timeoutSeconds must be a whole number between 10 and 3600' };
+    }
+    settings.timeoutSeconds = timeoutSeconds;
+  }
+
+  if (input?.onTimeout !== undefined) {
+    const onTimeout = (input.onTimeout || '').toString().trim().toLowerCase();
+    if (!ACK_TIMEOUT_ACTIONS.includes(onTimeout)) {
+      return { error: 'INVALID_ACTION', message: `onTimeout must be one of: ${ACK_TIMEOUT_ACTIONS.join(', ')}` };
+    }
+    settings.onTimeout = onTimeout;
+  }
+
+  if (input?.maxRetries !== undefined) {
+    const maxRetries = Number(input.maxRetries);
+    if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > 5) {
+      return { error: 'INVALID_RETRIES', message: 'maxRetries must be a whole number between 0 and 5' };
+    }
+    settings.maxRetries = maxRetries;
+  }
+
+  return { settings };
+}
+
+/**
+ * Atomically replace feeder/pendingFeed if it still holds the feed we looked at.
+ * `update` receives the current pending feed and returns the new value (null removes it).
+ * Resolves true if this call made the change, false if another run got there first.
+ */
+async function updatePendingFeed(feederRef, pending, update) {
+  let owned = false;
+  await feederRef.child('pendingFeed').transaction((current) => {
+    owned = false;
+    if (current === null) return null;
+    if (current.id !== pending.id || current.requestedAt !== pending.requestedAt) return undefined;
+    owned = true;
+    return update(current);
+  });
+  return owned;
+}
+
+/**
+ * Send feed failed Telegram message
+ */
+async function sendFeedFailedMessage({ db, pending, action, now, feederName, timeZone }) {
+  const typeLabel = (lang) => (['manual', 'reservation', 'timer'].includes(pending.type)
+    ? t(lang, `feed_type.${pending.type}`)
+    : pending.type || t(lang, 'common.unknown'));
+
+  await notify(
+    'feed_failed',
+    (lang) => [
+      t(lang, 'feed_failed.title'),
+      '',
+      ...formatTankLines(feederName, lang),
+      t(lang, 'feed_failed.body'),
+      '',
+      field(lang, '🔧', 'label.type', typeLabel(lang)),
+      field(lang, '👤', 'label.user', (pending.user || 'System').toString().substring(0, 100)),
+      ...(pending.portion ? [field(lang, '🥄', 'label.portion', formatPortion(pending.portion, lang))] : []),
+      field(lang, '🕐', 'label.requested', formatDate(new Date(pending.requestedAt), timeZone, lang)),
+      field(lang, '🔁', 'label.attempts', pending.attempts || 1),
+      field(lang, '⏰', 'label.time', formatDate(now, timeZone, lang)),
+      '',
+      t(lang, action === 'none' ? 'feed_failed.outcome.none' : 'feed_failed.outcome.reset'),
+      t(lang, 'feed_failed.tip'),
+    ].join('\n'),
+    db,
+    { feederName, type: pending.type || null }
+  );
+}
+
+/**
+ * Check the last triggered feed and act on a missing acknowledgement.
+ *
+ * Resolves { state, status, feedId }:
+ *   state  - 'idle' | 'acknowledged' | 'pending' | 'retried' | 'failed'
+ *   status - the feeder status after this check (1 = feeds still blocked)
+ */
+export async function reconcilePendingFeed({ db, feederRef, deviceRef, historyRef, feederData, feederName, timeZone = DEFAULT_TIMEZONE, now = new Date() }) {
+  const pending = feederData?.pendingFeed || null;
+  const status = feederData?.status === 1 ? 1 : 0;
+  const nowMs = now.getTime();
+
+  // Device reset the status - the feed went out (possibly late, after being marked failed)
+  if (status === 0) {
+    if (!pending) {
+      return { state: 'idle', status: 0, feedId: null };
+    }
+
+    const owned = await updatePendingFeed(feederRef, pending, () => null);
+    if (owned) {
+      console.log(`[ACK] Feed ${pending.id} acknowledged`);
+      await updateHistoryOutcome({ feederRef, historyRef }, pending.id, {
+        outcome: 'acknowledged',
+        ackAt: nowMs,
+        attempts: pending.attempts || 1,
+      });
+    }
+    return { state: 'acknowledged', status: 0, feedId: pending.id };
+  }
+
+  const settings = getAckSettings(feederData);
+  const timeoutMs = settings.timeoutSeconds * 1000;
+
+  // Feeds triggered before acknowledgement tracking have no pending entry
+  if (!pending) {
+    const lastFeedTime = Number(feederData.lastFeedTime) || 0;
+    if (settings.onTimeout === 'none' || nowMs - lastFeedTime < timeoutMs) {
+      return { state: 'pending', status: 1, feedId: null };
+    }
+    let owned = false;
+    await feederRef.child('status').transaction((current) => {
+      owned = current === 1;
+      return current === 1 ? 0 : (current === null ? null : undefined);
+    });
+    if (owned) {
+      console.warn('[ACK] Untracked feed never reset status - resetting');
+      await sendFeedFailedMessage({
+        db,
+        pending: { type: 'unknown', requestedAt: lastFeedTime, attempts: 1 },
+        action: 'reset',
+        now,
+        feederName,
+        timeZone,
+      });
+    }
+    return { state: 'failed', status: 0, feedId: null };
+  }
+
+  // Still waiting for the device, or already given up on ('none')
+  if (pending.failedAt) {
+    return { state: 'failed', status: 1, feedId: pending.id };
+  }
+  if (nowMs - (pending.requestedAt || 0) < timeoutMs) {
+    return { state: 'pending', status: 1, feedId: pending.id };
+  }
+
+  const attempts = pending.attempts || 1;
+
+  // Retry: a new feedCommand attempt is the fresh trigger - status stays 1, only the device resets it
+  if (settings.onTimeout === 'retry' && attempts <= settings.maxRetries) {
+    const owned = await updatePendingFeed(feederRef, pending, (current) => ({
+      ...current,
+      attempts: attempts + 1,
+      requestedAt: nowMs,
+    }));
+    if (owned) {
+      console.warn(`[ACK] Feed ${pending.id} not acknowledged - retry ${attempts}/${settings.maxRetries}`);
+      await deviceRef.child('feedCommand').update({ requestedAt: nowMs, attempt: attempts + 1 });
+      await updateHistoryOutcome({ feederRef, historyRef }, pending.id, { attempts: attempts + 1 });
+    }
+    return { state: 'retried', status: 1, feedId: pending.id };
+  }
+
+  // Give up on this feed
+  const action = settings.onTimeout === 'none' ? 'none' : 'reset';
+  const owned = await updatePendingFeed(feederRef, pending, (current) => (
+    action === 'none' ? { ...current, failedAt: nowMs } : null
+  ));
+  if (owned) {
+    console.warn(`[ACK] Feed ${pending.id} failed after ${attempts} attempt(s)`);
+    if (action === 'reset') {
+      await feederRef.child('status').set(0);
+    }
+    await updateHistoryOutcome({ feederRef, historyRef }, pending.id, { outcome: 'failed', failedAt: nowMs, attempts });
+    await sendFeedFailedMessage({ db, pending, action, now, feederName, timeZone });
+  }
+  return { state: 'failed', status: action === 'none' ? 1 : 0, feedId: pending.id };
+}
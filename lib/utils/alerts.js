@@ -1,75 +1,321 @@
 /**
  * Alert utilities for sensors and device status
  */
-import { sendTelegram, formatDate } from '../services/telegram.js';
-import { isDeviceOnline, sendDeviceOfflineMessage } from './feeder.js';
+import { formatDate } from '../services/telegram.js';
+import { notify } from '../services/notifier.js';
+import { isDeviceOnline, sendDeviceOfflineMessage, formatTankLines } from './feeder.js';
+import { parseSensorValue } from './telemetry.js';
+import { field, formatDuration, t } from './i18n.js';
+import {
+  loadOpenIncidents,
+  markIncidentNotified,
+  openIncident,
+  resolveIncident,
+  updateIncidentReading,
+} from './incidents.js';
+
+export const ALERT_SENSORS = ['tds', 'temperature'];
+
+// Defaults match the original hardcoded thresholds (TDS > 800, temperature outside 20-30°C).
+// An incident only resolves once the reading is `hysteresis` back inside the range.
+export const DEFAULT_SENSOR_ALERT_SETTINGS = {
+  tds: { enabled: true, min: null, max: 800, throttleMinutes: 30, hysteresis: 20 },
+  temperature: { enabled: true, min: 20, max: 30, throttleMinutes: 30, hysteresis: 0.5 },
+};
+
+// Plausible sensor range per sensor, used to validate thresholds
+const SENSOR_LIMITS = {
+  tds: { lowest: 0, highest: 5000, maxHysteresis: 500, unit: ' ppm' },
+  temperature: { lowest: -10, highest: 60, maxHysteresis: 5, unit: '°C' },
+};
+
+// Timestamp of the last alert per sensor in alerts/
+const ALERT_TIMESTAMP_KEYS = { tds: 'lastTdsAlert', temperature: 'lastTempAlert' };
 
 /**
- * Check and send sensor alerts with throttling
+ * Sensor alert settings of a feeder, with defaults for missing values
  */
-export async function checkSensorAlerts({ db, sensors, alertsRef, now }) {
-  if (!alertsRef) return;
+export function getSensorAlertSettings(feederData) {
+  const stored = feederData?.sensorAlerts || {};
+  const settings = {};
 
-  const alertsSnapshot = await alertsRef.once('value');
-  const alerts = alertsSnapshot.val() || {};
-  const thirtyMinutesAgo = now.getTime() - 30 * 60 * 1000;
-
-  // Check TDS
-  if (sensors?.tds && sensors.tds > 800) {
-    const lastTdsAlert = alerts.lastTdsAlert || 0;
-    if (lastTdsAlert < thirtyMinutesAgo) {
-      await sendTelegram(
-        [
-          '⚠️ <b>WATER QUALITY WARNING</b>',
-          '',
-          `💧 <b>TDS Level:</b> <code>${sensors.tds} ppm</code>`,
-          `📊 <b>Normal Range:</b> <code>200–600 ppm</code>`,
-          `🔴 <b>Status:</b> <code>HIGH</code>`,
-          '',
-          `⏰ <b>Time:</b> <code>${formatDate(now)}</code>`,
-          '',
-          '💡 Consider water change or filtration.',
-        ].join('\n'),
-        db
-      );
-      await alertsRef.child('lastTdsAlert').set(now.getTime());
+  for (const sensor of ALERT_SENSORS) {
+    const defaults = DEFAULT_SENSOR_ALERT_SETTINGS[sensor];
+    const value = stored[sensor];
+    if (!value) {
+      settings[sensor] = { ...defaults };
+      continue;
     }
+
+    // Saved settings are complete - RTDB drops nulls, so a missing min / max means that side is off
+    const throttleMinutes = parseInt(value.throttleMinutes, 10);
+    settings[sensor] = {
+      enabled: typeof value.enabled === 'boolean' ? value.enabled : defaults.enabled,
+      min: typeof value.min === 'number' ? value.min : null,
+      max: typeof value.max === 'number' ? value.max : null,
+      throttleMinutes: throttleMinutes > 0 ? throttleMinutes : defaults.throttleMinutes,
+      hysteresis: typeof value.hysteresis === 'number' && value.hysteresis >= 0 ? value.hysteresis : defaults.hysteresis,
+    };
   }
 
-  // Check Temperature
-  if (sensors?.temperature) {
-    const temp = sensors.temperature;
-    if (temp < 20 || temp > 30) {
-      const lastTempAlert = alerts.lastTempAlert || 0;
-      if (lastTempAlert < thirtyMinutesAgo) {
-        const status = temp < 20 ? 'LOW' : 'HIGH';
-        const emoji = temp < 20 ? '❄️' : '🔥';
-        await sendTelegram(
-          [
-            `${emoji} <b>TEMPERATURE WARNING</b>`,
-            '',
-            `🌡️ <b>Current:</b> <code>${temp}°C</code>`,
-            `📊 <b>Safe Range:</b> <code>20–30°C</code>`,
-            `🔴 <b>Status:</b> <code>${status}</code>`,
-            '',
-            `⏰ <b>Time:</b> <code>${formatDate(now)}</code>`,
-            '',
-            temp < 20 
-              ? '💡 Consider using a heater.'
-              : '💡 Consider cooling or shade.',
-          ].join('\n'),
-          db
-        );
-        await alertsRef.child('lastTempAlert').set(now.getTime());
+  return settings;
+}
+
+/**
+ * Validate sensor alert settings from a request body, e.g.
+ *   { tds: { max: 700 }, temperature: { enabled: true, min: 22, max: 28, throttleMinutes: 60, hysteresis: 0.5 } }
+ * Missing fields keep their current value; min / max may be null to disable that side.
+ * Returns { settings } or { error, message }.
+ */
+export function parseSensorAlertSettings(input, current = DEFAULT_SENSOR_ALERT_SETTINGS) {
+  const settings = {};
+
+  for (const sensor of ALERT_SENSORS) {
+    const next = { ...current[sensor] };
+    const value = input?.[sensor];
+    const { lowest, highest, maxHysteresis, unit } = SENSOR_LIMITS[sensor];
+
+    if (value !== undefined) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'INVALID_SETTINGS', message: `${sensor} must be an object` };
+      }
+
+      if (value.enabled !== undefined) {
+        if (typeof value.enabled !== 'boolean') {
+          return { error: 'INVALID_ENABLED', message: `${sensor}.enabled must be true or false` };
+        }
+        next.enabled = value.enabled;
+      }
+
+      for (const side of ['min', 'max']) {
+        if (value[side] === undefined) continue;
+        if (value[side] === null) {
+          next[side] = null;
+          continue;
+        }
+        const threshold = Number(value[side]);
+        if (typeof value[side] === 'boolean' || !Number.isFinite(threshold) || threshold < lowest || threshold > highest) {
+          return { error: 'INVALID_THRESHOLD', message: `${sensor}.${side} must be between ${lowest} and ${highest}${unit}, or null` };
+        }
+        next[side] = threshold;
+      }
+
+      if (value.throttleMinutes !== undefined) {
+        const throttleMinutes = Number(value.throttleMinutes);
+        if (!Number.isInteger(throttleMinutes) || throttleMinutes < 1 || throttleMinutes > 1440) {
+          return { error: 'INVALID_THROTTLE', message: `${sensor}.throttleMinutes must be a whole number between 1 and 1440` };
+        }
+        next.throttleMinutes = throttleMinutes;
       }
+
+      if (value.hysteresis !== undefined) {
+        const hysteresis = Number(value.hysteresis);
+        if (typeof value.hysteresis === 'boolean' || value.hysteresis === null || !Number.isFinite(hysteresis) || hysteresis < 0 || hysteresis > maxHysteresis) {
+          return { error: 'INVALID_HYSTERESIS', message: `${sensor}.hysteresis must be between 0 and ${maxHysteresis}${unit}` };
+        }
+        next.hysteresis = hysteresis;
+      }
+    }
+
+    if (next.min !== null && next.max !== null && next.min >= next.max) {
+      return { error: 'INVALID_THRESHOLD', message: `${sensor}.min must be below ${sensor}.max` };
+    }
+    if (next.min !== null && next.max !== null && next.hysteresis * 2 >= next.max - next.min) {
+      return { error: 'INVALID_HYSTERESIS', message: `${sensor}.hysteresis must be less than half of the range` };
     }
+
+    settings[sensor] = next;
   }
+
+  return { settings };
+}
+
+/**
+ * Human-readable threshold range, e.g. "20–30°C", "≤ 800 ppm" or "off"
+ */
+export function formatSensorRange(sensor, { min, max }) {
+  const { unit } = SENSOR_LIMITS[sensor];
+  if (min !== null && max !== null) return `${min}–${max}${unit}`;
+  if (max !== null) return `≤ ${max}${unit}`;
+  if (min !== null) return `≥ ${min}${unit}`;
+  return 'off';
+}
+
+/**
+ * Whether a reading is below / above the configured range. Returns 'LOW', 'HIGH' or null.
+ */
+function getSensorLevel(value, { min, max }) {
+  if (min !== null && value < min) return 'LOW';
+  if (max !== null && value > max) return 'HIGH';
+  return null;
+}
+
+/**
+ * Whether an open incident is still out of range. Inside the hysteresis band next to
+ * the threshold it stays open, so readings hovering at the limit don't flap.
+ */
+function isIncidentOngoing(value, level, { min, max, hysteresis }) {
+  if (level === 'HIGH') return max !== null && value > max - hysteresis;
+  return min !== null && value < min + hysteresis;
+}
+
+/**
+ * Send a sensor warning Telegram message (opened incident, or a reminder while it lasts)
+ */
+async function sendSensorAlertMessage({ db, sensor, value, level, range, now, feederName, timeZone, incident }) {
+  const ongoingLines = (lang) => (incident.notifications > 0
+    ? [field(lang, '⏳', 'label.ongoing_for', formatDuration(now.getTime() - incident.openedAt, lang))]
+    : []);
+
+  if (sensor === 'tds') {
+    await notify(
+      'sensor',
+      (lang) => [
+        t(lang, 'sensor.tds.warning'),
+        '',
+        ...formatTankLines(feederName, lang),
+        field(lang, '💧', 'label.tds_level', `${value} ppm`),
+        field(lang, '📊', 'label.normal_range', range),
+        field(lang, '🔴', 'label.status', t(lang, `sensor.level.${level}`)),
+        ...ongoingLines(lang),
+        '',
+        field(lang, '⏰', 'label.time', formatDate(now, timeZone, lang)),
+        '',
+        t(lang, level === 'HIGH' ? 'sensor.tds.high_tip' : 'sensor.tds.low_tip'),
+      ].join('\n'),
+      db,
+      { feederName, sensor, value, level }
+    );
+    return;
+  }
+
+  await notify(
+    'sensor',
+    (lang) => [
+      `${level === 'LOW' ? '❄️' : '🔥'} ${t(lang, 'sensor.temperature.warning')}`,
+      '',
+      ...formatTankLines(feederName, lang),
+      field(lang, '🌡️', 'label.current', `${value}°C`),
+      field(lang, '📊', 'label.safe_range', range),
+      field(lang, '🔴', 'label.status', t(lang, `sensor.level.${level}`)),
+      ...ongoingLines(lang),
+      '',
+      field(lang, '⏰', 'label.time', formatDate(now, timeZone, lang)),
+      '',
+      t(lang, level === 'LOW' ? 'sensor.temperature.low_tip' : 'sensor.temperature.high_tip'),
+    ].join('\n'),
+    db,
+    { feederName, sensor, value, level }
+  );
+}
+
+/**
+ * Send a sensor recovered Telegram message
+ */
+async function sendSensorRecoveredMessage({ db, sensor, value, range, now, feederName, timeZone, incident }) {
+  const { unit } = SENSOR_LIMITS[sensor];
+  await notify(
+    'sensor',
+    (lang) => [
+      t(lang, sensor === 'tds' ? 'sensor.tds.recovered' : 'sensor.temperature.recovered'),
+      '',
+      ...formatTankLines(feederName, lang),
+      sensor === 'tds'
+        ? field(lang, '💧', 'label.tds_level', `${value} ppm`)
+        : field(lang, '🌡️', 'label.current', `${value}°C`),
+      field(lang, '📊', sensor === 'tds' ? 'label.normal_range' : 'label.safe_range', range),
+      `📈 <b>${t(lang, 'label.peak', { level: t(lang, `sensor.level.${incident.level}`) })}:</b> <code>${incident.peakValue}${unit}</code>`,
+      field(lang, '⏱️', 'label.duration', formatDuration(incident.durationMs, lang)),
+      field(lang, '🕐', 'label.started', formatDate(new Date(incident.openedAt), timeZone, lang)),
+      field(lang, '⏰', 'label.time', formatDate(now, timeZone, lang)),
+      '',
+      t(lang, 'sensor.recovered.footer'),
+    ].join('\n'),
+    db,
+    { feederName, sensor, value, recovered: true }
+  );
+}
+
+/**
+ * Check sensor readings and drive the alert incidents (see incidents.js):
+ * a reading out of range opens an incident and sends a warning, reminders follow every
+ * throttleMinutes while it lasts, and a reading back inside the range (past the
+ * hysteresis band) resolves it with a recovered message.
+ * `settings` comes from getSensorAlertSettings (defaults when omitted).
+ * Resolves { tds, temperature } - each null (nothing happening) or
+ * { value, level, state: 'opened' | 'ongoing' | 'resolved', incidentId, alerted }.
+ */
+export async function checkSensorAlerts({ db, sensors, alertsRef, incidentsRef, now, feederName, timeZone, settings = DEFAULT_SENSOR_ALERT_SETTINGS }) {
+  const results = { tds: null, temperature: null };
+  if (!alertsRef || !incidentsRef) return results;
+
+  const openIncidents = await loadOpenIncidents({ incidentsRef, alertsRef });
+
+  for (const sensor of ALERT_SENSORS) {
+    const sensorSettings = settings[sensor];
+    const value = parseSensorValue(sensors?.[sensor]);
+    let incident = openIncidents[sensor];
+    const range = formatSensorRange(sensor, sensorSettings);
+    const timestampKey = ALERT_TIMESTAMP_KEYS[sensor];
+
+    // Switched off - close the incident quietly
+    if (!sensorSettings?.enabled) {
+      if (incident) {
+        await resolveIncident({ incidentsRef, alertsRef, incident, reason: 'disabled', now });
+      }
+      continue;
+    }
+    if (value === null) continue;
+
+    const level = getSensorLevel(value, sensorSettings);
+
+    if (incident && isIncidentOngoing(value, incident.level, sensorSettings)) {
+      incident = await updateIncidentReading({ incidentsRef, incident, value });
+      const alerted = now.getTime() >= (incident.lastNotifiedAt || 0) + sensorSettings.throttleMinutes * 60 * 1000;
+      if (alerted) {
+        await sendSensorAlertMessage({ db, sensor, value, level: incident.level, range, now, feederName, timeZone, incident });
+        await markIncidentNotified({ incidentsRef, incident, now });
+        await alertsRef.child(timestampKey).set(now.getTime());
+      }
+      results[sensor] = { value, level: incident.level, state: 'ongoing', incidentId: incident.id, alerted };
+      continue;
+    }
+
+    if (incident) {
+      // Back in range - or straight across to the other side, which starts a new incident
+      const resolved = await resolveIncident({
+        incidentsRef,
+        alertsRef,
+        incident,
+        value,
+        reason: level ? 'level_changed' : 'recovered',
+        now,
+      });
+      if (resolved && !level) {
+        await sendSensorRecoveredMessage({ db, sensor, value, range, now, feederName, timeZone, incident: resolved });
+        results[sensor] = { value, level: null, state: 'resolved', incidentId: resolved.id, alerted: true };
+      }
+    }
+
+    if (!level) continue;
+
+    const threshold = level === 'HIGH' ? sensorSettings.max : sensorSettings.min;
+    const opened = await openIncident({ incidentsRef, alertsRef, sensor, level, value, threshold, now });
+    if (!opened) continue;
+
+    await sendSensorAlertMessage({ db, sensor, value, level, range, now, feederName, timeZone, incident: opened });
+    await markIncidentNotified({ incidentsRef, incident: opened, now });
+    await alertsRef.child(timestampKey).set(now.getTime());
+    results[sensor] = { value, level, state: 'opened', incidentId: opened.id, alerted: true };
+  }
+
+  return results;
 }
 
 /**
  * Check and send device online/offline alerts with throttling
  */
-export async function checkDeviceAlerts({ db, deviceData, alertsRef, now, wasOnline }) {
+export async function checkDeviceAlerts({ db, deviceData, alertsRef, now, wasOnline, feederName, timeZone }) {
   if (!alertsRef) return false;
 
   const alertsSnapshot = await alertsRef.once('value');
@@ -83,7 +329,7 @@ export async function checkDeviceAlerts({ db, deviceData, alertsRef, now, wasOnl
   if (wasOnline && !isOnline) {
     const lastOfflineAlert = alerts.lastOfflineAlert || 0;
     if (lastOfflineAlert < fifteenMinutesAgo) {
-      await sendDeviceOfflineMessage({ lastSeen, db });
+      await sendDeviceOfflineMessage({ lastSeen, db, feederName, timeZone });
       await alertsRef.child('lastOfflineAlert').set(now.getTime());
     }
   }
@@ -93,26 +339,24 @@ export async function checkDeviceAlerts({ db, deviceData, alertsRef, now, wasOnl
     const lastOnlineAlert = alerts.lastOnlineAlert || 0;
     if (lastOnlineAlert < fifteenMinutesAgo) {
       const uptime = deviceData?.uptime || 0;
-      const uptimeHours = Math.floor(uptime / 3600);
-      const uptimeMins = Math.floor((uptime % 3600) / 60);
-      const uptimeStr = uptimeHours > 0 
-        ? `${uptimeHours}h ${uptimeMins}m`
-        : `${uptimeMins}m`;
       
-      await sendTelegram(
-        [
-          '🟢 <b>DEVICE ONLINE</b>',
+      await notify(
+        'device',
+        (lang) => [
+          t(lang, 'notify.device_online.title'),
           '',
-          '✅ Connection restored successfully.',
+          ...formatTankLines(feederName, lang),
+          t(lang, 'notify.device_online.body'),
           '',
-          '<b>📡 Connection Info:</b>',
-          `   📶 <b>WiFi:</b> <code>${deviceData?.wifi || 'unknown'}</code>`,
-          `   ⏱️ <b>Uptime:</b> <code>${uptimeStr}</code>`,
-          `   🕐 <b>Last Sync:</b> <code>${formatDate(now)}</code>`,
+          t(lang, 'notify.connection_info'),
+          `   ${field(lang, '📶', 'label.wifi', deviceData?.wifi || 'unknown')}`,
+          `   ${field(lang, '⏱️', 'label.uptime', formatDuration(uptime * 1000, lang))}`,
+          `   ${field(lang, '🕐', 'label.last_sync', formatDate(now, timeZone, lang))}`,
           '',
-          '✨ System is operational.',
+          t(lang, 'notify.device_online.footer'),
         ].join('\n'),
-        db
+        db,
+        { feederName, status: 'online' }
       );
       await alertsRef.child('lastOnlineAlert').set(now.getTime());
     }
@@ -22,3 +22,34 @@ export function isAuthorizedRequest(request, cronSecret) {
   );
 }
 
+
+/**
+ * Determine whether the request carries the admin credential (ADMIN_SECRET),
+ * sent as "Authorization: Bearer <secret>" or the X-Admin-Secret header
+ */
+export function isAdminRequest(request, adminSecret = process.env.ADMIN_SECRET) {
+  if (!adminSecret) {
+    return false;
+  }
+
+  const authHeader = request.headers.get('authorization');
+  return (
+    authHeader === `Bearer ${adminSecret}` ||
+    request.headers.get('x-admin-secret') === adminSecret
+  );
+}
+
+/**
+ * Determine whether a Telegram webhook update comes from Telegram: the
+ * X-Telegram-Bot-Api-Secret-Token header must match the secret_token given to setWebhook.
+ * Fails closed: without TELEGRAM_WEBHOOK_SECRET anyone could post updates claiming to
+ * come from the admin chat, so every update is refused.
+ */
+export function isTelegramWebhookRequest(request, webhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET) {
+  if (!webhookSecret) {
+    console.error('[AUTH] TELEGRAM_WEBHOOK_SECRET is not set - refusing Telegram webhook updates. Set it and pass it as secret_token to setWebhook.');
+    return false;
+  }
+
+  return request.headers.get('x-telegram-bot-api-secret-token') === webhookSecret;
+}
@@ -0,0 +1,221 @@
+/**
+ * Reservation create / cancel rules
+ * Shared by /api/reservations/create, /api/reservations/cancel and the Telegram
+ * /reserve, /myreservation and /cancel commands, so both apply the same rules.
+ *
+ * A reservation belongs to whoever matches one of its owner fields:
+ * userId (verified Firebase uid) or userEmail, deviceId (anonymous visitor, see identity.js),
+ * telegramUserId (Telegram).
+ */
+import { calculateCooldownMs, calculateScheduledTime } from './feeder.js';
+import { getFeederRefs } from './feeders.js';
+import { getFastingReason } from './fasting.js';
+import {
+  MAX_RESERVATIONS,
+  createReservationId,
+  getValidReservations,
+  mutateReservations,
+  rescheduleReservations,
+} from './reservations.js';
+
+const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
+
+/**
+ * Timeout wrapper (same as the routes')
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Whether a reservation belongs to the owner { userId, deviceId, userEmail, telegramUserId }
+ */
+export function isOwnReservation(reservation, { userId = null, deviceId = null, userEmail = null, telegramUserId = null } = {}) {
+  if (userId && reservation.userId === userId) return true;
+  if (deviceId && reservation.deviceId === deviceId) return true;
+  if (userEmail && reservation.userEmail === userEmail) return true;
+  if (telegramUserId && reservation.telegramUserId === String(telegramUserId)) return true;
+  return false;
+}
+
+/**
+ * The owner's reservation in the queue, or null. Resolves { reservation, position }.
+ */
+export function findOwnReservation(feederData, owner) {
+  const queue = getValidReservations(feederData?.reservations);
+  const index = queue.findIndex((r) => isOwnReservation(r, owner));
+  return index === -1 ? null : { reservation: queue[index], position: index + 1 };
+}
+
+/**
+ * Last feed time and cooldown the queue is scheduled from
+ */
+function getQueueTiming(feederData) {
+  let lastFeedTime = feederData.lastFeedTime || 0;
+  const timerHour = Number(feederData.timer?.hour) || 0;
+  const timerMinute = Number(feederData.timer?.minute) || 0;
+  const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
+
+  // Validate lastFeedTime
+  if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
+    console.warn('[RESERVATION] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
+    lastFeedTime = Date.now();
+  }
+
+  return { lastFeedTime, cooldownMs };
+}
+
+/**
+ * Map a failed queue write to { error, message, status }, or rethrow
+ */
+function queueWriteError(error) {
+  if (error.message === 'firebase_timeout') {
+    return { error: 'TIMEOUT', message: 'Database write timeout', status: 504 };
+  }
+  if (error.message === 'transaction_conflict') {
+    return { error: 'QUEUE_CONFLICT', message: 'Reservation queue is busy. Please try again.', status: 409 };
+  }
+  throw error;
+}
+
+/**
+ * Add the owner to the reservation queue.
+ * Resolves { reservation, position, existing } - `existing` when the owner was already queued -
+ * or { error, message, status, ...details } with the HTTP status to answer.
+ * Checks in order: fasting day, owner already queued, queue limit, schedule in the future.
+ */
+export async function createReservation({ db, feeder, feederData, timeZone, owner, user, requestedPortion = null, now = new Date() }) {
+  const { feederRef } = getFeederRefs(db, feeder.id);
+
+  // Check 1: Fasting day
+  const fasting = getFastingReason(feederData, now, timeZone);
+  if (fasting) {
+    return {
+      error: 'FASTING_DAY',
+      message: 'Today is a fasting day. Cannot create reservation.',
+      status: 403,
+      fasting,
+    };
+  }
+
+  // Scheduling inputs (read outside the transaction - the queue itself is locked below)
+  const { lastFeedTime, cooldownMs } = getQueueTiming(feederData);
+  const reservationId = createReservationId();
+
+  // Add to queue atomically: duplicate check, limit and position all see the same queue
+  let outcome;
+  try {
+    outcome = await withTimeout(
+      mutateReservations(feederRef, (validReservations) => {
+        // Check 2: Owner already has a reservation
+        const existingIndex = validReservations.findIndex((r) => isOwnReservation(r, owner));
+        if (existingIndex !== -1) {
+          return { existing: validReservations[existingIndex], position: existingIndex + 1 };
+        }
+
+        // Check 3: Reservation limit (max 20)
+        if (validReservations.length >= MAX_RESERVATIONS) {
+          return { error: 'QUEUE_FULL' };
+        }
+
+        // Calculate scheduled time
+        const scheduledTime = calculateScheduledTime(validReservations, lastFeedTime, cooldownMs);
+        const createdAt = Date.now();
+
+        // Check 4: scheduledTime is in the future
+        if (scheduledTime <= Date.now()) {
+          return { error: 'INVALID_SCHEDULE' };
+        }
+
+        const newReservation = {
+          id: reservationId,
+          user,
+          userEmail: owner.userEmail || null,
+          deviceId: owner.deviceId || null,
+          ...(owner.userId ? { userId: String(owner.userId) } : {}),
+          ...(owner.telegramUserId ? { telegramUserId: String(owner.telegramUserId) } : {}),
+          portion: requestedPortion,
+          scheduledTime,
+          createdAt,
+        };
+
+        return {
+          reservation: newReservation,
+          position: validReservations.length + 1,
+          reservations: [...validReservations, newReservation],
+        };
+      }),
+      8000 // 8 second timeout
+    );
+  } catch (error) {
+    return queueWriteError(error);
+  }
+
+  if (outcome.existing) {
+    return { reservation: outcome.existing, position: outcome.position, existing: true };
+  }
+
+  if (outcome.error === 'QUEUE_FULL') {
+    return {
+      error: 'QUEUE_FULL',
+      message: `Maximum ${MAX_RESERVATIONS} reservations reached`,
+      status: 429,
+    };
+  }
+
+  if (outcome.error === 'INVALID_SCHEDULE') {
+    return {
+      error: 'INVALID_SCHEDULE',
+      message: 'Scheduled time must be in the future',
+      status: 400,
+    };
+  }
+
+  return { reservation: outcome.reservation, position: outcome.position, existing: false };
+}
+
+/**
+ * Remove the owner's reservation and reschedule the rest of the queue from the last feed.
+ * Resolves { removed } or { error, message, status }.
+ */
+export async function cancelReservation({ db, feeder, feederData, owner }) {
+  const { feederRef } = getFeederRefs(db, feeder.id);
+  const { lastFeedTime, cooldownMs } = getQueueTiming(feederData);
+
+  // Find and remove the reservation atomically
+  let outcome;
+  try {
+    outcome = await withTimeout(
+      mutateReservations(feederRef, (validReservations) => {
+        const reservationIndex = validReservations.findIndex((r) => isOwnReservation(r, owner));
+        if (reservationIndex === -1) {
+          return { removed: null };
+        }
+
+        const updatedReservations = validReservations.filter((_, index) => index !== reservationIndex);
+        return {
+          removed: validReservations[reservationIndex],
+          reservations: rescheduleReservations(updatedReservations, lastFeedTime, cooldownMs),
+        };
+      }),
+      8000 // 8 second timeout
+    );
+  } catch (error) {
+    return queueWriteError(error);
+  }
+
+  if (!outcome.removed) {
+    return {
+      error: 'RESERVATION_NOT_FOUND',
+      message: 'Reservation not found',
+      status: 404,
+    };
+  }
+
+  return { removed: outcome.removed };
+}
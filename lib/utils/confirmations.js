@@ -0,0 +1,95 @@
+/**
+ * Telegram inline-keyboard confirmations
+ *
+ * A command that changes something (e.g. /feed) first replies with "Confirm" / "Cancel"
+ * buttons. The pending action is stored in system/confirmations/{token}:
+ *   { action, params, chatId, userId, createdAt, expiresAt }
+ * and the buttons carry the token. Pressing a button claims the record once, so a double
+ * tap or a redelivered update can't run the action twice.
+ */
+
+export const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+const CONFIRMATIONS_PATH = 'system/confirmations';
+const CALLBACK_PATTERN = /^(confirm|cancel):([A-Za-z0-9_-]{1,40})$/;
+
+export function getConfirmationsRef(db) {
+  return db.ref(CONFIRMATIONS_PATH);
+}
+
+/**
+ * Store a pending action. Resolves the token to put in the buttons.
+ */
+export async function createConfirmation(db, { action, params = {}, chatId, userId = null, now = new Date() }) {
+  const confirmationsRef = getConfirmationsRef(db);
+  await pruneConfirmations(confirmationsRef, now);
+
+  const confirmationRef = confirmationsRef.push();
+  await confirmationRef.set({
+    action,
+    params,
+    chatId: String(chatId),
+    ...(userId !== null ? { userId: String(userId) } : {}),
+    createdAt: now.getTime(),
+    expiresAt: now.getTime() + CONFIRMATION_TTL_MS,
+  });
+  return confirmationRef.key;
+}
+
+/**
+ * Remove expired confirmations nobody answered
+ */
+async function pruneConfirmations(confirmationsRef, now) {
+  const snapshot = await confirmationsRef.once('value');
+  const expired = Object.entries(snapshot.val() || {})
+    .filter(([, value]) => !value || value.expiresAt < now.getTime())
+    .map(([token]) => token);
+  await Promise.all(expired.map((token) => confirmationsRef.child(token).remove()));
+}
+
+/**
+ * Inline keyboard with the confirm / cancel buttons
+ */
+export function confirmationKeyboard(token, confirmLabel = '✅ Confirm', cancelLabel = '✖️ Cancel') {
+  return {
+    inline_keyboard: [[
+      { text: confirmLabel, callback_data: `confirm:${token}` },
+      { text: cancelLabel, callback_data: `cancel:${token}` },
+    ]],
+  };
+}
+
+/**
+ * Parse a button's callback_data. Returns { choice: 'confirm' | 'cancel', token } or null.
+ */
+export function parseConfirmationCallback(data) {
+  const match = CALLBACK_PATTERN.exec(data || '');
+  return match ? { choice: match[1], token: match[2] } : null;
+}
+
+/**
+ * Take a pending action out of the store - only the first caller gets it, and only
+ * the user who asked (when the confirmation has a userId).
+ * Resolves the record (with `expired: true` when too old), { denied: true } for another
+ * user (the confirmation stays), or null if it was already used.
+ */
+export async function claimConfirmation(db, token, userId, now = new Date()) {
+  let claimed = null;
+  let denied = false;
+
+  await getConfirmationsRef(db).child(token).transaction((current) => {
+    claimed = null;
+    denied = false;
+    if (current?.userId && current.userId !== String(userId)) {
+      denied = true;
+      return undefined;
+    }
+    // null may just mean "not loaded yet" - returning null lets the transaction retry with the real value
+    claimed = current;
+    return null;
+  });
+
+  if (denied) return { denied: true };
+  if (!claimed) return null;
+  return { ...claimed, expired: claimed.expiresAt < now.getTime() };
+}
@@ -0,0 +1,352 @@
+/**
+ * Daily and weekly digests
+ *
+ * Stored per feeder in feeder/digest (times are local to the feeder's timezone):
+ *   daily:  { enabled, time: 'HH:MM' }               - covers yesterday
+ *   weekly: { enabled, weekday: 0-6, time: 'HH:MM' } - covers the 7 days before today
+ * The digest cron sends a digest once its time has passed that day. alerts/lastDigest/{period}
+ * holds the local day it was last sent ('YYYY-MM-DD'), so each digest goes out once.
+ * Telegram /report day|week builds the same digest on demand.
+ */
+import { notify } from '../services/notifier.js';
+import { DEFAULT_TIMEZONE, getLocalDateKey, getLocalDayStartMs, getZonedParts } from './timezone.js';
+import { iterateHistory } from './history.js';
+import { iterateTelemetry, TELEMETRY_SENSORS } from './telemetry.js';
+import { INCIDENT_SENSORS } from './incidents.js';
+import { pushKeyAt } from './pagination.js';
+import { loadUptime } from './uptime.js';
+import { formatTankLines } from './feeder.js';
+import { DAY_NAMES } from './settings.js';
+import { field, formatClockTime, formatDuration, formatShortDate, t } from './i18n.js';
+
+export const DIGEST_PERIODS = ['day', 'week'];
+export const DEFAULT_DIGEST_SETTINGS = {
+  daily: { enabled: true, time: '08:00' },
+  weekly: { enabled: true, weekday: 0, time: '08:00' },
+};
+
+// Settings key and length in days of each period
+const PERIOD_SETTINGS = { day: 'daily', week: 'weekly' };
+const PERIOD_DAYS = { day: 1, week: 7 };
+
+const FEED_TYPES = ['manual', 'timer', 'reservation'];
+const SENSOR_UNITS = { temperature: '°C', tds: ' ppm' };
+const TOP_USERS = 3;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * "YYYY-MM-DD" shifted by a number of days
+ */
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Digest settings of a feeder, with defaults for missing values
+ */
+export function getDigestSettings(feederData) {
+  const stored = feederData?.digest || {};
+  const weekday = parseInt(stored.weekly?.weekday, 10);
+  const schedule = (key) => ({
+    enabled: typeof stored[key]?.enabled === 'boolean' ? stored[key].enabled : DEFAULT_DIGEST_SETTINGS[key].enabled,
+    time: TIME_PATTERN.test(stored[key]?.time) ? stored[key].time : DEFAULT_DIGEST_SETTINGS[key].time,
+  });
+  return {
+    daily: schedule('daily'),
+    weekly: {
+      ...schedule('weekly'),
+      weekday: weekday >= 0 && weekday <= 6 ? weekday : DEFAULT_DIGEST_SETTINGS.weekly.weekday,
+    },
+  };
+}
+
+/**
+ * Validate digest settings from a request body, e.g.
+ *   { daily: { time: '07:30' }, weekly: { enabled: false } }
+ * Missing fields keep their current value. Returns { settings } or { error, message }.
+ */
+export function parseDigestSettings(input, current = DEFAULT_DIGEST_SETTINGS) {
+  const settings = { daily: { ...current.daily }, weekly: { ...current.weekly } };
+
+  for (const key of ['daily', 'weekly']) {
+    const value = input?.[key];
+    if (value === undefined) continue;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'INVALID_DIGEST', message: `${key} must be an object` };
+    }
+
+    if (value.enabled !== undefined) {
+      if (typeof value.enabled !== 'boolean') {
+        return { error: 'INVALID_ENABLED', message: `${key}.enabled must be true or false` };
+      }
+      settings[key].enabled = value.enabled;
+    }
+
+    if (value.time !== undefined) {
+      const time = (value.time || '').toString().trim();
+      if (!TIME_PATTERN.test(time)) {
+        return { error: 'INVALID_TIME', message: `${key}.time must be HH:MM (24-hour)` };
+      }
+      settings[key].time = time;
+    }
+
+    if (key === 'weekly' && value.weekday !== undefined) {
+      // A day number (0 = Sunday) or an English day name
+      const name = DAY_NAMES.findIndex((day) => day.toLowerCase() === value.weekday?.toString().trim().toLowerCase());
+      const weekday = name >= 0 ? name : Number(value.weekday);
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        return { error: 'INVALID_WEEKDAY', message: 'weekly.weekday must be between 0 (Sunday) and 6, or a day name' };
+      }
+      settings.weekly.weekday = weekday;
+    }
+  }
+
+  return { settings };
+}
+
+/**
+ * Local days a digest built at `now` covers: yesterday, or the 7 days before today.
+ * Returns { from, to } in epoch ms and { fromKey, toKey } as "YYYY-MM-DD".
+ */
+export function getDigestRange(period, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const todayKey = getLocalDateKey(now, timeZone);
+  const fromKey = shiftDateKey(todayKey, -PERIOD_DAYS[period]);
+  return {
+    from: getLocalDayStartMs(fromKey, timeZone),
+    to: getLocalDayStartMs(todayKey, timeZone) - 1,
+    fromKey,
+    toKey: shiftDateKey(todayKey, -1),
+  };
+}
+
+/**
+ * Whether a digest should be sent now: enabled, its day and time have come,
+ * and it was not sent today yet (`lastSent` is the local day it was last sent)
+ */
+export function isDigestDue(settings, period, lastSent, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const schedule = settings[PERIOD_SETTINGS[period]];
+  if (!schedule.enabled) return false;
+
+  const { hour, minute, weekday } = getZonedParts(now, timeZone);
+  if (period === 'week' && weekday !== schedule.weekday) return false;
+
+  const [dueHour, dueMinute] = schedule.time.split(':').map(Number);
+  if (hour * 60 + minute < dueHour * 60 + dueMinute) return false;
+
+  return lastSent !== getLocalDateKey(now, timeZone);
+}
+
+/**
+ * Mark a digest as sent today. Resolves true if this call claimed it,
+ * false if another run already sent it.
+ */
+export async function claimDigest(alertsRef, period, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const todayKey = getLocalDateKey(now, timeZone);
+  let owned = false;
+  await alertsRef.child(`lastDigest/${period}`).transaction((current) => {
+    owned = current !== todayKey;
+    return owned ? todayKey : undefined;
+  });
+  return owned;
+}
+
+/**
+ * Feeds by type, not confirmed feeds, top reservation users and the longest gap without a feed.
+ * Gaps include the start of the period to the first feed and the last feed to its end,
+ * so a period with one feed (or none) still reports how long the tank went unfed.
+ */
+async function summarizeFeeds(historyRef, { from, to }) {
+  const feeds = { total: 0, manual: 0, timer: 0, reservation: 0, failed: 0 };
+  const reservationUsers = {};
+  let longestGap = null;
+  let previous = from;
+
+  const measureGap = (timestamp) => {
+    if (!longestGap || timestamp - previous > longestGap.ms) {
+      longestGap = { ms: timestamp - previous, from: previous, to: timestamp };
+    }
+  };
+
+  for await (const entry of iterateHistory(historyRef, { from, to })) {
+    const timestamp = Number(entry.timestamp) || 0;
+    feeds.total++;
+    if (FEED_TYPES.includes(entry.type)) feeds[entry.type]++;
+    if (entry.outcome === 'failed') feeds.failed++;
+
+    if (entry.type === 'reservation') {
+      // Names end up in Telegram HTML messages
+      const user = (entry.user || 'System').toString().replace(/[<>&]/g, '').trim() || 'System';
+      reservationUsers[user] = (reservationUsers[user] || 0) + 1;
+    }
+
+    measureGap(timestamp);
+    previous = timestamp;
+  }
+  // `to` is the period's last millisecond
+  measureGap(to + 1);
+
+  const topUsers = Object.entries(reservationUsers)
+    .map(([user, count]) => ({ user, count }))
+    .sort((a, b) => b.count - a.count || a.user.localeCompare(b.user))
+    .slice(0, TOP_USERS);
+
+  return { feeds, topUsers, longestGap };
+}
+
+/**
+ * Lowest and highest reading per sensor ({ min, max }, or null without readings)
+ */
+async function summarizeSensors(telemetryRef, { from, to }) {
+  const sensors = {};
+  for (const sensor of TELEMETRY_SENSORS) {
+    sensors[sensor] = null;
+  }
+
+  for await (const reading of iterateTelemetry(telemetryRef, { from, to })) {
+    for (const sensor of TELEMETRY_SENSORS) {
+      const value = reading[sensor];
+      if (value === null) continue;
+      const stats = sensors[sensor];
+      sensors[sensor] = stats
+        ? { min: Math.min(stats.min, value), max: Math.max(stats.max, value) }
+        : { min: value, max: value };
+    }
+  }
+  return sensors;
+}
+
+/**
+ * Alert incidents opened in the period: count per sensor, longest one, how many are still open
+ */
+async function summarizeIncidents(incidentsRef, { from, to }) {
+  // Keys are chronological - start at the first one that can be in range
+  const snapshot = await incidentsRef.orderByKey().startAt(pushKeyAt(from)).once('value');
+
+  const incidents = { total: 0, open: 0, longestMs: null };
+  for (const sensor of INCIDENT_SENSORS) {
+    incidents[sensor] = 0;
+  }
+
+  snapshot.forEach((child) => {
+    const incident = child.val() || {};
+    const openedAt = Number(incident.openedAt) || 0;
+    if (openedAt < from || openedAt > to) return;
+
+    incidents.total++;
+    if (INCIDENT_SENSORS.includes(incident.sensor)) incidents[incident.sensor]++;
+    if (incident.status === 'open') {
+      incidents.open++;
+    } else if (incident.durationMs > (incidents.longestMs || 0)) {
+      incidents.longestMs = incident.durationMs;
+    }
+  });
+  return incidents;
+}
+
+/**
+ * Build the digest of a feeder for 'day' (yesterday) or 'week' (the 7 days before today).
+ * `refs` come from getFeederRefs.
+ */
+export async function buildDigest(refs, period, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const range = getDigestRange(period, now, timeZone);
+
+  const [feedSummary, sensors, uptime, incidents] = await Promise.all([
+    summarizeFeeds(refs.historyRef, range),
+    summarizeSensors(refs.telemetryRef, range),
+    loadUptime(refs.uptimeRef, range.fromKey, range.toKey),
+    summarizeIncidents(refs.incidentsRef, range),
+  ]);
+
+  return {
+    period,
+    from: range.from,
+    to: range.to,
+    ...feedSummary,
+    sensors,
+    uptime,
+    incidents,
+  };
+}
+
+/**
+ * Day and time of a timestamp, e.g. "Oct 18 13:05:00"
+ */
+function formatDayTime(timestamp, timeZone, lang) {
+  const date = new Date(timestamp);
+  return `${formatShortDate(date, lang, timeZone)} ${formatClockTime(date, lang, timeZone)}`;
+}
+
+/**
+ * Lowest and highest reading, e.g. "24.1 – 27.3°C"
+ */
+function formatSensorRange(stats, sensor, lang) {
+  if (!stats) return t(lang, 'digest.no_readings');
+  return `${stats.min} – ${stats.max}${SENSOR_UNITS[sensor]}`;
+}
+
+/**
+ * Telegram HTML of a digest
+ */
+export function formatDigest(digest, { feederName = null, timeZone = DEFAULT_TIMEZONE } = {}, lang = 'en') {
+  const { feeds, topUsers, longestGap, sensors, uptime, incidents } = digest;
+  const fromDay = formatShortDate(new Date(digest.from), lang, timeZone);
+  const toDay = formatShortDate(new Date(digest.to), lang, timeZone);
+
+  const lines = [
+    t(lang, `digest.title.${digest.period}`),
+    '',
+    ...formatTankLines(feederName, lang),
+    field(lang, '📅', 'label.period', digest.period === 'day' ? fromDay : `${fromDay} – ${toDay}`),
+    '',
+    t(lang, 'digest.feeds', { count: feeds.total }),
+    `   ${FEED_TYPES.map((type) => `${t(lang, `feed_type.${type}`)}: ${feeds[type]}`).join(' · ')}`,
+  ];
+  if (feeds.failed > 0) {
+    lines.push(`   ${t(lang, 'digest.not_confirmed', { count: feeds.failed })}`);
+  }
+  lines.push(field(lang, '⏳', 'label.longest_gap', longestGap ? formatDuration(longestGap.ms, lang) : t(lang, 'common.na')));
+  if (longestGap) {
+    lines.push(`   ${formatDayTime(longestGap.from, timeZone, lang)} → ${formatDayTime(longestGap.to, timeZone, lang)}`);
+  }
+
+  lines.push('', t(lang, 'digest.top_users'));
+  if (topUsers.length === 0) {
+    lines.push(`   ${t(lang, 'digest.no_reservations')}`);
+  }
+  topUsers.forEach(({ user, count }, index) => {
+    lines.push(`   ${t(lang, 'digest.top_user', { rank: index + 1, user, count })}`);
+  });
+
+  lines.push(
+    '',
+    field(lang, '📡', 'label.device_uptime', uptime.percent !== null ? `${uptime.percent}%` : t(lang, 'common.na')),
+    field(lang, '🌡️', 'label.temperature', formatSensorRange(sensors.temperature, 'temperature', lang)),
+    field(lang, '💧', 'label.tds', formatSensorRange(sensors.tds, 'tds', lang)),
+    '',
+    t(lang, 'digest.incidents', { count: incidents.total }),
+  );
+  if (incidents.total > 0) {
+    lines.push(`   ${INCIDENT_SENSORS.map((sensor) => `${t(lang, `label.${sensor}`)}: ${incidents[sensor]}`).join(' · ')}`);
+    if (incidents.longestMs !== null) {
+      lines.push(`   ${field(lang, '⏱️', 'label.longest', formatDuration(incidents.longestMs, lang))}`);
+    }
+    if (incidents.open > 0) {
+      lines.push(`   ${field(lang, '🔴', 'label.still_open', incidents.open)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Send a digest to the notification channels
+ */
+export async function sendDigestMessage({ db, digest, feederId = null, feederName = null, timeZone = DEFAULT_TIMEZONE }) {
+  return notify(
+    'digest',
+    (lang) => formatDigest(digest, { feederName, timeZone }, lang),
+    db,
+    { feederId, feederName, period: digest.period, digest }
+  );
+}
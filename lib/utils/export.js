@@ -0,0 +1,130 @@
+/**
+ * Data export (CSV / NDJSON)
+ * Rows are written to the response as they are read, so large ranges are never
+ * held in memory at once.
+ */
+import { formatLocalIsoTime } from './timezone.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ * Validate ?format= (default csv). Returns { format } or { error, message }.
+ */
+export function parseExportFormat(searchParams) {
+  const format = (searchParams.get('format') || 'csv').trim().toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: 'INVALID_FORMAT', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  return { format };
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break.
+ * Free-text fields starting with =, +, - or @ are prefixed with ' so spreadsheets don't run them as formulas.
+ */
+function csvField(value, isText) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (isText && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flat export row of a feed history entry
+ */
+export function historyExportRow(entry, timeZone) {
+  const timestamp = Number(entry.timestamp) || 0;
+  return {
+    id: entry.id,
+    timestamp,
+    time: formatLocalIsoTime(new Date(timestamp), timeZone),
+    type: entry.type || null,
+    user: entry.user || null,
+    slot: entry.slot || null,
+    portionUnit: entry.portion?.unit || null,
+    portionAmount: entry.portion?.amount ?? null,
+    outcome: entry.outcome || null,
+    attempts: entry.attempts ?? null,
+    ackAt: entry.ackAt ?? null,
+    failedAt: entry.failedAt ?? null,
+  };
+}
+
+export const HISTORY_EXPORT_COLUMNS = Object.keys(historyExportRow({ timestamp: 0 }, 'UTC'));
+export const HISTORY_TEXT_COLUMNS = ['user'];
+
+/**
+ * Flat export row of a sensor reading
+ */
+export function telemetryExportRow(reading, timeZone) {
+  return {
+    timestamp: reading.timestamp,
+    time: formatLocalIsoTime(new Date(reading.timestamp), timeZone),
+    temperature: reading.temperature,
+    tds: reading.tds,
+  };
+}
+
+export const TELEMETRY_EXPORT_COLUMNS = Object.keys(telemetryExportRow({ timestamp: 0 }, 'UTC'));
+
+/**
+ * Build a streaming export response from an async iterable of rows.
+ * `textColumns` hold user input (CSV formula guard); `name` becomes the download file name.
+ */
+export function createExportResponse({ rows, columns, textColumns = [], format, name }) {
+  const encoder = new TextEncoder();
+  const iterator = rows[Symbol.asyncIterator]();
+  let headerSent = format !== 'csv';
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        if (!headerSent) {
+          headerSent = true;
+          controller.enqueue(encoder.encode(`${columns.join(',')}\r\n`));
+          return;
+        }
+
+        const { value, done } = await iterator.next();
+        if (done) {
+          controller.close();
+          return;
+        }
+
+        const line = format === 'csv'
+          ? `${columns.map((column) => csvField(value[column], textColumns.includes(column))).join(',')}\r\n`
+          : `${JSON.stringify(value)}\n`;
+        controller.enqueue(encoder.encode(line));
+      } catch (error) {
+        // Headers are already sent - all we can do is cut the download short
+        console.error('[EXPORT] Stream failed:', error.message);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${name}.${format}"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+/**
+ * Map an async iterable (e.g. iterateHistory) to export rows
+ */
+export async function* mapRows(source, toRow) {
+  for await (const item of source) {
+    yield toRow(item);
+  }
+}
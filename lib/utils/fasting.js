@@ -0,0 +1,195 @@
+/**
+ * Fasting calendar utilities
+ *
+ * Stored per feeder in feeder/fasting:
+ *   weekdays: [0-6]                     - every Sunday (0) ... Saturday (6)
+ *   entries/{id}: {
+ *     type: 'date'   - date: 'YYYY-MM-DD'            (one-off day)
+ *           'range'  - start, end: 'YYYY-MM-DD'      (inclusive, e.g. holidays)
+ *           'yearly' - date: 'MM-DD'                 (every year)
+ *     label: string, createdAt: number
+ *   }
+ *
+ * The legacy timer.noFeedDay weekday still counts as a fasting weekday.
+ * Dates are compared as local calendar days in the feeder's timezone.
+ */
+import { DEFAULT_TIMEZONE, getLocalDateKey, getZonedParts } from './timezone.js';
+import { dayName, t } from './i18n.js';
+
+export const FASTING_ENTRY_TYPES = ['date', 'range', 'yearly'];
+export const MAX_FASTING_ENTRIES = 100;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_LABEL = 'Fasting day';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MONTH_DAY_PATTERN = /^(\d{2})-(\d{2})$/;
+
+/**
+ * Check a 'YYYY-MM-DD' string is a real calendar date
+ */
+function isValidDateKey(value) {
+  const match = typeof value === 'string' ? value.match(DATE_PATTERN) : null;
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Check an 'MM-DD' string is a day that exists in some year (02-29 allowed)
+ */
+function isValidMonthDay(value) {
+  const match = typeof value === 'string' ? value.match(MONTH_DAY_PATTERN) : null;
+  if (!match) return false;
+  return isValidDateKey(`2000-${match[1]}-${match[2]}`);
+}
+
+/**
+ * Keep only valid, unique weekday numbers (sorted)
+ */
+export function normalizeWeekdays(weekdays) {
+  const list = Array.isArray(weekdays)
+    ? weekdays
+    : (weekdays && typeof weekdays === 'object' ? Object.values(weekdays) : []);
+  const valid = list
+    .map((day) => parseInt(day, 10))
+    .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+  return [...new Set(valid)].sort((a, b) => a - b);
+}
+
+/**
+ * Validate the weekdays of a request body: every entry must be an integer 0-6.
+ * Repeated days are merged. Returns { weekdays } or { error, message }.
+ */
+export function parseWeekdays(input) {
+  if (!Array.isArray(input) || !input.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return {
+      error: 'INVALID_WEEKDAYS',
+      message: 'weekdays must be an array of integers between 0 (Sunday) and 6 (Saturday)',
+    };
+  }
+  return { weekdays: normalizeWeekdays(input) };
+}
+
+/**
+ * Fasting weekdays of a feeder, including the legacy timer.noFeedDay
+ */
+export function getFastingWeekdays(feederData) {
+  const weekdays = normalizeWeekdays(feederData?.fasting?.weekdays);
+  const noFeedDay = feederData?.timer?.noFeedDay;
+  if (noFeedDay !== null && noFeedDay !== undefined) {
+    return normalizeWeekdays([...weekdays, noFeedDay]);
+  }
+  return weekdays;
+}
+
+/**
+ * Calendar entries of a feeder as [{ id, type, ... }], oldest first
+ */
+export function getFastingEntries(feederData) {
+  const entries = feederData?.fasting?.entries;
+  if (!entries || typeof entries !== 'object') return [];
+  return Object.entries(entries)
+    .filter(([, entry]) => entry && FASTING_ENTRY_TYPES.includes(entry.type))
+    .map(([id, entry]) => ({ id, ...entry }))
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+/**
+ * Validate and normalize a calendar entry from a request body.
+ * Returns { entry } or { error, message }.
+ */
+export function parseFastingEntry(input) {
+  const type = (input?.type || '').toString().trim().toLowerCase();
+  const label = (input?.label || '').toString().replace(/[<>&]/g, '').trim().substring(0, 50);
+
+  if (type === 'date') {
+    const date = (input.date || '').toString().trim();
+    if (!isValidDateKey(date)) {
+      return { error: 'INVALID_DATE', message: 'date must be a valid YYYY-MM-DD date' };
+    }
+    return { entry: { type, date, label } };
+  }
+
+  if (type === 'range') {
+    const start = (input.start || '').toString().trim();
+    const end = (input.end || '').toString().trim();
+    if (!isValidDateKey(start) || !isValidDateKey(end)) {
+      return { error: 'INVALID_DATE', message: 'start and end must be valid YYYY-MM-DD dates' };
+    }
+    if (start > end) {
+      return { error: 'INVALID_RANGE', message: 'start must not be after end' };
+    }
+    return { entry: { type, start, end, label } };
+  }
+
+  if (type === 'yearly') {
+    const date = (input.date || '').toString().trim();
+    if (!isValidMonthDay(date)) {
+      return { error: 'INVALID_DATE', message: 'date must be a valid MM-DD day for yearly entries' };
+    }
+    return { entry: { type, date, label } };
+  }
+
+  return { error: 'INVALID_TYPE', message: `type must be one of: ${FASTING_ENTRY_TYPES.join(', ')}` };
+}
+
+/**
+ * Check whether a calendar entry covers a local day ('YYYY-MM-DD')
+ */
+export function fastingEntryMatches(entry, dateKey) {
+  if (!entry) return false;
+  if (entry.type === 'date') return entry.date === dateKey;
+  if (entry.type === 'range') return entry.start <= dateKey && dateKey <= entry.end;
+  if (entry.type === 'yearly') return entry.date === dateKey.slice(5);
+  return false;
+}
+
+/**
+ * Why a feeder fasts on the local day containing `date`, or null if it doesn't.
+ * Returns { source: 'weekday' | 'date' | 'range' | 'yearly', label, id?, weekday? }
+ */
+export function getFastingReason(feederData, date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const dateKey = getLocalDateKey(date, timeZone);
+
+  const entry = getFastingEntries(feederData).find((e) => fastingEntryMatches(e, dateKey));
+  if (entry) {
+    return { source: entry.type, label: entry.label || DEFAULT_LABEL, id: entry.id };
+  }
+
+  const weekday = getZonedParts(date, timeZone).weekday;
+  if (getFastingWeekdays(feederData).includes(weekday)) {
+    return { source: 'weekday', label: DAY_NAMES[weekday], weekday };
+  }
+
+  return null;
+}
+
+/**
+ * Label of a fasting reason in a language (weekday name, or the entry's own label)
+ */
+export function formatFastingLabel(reason, language = 'en') {
+  if (reason.source === 'weekday') return dayName(reason.weekday, language);
+  return reason.label === DEFAULT_LABEL ? t(language, 'fasting.default_label') : reason.label;
+}
+
+/**
+ * Human-readable fasting status for Telegram messages
+ */
+export function formatFastingReason(reason, language = 'en') {
+  if (!reason) return t(language, 'common.no');
+  const label = formatFastingLabel(reason, language);
+  return reason.source === 'weekday'
+    ? t(language, 'fasting.weekday', { day: label })
+    : t(language, 'fasting.entry', { label });
+}
+
+/**
+ * Weekday names for display
+ */
+export function formatWeekdays(weekdays, language = 'en') {
+  return weekdays.length > 0
+    ? weekdays.map((day) => dayName(day, language)).join(', ')
+    : t(language, 'common.none');
+}
@@ -1,18 +1,11 @@
 /**
  * Feeder utility functions according to README_BACKEND_API.md
  */
-import { sendTelegram, formatDate } from '../services/telegram.js';
-
-/**
- * Check if today is fasting day
- */
-export function isFastingDay(noFeedDay) {
-  if (noFeedDay === null || noFeedDay < 0 || noFeedDay > 6) {
-    return false;
-  }
-  const today = new Date().getDay(); // 0 = Sunday, 6 = Saturday
-  return today === noFeedDay;
-}
+import { notify } from '../services/notifier.js';
+import { DEFAULT_TIMEZONE, getZonedParts } from './timezone.js';
+import { DEFAULT_PORTION, formatPortion } from './portion.js';
+import { appendHistory } from './history.js';
+import { dayName, field, formatClockTime, formatDuration, formatShortDate, t } from './i18n.js';
 
 /**
  * Check if device is online (lastSeen within 2 minutes)
@@ -124,132 +117,163 @@ export function calculateScheduledTime(reservations, lastFeedTime, cooldownMs) {
  * Trigger a feed and update all related data according to README_BACKEND_FIX.md
  * CRITICAL: Update lastFeedTime and lastFeed BEFORE setting status = 1
  * lastFeed is an object: {timestamp, hour, minute, second}
+ * The portion is written to device/feedCommand before status = 1 so the Arduino reads it with the trigger
+ * The feed is tracked in feeder/pendingFeed until the Arduino resets status (see acknowledgement.js)
+ * `userId` is the verified Firebase uid of the visitor who asked for the feed, kept in history
  */
-export async function triggerFeed({ type, user, db, feederRef, now }) {
+export async function triggerFeed({ type, user, userId = null, db, feederRef, deviceRef, historyRef, now, timeZone = DEFAULT_TIMEZONE, slot = null, portion = DEFAULT_PORTION }) {
   // Validate inputs
   if (!feederRef) {
     throw new Error('feederRef is required');
   }
+  if (!deviceRef) {
+    throw new Error('deviceRef is required');
+  }
+  if (!historyRef) {
+    throw new Error('historyRef is required');
+  }
   if (!now || !(now instanceof Date)) {
     throw new Error('now must be a valid Date object');
   }
 
   const timestampMs = now.getTime();
-  const hour = now.getHours();
-  const minute = now.getMinutes();
-  const second = now.getSeconds();
+  // The history push key doubles as the feed ID
+  const historyEntryRef = historyRef.push();
+  const feedId = historyEntryRef.key;
+  // lastFeed holds the wall-clock time of the feeder, not of the server
+  const { hour, minute, second } = getZonedParts(now, timeZone);
 
-  console.log(`[FEEDER] Triggering ${type} feed for user: ${user || 'System'}`);
+  console.log(`[FEEDER] Triggering ${type} feed for user: ${user || 'System'} (${formatPortion(portion)})`);
 
   try {
     // CRITICAL: Update lastFeedTime FIRST (most important - prevents Arduino overwrite)
-    // Use set() with error handling - this is the most critical write
+    // The feed command goes out with it so the portion is in place before status = 1
     try {
-      await feederRef.child('lastFeedTime').set(timestampMs);
+      await Promise.all([
+        feederRef.child('lastFeedTime').set(timestampMs),
+        deviceRef.child('feedCommand').set({
+          id: feedId,
+          unit: portion.unit,
+          amount: portion.amount,
+          type,
+          requestedAt: timestampMs,
+        }),
+      ]);
     } catch (error) {
-      console.error('[FEEDER] Failed to set lastFeedTime:', error.message);
+      console.error('[FEEDER] Failed to set lastFeedTime/feedCommand:', error.message);
       throw error; // This is critical - must succeed
     }
 
-    // Update lastFeed and status in parallel (status triggers servo)
-    // These can be done together as they don't depend on each other
-    // Use Promise.all for speed (FastCron needs fast responses)
+    // Update lastFeed, pendingFeed and status in one multi-path update (status triggers servo)
+    // pendingFeed and status land together, so a cron run never sees one without the other
     try {
-      await Promise.all([
-        feederRef.child('lastFeed').set({
+      await feederRef.update({
+        lastFeed: {
           timestamp: timestampMs,
           hour,
           minute,
           second,
-        }),
-        feederRef.child('status').set(1) // Trigger servo
-      ]);
+        },
+        pendingFeed: {
+          id: feedId,
+          type,
+          user: (user || 'System').toString().substring(0, 100),
+          portion: { unit: portion.unit, amount: portion.amount },
+          requestedAt: timestampMs,
+          attempts: 1,
+        },
+        status: 1, // Trigger servo
+      });
     } catch (error) {
-      console.error('[FEEDER] Failed to set lastFeed/status:', error.message);
+      console.error('[FEEDER] Failed to set lastFeed/pendingFeed/status:', error.message);
       throw error; // These are also critical
     }
 
-    // Append to history (non-blocking - don't wait for it)
-    const historyRef = feederRef.child('history');
-    setTimeout(async () => {
-      try {
-        const historySnapshot = await historyRef.once('value');
-        const history = historySnapshot.val() || [];
-        
-        // Ensure history is an array
-        const historyArray = Array.isArray(history) ? history : [];
-
-        const newHistoryEntry = {
-          timestamp: timestampMs,
-          type: type, // "manual", "timer", or "reservation"
-          user: (user || 'System').toString().substring(0, 100), // Limit length
-        };
-
-        // Add to beginning and limit to 20
-        const updatedHistory = [newHistoryEntry, ...historyArray].slice(0, 20);
-        await historyRef.set(updatedHistory);
-      } catch (err) {
-        console.error('[FEEDER] Error updating history:', err.message);
+    // Append to history before returning, so the entry exists when the Arduino acknowledges
+    // the feed and reconcilePendingFeed records its outcome. The feed is already out: a
+    // failed history write is logged, not thrown
+    try {
+      const newHistoryEntry = {
+        timestamp: timestampMs,
+        type: type, // "manual", "timer", or "reservation"
+        user: (user || 'System').toString().substring(0, 100), // Limit length
+        portion: { unit: portion.unit, amount: portion.amount },
+        outcome: 'pending', // Set to "acknowledged" or "failed" by reconcilePendingFeed
+      };
+      if (userId) {
+        newHistoryEntry.userId = String(userId);
+      }
+      if (slot) {
+        newHistoryEntry.slot = slot.time; // Clock schedule slot served by this feed
       }
-    }, 0);
 
-    return { timestampMs, hour, minute, second };
+      await appendHistory({ feederRef, entryRef: historyEntryRef, entry: newHistoryEntry });
+    } catch (err) {
+      console.error('[FEEDER] Error updating history:', err.message);
+    }
+
+    return { feedId, timestampMs, hour, minute, second, portion };
   } catch (error) {
     console.error('[FEEDER] Error in triggerFeed:', error.message);
     throw error;
   }
 }
 
+/**
+ * Tank name line for Telegram messages (nothing when no name is given)
+ */
+export function formatTankLines(feederName, language = 'en') {
+  if (!feederName) return [];
+  const safeName = feederName.toString().substring(0, 50);
+  return [field(language, '🐠', 'label.tank', safeName)];
+}
+
 /**
  * Send feed executed Telegram message according to spec format
  */
-export async function sendFeedExecutedMessage({ type, user, now, db }) {
+export async function sendFeedExecutedMessage({ type, user, now, db, feederName, timeZone = DEFAULT_TIMEZONE, portion = null }) {
   try {
     if (!now || !(now instanceof Date)) {
       console.warn('[FEEDER] Invalid date in sendFeedExecutedMessage');
       return;
     }
 
-    const timeStr = now.toLocaleTimeString('en-US', { 
-      timeZone: 'Asia/Baghdad',
-      hour12: false 
-    });
-    const dateStr = now.toLocaleDateString('en-US', { 
-      timeZone: 'Asia/Baghdad',
-      month: 'short', 
-      day: 'numeric' 
-    });
     const safeUser = (user || 'System').toString().substring(0, 100);
 
-    let emoji, title, typeLabel;
+    let emoji, title, typeKey;
+    let feedEvent = 'feed';
     if (type === 'manual') {
       emoji = '✅';
       title = 'MANUAL FEED';
-      typeLabel = 'Manual';
+      typeKey = 'manual';
     } else if (type === 'reservation') {
       emoji = '🎉';
       title = 'RESERVATION FEED';
-      typeLabel = 'Reservation';
+      typeKey = 'reservation';
+      feedEvent = 'reservation';
     } else if (type === 'timer') {
       emoji = '🤖';
       title = 'AUTO FEED';
-      typeLabel = 'Auto';
+      typeKey = 'timer';
+      feedEvent = 'auto_feed';
     } else {
       emoji = '✅';
       title = 'FEED EXECUTED';
-      typeLabel = 'System';
+      typeKey = 'system';
     }
 
-    const message = [
-      `${emoji} <b>${title}</b>`,
+    const message = (lang) => [
+      `${emoji} <b>${t(lang, `notify.feed.${typeKey === 'system' ? 'other' : typeKey}`)}</b>`,
       '',
-      `👤 <b>User:</b> <code>${safeUser}</code>`,
-      `📅 <b>Date:</b> <code>${dateStr}</code>`,
-      `🕐 <b>Time:</b> <code>${timeStr}</code>`,
-      `🔧 <b>Type:</b> <code>${typeLabel}</code>`,
+      ...formatTankLines(feederName, lang),
+      field(lang, '👤', 'label.user', safeUser),
+      field(lang, '📅', 'label.date', formatShortDate(now, lang, timeZone)),
+      field(lang, '🕐', 'label.time', formatClockTime(now, lang, timeZone)),
+      field(lang, '🔧', 'label.type', t(lang, `feed_type.${typeKey}`)),
+      ...(portion ? [field(lang, '🥄', 'label.portion', formatPortion(portion, lang))] : []),
     ].join('\n');
 
-    const result = await sendTelegram(message, db);
+    const result = await notify(feedEvent, message, db, { feederName, type, user: safeUser });
     
     if (result?.success) {
       console.log(`[FEEDER] ✅ ${title} Telegram message sent successfully`);
@@ -268,7 +292,7 @@ export async function sendFeedExecutedMessage({ type, user, now, db }) {
 /**
  * Send reservation created Telegram message
  */
-export async function sendReservationCreatedMessage({ user, scheduledTime, position, db }) {
+export async function sendReservationCreatedMessage({ user, scheduledTime, position, db, feederName, timeZone = DEFAULT_TIMEZONE }) {
   try {
     if (!scheduledTime || typeof scheduledTime !== 'number') {
       console.warn('[FEEDER] Invalid scheduledTime in sendReservationCreatedMessage');
@@ -281,69 +305,76 @@ export async function sendReservationCreatedMessage({ user, scheduledTime, posit
       return;
     }
 
-    const timeStr = scheduledDate.toLocaleTimeString('en-US', { 
-      timeZone: 'Asia/Baghdad',
-      hour12: false 
-    });
-    const dateStr = scheduledDate.toLocaleDateString('en-US', { 
-      timeZone: 'Asia/Baghdad',
-      month: 'short', 
-      day: 'numeric' 
-    });
     const safeUser = (user || 'Visitor').toString().substring(0, 100);
     const safePosition = Math.max(1, Math.min(999, Number(position) || 1));
 
-    const message = [
-      '📝 <b>NEW RESERVATION CREATED</b>',
+    const message = (lang) => [
+      t(lang, 'notify.reservation_created.title'),
       '',
-      `👤 <b>User:</b> <code>${safeUser}</code>`,
-      `📅 <b>Date:</b> <code>${dateStr}</code>`,
-      `🕐 <b>Scheduled Time:</b> <code>${timeStr}</code>`,
-      `📊 <b>Position in Queue:</b> <code>#${safePosition}</code>`,
+      ...formatTankLines(feederName, lang),
+      field(lang, '👤', 'label.user', safeUser),
+      field(lang, '📅', 'label.date', formatShortDate(scheduledDate, lang, timeZone)),
+      field(lang, '🕐', 'label.scheduled_time', formatClockTime(scheduledDate, lang, timeZone)),
+      field(lang, '📊', 'label.position', `#${safePosition}`),
       '',
-      '✅ Reservation added to feed queue.',
+      t(lang, 'notify.reservation_created.footer'),
     ].join('\n');
 
-    await sendTelegram(message, db);
+    await notify('reservation', message, db, { feederName, user: safeUser });
   } catch (error) {
     console.error('[FEEDER] Error in sendReservationCreatedMessage:', error.message);
     // Don't throw - Telegram failures shouldn't break the reservation
   }
 }
 
+/**
+ * Send reservation cancelled Telegram message
+ */
+export async function sendReservationCancelledMessage({ user, db, feederId = null, feederName }) {
+  try {
+    const safeUser = (user || 'Unknown').toString().substring(0, 100);
+
+    const message = (lang) => [
+      t(lang, 'notify.reservation_cancelled.title'),
+      ...formatTankLines(feederName, lang),
+      t(lang, 'notify.reservation_cancelled.user', { user: safeUser }),
+      '',
+      t(lang, 'notify.reservation_cancelled.footer'),
+    ].join('\n');
+
+    await notify('reservation', message, db, { feederId, feederName, user: safeUser });
+  } catch (error) {
+    console.error('[FEEDER] Error in sendReservationCancelledMessage:', error.message);
+    // Don't throw - Telegram failures shouldn't break the cancellation
+  }
+}
+
 /**
  * Send reservation executed Telegram message
  */
-export async function sendReservationExecutedMessage({ user, now, db }) {
+export async function sendReservationExecutedMessage({ user, now, db, feederName, timeZone = DEFAULT_TIMEZONE, portion = null }) {
   try {
     if (!now || !(now instanceof Date)) {
       console.warn('[FEEDER] Invalid date in sendReservationExecutedMessage');
       return { success: false, error: 'INVALID_DATE' };
     }
 
-    const timeStr = now.toLocaleTimeString('en-US', { 
-      timeZone: 'Asia/Baghdad',
-      hour12: false 
-    });
-    const dateStr = now.toLocaleDateString('en-US', { 
-      timeZone: 'Asia/Baghdad',
-      month: 'short', 
-      day: 'numeric' 
-    });
     const safeUser = (user || 'Unknown').toString().substring(0, 100);
 
-    const message = [
-      '🎉 <b>RESERVATION FEED EXECUTED</b>',
+    const message = (lang) => [
+      t(lang, 'notify.reservation_executed.title'),
       '',
-      `👤 <b>User:</b> <code>${safeUser}</code>`,
-      `📅 <b>Date:</b> <code>${dateStr}</code>`,
-      `🕐 <b>Time:</b> <code>${timeStr}</code>`,
-      `🔧 <b>Type:</b> <code>Reservation</code>`,
+      ...formatTankLines(feederName, lang),
+      field(lang, '👤', 'label.user', safeUser),
+      field(lang, '📅', 'label.date', formatShortDate(now, lang, timeZone)),
+      field(lang, '🕐', 'label.time', formatClockTime(now, lang, timeZone)),
+      field(lang, '🔧', 'label.type', t(lang, 'feed_type.reservation')),
+      ...(portion ? [field(lang, '🥄', 'label.portion', formatPortion(portion, lang))] : []),
       '',
-      '✨ Scheduled feed completed successfully.',
+      t(lang, 'notify.reservation_executed.footer'),
     ].join('\n');
 
-    const result = await sendTelegram(message, db);
+    const result = await notify('reservation', message, db, { feederName, user: safeUser });
     if (result?.success) {
       console.log('[FEEDER] Reservation Telegram message sent successfully');
     } else {
@@ -359,35 +390,28 @@ export async function sendReservationExecutedMessage({ user, now, db }) {
 /**
  * Send auto feed Telegram message
  */
-export async function sendAutoFeedMessage({ now, db }) {
+export async function sendAutoFeedMessage({ now, db, feederName, timeZone = DEFAULT_TIMEZONE, slot = null, portion = null }) {
   try {
     if (!now || !(now instanceof Date)) {
       console.warn('[FEEDER] Invalid date in sendAutoFeedMessage');
       return { success: false, error: 'INVALID_DATE' };
     }
 
-    const timeStr = now.toLocaleTimeString('en-US', { 
-      timeZone: 'Asia/Baghdad',
-      hour12: false 
-    });
-    const dateStr = now.toLocaleDateString('en-US', { 
-      timeZone: 'Asia/Baghdad',
-      month: 'short', 
-      day: 'numeric' 
-    });
-
-    const message = [
-      '🤖 <b>AUTO FEED EXECUTED</b>',
+    const message = (lang) => [
+      t(lang, 'notify.auto_feed.title'),
       '',
-      `📅 <b>Date:</b> <code>${dateStr}</code>`,
-      `🕐 <b>Time:</b> <code>${timeStr}</code>`,
-      `🔧 <b>Type:</b> <code>Auto Feed</code>`,
+      ...formatTankLines(feederName, lang),
+      field(lang, '📅', 'label.date', formatShortDate(now, lang, timeZone)),
+      field(lang, '🕐', 'label.time', formatClockTime(now, lang, timeZone)),
+      field(lang, '🔧', 'label.type', t(lang, slot ? 'feed_type.scheduled_feed' : 'feed_type.auto_feed')),
+      ...(slot ? [field(lang, '⏰', 'label.slot', slot.time)] : []),
+      ...(portion ? [field(lang, '🥄', 'label.portion', formatPortion(portion, lang))] : []),
       '',
-      '✨ System automatically fed the fish.',
+      t(lang, 'notify.auto_feed.footer'),
     ].join('\n');
 
     console.log('[FEEDER] Sending auto feed Telegram message');
-    const result = await sendTelegram(message, db);
+    const result = await notify('auto_feed', message, db, { feederName });
     if (result?.success) {
       console.log('[FEEDER] Auto feed Telegram message sent successfully');
     } else {
@@ -404,19 +428,22 @@ export async function sendAutoFeedMessage({ now, db }) {
 /**
  * Send device offline Telegram message
  */
-export async function sendDeviceOfflineMessage({ lastSeen, db }) {
+export async function sendDeviceOfflineMessage({ lastSeen, db, feederName, timeZone = DEFAULT_TIMEZONE }) {
   if (!lastSeen) {
-    await sendTelegram(
-      [
-        '🔴 <b>DEVICE OFFLINE</b>',
+    await notify(
+      'device',
+      (lang) => [
+        t(lang, 'notify.device_offline.title'),
         '',
-        '⚠️ The feeder has lost internet connection.',
+        ...formatTankLines(feederName, lang),
+        t(lang, 'notify.device_offline.body'),
         '',
-        '❌ <b>Last Seen:</b> <code>Never</code>',
+        field(lang, '❌', 'label.last_seen', t(lang, 'common.never')),
         '',
-        '💡 Check Arduino WiFi connection and power.',
+        t(lang, 'notify.device_offline.tip'),
       ].join('\n'),
-      db
+      db,
+      { feederName, status: 'offline' }
     );
     return;
   }
@@ -431,59 +458,42 @@ export async function sendDeviceOfflineMessage({ lastSeen, db }) {
     lastSeenDate = new Date(lastSeen * 1000);
   }
   
-  const timeStr = lastSeenDate.toLocaleTimeString('en-US', { 
-    timeZone: 'Asia/Baghdad',
-    hour12: false 
-  });
-  const dateStr = lastSeenDate.toLocaleDateString('en-US', { 
-    timeZone: 'Asia/Baghdad',
-    month: 'short', 
-    day: 'numeric' 
-  });
-  
   // Calculate time since last seen
-  const now = Date.now();
-  const lastSeenMs = lastSeenDate.getTime();
-  const timeSinceMs = now - lastSeenMs;
-  const minutesSince = Math.floor(timeSinceMs / 60000);
-  const hoursSince = Math.floor(minutesSince / 60);
-  
-  let timeSince = '';
-  if (hoursSince > 0) {
-    timeSince = `${hoursSince}h ${minutesSince % 60}m ago`;
-  } else {
-    timeSince = `${minutesSince}m ago`;
-  }
+  const timeSinceMs = Date.now() - lastSeenDate.getTime();
 
-  const message = [
-    '🔴 <b>DEVICE OFFLINE</b>',
+  const message = (lang) => [
+    t(lang, 'notify.device_offline.title'),
     '',
-    '⚠️ The feeder has lost internet connection.',
+    ...formatTankLines(feederName, lang),
+    t(lang, 'notify.device_offline.body'),
     '',
-    '<b>📡 Connection Info:</b>',
-    `   🕐 <b>Last Seen:</b> <code>${dateStr} ${timeStr}</code>`,
-    `   ⏰ <b>Time Since:</b> <code>${timeSince}</code>`,
+    t(lang, 'notify.connection_info'),
+    `   ${field(lang, '🕐', 'label.last_seen', `${formatShortDate(lastSeenDate, lang, timeZone)} ${formatClockTime(lastSeenDate, lang, timeZone)}`)}`,
+    `   ${field(lang, '⏰', 'label.time_since', t(lang, 'common.ago', { duration: formatDuration(timeSinceMs, lang) }))}`,
     '',
-    '💡 Check Arduino WiFi connection and power.',
+    t(lang, 'notify.device_offline.tip'),
   ].join('\n');
 
-  await sendTelegram(message, db);
+  await notify('device', message, db, { feederName, status: 'offline' });
 }
 
 /**
  * Send fasting day Telegram message
  */
-export async function sendFastingDayMessage({ noFeedDay, db }) {
-  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  const dayName = dayNames[noFeedDay] || 'Unknown';
-
-  const message = `🐟 <b>FISH FEEDER ALERT</b>
-
-🚫 Fasting Day Active
-📅 Today is ${dayName}
-❌ All feeds skipped
+export async function sendFastingDayMessage({ noFeedDay, db, feederName }) {
+  const weekday = Number(noFeedDay);
+  const valid = Number.isInteger(weekday) && weekday >= 0 && weekday <= 6;
 
-🐟 Fish are fasting today.`;
+  const message = (lang) => [
+    t(lang, 'notify.alert_title'),
+    '',
+    ...formatTankLines(feederName, lang),
+    t(lang, 'notify.fasting.active'),
+    t(lang, 'notify.fasting.today', { day: valid ? dayName(weekday, lang) : t(lang, 'common.unknown') }),
+    t(lang, 'notify.fasting.skipped'),
+    '',
+    t(lang, 'notify.fasting.footer'),
+  ].join('\n');
 
-  await sendTelegram(message, db);
+  await notify('fasting', message, db, { feederName });
 }
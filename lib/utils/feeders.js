@@ -0,0 +1,151 @@
+/**
+ * Multi-feeder (multi-tank) utilities
+ *
+ * Each tank lives under system/feeders/{feederId}:
+ *   feeder/   - status, timer, priority, reservations, recent history
+ *   history/  - full feed history, keyed by feed ID (push key)
+ *   device/   - heartbeat written by the Arduino
+ *   sensors/  - latest sensor readings
+ *   telemetry/ - time-stamped sensor readings, keyed by epoch milliseconds
+ *   alerts/   - alert throttling timestamps, open incident per sensor
+ *   incidents/ - sensor alert incidents, keyed by push key
+ *   uptime/   - device checks per local day, for uptime in digests
+ *
+ * The default feeder keeps the single-tank layout directly under system/ (system/feeder,
+ * system/device, ...), so deployed firmware and existing data keep working unchanged.
+ *
+ * Registered tanks are listed in system/registry/{feederId} = { name, createdAt }.
+ */
+
+export const DEFAULT_FEEDER_ID = process.env.DEFAULT_FEEDER_ID || 'main';
+
+const FEEDER_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Check that a feeder ID is safe to use as a database key
+ */
+export function isValidFeederId(feederId) {
+  return typeof feederId === 'string' && FEEDER_ID_PATTERN.test(feederId);
+}
+
+/**
+ * Database path of a feeder's root node (system for the default feeder, see above)
+ */
+export function getFeederPath(feederId) {
+  return feederId === DEFAULT_FEEDER_ID ? 'system' : `system/feeders/${feederId}`;
+}
+
+/**
+ * References to all nodes of one feeder
+ */
+export function getFeederRefs(db, feederId) {
+  const rootRef = db.ref(getFeederPath(feederId));
+  return {
+    feederRef: rootRef.child('feeder'),
+    deviceRef: rootRef.child('device'),
+    historyRef: rootRef.child('history'),
+    sensorsRef: rootRef.child('sensors'),
+    telemetryRef: rootRef.child('telemetry'),
+    alertsRef: rootRef.child('alerts'),
+    incidentsRef: rootRef.child('incidents'),
+    uptimeRef: rootRef.child('uptime'),
+  };
+}
+
+/**
+ * Read the feeder ID from the query string (?feederId=) or the JSON body.
+ * Falls back to DEFAULT_FEEDER_ID. Returns null if the ID is malformed.
+ */
+export function resolveFeederId(request, body = null) {
+  let feederId = null;
+  try {
+    feederId = new URL(request.url).searchParams.get('feederId');
+  } catch {
+    feederId = null;
+  }
+
+  if (!feederId && body && body.feederId !== undefined && body.feederId !== null) {
+    feederId = body.feederId.toString();
+  }
+
+  if (!feederId) {
+    return DEFAULT_FEEDER_ID;
+  }
+
+  feederId = feederId.trim();
+  return isValidFeederId(feederId) ? feederId : null;
+}
+
+/**
+ * List all registered feeders as [{ id, name }].
+ * With an empty registry the default feeder is the only one.
+ */
+export async function listFeeders(db) {
+  const snapshot = await db.ref('system/registry').once('value');
+  const registry = snapshot.val() || {};
+
+  const feeders = Object.entries(registry)
+    .filter(([id, entry]) => isValidFeederId(id) && entry)
+    .map(([id, entry]) => ({
+      id,
+      name: (entry.name || id).toString().substring(0, 50),
+      createdAt: entry.createdAt || null,
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+  if (feeders.length === 0) {
+    return [{ id: DEFAULT_FEEDER_ID, name: DEFAULT_FEEDER_ID, createdAt: null }];
+  }
+
+  return feeders;
+}
+
+/**
+ * Look up a registered feeder. Returns null if it is not registered.
+ */
+export async function getFeeder(db, feederId) {
+  if (!isValidFeederId(feederId)) return null;
+  const feeders = await listFeeders(db);
+  return feeders.find((feeder) => feeder.id === feederId) || null;
+}
+
+/**
+ * Register a feeder or rename an existing one
+ */
+export async function registerFeeder(db, feederId, name) {
+  if (!isValidFeederId(feederId)) {
+    throw new Error('Invalid feeder ID');
+  }
+
+  const registryRef = db.ref('system/registry');
+  const snapshot = await registryRef.once('value');
+  const registry = snapshot.val() || {};
+  const existing = registry[feederId] || {};
+
+  // The default feeder is implicit while the registry is empty - keep it
+  // registered when the first other tank is added
+  if (Object.keys(registry).length === 0 && feederId !== DEFAULT_FEEDER_ID) {
+    await registryRef.child(DEFAULT_FEEDER_ID).set({ name: DEFAULT_FEEDER_ID, createdAt: Date.now() });
+  }
+
+  const entry = {
+    // Names end up in Telegram HTML messages
+    name: (name || existing.name || feederId).toString().replace(/[<>&]/g, '').trim().substring(0, 50) || feederId,
+    createdAt: existing.createdAt || Date.now(),
+  };
+  await registryRef.child(feederId).set(entry);
+  return { id: feederId, ...entry };
+}
+
+/**
+ * Feeders a cron run should process: only ?feederId= when given,
+ * otherwise every registered feeder. Returns [] for an unknown feederId.
+ */
+export async function getCronFeeders(db, request) {
+  const requestedFeederId = new URL(request.url).searchParams.get('feederId');
+  if (requestedFeederId) {
+    const feeder = await getFeeder(db, requestedFeederId.trim());
+    return feeder ? [feeder] : [];
+  }
+  return listFeeders(db);
+}
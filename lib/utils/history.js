@@ -0,0 +1,183 @@
+/**
+ * Feed history
+ *
+ * Every feed is kept in system/feeders/{feederId}/history/{feedId}, keyed by a push key
+ * (chronological). It lives next to feeder/ rather than inside it, so the cron's read of
+ * the feeder node stays small however long the history grows.
+ *
+ * feeder/history keeps the last RECENT_HISTORY_LIMIT entries as an array (newest first)
+ * for the Arduino, the frontend and Telegram /history. It is derived from the full log.
+ */
+import { DEFAULT_TIMEZONE, getLocalDayStartMs } from './timezone.js';
+import { isValidCursor, pageByKey, pushKeyAt } from './pagination.js';
+
+export const RECENT_HISTORY_LIMIT = 20;
+export const HISTORY_TYPES = ['manual', 'reservation', 'timer'];
+export const DEFAULT_HISTORY_PAGE_SIZE = 50;
+export const MAX_HISTORY_PAGE_SIZE = 200;
+
+// Entries read per database query
+const HISTORY_BATCH_SIZE = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Append a feed to the full history and the recent list.
+ * `entryRef` is historyRef.push() - its key is the feed ID.
+ */
+export async function appendHistory({ feederRef, entryRef, entry }) {
+  await entryRef.set(entry);
+
+  const recentRef = feederRef.child('history');
+  const recentSnapshot = await recentRef.once('value');
+  const recent = recentSnapshot.val() || [];
+  const recentArray = Array.isArray(recent) ? recent.filter(Boolean) : Object.values(recent);
+
+  await recentRef.set([{ ...entry, feedId: entryRef.key }, ...recentArray].slice(0, RECENT_HISTORY_LIMIT));
+}
+
+/**
+ * Record new fields (e.g. the acknowledgement outcome) on a feed's history entries.
+ * Best effort - logs instead of throwing.
+ */
+export async function updateHistoryOutcome({ feederRef, historyRef }, feedId, fields) {
+  try {
+    const entryRef = historyRef.child(feedId);
+    const entrySnapshot = await entryRef.once('value');
+    if (entrySnapshot.exists()) {
+      await entryRef.update(fields);
+    }
+
+    await feederRef.child('history').transaction((current) => {
+      // null may just mean "not loaded yet" - see releaseSlot in schedule.js
+      if (current === null) return null;
+      const list = Array.isArray(current) ? current : Object.values(current);
+      return list.map((entry) => (entry && entry.feedId === feedId ? { ...entry, ...fields } : entry));
+    });
+  } catch (error) {
+    console.error('[HISTORY] Failed to update history:', error.message);
+  }
+}
+
+/**
+ * Parse a date filter: epoch milliseconds, or "YYYY-MM-DD" as a local day in the feeder's timezone.
+ * `endOfDay` makes a day mean its last millisecond (for `to`). Returns a number, or NaN if invalid.
+ */
+function parseDateFilter(value, timeZone, endOfDay) {
+  if (DATE_PATTERN.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    // Reject days that roll over (e.g. 2026-02-30)
+    if (new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) !== value) return NaN;
+    if (!endOfDay) return getLocalDayStartMs(value, timeZone);
+    const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+    return getLocalDayStartMs(nextDay, timeZone) - 1;
+  }
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Validate the ?from / ?to parameters (either may be missing).
+ * Returns { from, to } as epoch milliseconds (null when missing) or { error, message }.
+ */
+export function parseDateRange(searchParams, timeZone = DEFAULT_TIMEZONE) {
+  const fromParam = searchParams.get('from');
+  const toParam = searchParams.get('to');
+  const from = fromParam ? parseDateFilter(fromParam.trim(), timeZone, false) : null;
+  const to = toParam ? parseDateFilter(toParam.trim(), timeZone, true) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'INVALID_DATE', message: 'from and to must be YYYY-MM-DD dates or epoch milliseconds' };
+  }
+  if (from !== null && to !== null && from > to) {
+    return { error: 'INVALID_RANGE', message: 'from must not be after to' };
+  }
+  return { from, to };
+}
+
+/**
+ * Validate history query parameters (?limit, cursor, type, user, from, to).
+ * Returns { query } or { error, message }.
+ */
+export function parseHistoryQuery(searchParams, timeZone = DEFAULT_TIMEZONE) {
+  const limitParam = searchParams.get('limit');
+  const limit = limitParam === null ? DEFAULT_HISTORY_PAGE_SIZE : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE) {
+    return { error: 'INVALID_LIMIT', message: `limit must be between 1 and ${MAX_HISTORY_PAGE_SIZE}` };
+  }
+
+  const cursor = searchParams.get('cursor') || null;
+  if (cursor && !isValidCursor(cursor)) {
+    return { error: 'INVALID_CURSOR', message: 'cursor must be a nextCursor value from a previous page' };
+  }
+
+  const type = (searchParams.get('type') || '').trim().toLowerCase() || null;
+  if (type && !HISTORY_TYPES.includes(type)) {
+    return { error: 'INVALID_TYPE', message: `type must be one of: ${HISTORY_TYPES.join(', ')}` };
+  }
+
+  const user = (searchParams.get('user') || '').trim().substring(0, 100) || null;
+
+  const { from, to, error, message } = parseDateRange(searchParams, timeZone);
+  if (error) {
+    return { error, message };
+  }
+
+  return { query: { limit, cursor, type, user, from, to } };
+}
+
+/**
+ * Check a history entry against the filters of a query
+ */
+function matchesQuery(entry, { type, user, from, to }) {
+  if (type && entry.type !== type) return false;
+  if (user && (entry.user || '').toString().toLowerCase() !== user.toLowerCase()) return false;
+  const timestamp = Number(entry.timestamp) || 0;
+  if (from !== null && timestamp < from) return false;
+  if (to !== null && timestamp > to) return false;
+  return true;
+}
+
+/**
+ * Read one page of history, newest first. Resolves { entries, nextCursor } -
+ * see pageByKey in pagination.js.
+ */
+export async function queryHistory(historyRef, query) {
+  return pageByKey(historyRef, {
+    limit: query.limit,
+    cursor: query.cursor,
+    matches: (entry) => matchesQuery(entry, query),
+    // Keys are chronological - nothing older can match `from`
+    isPastEnd: (entry) => query.from !== null && (Number(entry.timestamp) || 0) < query.from,
+  });
+}
+
+/**
+ * Walk the history oldest first between `from` and `to` (epoch ms, either may be null),
+ * reading HISTORY_BATCH_SIZE entries per query. Yields entries with their `id`.
+ */
+export async function* iterateHistory(historyRef, { from = null, to = null } = {}) {
+  let startKey = from !== null ? pushKeyAt(from) : null;
+  let skipKey = null;
+
+  while (true) {
+    let keyQuery = historyRef.orderByKey();
+    if (startKey) keyQuery = keyQuery.startAt(startKey);
+    const snapshot = await keyQuery.limitToFirst(HISTORY_BATCH_SIZE + (skipKey ? 1 : 0)).once('value');
+
+    const batch = [];
+    snapshot.forEach((child) => {
+      if (child.key !== skipKey) batch.push({ id: child.key, ...child.val() });
+    });
+
+    for (const entry of batch) {
+      const timestamp = Number(entry.timestamp) || 0;
+      // Keys are chronological - everything after this is newer still
+      if (to !== null && timestamp > to) return;
+      if (from === null || timestamp >= from) yield entry;
+    }
+
+    if (batch.length < HISTORY_BATCH_SIZE) return;
+    // startAt is inclusive, so the next query repeats the last key and drops it
+    startKey = batch[batch.length - 1].id;
+    skipKey = startKey;
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Localization
+ *
+ * Bot replies and notifications are built from the message catalogs in lib/locales:
+ *   en - English (default, and the fallback for missing keys)
+ *   ar - Arabic
+ *   ku - Kurdish (Sorani, Arabic script)
+ * Keys may hold Telegram HTML and {placeholders}. Arabic and Kurdish are right-to-left;
+ * withDirection() adds the marks Telegram needs to lay them out correctly.
+ * Digits stay Latin in every language, so times, portions and IDs read the same as in commands.
+ */
+import en from '../locales/en.js';
+import ar from '../locales/ar.js';
+import ku from '../locales/ku.js';
+
+export const LANGUAGES = ['en', 'ar', 'ku'];
+
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  ar: 'العربية',
+  ku: 'کوردی',
+};
+
+const CATALOGS = { en, ar, ku };
+
+const LOCALES = {
+  en: 'en-US',
+  ar: 'ar-IQ-u-nu-latn',
+  ku: 'ckb-IQ-u-nu-latn',
+};
+
+const RTL_LANGUAGES = ['ar', 'ku'];
+
+// Other ways a language may be written (Accept-Language tags, names, Sorani / Kurmanji codes)
+const LANGUAGE_ALIASES = {
+  english: 'en',
+  arabic: 'ar',
+  'العربية': 'ar',
+  'عربي': 'ar',
+  ckb: 'ku',
+  kmr: 'ku',
+  kurdish: 'ku',
+  sorani: 'ku',
+  'کوردی': 'ku',
+};
+
+// Right-to-left mark, first-strong isolate and pop directional isolate
+const RLM = '\u200F';
+const FSI = '\u2068';
+const PDI = '\u2069';
+const BIDI_CONTROLS = /[\u200E\u200F\u2066-\u2069]/g;
+
+/**
+ * Supported language of a code, tag or name ("ar", "ar-IQ", "ckb", "Kurdish"), or null
+ */
+export function normalizeLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const tag = value.trim().toLowerCase();
+  if (!tag) return null;
+  const base = tag.split(/[-_]/)[0];
+  if (LANGUAGES.includes(base)) return base;
+  return LANGUAGE_ALIASES[tag] || LANGUAGE_ALIASES[base] || null;
+}
+
+// Used when a chat or user has not picked a language
+export const DEFAULT_LANGUAGE = normalizeLanguage(process.env.DEFAULT_LANGUAGE) || 'en';
+
+/**
+ * First supported language of an Accept-Language header (by quality), or null
+ */
+export function parseAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') return null;
+  const ranked = header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map((param) => /^q=([\d.]+)$/.exec(param.trim())).find(Boolean);
+      return { tag, quality: quality ? Number(quality[1]) : 1, index };
+    })
+    .filter(({ quality }) => quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const { tag } of ranked) {
+    const language = normalizeLanguage(tag);
+    if (language) return language;
+  }
+  return null;
+}
+
+/**
+ * Whether a language is written right-to-left
+ */
+export function isRtl(language) {
+  return RTL_LANGUAGES.includes(language);
+}
+
+/**
+ * Intl locale of a language
+ */
+export function getLocale(language) {
+  return LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Translate a key, filling in {placeholders}. Missing keys fall back to English, then to the key.
+ */
+export function t(language, key, params = {}) {
+  const catalog = CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+  const template = catalog[key] ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  ));
+}
+
+/**
+ * A labelled value line, e.g. "👤 <b>User:</b> <code>John</code>"
+ */
+export function field(language, emoji, labelKey, value) {
+  return `${emoji} <b>${t(language, labelKey)}:</b> <code>${value}</code>`;
+}
+
+/**
+ * Translate the message of an error block ({ error, message, ...details }).
+ * English messages are written where the error is raised; other languages translate
+ * them with "error.<CODE>" keys and keep the original message when there is none.
+ */
+export function translateError(language, block) {
+  const key = `error.${block.error}`;
+  const catalog = CATALOGS[language];
+  if (!catalog || language === 'en' || catalog[key] === undefined) {
+    return block.message;
+  }
+  return t(language, key, block);
+}
+
+/**
+ * Localized weekday name (0 = Sunday)
+ */
+export function dayName(weekday, language = DEFAULT_LANGUAGE) {
+  // 4 January 1970 was a Sunday
+  return new Intl.DateTimeFormat(getLocale(language), { weekday: 'long', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(1970, 0, 4 + weekday)));
+}
+
+/**
+ * Localized short date, e.g. "Oct 19" / "19 تشرين الأول"
+ */
+export function formatShortDate(date, language, timeZone) {
+  return date.toLocaleDateString(getLocale(language), { timeZone, month: 'short', day: 'numeric' });
+}
+
+/**
+ * 24-hour time, e.g. "13:05:00"
+ */
+export function formatClockTime(date, language, timeZone) {
+  return date.toLocaleTimeString(getLocale(language), { timeZone, hourCycle: 'h23' });
+}
+
+/**
+ * Duration as "1h 20m", "20m" - with seconds, "1h 20m 5s", "20m 5s" or "5s"
+ */
+export function formatDuration(ms, language, { seconds: withSeconds = false } = {}) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+
+  if (!withSeconds) {
+    return hours > 0
+      ? t(language, 'duration.hm', { hours, minutes })
+      : t(language, 'duration.m', { minutes });
+  }
+  if (hours > 0) return t(language, 'duration.hms', { hours, minutes, seconds });
+  if (minutes > 0) return t(language, 'duration.ms', { minutes, seconds });
+  return t(language, 'duration.s', { seconds });
+}
+
+/**
+ * Lay out a Telegram HTML message for its language. Right-to-left messages get a
+ * right-to-left mark on every line (so lines starting with an emoji or a value still
+ * align right), and <code> values are isolated so Latin names, times and IDs inside
+ * Arabic or Kurdish text keep their own order.
+ */
+export function withDirection(html, language) {
+  if (!isRtl(language)) return html;
+  return html
+    .replace(/<code>([\s\S]*?)<\/code>/g, `<code>${FSI}$1${PDI}</code>`)
+    .split('\n')
+    .map((line) => (line ? `${RLM}${line}` : line))
+    .join('\n');
+}
+
+/**
+ * Remove direction marks, e.g. from a command copied out of a right-to-left message
+ */
+export function stripDirectionMarks(text) {
+  return text.replace(BIDI_CONTROLS, '');
+}
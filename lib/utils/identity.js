@@ -0,0 +1,84 @@
+/**
+ * Visitor identity for /api/feed/manual and /api/reservations/create|cancel
+ *
+ * Signed-in visitors send "Authorization: Bearer <Firebase ID token>". The token is verified
+ * with the admin SDK and replaces whatever user, userEmail and deviceId the body claims:
+ * reservations are owned by the token's uid (and verified email), history shows its name.
+ * Requests without a token are anonymous. ANONYMOUS_VISITORS (default "on") lets them in -
+ * public kiosks. They are shown under the name body.user claims (or "Visitor"), but only
+ * body.deviceId identifies them: a name never owns a reservation. "off" requires sign-in.
+ */
+import { verifyIdToken } from '../services/firebase.js';
+
+export const ANONYMOUS_USER = 'Visitor';
+
+const DISABLED_VALUES = ['off', 'false', '0', 'no'];
+
+/**
+ * Whether requests without an ID token are accepted (ANONYMOUS_VISITORS)
+ */
+export function isAnonymousVisitorAllowed() {
+  const value = (process.env.ANONYMOUS_VISITORS || 'on').trim().toLowerCase();
+  return !DISABLED_VALUES.includes(value);
+}
+
+/**
+ * ID token from "Authorization: Bearer <token>", or null
+ */
+function readIdToken(request) {
+  const match = (request.headers.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Who is calling. Resolves { identity } or { error, message, status } with the HTTP status to answer.
+ * identity: { verified, uid, user, owner } - `user` is the name history and notifications show,
+ * `owner` the reservation owner fields ({ userId, userEmail } or { deviceId }).
+ */
+export async function resolveVisitorIdentity(request, body = {}) {
+  const idToken = readIdToken(request);
+
+  if (idToken) {
+    let decoded;
+    try {
+      decoded = await verifyIdToken(idToken);
+    } catch (error) {
+      if (String(error.code || '').startsWith('auth/')) {
+        console.warn('[AUTH] ID token rejected:', error.code);
+        return { error: 'INVALID_TOKEN', message: 'ID token is invalid or expired', status: 401 };
+      }
+      console.error('[AUTH] ID token verification unavailable:', error.message);
+      return { error: 'AUTH_UNAVAILABLE', message: 'Sign-in cannot be verified right now', status: 503 };
+    }
+
+    const email = decoded.email ? decoded.email.toString().substring(0, 200) : null;
+    return {
+      identity: {
+        verified: true,
+        uid: decoded.uid,
+        user: (decoded.name || email || ANONYMOUS_USER).toString().substring(0, 100),
+        // An unverified email could belong to someone else: it neither owns nor is stored
+        owner: { userId: decoded.uid, userEmail: decoded.email_verified ? email : null },
+      },
+    };
+  }
+
+  if (!isAnonymousVisitorAllowed()) {
+    return {
+      error: 'AUTH_REQUIRED',
+      message: 'Sign in required: send a Firebase ID token as "Authorization: Bearer <token>"',
+      status: 401,
+    };
+  }
+
+  const deviceId = body.deviceId ? body.deviceId.toString().substring(0, 100) : null;
+  const name = body.user ? body.user.toString().trim().substring(0, 100) : '';
+  return {
+    identity: {
+      verified: false,
+      uid: null,
+      user: name || ANONYMOUS_USER,
+      owner: { deviceId },
+    },
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Sensor alert incidents
+ *
+ * A reading outside its range opens an incident in
+ * system/feeders/{feederId}/incidents/{incidentId} (push key, chronological):
+ *   { sensor, level, status, openedAt, resolvedAt, resolvedReason,
+ *     startValue, peakValue, lastValue, threshold, notifications, lastNotifiedAt }
+ * alerts/openIncidents/{sensor} points at the open incident of each sensor, so there is
+ * at most one per sensor. checkSensorAlerts in alerts.js drives the lifecycle.
+ */
+import { isValidCursor, pageByKey } from './pagination.js';
+
+export const INCIDENT_STATUSES = ['open', 'resolved'];
+export const INCIDENT_SENSORS = ['tds', 'temperature'];
+export const DEFAULT_INCIDENT_PAGE_SIZE = 20;
+export const MAX_INCIDENT_PAGE_SIZE = 100;
+
+/**
+ * Open incidents per sensor: { tds: incident | null, temperature: incident | null }
+ */
+export async function loadOpenIncidents({ incidentsRef, alertsRef }) {
+  const indexSnapshot = await alertsRef.child('openIncidents').once('value');
+  const index = indexSnapshot.val() || {};
+
+  const open = {};
+  await Promise.all(INCIDENT_SENSORS.map(async (sensor) => {
+    open[sensor] = null;
+    if (!index[sensor]) return;
+    const snapshot = await incidentsRef.child(index[sensor]).once('value');
+    if (snapshot.exists()) {
+      open[sensor] = { id: index[sensor], ...snapshot.val() };
+      return;
+    }
+    // The incident write never happened - drop the pointer so a new one can open
+    await alertsRef.child(`openIncidents/${sensor}`).transaction((current) => (
+      current === null ? null : (current === index[sensor] ? null : undefined)
+    ));
+  }));
+  return open;
+}
+
+/**
+ * Open an incident unless the sensor already has one (concurrent cron runs open it once).
+ * Resolves the incident, or null if another run opened one first.
+ */
+export async function openIncident({ incidentsRef, alertsRef, sensor, level, value, threshold, now }) {
+  const incidentRef = incidentsRef.push();
+  const incident = {
+    sensor,
+    level,
+    status: 'open',
+    openedAt: now.getTime(),
+    startValue: value,
+    peakValue: value,
+    lastValue: value,
+    threshold,
+    notifications: 0,
+  };
+
+  // Write first, then claim - the pointer never refers to a missing incident
+  await incidentRef.set(incident);
+
+  let owned = false;
+  await alertsRef.child(`openIncidents/${sensor}`).transaction((current) => {
+    owned = !current;
+    return current ? undefined : incidentRef.key;
+  });
+
+  if (!owned) {
+    await incidentRef.remove();
+    return null;
+  }
+  return { id: incidentRef.key, ...incident };
+}
+
+/**
+ * Record a new reading of an open incident (keeps the most extreme value as the peak)
+ */
+export async function updateIncidentReading({ incidentsRef, incident, value }) {
+  const peakValue = incident.level === 'LOW'
+    ? Math.min(incident.peakValue, value)
+    : Math.max(incident.peakValue, value);
+  await incidentsRef.child(incident.id).update({ lastValue: value, peakValue });
+  return { ...incident, lastValue: value, peakValue };
+}
+
+/**
+ * Count a Telegram notification sent for an incident
+ */
+export async function markIncidentNotified({ incidentsRef, incident, now }) {
+  const notifications = (incident.notifications || 0) + 1;
+  await incidentsRef.child(incident.id).update({ notifications, lastNotifiedAt: now.getTime() });
+  return { ...incident, notifications, lastNotifiedAt: now.getTime() };
+}
+
+/**
+ * Resolve an open incident. `reason` is 'recovered', 'disabled' or 'level_changed'.
+ * Resolves the resolved incident, or null if another run resolved it first.
+ */
+export async function resolveIncident({ incidentsRef, alertsRef, incident, value = null, reason, now }) {
+  let owned = false;
+
+  await alertsRef.child(`openIncidents/${incident.sensor}`).transaction((current) => {
+    owned = current === incident.id;
+    // null may just mean "not loaded yet" - see releaseSlot in schedule.js
+    if (current === null) return null;
+    return owned ? null : undefined;
+  });
+  if (!owned) return null;
+
+  const fields = {
+    status: 'resolved',
+    resolvedAt: now.getTime(),
+    resolvedReason: reason,
+    durationMs: now.getTime() - incident.openedAt,
+    ...(value !== null ? { lastValue: value } : {}),
+  };
+  await incidentsRef.child(incident.id).update(fields);
+  return { ...incident, ...fields };
+}
+
+/**
+ * Validate incident list parameters (?status, sensor, limit, cursor).
+ * Returns { query } or { error, message }.
+ */
+export function parseIncidentQuery(searchParams) {
+  const limitParam = searchParams.get('limit');
+  const limit = limitParam === null ? DEFAULT_INCIDENT_PAGE_SIZE : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_INCIDENT_PAGE_SIZE) {
+    return { error: 'INVALID_LIMIT', message: `limit must be between 1 and ${MAX_INCIDENT_PAGE_SIZE}` };
+  }
+
+  const cursor = searchParams.get('cursor') || null;
+  if (cursor && !isValidCursor(cursor)) {
+    return { error: 'INVALID_CURSOR', message: 'cursor must be a nextCursor value from a previous page' };
+  }
+
+  const status = (searchParams.get('status') || '').trim().toLowerCase() || null;
+  if (status && !INCIDENT_STATUSES.includes(status)) {
+    return { error: 'INVALID_STATUS', message: `status must be one of: ${INCIDENT_STATUSES.join(', ')}` };
+  }
+
+  const sensor = (searchParams.get('sensor') || '').trim().toLowerCase() || null;
+  if (sensor && !INCIDENT_SENSORS.includes(sensor)) {
+    return { error: 'INVALID_SENSOR', message: `sensor must be one of: ${INCIDENT_SENSORS.join(', ')}` };
+  }
+
+  return { query: { limit, cursor, status, sensor } };
+}
+
+/**
+ * Read one page of incidents, newest first. Resolves { entries, nextCursor }.
+ */
+export async function queryIncidents(incidentsRef, { limit, cursor, status, sensor }) {
+  return pageByKey(incidentsRef, {
+    limit,
+    cursor,
+    matches: (incident) => (!status || incident.status === status) && (!sensor || incident.sensor === sensor),
+  });
+}
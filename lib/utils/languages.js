@@ -0,0 +1,110 @@
+/**
+ * Language preferences
+ *
+ * Stored in system/languages:
+ *   chats/{chatId}: 'ar'       - Telegram chat (set with /language)
+ *   users/{userKey}: 'ku'      - web frontend user (PUT /api/settings/language)
+ * A user is keyed by the verified Firebase uid when signed in, otherwise by device ID
+ * (see getUserLanguageKey and utils/identity.js).
+ * Chats and users without a preference use DEFAULT_LANGUAGE.
+ */
+import { DEFAULT_LANGUAGE, normalizeLanguage, parseAcceptLanguage } from './i18n.js';
+
+const LANGUAGES_PATH = 'system/languages';
+
+/**
+ * Timeout wrapper (same as the routes')
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+export function getLanguagesRef(db) {
+  return db.ref(LANGUAGES_PATH);
+}
+
+/**
+ * Database key of a frontend user (an identity owner: { userId, userEmail } or { deviceId }), or null.
+ * RTDB keys can't contain . # $ [ ] /, so those become "_".
+ */
+export function getUserLanguageKey({ userId = null, deviceId = null, userEmail = null } = {}) {
+  const clean = (value) => value.toString().trim().toLowerCase().replace(/[.#$[\]/]/g, '_').substring(0, 200);
+  // uids are case-sensitive
+  if (userId) return `uid:${userId.toString().replace(/[.#$[\]/]/g, '_').substring(0, 200)}`;
+  if (userEmail) return `email:${clean(userEmail)}`;
+  if (deviceId) return `device:${clean(deviceId)}`;
+  return null;
+}
+
+/**
+ * Language of a Telegram chat
+ */
+export async function getChatLanguage(db, chatId) {
+  const snapshot = await getLanguagesRef(db).child('chats').child(String(chatId)).once('value');
+  return normalizeLanguage(snapshot.val()) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Languages of all Telegram chats that picked one, as { chatId: language }
+ */
+export async function getChatLanguages(db) {
+  const snapshot = await getLanguagesRef(db).child('chats').once('value');
+  const languages = {};
+  for (const [chatId, value] of Object.entries(snapshot.val() || {})) {
+    const language = normalizeLanguage(value);
+    if (language) languages[chatId] = language;
+  }
+  return languages;
+}
+
+/**
+ * Set the language of a Telegram chat
+ */
+export async function setChatLanguage(db, chatId, language) {
+  await getLanguagesRef(db).child('chats').child(String(chatId)).set(language);
+}
+
+/**
+ * Stored language of a frontend user, or null
+ */
+export async function getUserLanguage(db, owner) {
+  const key = getUserLanguageKey(owner);
+  if (!key) return null;
+  const snapshot = await getLanguagesRef(db).child('users').child(key).once('value');
+  return normalizeLanguage(snapshot.val());
+}
+
+/**
+ * Set (or with null, remove) the language of a frontend user
+ */
+export async function setUserLanguage(db, owner, language) {
+  const userRef = getLanguagesRef(db).child('users').child(getUserLanguageKey(owner));
+  await (language ? userRef.set(language) : userRef.remove());
+}
+
+/**
+ * Language to answer an API request in: `language` in the body or query, then the
+ * user's stored preference, then the Accept-Language header, then DEFAULT_LANGUAGE.
+ * Never throws - an unreadable preference falls through to the header.
+ */
+export async function resolveRequestLanguage(request, { db = null, body = null, owner = null } = {}) {
+  const { searchParams } = new URL(request.url);
+  const explicit = normalizeLanguage(body?.language) || normalizeLanguage(searchParams.get('language'));
+  if (explicit) return explicit;
+
+  if (db && owner) {
+    try {
+      const stored = await withTimeout(getUserLanguage(db, owner), 3000);
+      if (stored) return stored;
+    } catch (error) {
+      console.warn('[LANGUAGE] Failed to read user language:', error.message);
+    }
+  }
+
+  return parseAcceptLanguage(request.headers.get('accept-language')) || DEFAULT_LANGUAGE;
+}
@@ -0,0 +1,135 @@
+/**
+ * Manual feed checks and execution
+ * Shared by POST /api/feed/manual and the Telegram /feed command, so both apply the same rules.
+ */
+import { triggerFeed, calculateCooldownMs, isDeviceOnline, canFeed } from './feeder.js';
+import { getFeederRefs } from './feeders.js';
+import { getFastingReason } from './fasting.js';
+import { resolvePortion } from './portion.js';
+import { reconcilePendingFeed } from './acknowledgement.js';
+
+const MIN_VALID_EPOCH = 946684800000; // Jan 1, 2000
+
+/**
+ * Timeout wrapper (same as the routes')
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Check whether a manual feed may run now.
+ * Returns null when it may, or { error, message, status, ...details } with the HTTP status to answer.
+ * Checks in order: fasting day, device online, already feeding, cooldown, reservations.
+ */
+export async function checkManualFeed({ db, feeder, feederData, deviceData, timeZone, now = new Date() }) {
+  const { feederRef, deviceRef, historyRef } = getFeederRefs(db, feeder.id);
+
+  // Check 1: Fasting day
+  const fasting = getFastingReason(feederData, now, timeZone);
+  if (fasting) {
+    return {
+      error: 'FASTING_DAY',
+      message: 'Today is a fasting day. All feeds are skipped.',
+      status: 403,
+      fasting,
+    };
+  }
+
+  // Check 2: Device online
+  if (!isDeviceOnline(deviceData?.lastSeen, deviceData)) {
+    return {
+      error: 'DEVICE_OFFLINE',
+      message: 'Device is offline. Cannot execute feed.',
+      status: 503,
+    };
+  }
+
+  // Check 3: Currently feeding (a stuck feed past its acknowledgement timeout is resolved first)
+  let feedAck;
+  try {
+    feedAck = await withTimeout(
+      reconcilePendingFeed({ db, feederRef, deviceRef, historyRef, feederData, feederName: feeder.name, timeZone }),
+      5000
+    );
+  } catch (error) {
+    console.warn('[FEED] Feed acknowledgement check failed:', error.message);
+    feedAck = { state: 'unknown', status: feederData.status === 1 ? 1 : 0 };
+  }
+  if (feedAck.status === 1) {
+    return {
+      error: 'ALREADY_FEEDING',
+      message: 'Device is currently feeding',
+      status: 409,
+      feedAck: feedAck.state,
+    };
+  }
+
+  // Check 4: Cooldown finished (with validation)
+  let lastFeedTime = feederData.lastFeedTime || 0;
+  const timerHour = Number(feederData.timer?.hour) || 0;
+  const timerMinute = Number(feederData.timer?.minute) || 0;
+  const cooldownMs = calculateCooldownMs(timerHour, timerMinute);
+
+  if (lastFeedTime < MIN_VALID_EPOCH && lastFeedTime > 0) {
+    console.warn('[FEED] Invalid lastFeedTime detected:', lastFeedTime, '- Using current time');
+    lastFeedTime = now.getTime();
+  }
+
+  if (!canFeed(lastFeedTime, cooldownMs)) {
+    const cooldownEndsAt = lastFeedTime + cooldownMs;
+    const remainingMs = Math.max(0, cooldownEndsAt - now.getTime());
+    const remainingMinutes = Math.ceil(remainingMs / 60000);
+
+    return {
+      error: 'COOLDOWN_ACTIVE',
+      message: `Cooldown active. Time remaining: ${remainingMinutes} minutes`,
+      status: 429,
+      cooldownEndsAt,
+      remainingMinutes,
+    };
+  }
+
+  // Check 5: No reservations exist (reservations have priority)
+  const reservations = Array.isArray(feederData.reservations) ? feederData.reservations : [];
+  const validReservations = reservations.filter((r) => r && typeof r === 'object' && r.scheduledTime);
+  if (validReservations.length > 0) {
+    return {
+      error: 'RESERVATIONS_EXIST',
+      message: 'Cannot manual feed when reservations exist. Reservations have priority.',
+      status: 409,
+      reservationCount: validReservations.length,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Trigger a manual feed (after checkManualFeed passed).
+ * Resolves { timestampMs, feedId, portion }.
+ */
+export async function executeManualFeed({ db, feeder, feederData, user, userId = null, timeZone, requestedPortion = null, now = new Date() }) {
+  const { feederRef, deviceRef, historyRef } = getFeederRefs(db, feeder.id);
+  const portion = resolvePortion(feederData, 'manual', requestedPortion);
+
+  const { timestampMs, feedId } = await triggerFeed({
+    type: 'manual',
+    user,
+    userId,
+    db,
+    feederRef,
+    deviceRef,
+    historyRef,
+    now,
+    timeZone,
+    portion,
+  });
+
+  return { timestampMs, feedId, portion };
+}
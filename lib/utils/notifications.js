@@ -0,0 +1,268 @@
+/**
+ * Notification channel settings
+ *
+ * Channels live in system/notifications/channels/{channelId}:
+ *   { type, name, enabled, events: ['*'] | ['feed', 'sensor', ...], language, config }
+ * language is one of LANGUAGES (null = DEFAULT_LANGUAGE); a Telegram chat's /language wins.
+ * config per type:
+ *   telegram  { chatId }              (chatId defaults to TELEGRAM_CHAT_ID)
+ *   webhook   { url, secret }         (secret signs the body, optional)
+ *   discord   { url }                 (incoming webhook URL)
+ *   slack     { url }                 (incoming webhook URL)
+ *   email     { to: [...], subjectPrefix }
+ * The "telegram" channel always exists and sends every event to the environment's
+ * bot and chat, unless a channel with that id is stored.
+ */
+import { LANGUAGES, normalizeLanguage } from './i18n.js';
+
+export const NOTIFICATION_EVENTS = [
+  'feed',          // manual and scheduled feeds
+  'auto_feed',     // timer feeds
+  'reservation',   // reservations created, executed or cancelled
+  'feed_failed',   // feeds the device did not acknowledge
+  'device',        // device offline / back online
+  'sensor',        // sensor incidents and recoveries
+  'fasting',       // fasting day skips
+  'settings',      // settings changes
+  'scheduler',     // scheduler runs
+  'digest',        // daily and weekly digests
+];
+
+export const CHANNEL_TYPES = ['telegram', 'webhook', 'discord', 'slack', 'email'];
+
+export const DEFAULT_CHANNEL_ID = 'telegram';
+
+const CHANNELS_PATH = 'system/notifications/channels';
+const CHANNEL_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const EMAIL_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+const MAX_EMAIL_RECIPIENTS = 10;
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Built-in channel: the environment's Telegram bot and chat, every event
+ */
+function defaultChannel() {
+  return {
+    id: DEFAULT_CHANNEL_ID,
+    type: 'telegram',
+    name: 'Telegram',
+    enabled: true,
+    events: ['*'],
+    language: null,
+    config: {},
+    builtIn: true,
+  };
+}
+
+/**
+ * Normalize a stored channel (RTDB may return arrays as objects and drops empty values)
+ */
+function normalizeChannel(id, value) {
+  const events = Array.isArray(value.events) ? value.events : Object.values(value.events || {});
+  const config = { ...(value.config || {}) };
+  if (config.to && !Array.isArray(config.to)) {
+    config.to = Object.values(config.to);
+  }
+
+  return {
+    id,
+    type: value.type,
+    name: value.name || id,
+    enabled: value.enabled !== false,
+    events: events.length > 0 ? events : ['*'],
+    language: normalizeLanguage(value.language),
+    config,
+  };
+}
+
+export function isValidChannelId(id) {
+  return typeof id === 'string' && CHANNEL_ID_PATTERN.test(id);
+}
+
+export function getChannelsRef(db) {
+  return db.ref(CHANNELS_PATH);
+}
+
+/**
+ * All notification channels, the built-in Telegram channel first unless it is overridden
+ */
+export async function getNotificationChannels(db) {
+  const snapshot = await getChannelsRef(db).once('value');
+  const stored = snapshot.val() || {};
+
+  const channels = Object.entries(stored)
+    .filter(([, value]) => value && CHANNEL_TYPES.includes(value.type))
+    .map(([id, value]) => normalizeChannel(id, value));
+
+  if (!stored[DEFAULT_CHANNEL_ID]) {
+    channels.unshift(defaultChannel());
+  }
+  return channels;
+}
+
+/**
+ * Whether a channel receives an event
+ */
+export function channelReceives(channel, event) {
+  return channel.enabled && (channel.events.includes('*') || channel.events.includes(event));
+}
+
+/**
+ * Validate an http(s) URL. Returns an error message or null.
+ */
+function validateUrl(url, { httpsOnly }) {
+  if (typeof url !== 'string' || url.length > 500) {
+    return 'url must be a string';
+  }
+  try {
+    const { protocol } = new URL(url);
+    if (protocol === 'https:' || (!httpsOnly && protocol === 'http:')) {
+      return null;
+    }
+  } catch {
+    // fall through
+  }
+  return httpsOnly ? 'url must be an https:// URL' : 'url must be an http:// or https:// URL';
+}
+
+/**
+ * Validate the config of a channel type. Returns { config } or { error, message }.
+ */
+function parseChannelConfig(type, input) {
+  const invalid = (message) => ({ error: 'INVALID_CONFIG', message });
+
+  switch (type) {
+    case 'telegram': {
+      if (input.chatId === undefined || input.chatId === null || input.chatId === '') {
+        return { config: {} };
+      }
+      const chatId = String(input.chatId).trim();
+      if (!/^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$/.test(chatId)) {
+        return invalid('chatId must be a numeric chat id or @channelname');
+      }
+      return { config: { chatId } };
+    }
+    case 'webhook': {
+      const urlError = validateUrl(input.url, { httpsOnly: false });
+      if (urlError) return invalid(urlError);
+      if (input.secret !== undefined && input.secret !== null
+        && (typeof input.secret !== 'string' || input.secret.length > 200)) {
+        return invalid('secret must be a string of up to 200 characters');
+      }
+      return { config: { url: input.url, ...(input.secret ? { secret: input.secret } : {}) } };
+    }
+    case 'discord':
+    case 'slack': {
+      const urlError = validateUrl(input.url, { httpsOnly: true });
+      if (urlError) return invalid(urlError);
+      return { config: { url: input.url } };
+    }
+    case 'email': {
+      const to = (Array.isArray(input.to) ? input.to : [input.to])
+        .filter((address) => address !== undefined && address !== null && address !== '')
+        .map((address) => String(address).trim());
+      if (to.length === 0 || to.length > MAX_EMAIL_RECIPIENTS) {
+        return invalid(`to must list 1-${MAX_EMAIL_RECIPIENTS} email addresses`);
+      }
+      const badAddress = to.find((address) => !EMAIL_PATTERN.test(address));
+      if (badAddress) {
+        return invalid(`"${badAddress}" is not a valid email address`);
+      }
+      if (input.subjectPrefix !== undefined && input.subjectPrefix !== null
+        && (typeof input.subjectPrefix !== 'string' || input.subjectPrefix.length > MAX_NAME_LENGTH)) {
+        return invalid(`subjectPrefix must be a string of up to ${MAX_NAME_LENGTH} characters`);
+      }
+      return { config: { to, ...(input.subjectPrefix ? { subjectPrefix: input.subjectPrefix } : {}) } };
+    }
+    default:
+      return invalid(`Unknown channel type ${type}`);
+  }
+}
+
+/**
+ * Validate a channel from a request body, e.g.
+ *   { id: 'ops', type: 'discord', events: ['sensor', 'device'], config: { url: 'https://...' } }
+ * When updating a channel of the same type, missing fields (including config.url / config.secret)
+ * keep their current value; config.secret may be null to remove it.
+ * Returns { channel } or { error, message }.
+ */
+export function parseNotificationChannel(input, current = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'INVALID_CHANNEL', message: 'Body must be a channel object' };
+  }
+
+  if (!isValidChannelId(input.id)) {
+    return { error: 'INVALID_CHANNEL_ID', message: 'id must be 1-40 letters, digits, "-" or "_"' };
+  }
+
+  const type = input.type ?? current?.type;
+  if (!CHANNEL_TYPES.includes(type)) {
+    return { error: 'INVALID_TYPE', message: `type must be one of: ${CHANNEL_TYPES.join(', ')}` };
+  }
+  const sameType = current?.type === type;
+
+  const enabled = input.enabled ?? (sameType ? current.enabled : true);
+  if (typeof enabled !== 'boolean') {
+    return { error: 'INVALID_ENABLED', message: 'enabled must be true or false' };
+  }
+
+  const name = input.name ?? (sameType ? current.name : input.id);
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+    return { error: 'INVALID_NAME', message: `name must be 1-${MAX_NAME_LENGTH} characters` };
+  }
+
+  const events = input.events ?? (sameType ? current.events : ['*']);
+  if (!Array.isArray(events) || events.length === 0
+    || events.some((event) => event !== '*' && !NOTIFICATION_EVENTS.includes(event))) {
+    return {
+      error: 'INVALID_EVENTS',
+      message: `events must be ["*"] or a list of: ${NOTIFICATION_EVENTS.join(', ')}`,
+    };
+  }
+
+  const language = input.language !== undefined ? input.language : (sameType ? current.language : null);
+  if (language !== null && !LANGUAGES.includes(language)) {
+    return { error: 'INVALID_LANGUAGE', message: `language must be null or one of: ${LANGUAGES.join(', ')}` };
+  }
+
+  if (input.config !== undefined && (!input.config || typeof input.config !== 'object' || Array.isArray(input.config))) {
+    return { error: 'INVALID_CONFIG', message: 'config must be an object' };
+  }
+  const { config, error, message } = parseChannelConfig(type, {
+    ...(sameType ? current.config : {}),
+    ...(input.config || {}),
+  });
+  if (error) {
+    return { error, message };
+  }
+
+  return {
+    channel: {
+      id: input.id,
+      type,
+      name: name.trim(),
+      enabled,
+      events: events.includes('*') ? ['*'] : [...new Set(events)],
+      language,
+      config,
+    },
+  };
+}
+
+/**
+ * Channel as returned by the API - webhook URLs and secrets carry credentials, so hide them
+ */
+export function maskNotificationChannel(channel) {
+  const { url, secret, ...config } = channel.config;
+  if (url) {
+    try {
+      config.url = `${new URL(url).origin}/…`;
+    } catch {
+      config.url = '…';
+    }
+  }
+  if (channel.type === 'webhook') {
+    config.secretSet = !!secret;
+  }
+  return { ...channel, config };
+}
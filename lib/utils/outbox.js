@@ -0,0 +1,277 @@
+/**
+ * Notification outbox
+ *
+ * Every notification is written to system/notifications/outbox/{id} before it is sent,
+ * one entry per channel or subscribed chat:
+ *   { event, target: { id, type, name, subscriber, silent, config }, html, language, data,
+ *     attempts, createdAt, nextAttemptAt, lastAttemptAt, lastError }
+ * The first attempt is made right away (or at the end of the chat's quiet hours for a
+ * delayed message, see utils/preferences.js); failures are retried by the cron dispatcher
+ * with exponential backoff (1 min, 2 min, 4 min ... at most 1 h between attempts).
+ * After OUTBOX_MAX_ATTEMPTS attempts, or on a failure retrying cannot fix (HTTP 4xx),
+ * the entry moves to system/notifications/deadLetters/{id} ({ ...entry, deadAt })
+ * until it is replayed or deleted. Dead letters are kept DEAD_LETTER_RETENTION_DAYS.
+ */
+import { pushKeyAt } from './pagination.js';
+
+const OUTBOX_PATH = 'system/notifications/outbox';
+const DEAD_LETTERS_PATH = 'system/notifications/deadLetters';
+
+export const DEFAULT_MAX_ATTEMPTS = 8;
+export const DEAD_LETTER_RETENTION_DAYS = 30;
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// An entry being sent is leased: the dispatcher skips it until the lease expires
+const LEASE_MS = 60 * 1000;
+
+// Entries read per dispatch or listing, and sent per dispatch at most
+const OUTBOX_SCAN_LIMIT = 500;
+export const DISPATCH_BATCH = 25;
+
+const ENTRY_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+// Failures that are the same on every attempt
+const PERMANENT_ERRORS = ['INVALID_MESSAGE', 'MISSING_CREDENTIALS', 'MISSING_URL', 'MISSING_SENDER', 'UNKNOWN_CHANNEL_TYPE'];
+
+export function getOutboxRef(db) {
+  return db.ref(OUTBOX_PATH);
+}
+
+export function getDeadLettersRef(db) {
+  return db.ref(DEAD_LETTERS_PATH);
+}
+
+/**
+ * Check an entry id given to the admin endpoint
+ */
+export function isValidEntryId(id) {
+  return typeof id === 'string' && ENTRY_ID_PATTERN.test(id);
+}
+
+/**
+ * Attempts before an entry moves to the dead letters (OUTBOX_MAX_ATTEMPTS, default 8)
+ */
+export function getMaxAttempts() {
+  const maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10);
+  return maxAttempts > 0 ? maxAttempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Wait before the attempt after `attempts` failed ones
+ */
+export function getRetryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Whether retrying cannot fix a failed send. Rate limits (429) and timeouts (408) can be retried.
+ */
+export function isPermanentFailure(result) {
+  const status = Number(result?.status) || 0;
+  if (status >= 400 && status < 500) {
+    return status !== 408 && status !== 429;
+  }
+  return PERMANENT_ERRORS.includes(result?.error);
+}
+
+/**
+ * Write an entry, leased for the first attempt the caller makes right away -
+ * or, with `deliverAt` (epoch ms), left for the dispatcher to send from then on.
+ * Resolves { id, entry }.
+ */
+export async function enqueueNotification(db, { event, target, html, language = null, data = {}, deliverAt = null }, now = new Date()) {
+  const entry = {
+    event,
+    target: {
+      id: target.id,
+      type: target.type,
+      name: target.name || null,
+      subscriber: !!target.subscriber,
+      silent: !!target.silent,
+      config: target.config || {},
+    },
+    html,
+    language,
+    // Drop undefined values, the database refuses them
+    data: JSON.parse(JSON.stringify(data || {})),
+    attempts: deliverAt ? 0 : 1,
+    createdAt: now.getTime(),
+    nextAttemptAt: deliverAt || now.getTime() + LEASE_MS,
+    lastAttemptAt: deliverAt ? null : now.getTime(),
+    lastError: null,
+  };
+  const entryRef = getOutboxRef(db).push();
+  await entryRef.set(entry);
+  return { id: entryRef.key, entry };
+}
+
+/**
+ * Entries due for an attempt, longest due first, at most DISPATCH_BATCH.
+ * Queried by nextAttemptAt, so entries delayed by quiet hours never hide due ones
+ * (the RTDB rules need ".indexOn": "nextAttemptAt" on the outbox).
+ * Resolves { due: [{ id, ...entry }], pending } - pending counts the entries due now,
+ * up to OUTBOX_SCAN_LIMIT.
+ */
+export async function getDueEntries(db, now = new Date()) {
+  const snapshot = await getOutboxRef(db)
+    .orderByChild('nextAttemptAt')
+    .endAt(now.getTime())
+    .limitToFirst(OUTBOX_SCAN_LIMIT)
+    .once('value');
+
+  const due = [];
+  let pending = 0;
+  snapshot.forEach((child) => {
+    pending++;
+    const entry = child.val();
+    if (entry && due.length < DISPATCH_BATCH) {
+      due.push({ id: child.key, ...entry });
+    }
+  });
+  return { due, pending };
+}
+
+/**
+ * Lease a due entry and count the attempt. Resolves the entry, or null when it was
+ * sent, leased or rescheduled by someone else meanwhile.
+ */
+export async function claimEntry(db, id, now = new Date()) {
+  let claimed = null;
+  await getOutboxRef(db).child(id).transaction((current) => {
+    claimed = null;
+    // Firebase may run the update with no cached value first - returning it unchanged retries with the stored one
+    if (!current) return current;
+    if ((Number(current.nextAttemptAt) || 0) > now.getTime()) return undefined;
+    claimed = {
+      ...current,
+      attempts: (Number(current.attempts) || 0) + 1,
+      nextAttemptAt: now.getTime() + LEASE_MS,
+      lastAttemptAt: now.getTime(),
+    };
+    return claimed;
+  });
+  return claimed;
+}
+
+/**
+ * Record the result of an attempt. Resolves what happened to the entry:
+ * 'delivered' (removed), 'retry' (rescheduled) or 'dead' (moved to the dead letters).
+ */
+export async function settleEntry(db, id, entry, result, now = new Date()) {
+  if (result?.success) {
+    await getOutboxRef(db).child(id).remove();
+    return 'delivered';
+  }
+
+  const lastError = String(result?.error || 'UNKNOWN_ERROR').substring(0, 200);
+  if (isPermanentFailure(result) || entry.attempts >= getMaxAttempts()) {
+    await moveToDeadLetters(db, id, { ...entry, lastError }, now);
+    return 'dead';
+  }
+
+  await getOutboxRef(db).child(id).update({
+    nextAttemptAt: now.getTime() + getRetryDelayMs(entry.attempts),
+    lastError,
+  });
+  return 'retry';
+}
+
+/**
+ * Remove an entry without sending it (its chat is gone)
+ */
+export async function discardEntry(db, id) {
+  await getOutboxRef(db).child(id).remove();
+}
+
+/**
+ * Give up on an entry until it is replayed
+ */
+async function moveToDeadLetters(db, id, entry, now) {
+  const { id: _id, ...stored } = entry;
+  await getDeadLettersRef(db).child(id).set({ ...stored, nextAttemptAt: null, deadAt: now.getTime() });
+  await getOutboxRef(db).child(id).remove();
+  console.warn(`[OUTBOX] ${entry.event} to ${entry.target?.type} "${entry.target?.id}" moved to dead letters after ${entry.attempts} attempt(s): ${entry.lastError}`);
+}
+
+/**
+ * Move dead letters back to the outbox, due right away with their attempts reset.
+ * `ids` null replays every dead letter. Resolves the replayed ids.
+ */
+export async function replayDeadLetters(db, ids = null, now = new Date()) {
+  const snapshot = await getDeadLettersRef(db).once('value');
+  const deadLetters = snapshot.val() || {};
+  const replayed = (ids || Object.keys(deadLetters)).filter((id) => deadLetters[id]);
+
+  const outboxUpdates = {};
+  const deadUpdates = {};
+  for (const id of replayed) {
+    const { deadAt: _deadAt, ...entry } = deadLetters[id];
+    outboxUpdates[id] = { ...entry, attempts: 0, nextAttemptAt: now.getTime() };
+    deadUpdates[id] = null;
+  }
+  if (replayed.length > 0) {
+    await getOutboxRef(db).update(outboxUpdates);
+    await getDeadLettersRef(db).update(deadUpdates);
+  }
+  return replayed;
+}
+
+/**
+ * Delete dead letters; `ids` null deletes all of them. Resolves the deleted ids.
+ */
+export async function deleteDeadLetters(db, ids = null) {
+  const snapshot = await getDeadLettersRef(db).once('value');
+  const deadLetters = snapshot.val() || {};
+  const deleted = (ids || Object.keys(deadLetters)).filter((id) => deadLetters[id]);
+
+  if (deleted.length > 0) {
+    await getDeadLettersRef(db).update(Object.fromEntries(deleted.map((id) => [id, null])));
+  }
+  return deleted;
+}
+
+/**
+ * Remove dead letters that died more than DEAD_LETTER_RETENTION_DAYS ago (by deadAt - an entry
+ * retried for a long time is still kept that long). Resolves the number removed.
+ */
+export async function pruneDeadLetters(db, now = new Date()) {
+  const cutoffMs = now.getTime() - DEAD_LETTER_RETENTION_DAYS * 24 * 3600000;
+  // An entry dies after it is created: only entries created before the cutoff can be expired
+  const cutoff = pushKeyAt(cutoffMs);
+  const snapshot = await getDeadLettersRef(db).orderByKey().endAt(cutoff).limitToFirst(OUTBOX_SCAN_LIMIT).once('value');
+
+  const updates = {};
+  snapshot.forEach((child) => {
+    const deadAt = Number(child.val()?.deadAt) || 0;
+    if (child.key < cutoff && deadAt < cutoffMs) updates[child.key] = null;
+  });
+
+  const removed = Object.keys(updates).length;
+  if (removed > 0) {
+    await getDeadLettersRef(db).update(updates);
+  }
+  return removed;
+}
+
+/**
+ * Pending entries and dead letters, oldest first, as [{ id, ...entry }]
+ */
+export async function listOutbox(db) {
+  const [outboxSnapshot, deadSnapshot] = await Promise.all([
+    getOutboxRef(db).orderByKey().limitToFirst(OUTBOX_SCAN_LIMIT).once('value'),
+    getDeadLettersRef(db).orderByKey().limitToFirst(OUTBOX_SCAN_LIMIT).once('value'),
+  ]);
+
+  const toList = (snapshot) => {
+    const list = [];
+    snapshot.forEach((child) => {
+      const entry = child.val();
+      if (entry) list.push({ id: child.key, ...entry, target: { ...entry.target, config: entry.target?.config || {} } });
+    });
+    return list;
+  };
+
+  return { pending: toList(outboxSnapshot), dead: toList(deadSnapshot) };
+}
@@ -0,0 +1,85 @@
+/**
+ * Cursor pagination over push-keyed lists (feed history, alert incidents)
+ *
+ * Pages are cut by key, newest first: `cursor` is the key of the last entry already
+ * seen and the page continues with older entries.
+ */
+
+// Entries read per database query, and per request at most (filters may skip many)
+const PAGE_BATCH_SIZE = 100;
+const MAX_PAGE_SCAN = 2000;
+
+const CURSOR_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Check a ?cursor= value (a nextCursor from a previous page)
+ */
+export function isValidCursor(cursor) {
+  return typeof cursor === 'string' && CURSOR_PATTERN.test(cursor);
+}
+
+/**
+ * Smallest push key that can have been created at or after `ms`
+ * (the first 8 characters of a push key encode its creation time)
+ */
+export function pushKeyAt(ms) {
+  let remaining = Math.max(0, Math.floor(ms));
+  const chars = new Array(8);
+  for (let i = 7; i >= 0; i--) {
+    chars[i] = PUSH_CHARS.charAt(remaining % 64);
+    remaining = Math.floor(remaining / 64);
+  }
+  return chars.join('');
+}
+
+/**
+ * Read one page, newest first. Resolves { entries (each with `id`), nextCursor } -
+ * nextCursor is null on the last page.
+ *
+ * `matches(entry)` filters entries; `isPastEnd(entry)` returning true stops the scan
+ * (everything older is out of range too). With narrow filters a page may hold fewer
+ * than `limit` entries (at most MAX_PAGE_SCAN entries are read per call) while
+ * nextCursor is still set.
+ */
+export async function pageByKey(ref, { limit, cursor = null, matches = () => true, isPastEnd = () => false }) {
+  const entries = [];
+  let endKey = cursor;
+  let scanned = 0;
+  let done = false;
+
+  while (!done && entries.length < limit && scanned < MAX_PAGE_SCAN) {
+    // endAt is inclusive, so ask for one more and drop the cursor entry itself
+    let keyQuery = ref.orderByKey();
+    if (endKey) keyQuery = keyQuery.endAt(endKey);
+    const snapshot = await keyQuery.limitToLast(PAGE_BATCH_SIZE + (endKey ? 1 : 0)).once('value');
+
+    const batch = [];
+    snapshot.forEach((child) => {
+      if (child.key !== endKey) batch.push({ id: child.key, ...child.val() });
+    });
+
+    const lastBatch = batch.length < PAGE_BATCH_SIZE;
+    let consumed = 0;
+
+    for (const entry of batch.reverse()) {
+      scanned++;
+      consumed++;
+      endKey = entry.id;
+
+      if (isPastEnd(entry)) {
+        done = true;
+        break;
+      }
+
+      if (matches(entry)) {
+        entries.push(entry);
+        if (entries.length === limit) break;
+      }
+    }
+
+    if (lastBatch && consumed === batch.length) done = true;
+  }
+
+  return { entries, nextCursor: done ? null : endKey || null };
+}
@@ -0,0 +1,85 @@
+/**
+ * Feed portion utilities
+ *
+ * A portion tells the Arduino how much to feed:
+ *   { unit: 'pulses', amount: 1-10 }      - number of servo open/close cycles
+ *   { unit: 'ms', amount: 100-10000 }     - how long the servo stays open
+ *
+ * Defaults per feed type are stored in feeder/portions/{manual|reservation|timer}.
+ * triggerFeed writes the portion to device/feedCommand before setting status = 1.
+ */
+import { t } from './i18n.js';
+
+export const PORTION_UNITS = ['pulses', 'ms'];
+export const PORTION_FEED_TYPES = ['manual', 'reservation', 'timer'];
+
+// One servo cycle - what the firmware did before portions existed
+export const DEFAULT_PORTION = { unit: 'pulses', amount: 1 };
+
+const PORTION_LIMITS = {
+  pulses: { min: 1, max: 10 },
+  ms: { min: 100, max: 10000 },
+};
+
+/**
+ * Validate a portion from a request body.
+ * Accepts { unit, amount } or a plain number of pulses.
+ * Returns { portion } or { error, message }.
+ */
+export function parsePortion(input) {
+  const raw = typeof input === 'number' || typeof input === 'string'
+    ? { unit: 'pulses', amount: input }
+    : input;
+
+  const unit = (raw?.unit || '').toString().trim().toLowerCase();
+  if (!PORTION_UNITS.includes(unit)) {
+    return { error: 'INVALID_PORTION', message: `portion unit must be one of: ${PORTION_UNITS.join(', ')}` };
+  }
+
+  const amount = Number(raw.amount);
+  const { min, max } = PORTION_LIMITS[unit];
+  if (!Number.isInteger(amount) || amount < min || amount > max) {
+    return { error: 'INVALID_PORTION', message: `portion amount in ${unit} must be a whole number between ${min} and ${max}` };
+  }
+
+  return { portion: { unit, amount } };
+}
+
+/**
+ * Default portion of a feeder for a feed type
+ */
+export function getDefaultPortion(feederData, type) {
+  const stored = feederData?.portions?.[type];
+  if (!stored) return { ...DEFAULT_PORTION };
+  const { portion } = parsePortion(stored);
+  return portion || { ...DEFAULT_PORTION };
+}
+
+/**
+ * Default portions of a feeder for every feed type
+ */
+export function getPortions(feederData) {
+  return Object.fromEntries(
+    PORTION_FEED_TYPES.map((type) => [type, getDefaultPortion(feederData, type)])
+  );
+}
+
+/**
+ * Portion for one feed: the requested portion if valid, else the feeder's default for the type
+ */
+export function resolvePortion(feederData, type, requested = null) {
+  if (requested) {
+    const { portion } = parsePortion(requested);
+    if (portion) return portion;
+  }
+  return getDefaultPortion(feederData, type);
+}
+
+/**
+ * Human-readable portion for Telegram messages, e.g. "2 pulses" or "1500 ms"
+ */
+export function formatPortion(portion, language = 'en') {
+  if (!portion) return t(language, 'portion.default');
+  if (portion.unit === 'ms') return t(language, 'portion.ms', { amount: portion.amount });
+  return t(language, portion.amount === 1 ? 'portion.pulse' : 'portion.pulses', { amount: portion.amount });
+}
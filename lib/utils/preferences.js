@@ -0,0 +1,231 @@
+/**
+ * Telegram chat notification preferences
+ *
+ * Any chat that receives notifications (the main chat, a channel's chat or a subscriber)
+ * can set preferences in system/notifications/preferences/{chatId}:
+ *   { mutedEvents: ['auto_feed', ...], quietHours: { start, end, mode, critical }, timeZone, updatedAt }
+ * Muted events are never sent to the chat. During quiet hours ("HH:MM" to "HH:MM", may span
+ * midnight) messages are, by mode:
+ *   drop    - not sent
+ *   delay   - queued in the outbox until quiet hours end
+ *   silent  - sent with Telegram's disable_notification (no sound)
+ * With `critical` on (default), CRITICAL_EVENTS bypass quiet hours.
+ * Quiet hours are the chat's own night, not a tank's: they use the chat's `timeZone`
+ * (/quiet tz), else the default feeder's - never the timezone of the feeder an event is about,
+ * so one chat following tanks in several timezones still has a single night.
+ */
+import { NOTIFICATION_EVENTS } from './notifications.js';
+import { DEFAULT_FEEDER_ID, getFeederRefs } from './feeders.js';
+import { getLocalDateKey, getLocalDayStartMs, getZonedParts, isValidTimeZone, loadFeederTimeZone } from './timezone.js';
+
+export const QUIET_MODES = ['drop', 'delay', 'silent'];
+export const DEFAULT_QUIET_MODE = 'delay';
+
+// Alerts someone should act on even at night
+export const CRITICAL_EVENTS = ['device', 'sensor', 'feed_failed'];
+
+const PREFERENCES_PATH = 'system/notifications/preferences';
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const RANGE_PATTERN = /^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/;
+
+export function getPreferencesRef(db) {
+  return db.ref(PREFERENCES_PATH);
+}
+
+/**
+ * "7:00" -> "07:00"; null when not a valid 24-hour time
+ */
+function normalizeTime(value) {
+  const time = (value || '').toString().trim().padStart(5, '0');
+  return TIME_PATTERN.test(time) ? time : null;
+}
+
+/**
+ * Minutes since local midnight of an "HH:MM" time
+ */
+function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Normalize stored preferences (RTDB may return arrays as objects)
+ */
+function normalizePreferences(value) {
+  const muted = Array.isArray(value?.mutedEvents) ? value.mutedEvents : Object.values(value?.mutedEvents || {});
+  const quiet = value?.quietHours;
+  const start = normalizeTime(quiet?.start);
+  const end = normalizeTime(quiet?.end);
+  return {
+    mutedEvents: NOTIFICATION_EVENTS.filter((event) => muted.includes(event)),
+    quietHours: start && end && start !== end
+      ? {
+        start,
+        end,
+        mode: QUIET_MODES.includes(quiet.mode) ? quiet.mode : DEFAULT_QUIET_MODE,
+        critical: quiet.critical !== false,
+      }
+      : null,
+    timeZone: isValidTimeZone(value?.timeZone) ? value.timeZone : null,
+  };
+}
+
+/**
+ * Preferences of every chat that set some, as { chatId: preferences }
+ */
+export async function getChatPreferences(db) {
+  const snapshot = await getPreferencesRef(db).once('value');
+  const preferences = {};
+  for (const [chatId, value] of Object.entries(snapshot.val() || {})) {
+    if (value) preferences[chatId] = normalizePreferences(value);
+  }
+  return preferences;
+}
+
+/**
+ * Preferences of one chat (defaults when it set none)
+ */
+export async function getChatPreference(db, chatId) {
+  const snapshot = await getPreferencesRef(db).child(String(chatId)).once('value');
+  return normalizePreferences(snapshot.val());
+}
+
+/**
+ * Change a chat's preferences: `update(preferences)` returns the new ones.
+ * Preferences back to the defaults are removed. Resolves the saved preferences.
+ */
+export async function updateChatPreferences(db, chatId, update, now = new Date()) {
+  let preferences = null;
+  await getPreferencesRef(db).child(String(chatId)).transaction((current) => {
+    preferences = update(normalizePreferences(current));
+    if (preferences.mutedEvents.length === 0 && !preferences.quietHours && !preferences.timeZone) {
+      return null;
+    }
+    return { ...preferences, updatedAt: now.getTime() };
+  });
+  return preferences;
+}
+
+/**
+ * Parse /quiet arguments against the current quiet hours:
+ *   22:00-07:00 [drop|delay|silent]   set quiet hours (mode defaults to the current one, else delay)
+ *   off                               remove quiet hours
+ *   critical on|off                   whether critical alerts bypass quiet hours
+ * Returns { quietHours } (null = off) or { error, value }.
+ */
+export function parseQuietHours(args, current = null) {
+  const [first = '', second = ''] = args.map((arg) => arg.toLowerCase());
+
+  if (first === 'off') {
+    return { quietHours: null };
+  }
+
+  if (first === 'critical') {
+    if (!current) return { error: 'NO_QUIET_HOURS' };
+    if (!['on', 'off'].includes(second)) return { error: 'INVALID_QUIET_HOURS', value: args.join(' ') };
+    return { quietHours: { ...current, critical: second === 'on' } };
+  }
+
+  const range = first.match(RANGE_PATTERN);
+  const start = range && normalizeTime(range[1]);
+  const end = range && normalizeTime(range[2]);
+  if (!start || !end || start === end) {
+    return { error: 'INVALID_QUIET_HOURS', value: args[0] || '' };
+  }
+  if (second && !QUIET_MODES.includes(second)) {
+    return { error: 'INVALID_QUIET_MODE', value: args[1] };
+  }
+
+  return {
+    quietHours: {
+      start,
+      end,
+      mode: second || current?.mode || DEFAULT_QUIET_MODE,
+      critical: current ? current.critical : true,
+    },
+  };
+}
+
+/**
+ * Parse the timezone of /quiet tz <IANA name|default> ("default" follows the default feeder again).
+ * Returns { timeZone } (null = default) or { error, value }.
+ */
+export function parseQuietTimeZone(value = '') {
+  if (value.toLowerCase() === 'default') {
+    return { timeZone: null };
+  }
+  if (!isValidTimeZone(value)) {
+    return { error: 'INVALID_TIMEZONE', value };
+  }
+  // Canonical spelling, e.g. "europe/berlin" -> "Europe/Berlin"
+  return { timeZone: new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone };
+}
+
+/**
+ * Parse /mute and /unmute arguments into events ("auto_feed reservation", "all").
+ * Returns { events } or { error, unknown }.
+ */
+export function parseEvents(args) {
+  const names = args.flatMap((arg) => arg.toLowerCase().split(',')).filter(Boolean);
+  if (names.includes('all')) {
+    return { events: [...NOTIFICATION_EVENTS] };
+  }
+
+  const unknown = names.filter((name) => !NOTIFICATION_EVENTS.includes(name));
+  if (unknown.length > 0) {
+    return { error: 'INVALID_EVENT', unknown };
+  }
+  return { events: NOTIFICATION_EVENTS.filter((event) => names.includes(event)) };
+}
+
+/**
+ * Timezone quiet hours are evaluated in for chats without their own (the default feeder's)
+ */
+export async function loadQuietHoursTimeZone(db) {
+  return loadFeederTimeZone(getFeederRefs(db, DEFAULT_FEEDER_ID).feederRef);
+}
+
+/**
+ * Whether `now` falls in the quiet hours
+ */
+export function isQuietTime(quietHours, now, timeZone) {
+  if (!quietHours) return false;
+  const { hour, minute } = getZonedParts(now, timeZone);
+  const minutes = hour * 60 + minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Epoch milliseconds of the next end of quiet hours after `now`
+ */
+export function getQuietHoursEnd(quietHours, now, timeZone) {
+  const endMs = toMinutes(quietHours.end) * 60000;
+  const todayKey = getLocalDateKey(now, timeZone);
+  const today = getLocalDayStartMs(todayKey, timeZone) + endMs;
+  if (today > now.getTime()) return today;
+
+  const tomorrowKey = getLocalDateKey(new Date(getLocalDayStartMs(todayKey, timeZone) + 36 * 3600000), timeZone);
+  return getLocalDayStartMs(tomorrowKey, timeZone) + endMs;
+}
+
+/**
+ * What to do with an event for a chat right now:
+ * { action: 'send' | 'silent' | 'drop' } or { action: 'delay', until } (epoch ms)
+ */
+export function getQuietHoursAction(preferences, event, now, timeZone) {
+  const quietHours = preferences?.quietHours;
+  if (!isQuietTime(quietHours, now, timeZone)) {
+    return { action: 'send' };
+  }
+  if (quietHours.critical && CRITICAL_EVENTS.includes(event)) {
+    return { action: 'send' };
+  }
+  if (quietHours.mode === 'delay') {
+    return { action: 'delay', until: getQuietHoursEnd(quietHours, now, timeZone) };
+  }
+  return { action: quietHours.mode };
+}
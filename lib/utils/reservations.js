@@ -0,0 +1,158 @@
+/**
+ * Reservation queue utilities
+ * Every queue mutation runs as a transaction on feeder/reservations so that
+ * concurrent creates, cancels and cron executions never drop or duplicate entries.
+ */
+import { randomUUID } from 'node:crypto';
+
+export const MAX_RESERVATIONS = 20;
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Errors firebase-admin rejects a transaction with when it loses a race
+const CONFLICT_ERRORS = ['maxretry', 'set', 'disconnect'];
+
+/**
+ * Parse a numeric field that may have been stored as a string
+ */
+export function toTimestamp(value) {
+  return typeof value === 'number' ? value : parseInt(value, 10);
+}
+
+/**
+ * Keep only well-formed reservation entries (RTDB may return objects or sparse arrays)
+ */
+export function getValidReservations(reservations) {
+  const list = Array.isArray(reservations)
+    ? reservations
+    : (reservations && typeof reservations === 'object' ? Object.values(reservations) : []);
+  return list.filter((r) => r && typeof r === 'object' && r.scheduledTime);
+}
+
+/**
+ * Generate an ID for a new reservation
+ */
+export function createReservationId() {
+  return randomUUID();
+}
+
+/**
+ * Check whether two entries are the same reservation.
+ * Older entries have no id, so fall back to createdAt.
+ */
+export function isSameReservation(a, b) {
+  if (!a || !b) return false;
+  if (a.id && b.id) return a.id === b.id;
+  return toTimestamp(a.createdAt) === toTimestamp(b.createdAt);
+}
+
+/**
+ * Recalculate scheduledTimes so reservations run one cooldown apart,
+ * starting one cooldown after startTime (and never in the past)
+ */
+export function rescheduleReservations(reservations, startTime, cooldownMs) {
+  const recalculated = [];
+  let currentScheduledTime = startTime + cooldownMs;
+
+  for (const reservation of reservations) {
+    const scheduledTime = Math.max(Date.now(), currentScheduledTime);
+    recalculated.push({
+      ...reservation,
+      scheduledTime,
+    });
+    currentScheduledTime = scheduledTime + cooldownMs;
+  }
+
+  return recalculated;
+}
+
+/**
+ * Atomically mutate the reservation queue of a feeder.
+ *
+ * `mutator` receives the current valid reservations and returns an outcome object.
+ * If the outcome has a `reservations` array it is written; otherwise nothing changes.
+ * The mutator can run several times (once per attempt), so it must not have side effects.
+ *
+ * Resolves with `{ committed, ...outcome }`. Rejects with `transaction_conflict`
+ * when the queue kept changing underneath us for `maxAttempts` attempts.
+ */
+export async function mutateReservations(feederRef, mutator, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  if (!feederRef) {
+    throw new Error('feederRef is required');
+  }
+
+  const reservationsRef = feederRef.child('reservations');
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let outcome = null;
+
+    try {
+      const { committed } = await reservationsRef.transaction((current) => {
+        outcome = mutator(getValidReservations(current)) || {};
+        if (Array.isArray(outcome.reservations)) {
+          return outcome.reservations;
+        }
+        // RTDB calls us with null before it knows the server value. Aborting here
+        // would skip the retry with real data, so write back null instead: the
+        // server only accepts it if the queue really is empty.
+        return current === null ? null : undefined;
+      }, undefined, false);
+
+      return { ...outcome, committed: committed && Array.isArray(outcome?.reservations) };
+    } catch (error) {
+      if (!CONFLICT_ERRORS.includes(error?.message)) {
+        throw error;
+      }
+      lastError = error;
+      console.warn(`[RESERVATIONS] Transaction conflict (${error.message}) - attempt ${attempt}/${maxAttempts}`);
+      if (attempt < maxAttempts) {
+        const delay = Math.min(100 * 2 ** (attempt - 1), 1000) + Math.floor(Math.random() * 50);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  console.error('[RESERVATIONS] Giving up after', maxAttempts, 'attempts:', lastError?.message);
+  const conflictError = new Error('transaction_conflict');
+  conflictError.attempts = maxAttempts;
+  throw conflictError;
+}
+
+/**
+ * Claim a ready reservation for execution: remove it from the queue and
+ * reschedule the rest from feedTime. Resolves false if it is no longer queued
+ * (cancelled or executed by another run since it was read).
+ */
+export async function claimReservation(feederRef, reservation, { feedTime, cooldownMs }) {
+  const outcome = await mutateReservations(feederRef, (queue) => {
+    const index = queue.findIndex((r) => isSameReservation(r, reservation));
+    if (index === -1) {
+      return { claimed: false };
+    }
+    const remaining = queue.filter((_, i) => i !== index);
+    return {
+      claimed: true,
+      reservations: rescheduleReservations(remaining, feedTime, cooldownMs),
+    };
+  });
+  return outcome.claimed === true;
+}
+
+/**
+ * Put a claimed reservation back at the front of the queue when its feed failed.
+ * Best effort - logs instead of throwing.
+ */
+export async function restoreReservation(feederRef, reservation) {
+  try {
+    await mutateReservations(feederRef, (queue) => {
+      if (queue.some((r) => isSameReservation(r, reservation))) {
+        return {};
+      }
+      return { reservations: [reservation, ...queue] };
+    });
+    console.log('[RESERVATIONS] Reservation restored to queue');
+  } catch (error) {
+    console.error('[RESERVATIONS] Failed to restore reservation:', error.message);
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Telegram message retention
+ *
+ * Bot messages sent to the TELEGRAM_CHAT_ID chat are tracked in system/telegram:
+ *   messages/{messageId}: { sentAt, event }   - candidates for cleanup
+ *   pinned/{event}: { messageId, sentAt }       - the pinned message of a pinned event
+ *   retention: { mode, keepLast, maxAgeHours, exempt: [...events], pin: [...events] }
+ * mode:
+ *   'count' - keep the last keepLast messages (default, 10)
+ *   'age'   - delete messages older than maxAgeHours
+ *   'off'   - never delete
+ * Messages of `exempt` events are never deleted. Messages of `pin` events are pinned;
+ * the previous pinned message of that event is unpinned and handed back to the policy.
+ * The cron runs the cleanup, a batch at a time.
+ */
+import { NOTIFICATION_EVENTS } from './notifications.js';
+
+export const RETENTION_MODES = ['count', 'age', 'off'];
+export const DEFAULT_RETENTION = { mode: 'count', keepLast: 10, maxAgeHours: 24, exempt: [], pin: [] };
+
+// Telegram only lets bots delete messages sent in the last 48 hours
+export const DELETE_WINDOW_MS = 48 * 3600000;
+
+const MAX_KEEP_LAST = 100;
+const MAX_AGE_HOURS = 47;
+
+/**
+ * Keep only known event names (RTDB may return arrays as objects)
+ */
+function normalizeEvents(events) {
+  const list = Array.isArray(events) ? events : Object.values(events || {});
+  return [...new Set(list.filter((event) => NOTIFICATION_EVENTS.includes(event)))];
+}
+
+/**
+ * Retention settings, with defaults for missing values
+ */
+export function getRetentionSettings(stored) {
+  const keepLast = parseInt(stored?.keepLast, 10);
+  const maxAgeHours = parseInt(stored?.maxAgeHours, 10);
+  return {
+    mode: RETENTION_MODES.includes(stored?.mode) ? stored.mode : DEFAULT_RETENTION.mode,
+    keepLast: keepLast > 0 ? keepLast : DEFAULT_RETENTION.keepLast,
+    maxAgeHours: maxAgeHours > 0 ? maxAgeHours : DEFAULT_RETENTION.maxAgeHours,
+    exempt: normalizeEvents(stored?.exempt),
+    pin: normalizeEvents(stored?.pin),
+  };
+}
+
+/**
+ * Validate retention settings from a request body.
+ * Missing fields keep their current value. Returns { settings } or { error, message }.
+ */
+export function parseRetentionSettings(input, current = DEFAULT_RETENTION) {
+  const settings = { ...current };
+
+  if (input?.mode !== undefined) {
+    const mode = (input.mode || '').toString().trim().toLowerCase();
+    if (!RETENTION_MODES.includes(mode)) {
+      return { error: 'INVALID_MODE', message: `mode must be one of: ${RETENTION_MODES.join(', ')}` };
+    }
+    settings.mode = mode;
+  }
+
+  if (input?.keepLast !== undefined) {
+    const keepLast = Number(input.keepLast);
+    if (!Number.isInteger(keepLast) || keepLast < 1 || keepLast > MAX_KEEP_LAST) {
+      return { error: 'INVALID_KEEP_LAST', message: `keepLast must be a whole number between 1 and ${MAX_KEEP_LAST}` };
+    }
+    settings.keepLast = keepLast;
+  }
+
+  if (input?.maxAgeHours !== undefined) {
+    const maxAgeHours = Number(input.maxAgeHours);
+    if (!Number.isInteger(maxAgeHours) || maxAgeHours < 1 || maxAgeHours > MAX_AGE_HOURS) {
+      return {
+        error: 'INVALID_MAX_AGE',
+        message: `maxAgeHours must be a whole number between 1 and ${MAX_AGE_HOURS} (Telegram can't delete older messages)`,
+      };
+    }
+    settings.maxAgeHours = maxAgeHours;
+  }
+
+  for (const field of ['exempt', 'pin']) {
+    if (input?.[field] === undefined) continue;
+    const events = input[field];
+    if (!Array.isArray(events) || events.some((event) => !NOTIFICATION_EVENTS.includes(event))) {
+      return { error: 'INVALID_EVENTS', message: `${field} must be a list of: ${NOTIFICATION_EVENTS.join(', ')}` };
+    }
+    settings[field] = [...new Set(events)];
+  }
+
+  return { settings };
+}
+
+/**
+ * Tracked messages the policy no longer keeps, oldest first.
+ * `messages` is [{ messageId, sentAt, event }]; sentAt 0 = unknown (tracked before retention existed).
+ */
+export function selectExpiredMessages(messages, settings, now = new Date()) {
+  if (settings.mode === 'off') return [];
+
+  const candidates = messages
+    .filter((message) => !settings.exempt.includes(message.event))
+    .sort((a, b) => a.messageId - b.messageId);
+
+  if (settings.mode === 'age') {
+    const cutoff = now.getTime() - settings.maxAgeHours * 3600000;
+    return candidates.filter((message) => !message.sentAt || message.sentAt < cutoff);
+  }
+
+  return candidates.slice(0, Math.max(0, candidates.length - settings.keepLast));
+}
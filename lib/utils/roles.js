@@ -0,0 +1,103 @@
+/**
+ * Telegram bot roles
+ *
+ * Bot commands are only executed for allowlisted Telegram users and chats, stored in
+ * system/access/telegram/{userOrChatId}: { role, name, addedAt, addedBy }.
+ * The TELEGRAM_CHAT_ID chat is always admin, so the owner can grant the first roles.
+ * A caller's role is the higher of its user's and its chat's role.
+ */
+
+// Lowest to highest - each role can run the commands of the roles before it
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Role needed per command; commands not listed need viewer
+export const COMMAND_ROLES = {
+  '/feed': 'operator',
+  '/clear': 'operator',
+  '/settimer': 'admin',
+  '/setfast': 'admin',
+  '/setdelay': 'admin',
+  '/allow': 'admin',
+  '/deny': 'admin',
+  '/access': 'admin',
+};
+
+const ACCESS_PATH = 'system/access/telegram';
+const ACCESS_ID_PATTERN = /^-?\d{1,20}$/;
+const MAX_NAME_LENGTH = 100;
+
+export function getAccessRef(db) {
+  return db.ref(ACCESS_PATH);
+}
+
+export function isValidAccessId(id) {
+  return typeof id === 'string' && ACCESS_ID_PATTERN.test(id);
+}
+
+/**
+ * Role needed to run a command
+ */
+export function getCommandRole(command) {
+  return COMMAND_ROLES[command] || 'viewer';
+}
+
+/**
+ * Whether `role` is at least `required`
+ */
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+/**
+ * Role of a caller, or null if neither the user nor the chat is allowlisted
+ */
+export async function getTelegramRole(db, { userId = null, chatId }) {
+  if (String(chatId) === String(process.env.TELEGRAM_CHAT_ID)) {
+    return 'admin';
+  }
+
+  const accessRef = getAccessRef(db);
+  const ids = [chatId, userId].filter((id) => id !== null && id !== undefined).map(String);
+  const snapshots = await Promise.all(ids.map((id) => accessRef.child(id).once('value')));
+
+  return snapshots
+    .map((snapshot) => snapshot.val()?.role)
+    .filter((role) => ROLES.includes(role))
+    .sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] || null;
+}
+
+/**
+ * All allowlist entries, highest role first
+ */
+export async function listTelegramAccess(db) {
+  const snapshot = await getAccessRef(db).once('value');
+  return Object.entries(snapshot.val() || {})
+    .filter(([, value]) => value && ROLES.includes(value.role))
+    .map(([id, value]) => ({ id, ...value }))
+    .sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Give a user or chat a role
+ */
+export async function grantTelegramRole(db, { id, role, name = null, addedBy = null, now = new Date() }) {
+  const entry = {
+    role,
+    name: (name || id).toString().replace(/[<>&]/g, '').substring(0, MAX_NAME_LENGTH),
+    addedAt: now.getTime(),
+    ...(addedBy ? { addedBy: String(addedBy) } : {}),
+  };
+  await getAccessRef(db).child(id).set(entry);
+  return { id, ...entry };
+}
+
+/**
+ * Remove a user or chat from the allowlist. Resolves whether it was listed.
+ */
+export async function revokeTelegramRole(db, id) {
+  const entryRef = getAccessRef(db).child(id);
+  const snapshot = await entryRef.once('value');
+  if (!snapshot.exists()) return false;
+  await entryRef.remove();
+  return true;
+}
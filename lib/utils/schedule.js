@@ -0,0 +1,208 @@
+/**
+ * Clock-time feeding schedule
+ *
+ * Stored per feeder in feeder/schedule:
+ *   mode: 'cooldown' | 'clock' | 'both'    (default 'cooldown')
+ *   slots: [{ time: 'HH:MM', days: [0-6] }] (days empty = every day)
+ *   graceMinutes: number                   (how late a missed slot may still fire)
+ *
+ * The last served slot is kept in feeder/lastSlot = { key, time, servedAt, servedBy }
+ * where key is 'YYYY-MM-DD HH:MM' in the feeder's timezone, so each slot fires once.
+ */
+import { DEFAULT_TIMEZONE, getLocalDateKey, getStartOfLocalDay, getZonedParts } from './timezone.js';
+
+export const SCHEDULE_MODES = ['cooldown', 'clock', 'both'];
+export const MAX_SCHEDULE_SLOTS = 24;
+export const DEFAULT_GRACE_MINUTES = 30;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Schedule mode of a feeder (defaults to the original cooldown behaviour)
+ */
+export function getScheduleMode(feederData) {
+  const mode = feederData?.schedule?.mode;
+  return SCHEDULE_MODES.includes(mode) ? mode : 'cooldown';
+}
+
+/**
+ * Whether the cooldown-based auto feed is enabled for a feeder
+ */
+export function usesCooldownAutoFeed(feederData) {
+  return getScheduleMode(feederData) !== 'clock';
+}
+
+/**
+ * Valid slots of a feeder, sorted by time
+ */
+export function getScheduleSlots(feederData) {
+  const slots = feederData?.schedule?.slots;
+  const list = Array.isArray(slots)
+    ? slots
+    : (slots && typeof slots === 'object' ? Object.values(slots) : []);
+  return list
+    .filter((slot) => slot && TIME_PATTERN.test(slot.time))
+    .map((slot) => ({ time: slot.time, days: normalizeDays(slot.days) }))
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+function normalizeDays(days) {
+  const list = Array.isArray(days)
+    ? days
+    : (days && typeof days === 'object' ? Object.values(days) : []);
+  const valid = list
+    .map((day) => parseInt(day, 10))
+    .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+  return [...new Set(valid)].sort((a, b) => a - b);
+}
+
+/**
+ * Validate a schedule from a request body.
+ * Returns { schedule } or { error, message }.
+ */
+export function parseSchedule(input) {
+  const mode = (input?.mode || '').toString().trim().toLowerCase();
+  if (!SCHEDULE_MODES.includes(mode)) {
+    return { error: 'INVALID_MODE', message: `mode must be one of: ${SCHEDULE_MODES.join(', ')}` };
+  }
+
+  const rawSlots = input.slots === undefined ? [] : input.slots;
+  if (!Array.isArray(rawSlots) || rawSlots.length > MAX_SCHEDULE_SLOTS) {
+    return { error: 'INVALID_SLOTS', message: `slots must be an array of at most ${MAX_SCHEDULE_SLOTS} entries` };
+  }
+
+  const slots = [];
+  for (const rawSlot of rawSlots) {
+    const slot = typeof rawSlot === 'string' ? { time: rawSlot } : rawSlot;
+    const time = (slot?.time || '').toString().trim();
+    if (!TIME_PATTERN.test(time)) {
+      return { error: 'INVALID_SLOTS', message: 'slot time must be HH:MM (24-hour)' };
+    }
+    const days = slot.days === undefined || slot.days === null ? [] : slot.days;
+    if (!Array.isArray(days) || normalizeDays(days).length !== days.length) {
+      return { error: 'INVALID_SLOTS', message: 'slot days must be unique numbers between 0 (Sunday) and 6 (Saturday)' };
+    }
+    slots.push({ time, days: normalizeDays(days) });
+  }
+
+  const times = slots.map((slot) => slot.time);
+  if (new Set(times).size !== times.length) {
+    return { error: 'INVALID_SLOTS', message: 'slot times must be unique' };
+  }
+
+  if (mode !== 'cooldown' && slots.length === 0) {
+    return { error: 'INVALID_SLOTS', message: `mode "${mode}" needs at least one slot` };
+  }
+
+  const graceMinutes = input.graceMinutes === undefined
+    ? DEFAULT_GRACE_MINUTES
+    : parseInt(input.graceMinutes, 10);
+  if (isNaN(graceMinutes) || graceMinutes < 1 || graceMinutes > 180) {
+    return { error: 'INVALID_GRACE', message: 'graceMinutes must be between 1 and 180' };
+  }
+
+  slots.sort((a, b) => a.time.localeCompare(b.time));
+  return { schedule: { mode, slots, graceMinutes } };
+}
+
+/**
+ * Epoch milliseconds of a wall-clock time on the local day starting at dayStart
+ */
+function getSlotTime(dayStart, time, timeZone) {
+  const [hour, minute] = time.split(':').map(Number);
+  const target = hour * 60 + minute;
+  const guess = dayStart + target * 60000;
+  // Correct for a DST change between midnight and the slot
+  const parts = getZonedParts(new Date(guess), timeZone);
+  const actual = parts.hour * 60 + parts.minute;
+  return guess - (actual - target) * 60000;
+}
+
+/**
+ * Slots on the local day containing `date` as [{ key, time, scheduledAt }]
+ */
+function getSlotsForDay(feederData, date, timeZone) {
+  const dayStart = getStartOfLocalDay(date, timeZone);
+  const dateKey = getLocalDateKey(date, timeZone);
+  const weekday = getZonedParts(date, timeZone).weekday;
+
+  return getScheduleSlots(feederData)
+    .filter((slot) => slot.days.length === 0 || slot.days.includes(weekday))
+    .map((slot) => ({
+      key: `${dateKey} ${slot.time}`,
+      time: slot.time,
+      scheduledAt: getSlotTime(dayStart, slot.time, timeZone),
+    }));
+}
+
+/**
+ * The slot that should be fed now, or null.
+ * A slot is due from its time until graceMinutes later, once.
+ */
+export function getDueSlot(feederData, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  if (getScheduleMode(feederData) === 'cooldown') return null;
+
+  const graceMs = (parseInt(feederData?.schedule?.graceMinutes, 10) || DEFAULT_GRACE_MINUTES) * 60000;
+  const lastKey = feederData?.lastSlot?.key || '';
+  const nowMs = now.getTime();
+
+  // Yesterday too, for slots just before midnight
+  const yesterday = new Date(getStartOfLocalDay(now, timeZone) - 1);
+  const candidates = [
+    ...getSlotsForDay(feederData, yesterday, timeZone),
+    ...getSlotsForDay(feederData, now, timeZone),
+  ].filter((slot) => slot.scheduledAt <= nowMs && nowMs - slot.scheduledAt <= graceMs && slot.key > lastKey);
+
+  return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+}
+
+/**
+ * The next upcoming slot within a week, or null
+ */
+export function getNextSlot(feederData, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  if (getScheduleMode(feederData) === 'cooldown') return null;
+
+  const nowMs = now.getTime();
+  let dayStart = getStartOfLocalDay(now, timeZone);
+  for (let i = 0; i < 8; i++) {
+    // Noon avoids landing on the wrong day around DST changes
+    const day = new Date(dayStart + 12 * 3600000);
+    const next = getSlotsForDay(feederData, day, timeZone).find((slot) => slot.scheduledAt > nowMs);
+    if (next) return next;
+    dayStart = getStartOfLocalDay(new Date(dayStart + 36 * 3600000), timeZone);
+  }
+  return null;
+}
+
+/**
+ * Atomically mark a slot as served. Resolves { claimed, previous }: claimed is
+ * false if another run already served it; previous lets a failed feed release it.
+ */
+export async function claimSlot(feederRef, slot, servedBy = 'timer') {
+  let previous = null;
+  const { committed } = await feederRef.child('lastSlot').transaction((current) => {
+    previous = current;
+    if (current?.key && current.key >= slot.key) {
+      return undefined;
+    }
+    return { key: slot.key, time: slot.time, servedAt: Date.now(), servedBy };
+  });
+  return committed ? { claimed: true, previous } : { claimed: false, previous };
+}
+
+/**
+ * Undo claimSlot after a failed feed. Best effort - logs instead of throwing.
+ */
+export async function releaseSlot(feederRef, slot, previous) {
+  try {
+    await feederRef.child('lastSlot').transaction((current) => {
+      // null may just mean "not loaded yet" - writing null back only
+      // succeeds if the server agrees, otherwise RTDB retries with real data
+      if (current === null) return null;
+      if (current.key !== slot.key) return undefined;
+      return previous || null;
+    });
+  } catch (error) {
+    console.error('[SCHEDULE] Failed to release slot:', error.message);
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Timer and priority settings
+ * Shared by PUT /api/settings/timer, PUT /api/settings/priority and the Telegram
+ * /settimer, /setfast and /setdelay commands, so both validate and save them the same way.
+ */
+import { notify } from '../services/notifier.js';
+import { calculateCooldownMs, formatTankLines } from './feeder.js';
+import { getFeederRefs } from './feeders.js';
+import { getFeederTimeZone } from './timezone.js';
+import { mutateReservations, rescheduleReservations } from './reservations.js';
+import { dayName, t } from './i18n.js';
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Used by the cron when feeder/priority is not set
+export const DEFAULT_PRIORITY = {
+  reservationDelayMinutes: 0,
+  autoFeedDelayMinutes: 30,
+};
+
+/**
+ * Timeout wrapper (same as the routes')
+ */
+async function withTimeout(promise, ms = 8000) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('firebase_timeout')), ms)
+    )
+  ]);
+}
+
+/**
+ * Validate timer settings. noFeedDay undefined = not given (removed from the timer), null = none.
+ * Returns { timer: { hour, minute, noFeedDay } } or { error, message }.
+ */
+export function parseTimerSettings(input) {
+  const hour = parseInt(input?.hour, 10);
+  const minute = parseInt(input?.minute, 10);
+  const noFeedDay = input?.noFeedDay !== undefined ? (input.noFeedDay === null ? null : parseInt(input.noFeedDay, 10)) : undefined;
+
+  if (isNaN(hour) || hour < 0 || hour > 23) {
+    return { error: 'INVALID_HOUR', message: 'Hour must be between 0 and 23' };
+  }
+
+  if (isNaN(minute) || minute < 0 || minute > 59) {
+    return { error: 'INVALID_MINUTE', message: 'Minute must be between 0 and 59' };
+  }
+
+  if (noFeedDay !== undefined && noFeedDay !== null && (isNaN(noFeedDay) || noFeedDay < 0 || noFeedDay > 6)) {
+    return { error: 'INVALID_NO_FEED_DAY', message: 'noFeedDay must be between 0 and 6, or null' };
+  }
+
+  return { timer: { hour, minute, noFeedDay } };
+}
+
+/**
+ * Save timer settings, reschedule the reservation queue with the new cooldown
+ * and notify when something changed. Resolves { changed, timeZone }.
+ * Rejects with firebase_timeout when the timer could not be written.
+ */
+export async function saveTimerSettings({ db, feeder, feederData, timer }) {
+  const { feederRef } = getFeederRefs(db, feeder.id);
+  const { hour, minute, noFeedDay } = timer;
+
+  // Get old values
+  const oldHour = feederData.timer?.hour || 0;
+  const oldMinute = feederData.timer?.minute || 0;
+  const oldNoFeedDay = feederData.timer?.noFeedDay;
+  const timeZone = getFeederTimeZone(feederData);
+
+  // Update timer settings
+  const timerUpdate = {
+    hour,
+    minute,
+  };
+
+  if (noFeedDay !== undefined) {
+    timerUpdate.noFeedDay = noFeedDay;
+  }
+
+  await withTimeout(
+    feederRef.child('timer').set(timerUpdate),
+    8000
+  );
+
+  // Recalculate all reservation scheduledTimes with new cooldown (atomic queue update)
+  const lastFeedTime = feederData.lastFeedTime || 0;
+  const newCooldownMs = calculateCooldownMs(hour, minute);
+  try {
+    await withTimeout(
+      mutateReservations(feederRef, (validReservations) => {
+        if (validReservations.length === 0) return {};
+        return { reservations: rescheduleReservations(validReservations, lastFeedTime, newCooldownMs) };
+      }),
+      8000
+    );
+  } catch (error) {
+    // Timer is already saved - the queue catches up on the next reschedule
+    console.error('[SETTINGS] Error updating reservations:', error.message);
+  }
+
+  // Send notification if changed - a missing noFeedDay is stored as none, like null
+  const changed = hour !== oldHour || minute !== oldMinute || (noFeedDay ?? null) !== (oldNoFeedDay ?? null);
+  if (changed) {
+    const noFeedDayStr = (lang) => (noFeedDay !== null && noFeedDay !== undefined ? dayName(noFeedDay, lang) : t(lang, 'common.none'));
+
+    await notify(
+      'settings',
+      (lang) => [
+        t(lang, 'notify.alert_title'),
+        '',
+        ...formatTankLines(feeder.name, lang),
+        t(lang, 'settings.timer_updated'),
+        t(lang, 'settings.interval', { value: `${hour}:${minute.toString().padStart(2, '0')}` }),
+        t(lang, 'settings.fasting_day', { value: noFeedDayStr(lang) }),
+        t(lang, 'settings.timezone', { value: timeZone }),
+        '',
+        t(lang, 'settings.saved'),
+      ].join('\n'),
+      db,
+      { feederId: feeder.id, feederName: feeder.name }
+    );
+  }
+
+  return { changed, timeZone };
+}
+
+/**
+ * Priority settings of a feeder, with the defaults for missing values
+ */
+export function getPrioritySettings(feederData) {
+  return { ...DEFAULT_PRIORITY, ...(feederData?.priority || {}) };
+}
+
+/**
+ * Validate priority (delay) settings.
+ * Returns { priority: { reservationDelayMinutes, autoFeedDelayMinutes } } or { error, message }.
+ */
+export function parsePrioritySettings(input) {
+  const reservationDelayMinutes = parseInt(input?.reservationDelayMinutes, 10);
+  const autoFeedDelayMinutes = parseInt(input?.autoFeedDelayMinutes, 10);
+
+  if (isNaN(reservationDelayMinutes) || reservationDelayMinutes < 0 || reservationDelayMinutes > 60) {
+    return { error: 'INVALID_RESERVATION_DELAY', message: 'reservationDelayMinutes must be between 0 and 60' };
+  }
+
+  if (isNaN(autoFeedDelayMinutes) || autoFeedDelayMinutes < 0 || autoFeedDelayMinutes > 120) {
+    return { error: 'INVALID_AUTO_FEED_DELAY', message: 'autoFeedDelayMinutes must be between 0 and 120' };
+  }
+
+  return { priority: { reservationDelayMinutes, autoFeedDelayMinutes } };
+}
+
+/**
+ * Save priority settings and notify.
+ * Rejects with firebase_timeout when they could not be written.
+ */
+export async function savePrioritySettings({ db, feeder, priority }) {
+  const { feederRef } = getFeederRefs(db, feeder.id);
+  const { reservationDelayMinutes, autoFeedDelayMinutes } = priority;
+
+  await withTimeout(
+    feederRef.child('priority').set({
+      reservationDelayMinutes,
+      autoFeedDelayMinutes,
+    }),
+    8000
+  );
+
+  // Send notification
+  await notify(
+    'settings',
+    (lang) => [
+      t(lang, 'notify.alert_title'),
+      '',
+      ...formatTankLines(feeder.name, lang),
+      t(lang, 'settings.priority_updated'),
+      t(lang, 'settings.reservation_delay', { minutes: reservationDelayMinutes }),
+      t(lang, 'settings.auto_feed_delay', { minutes: autoFeedDelayMinutes }),
+      '',
+      t(lang, 'settings.saved'),
+    ].join('\n'),
+    db,
+    { feederId: feeder.id, feederName: feeder.name }
+  );
+}
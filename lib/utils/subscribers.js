@@ -0,0 +1,135 @@
+/**
+ * Telegram chat subscribers
+ *
+ * Any chat can /subscribe to the bot's notifications. Subscribers live in
+ * system/notifications/subscribers/{chatId}:
+ *   { chatId, title, type, categories: ['feeds', 'sensors', ...], subscribedAt, updatedAt }
+ * Each category covers one or more notification events (see NOTIFICATION_EVENTS).
+ */
+
+export const SUBSCRIPTION_CATEGORIES = {
+  feeds: ['feed', 'auto_feed', 'feed_failed', 'fasting'],
+  reservations: ['reservation'],
+  device: ['device'],
+  sensors: ['sensor'],
+  settings: ['settings', 'scheduler'],
+  reports: ['digest'],
+};
+
+export const CATEGORY_NAMES = Object.keys(SUBSCRIPTION_CATEGORIES);
+
+const SUBSCRIBERS_PATH = 'system/notifications/subscribers';
+const MAX_TITLE_LENGTH = 100;
+
+export function getSubscribersRef(db) {
+  return db.ref(SUBSCRIBERS_PATH);
+}
+
+/**
+ * Normalize a stored subscriber (RTDB may return arrays as objects)
+ */
+function normalizeSubscriber(chatId, value) {
+  const categories = Array.isArray(value.categories) ? value.categories : Object.values(value.categories || {});
+  return {
+    chatId,
+    title: value.title || chatId,
+    type: value.type || 'private',
+    categories: categories.filter((category) => SUBSCRIPTION_CATEGORIES[category]),
+    subscribedAt: value.subscribedAt || null,
+    updatedAt: value.updatedAt || null,
+  };
+}
+
+/**
+ * All subscribed chats
+ */
+export async function getTelegramSubscribers(db) {
+  const snapshot = await getSubscribersRef(db).once('value');
+  return Object.entries(snapshot.val() || {})
+    .filter(([, value]) => value)
+    .map(([chatId, value]) => normalizeSubscriber(chatId, value));
+}
+
+/**
+ * A single subscriber, or null
+ */
+export async function getTelegramSubscriber(db, chatId) {
+  const snapshot = await getSubscribersRef(db).child(String(chatId)).once('value');
+  return snapshot.exists() ? normalizeSubscriber(String(chatId), snapshot.val()) : null;
+}
+
+/**
+ * Whether a subscriber receives an event
+ */
+export function subscriberReceives(subscriber, event) {
+  return subscriber.categories.some((category) => SUBSCRIPTION_CATEGORIES[category].includes(event));
+}
+
+/**
+ * Parse command arguments into categories ("feeds sensors", "all").
+ * No arguments means every category. Returns { categories } or { error, unknown }.
+ */
+export function parseCategories(args) {
+  const names = args.flatMap((arg) => arg.toLowerCase().split(',')).filter(Boolean);
+  if (names.length === 0 || names.includes('all')) {
+    return { categories: [...CATEGORY_NAMES] };
+  }
+
+  const unknown = names.filter((name) => !SUBSCRIPTION_CATEGORIES[name]);
+  if (unknown.length > 0) {
+    return { error: 'INVALID_CATEGORY', unknown };
+  }
+  return { categories: CATEGORY_NAMES.filter((name) => names.includes(name)) };
+}
+
+/**
+ * Subscribe a chat (a Telegram `chat` object) to categories, adding to an existing subscription.
+ * Resolves the subscriber.
+ */
+export async function subscribeChat(db, chat, categories, now = new Date()) {
+  const chatId = String(chat.id);
+  const subscriberRef = getSubscribersRef(db).child(chatId);
+  const title = (chat.title || (chat.username ? `@${chat.username}` : null) || chat.first_name || chatId)
+    .toString()
+    .substring(0, MAX_TITLE_LENGTH);
+
+  let subscriber = null;
+  await subscriberRef.transaction((current) => {
+    const existing = current ? normalizeSubscriber(chatId, current) : null;
+    const merged = CATEGORY_NAMES.filter((name) => categories.includes(name) || existing?.categories.includes(name));
+    subscriber = {
+      chatId,
+      title,
+      type: chat.type || 'private',
+      categories: merged,
+      subscribedAt: existing?.subscribedAt || now.getTime(),
+      updatedAt: now.getTime(),
+    };
+    return subscriber;
+  });
+  return subscriber;
+}
+
+/**
+ * Remove categories from a chat's subscription; without categories (or when none are left)
+ * the chat is unsubscribed. Resolves the remaining subscriber, or null.
+ */
+export async function unsubscribeChat(db, chatId, categories = null, now = new Date()) {
+  const subscriberRef = getSubscribersRef(db).child(String(chatId));
+
+  let subscriber = null;
+  await subscriberRef.transaction((current) => {
+    if (!current) return current;
+    const existing = normalizeSubscriber(String(chatId), current);
+    const remaining = categories
+      ? existing.categories.filter((name) => !categories.includes(name))
+      : [];
+    if (remaining.length === 0) {
+      subscriber = null;
+      return null;
+    }
+    subscriber = { ...existing, categories: remaining, updatedAt: now.getTime() };
+    return subscriber;
+  });
+  return subscriber;
+}
@@ -0,0 +1,217 @@
+/**
+ * Sensor telemetry
+ *
+ * sensors/ only holds the latest readings. The sensor cron samples them into
+ * system/feeders/{feederId}/telemetry/{timestamp} = { temperature, tds }, keyed by
+ * epoch milliseconds so key order is time order and ranges are key ranges.
+ */
+import { DEFAULT_TIMEZONE, formatLocalIsoTime, getLocalDateKey, getLocalDayStartMs, getStartOfLocalDay, getZonedParts } from './timezone.js';
+
+export const TELEMETRY_SENSORS = ['temperature', 'tds'];
+export const TELEMETRY_BUCKETS = ['raw', '5m', '1h', '1d'];
+export const TELEMETRY_RETENTION_DAYS = 90;
+export const DEFAULT_TELEMETRY_RANGE_HOURS = 24;
+export const MAX_RAW_POINTS = 5000;
+
+// Samples are stored per minute, so repeated cron calls within a minute overwrite each other
+const SAMPLE_RESOLUTION_MS = 60 * 1000;
+
+// Longest range per bucket size (raw is capped by MAX_RAW_POINTS instead)
+const MAX_RANGE_DAYS = { raw: 31, '5m': 7, '1h': 92, '1d': 366 };
+
+// Readings read per database query, and old readings removed per sampler run
+const TELEMETRY_BATCH_SIZE = 500;
+const TELEMETRY_PRUNE_BATCH_SIZE = 500;
+
+/**
+ * Walk the readings oldest first between `from` and `to` (epoch ms, either may be null).
+ * Yields { timestamp, temperature, tds }.
+ */
+export async function* iterateTelemetry(telemetryRef, { from = null, to = null } = {}) {
+  let startKey = from !== null ? String(from) : null;
+  let skipKey = null;
+
+  while (true) {
+    let keyQuery = telemetryRef.orderByKey();
+    if (startKey) keyQuery = keyQuery.startAt(startKey);
+    if (to !== null) keyQuery = keyQuery.endAt(String(to));
+    const snapshot = await keyQuery.limitToFirst(TELEMETRY_BATCH_SIZE + (skipKey ? 1 : 0)).once('value');
+
+    const batch = [];
+    snapshot.forEach((child) => {
+      if (child.key === skipKey) return;
+      const reading = child.val() || {};
+      batch.push({
+        timestamp: Number(child.key),
+        temperature: typeof reading.temperature === 'number' ? reading.temperature : null,
+        tds: typeof reading.tds === 'number' ? reading.tds : null,
+      });
+    });
+
+    for (const reading of batch) {
+      yield reading;
+    }
+
+    if (batch.length < TELEMETRY_BATCH_SIZE) return;
+    // startAt is inclusive, so the next query repeats the last key and drops it
+    startKey = String(batch[batch.length - 1].timestamp);
+    skipKey = startKey;
+  }
+}
+
+/**
+ * Only finite numbers count as readings (the Arduino may write strings or NaN).
+ * Returns the number or null.
+ */
+export function parseSensorValue(value) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Store the latest sensor readings as one telemetry sample.
+ * Resolves { recorded, timestamp, reading } - nothing is stored without a valid reading.
+ */
+export async function recordSensorReading({ telemetryRef, sensors, now = new Date() }) {
+  const reading = {};
+  for (const sensor of TELEMETRY_SENSORS) {
+    const value = parseSensorValue(sensors?.[sensor]);
+    if (value !== null) reading[sensor] = value;
+  }
+
+  if (Object.keys(reading).length === 0) {
+    return { recorded: false, timestamp: null, reading: null };
+  }
+
+  const timestamp = Math.floor(now.getTime() / SAMPLE_RESOLUTION_MS) * SAMPLE_RESOLUTION_MS;
+  await telemetryRef.child(String(timestamp)).set(reading);
+  return { recorded: true, timestamp, reading };
+}
+
+/**
+ * Remove readings older than TELEMETRY_RETENTION_DAYS (at most one batch per call).
+ * Resolves the number of readings removed.
+ */
+export async function pruneTelemetry(telemetryRef, now = new Date()) {
+  const cutoff = now.getTime() - TELEMETRY_RETENTION_DAYS * 24 * 3600000;
+  const snapshot = await telemetryRef.orderByKey().endAt(String(cutoff)).limitToFirst(TELEMETRY_PRUNE_BATCH_SIZE).once('value');
+
+  const updates = {};
+  snapshot.forEach((child) => {
+    updates[child.key] = null;
+  });
+
+  const removed = Object.keys(updates).length;
+  if (removed > 0) {
+    await telemetryRef.update(updates);
+  }
+  return removed;
+}
+
+/**
+ * Validate ?bucket= (default raw) and the range length.
+ * `from` / `to` come from parseDateRange; a missing range means the last DEFAULT_TELEMETRY_RANGE_HOURS.
+ * Returns { query: { bucket, from, to, limit } } or { error, message }.
+ */
+export function parseTelemetryQuery(searchParams, { from, to }, now = new Date()) {
+  const bucket = (searchParams.get('bucket') || 'raw').trim().toLowerCase();
+  if (!TELEMETRY_BUCKETS.includes(bucket)) {
+    return { error: 'INVALID_BUCKET', message: `bucket must be one of: ${TELEMETRY_BUCKETS.join(', ')}` };
+  }
+
+  const rangeTo = to ?? now.getTime();
+  const rangeFrom = from ?? rangeTo - DEFAULT_TELEMETRY_RANGE_HOURS * 3600000;
+  if (rangeFrom > rangeTo) {
+    return { error: 'INVALID_RANGE', message: 'from must not be after to' };
+  }
+  if (rangeTo - rangeFrom > MAX_RANGE_DAYS[bucket] * 24 * 3600000) {
+    return { error: 'RANGE_TOO_LARGE', message: `bucket ${bucket} allows a range of at most ${MAX_RANGE_DAYS[bucket]} days` };
+  }
+
+  const limitParam = searchParams.get('limit');
+  const limit = limitParam === null ? MAX_RAW_POINTS : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RAW_POINTS) {
+    return { error: 'INVALID_LIMIT', message: `limit must be between 1 and ${MAX_RAW_POINTS}` };
+  }
+
+  return { query: { bucket, from: rangeFrom, to: rangeTo, limit } };
+}
+
+/**
+ * Local bucket [start, end) containing `timestamp`. Buckets follow the feeder's wall clock,
+ * so hours and days line up with local time (including half-hour offsets and DST).
+ */
+function getBucketBounds(timestamp, bucket, timeZone) {
+  if (bucket === '1d') {
+    const start = getStartOfLocalDay(new Date(timestamp), timeZone);
+    const [year, month, day] = getLocalDateKey(new Date(timestamp), timeZone).split('-').map(Number);
+    const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+    return { start, end: getLocalDayStartMs(nextDay, timeZone) };
+  }
+
+  const { minute, second } = getZonedParts(new Date(timestamp), timeZone);
+  const sizeMinutes = bucket === '5m' ? 5 : 60;
+  const start = timestamp - (((minute % sizeMinutes) * 60 + second) * 1000 + (timestamp % 1000));
+  return { start, end: start + sizeMinutes * 60000 };
+}
+
+/**
+ * Raw readings in a range, oldest first. Resolves { points, truncated }.
+ */
+export async function queryTelemetryPoints(telemetryRef, { from, to, limit }, timeZone = DEFAULT_TIMEZONE) {
+  const points = [];
+  for await (const reading of iterateTelemetry(telemetryRef, { from, to })) {
+    if (points.length === limit) {
+      return { points, truncated: true };
+    }
+    points.push({ ...reading, time: formatLocalIsoTime(new Date(reading.timestamp), timeZone) });
+  }
+  return { points, truncated: false };
+}
+
+/**
+ * Readings in a range aggregated into local time buckets, oldest first.
+ * Each bucket: { start, end, time, count, temperature: { min, avg, max }, tds: { min, avg, max } }
+ * (a sensor's stats are null when the bucket has no reading for it). Empty buckets are left out.
+ */
+export async function aggregateTelemetry(telemetryRef, { from, to, bucket }, timeZone = DEFAULT_TIMEZONE) {
+  const buckets = [];
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    const result = { start: current.start, end: current.end, time: formatLocalIsoTime(new Date(current.start), timeZone), count: current.count };
+    for (const sensor of TELEMETRY_SENSORS) {
+      const stats = current.stats[sensor];
+      result[sensor] = stats.count > 0
+        ? { min: stats.min, avg: Math.round((stats.sum / stats.count) * 100) / 100, max: stats.max }
+        : null;
+    }
+    buckets.push(result);
+  };
+
+  for await (const reading of iterateTelemetry(telemetryRef, { from, to })) {
+    if (!current || reading.timestamp >= current.end) {
+      finish();
+      const { start, end } = getBucketBounds(reading.timestamp, bucket, timeZone);
+      current = { start, end, count: 0, stats: {} };
+      for (const sensor of TELEMETRY_SENSORS) {
+        current.stats[sensor] = { count: 0, sum: 0, min: null, max: null };
+      }
+    }
+
+    current.count++;
+    for (const sensor of TELEMETRY_SENSORS) {
+      const value = reading[sensor];
+      if (value === null) continue;
+      const stats = current.stats[sensor];
+      stats.count++;
+      stats.sum += value;
+      stats.min = stats.min === null ? value : Math.min(stats.min, value);
+      stats.max = stats.max === null ? value : Math.max(stats.max, value);
+    }
+  }
+  finish();
+
+  return buckets;
+}
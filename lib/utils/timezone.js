@@ -0,0 +1,125 @@
+/**
+ * Timezone utilities
+ * Each feeder stores an IANA timezone in feeder/timezone. It drives message
+ * formatting, fasting-day evaluation and daily boundaries, independent of the
+ * server clock (UTC on Vercel).
+ */
+
+// Falls back to Iraq time (the original deployment) when DEFAULT_TIMEZONE is unset or invalid
+export const DEFAULT_TIMEZONE = isValidTimeZone(process.env.DEFAULT_TIMEZONE)
+  ? process.env.DEFAULT_TIMEZONE
+  : 'Asia/Baghdad';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check that a string is an IANA timezone the runtime knows (e.g. "Europe/Berlin")
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Timezone of a feeder, falling back to DEFAULT_TIMEZONE when unset or invalid
+ */
+export function getFeederTimeZone(feederData) {
+  const timeZone = feederData?.timezone;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of a date in a timezone.
+ * Returns { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const values = {};
+  for (const part of parts) {
+    values[part.type] = part.value;
+  }
+
+  return {
+    year: parseInt(values.year, 10),
+    month: parseInt(values.month, 10),
+    day: parseInt(values.day, 10),
+    hour: parseInt(values.hour, 10) % 24,
+    minute: parseInt(values.minute, 10),
+    second: parseInt(values.second, 10),
+    weekday: WEEKDAYS.indexOf(values.weekday),
+  };
+}
+
+/**
+ * Local calendar day of a date as "YYYY-MM-DD"
+ */
+export function getLocalDateKey(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Epoch milliseconds of local midnight for the day containing `date`
+ */
+export function getStartOfLocalDay(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClockMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetMs = wallClockMs - Math.floor(date.getTime() / 1000) * 1000;
+  const midnight = Date.UTC(year, month - 1, day) - offsetMs;
+
+  // The offset may differ at midnight on DST change days - correct once
+  const check = getZonedParts(new Date(midnight), timeZone);
+  const driftMs = (check.hour * 3600 + check.minute * 60 + check.second) * 1000;
+  return check.day === day ? midnight - driftMs : midnight + (24 * 3600000 - driftMs);
+}
+
+/**
+ * Epoch milliseconds of local midnight of a "YYYY-MM-DD" day
+ */
+export function getLocalDayStartMs(dateKey, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  // Find an instant that is local noon of that day, then take its local midnight
+  const utcNoon = Date.UTC(year, month - 1, day, 12);
+  const parts = getZonedParts(new Date(utcNoon), timeZone);
+  const offsetMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - utcNoon;
+  return getStartOfLocalDay(new Date(utcNoon - offsetMs), timeZone);
+}
+
+/**
+ * ISO 8601 local time with UTC offset, e.g. "2026-10-19T14:05:00+03:00"
+ */
+export function formatLocalIsoTime(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round((Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absMinutes = Math.abs(offsetMinutes);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`
+    + `${sign}${pad(Math.floor(absMinutes / 60))}:${pad(absMinutes % 60)}`;
+}
+
+/**
+ * Read only the timezone of a feeder (for routes that don't load the whole feeder node)
+ */
+export async function loadFeederTimeZone(feederRef) {
+  const snapshot = await feederRef.child('timezone').once('value');
+  return getFeederTimeZone({ timezone: snapshot.val() });
+}
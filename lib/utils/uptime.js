@@ -0,0 +1,61 @@
+/**
+ * Device uptime
+ *
+ * The sensor cron checks the device on every run and counts the checks per local day in
+ * system/feeders/{feederId}/uptime/{YYYY-MM-DD} = { checks, online }.
+ * The uptime of a period is online / checks over its days.
+ */
+import { DEFAULT_TIMEZONE, getLocalDateKey } from './timezone.js';
+
+export const UPTIME_RETENTION_DAYS = 90;
+
+/**
+ * Count one device check for the local day of `now`
+ */
+export async function recordDeviceCheck({ uptimeRef, online, now = new Date(), timeZone = DEFAULT_TIMEZONE }) {
+  await uptimeRef.child(getLocalDateKey(now, timeZone)).transaction((current) => ({
+    checks: (current?.checks || 0) + 1,
+    online: (current?.online || 0) + (online ? 1 : 0),
+  }));
+}
+
+/**
+ * Remove days older than UPTIME_RETENTION_DAYS. Resolves the number of days removed.
+ */
+export async function pruneUptime(uptimeRef, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const cutoff = getLocalDateKey(new Date(now.getTime() - UPTIME_RETENTION_DAYS * 24 * 3600000), timeZone);
+  const snapshot = await uptimeRef.orderByKey().endAt(cutoff).limitToFirst(UPTIME_RETENTION_DAYS).once('value');
+
+  const updates = {};
+  snapshot.forEach((child) => {
+    if (child.key < cutoff) updates[child.key] = null;
+  });
+
+  const removed = Object.keys(updates).length;
+  if (removed > 0) {
+    await uptimeRef.update(updates);
+  }
+  return removed;
+}
+
+/**
+ * Uptime between two local days ("YYYY-MM-DD", both included).
+ * Resolves { checks, online, percent } - percent is null when nothing was checked.
+ */
+export async function loadUptime(uptimeRef, fromKey, toKey) {
+  const snapshot = await uptimeRef.orderByKey().startAt(fromKey).endAt(toKey).once('value');
+
+  let checks = 0;
+  let online = 0;
+  snapshot.forEach((child) => {
+    const day = child.val() || {};
+    checks += Number(day.checks) || 0;
+    online += Number(day.online) || 0;
+  });
+
+  return {
+    checks,
+    online,
+    percent: checks > 0 ? Math.round((online / checks) * 1000) / 10 : null,
+  };
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLocalDatabase } from '../lib/services/localdb.js';
+import { getFeederRefs } from '../lib/utils/feeders.js';
+import { buildDigest, formatDigest, getDigestRange } from '../lib/utils/digest.js';
+import { pushKeyAt } from '../lib/utils/pagination.js';
+
+const NOW = new Date('2026-10-19T09:00:00Z');
+
+async function addFeed(refs, timestamp) {
+  await refs.historyRef.child(`${pushKeyAt(timestamp)}x`).set({
+    timestamp,
+    type: 'manual',
+    user: 'Tester',
+    outcome: 'acknowledged',
+  });
+}
+
+test('longest gap starting at midnight is shown as 00:00:00', async () => {
+  const refs = getFeederRefs(getLocalDatabase(), 'digest-midnight');
+  const { from } = getDigestRange('day', NOW, 'UTC');
+  await addFeed(refs, from + 20 * 3600000);
+
+  const digest = await buildDigest(refs, 'day', NOW, 'UTC');
+  assert.equal(digest.longestGap.from, from);
+  assert.equal(digest.longestGap.ms, 20 * 3600000);
+
+  const html = formatDigest(digest, { feederName: 'Test', timeZone: 'UTC' }, 'en');
+  assert.match(html, /Oct 18 00:00:00 → Oct 18 20:00:00/);
+  assert.doesNotMatch(html, /\b24:\d\d:\d\d/);
+});
+
+test('a day without feeds reports the whole period as the gap', async () => {
+  const refs = getFeederRefs(getLocalDatabase(), 'digest-empty');
+  const digest = await buildDigest(refs, 'day', NOW, 'UTC');
+  assert.equal(digest.longestGap.ms, 24 * 3600000);
+
+  const html = formatDigest(digest, { feederName: 'Test', timeZone: 'UTC' }, 'en');
+  assert.match(html, /Oct 18 00:00:00 → Oct 19 00:00:00/);
+});
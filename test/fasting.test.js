@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWeekdays } from '../lib/utils/fasting.js';
+
+test('repeated weekdays are merged and sorted', () => {
+  assert.deepEqual(parseWeekdays([5, 0, 5]), { weekdays: [0, 5] });
+  assert.deepEqual(parseWeekdays([]), { weekdays: [] });
+});
+
+test('weekdays that are not integers 0-6 are rejected', () => {
+  for (const input of [[1.5], ['1'], ['1abc'], [true], [null], [7], [-1], [0, 'x'], 'abc', null]) {
+    assert.equal(parseWeekdays(input).error, 'INVALID_WEEKDAYS', `accepted ${JSON.stringify(input)}`);
+  }
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLocalDatabase } from '../lib/services/localdb.js';
+import { getFeederRefs } from '../lib/utils/feeders.js';
+import { triggerFeed } from '../lib/utils/feeder.js';
+
+test('triggerFeed has written the history entry when it returns', async () => {
+  const db = getLocalDatabase();
+  const refs = getFeederRefs(db, 'feeder-history');
+
+  const { feedId } = await triggerFeed({
+    type: 'manual',
+    user: 'Tester',
+    userId: 'uid-1',
+    db,
+    ...refs,
+    now: new Date('2026-10-19T09:00:00Z'),
+    timeZone: 'UTC',
+  });
+
+  const entry = (await refs.historyRef.child(feedId).once('value')).val();
+  assert.equal(entry.outcome, 'pending');
+  assert.equal(entry.userId, 'uid-1');
+
+  const recent = (await refs.feederRef.child('history').once('value')).val();
+  assert.equal(recent[0].feedId, feedId);
+});
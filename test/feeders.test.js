@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FEEDER_ID, getFeederPath } from '../lib/utils/feeders.js';
+
+test('the default feeder keeps the single-tank paths', () => {
+  assert.equal(getFeederPath(DEFAULT_FEEDER_ID), 'system');
+});
+
+test('other feeders live under system/feeders', () => {
+  assert.equal(getFeederPath('tank2'), 'system/feeders/tank2');
+});
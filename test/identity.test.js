@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ANONYMOUS_USER, resolveVisitorIdentity } from '../lib/utils/identity.js';
+
+const request = new Request('http://localhost/api/feed/manual', { method: 'POST' });
+
+test('anonymous visitors keep their trimmed display name', async () => {
+  const { identity } = await resolveVisitorIdentity(request, { user: '  Sara  ', deviceId: 'kiosk-1' });
+  assert.equal(identity.user, 'Sara');
+  assert.deepEqual(identity.owner, { deviceId: 'kiosk-1' });
+});
+
+test('anonymous display names are capped at 100 characters', async () => {
+  const { identity } = await resolveVisitorIdentity(request, { user: 'x'.repeat(150) });
+  assert.equal(identity.user.length, 100);
+});
+
+test('anonymous visitors without a name are shown as Visitor', async () => {
+  for (const user of [undefined, '', '   ']) {
+    const { identity } = await resolveVisitorIdentity(request, { user });
+    assert.equal(identity.user, ANONYMOUS_USER);
+  }
+});
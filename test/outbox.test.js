@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLocalDatabase } from '../lib/services/localdb.js';
+import { enqueueNotification, getDueEntries, getOutboxRef } from '../lib/utils/outbox.js';
+
+const target = { id: 'chat:1', type: 'telegram', config: { chatId: '1' } };
+
+test('due entries are found behind many delayed ones', async () => {
+  const db = getLocalDatabase();
+  const now = new Date('2026-10-19T22:00:00Z');
+  const morning = now.getTime() + 9 * 3600000;
+
+  // Quiet hours delayed these until the morning; they hold the oldest keys
+  const delayed = {};
+  for (let i = 0; i < 600; i++) {
+    delayed[`-delayed${String(i).padStart(4, '0')}`] = {
+      event: 'auto_feed', target, html: 'night', attempts: 0, createdAt: 0, nextAttemptAt: morning,
+    };
+  }
+  await getOutboxRef(db).set(delayed);
+
+  const { id } = await enqueueNotification(db, { event: 'device', target, html: 'offline' }, new Date(now.getTime() - 5 * 60000));
+
+  const { due, pending } = await getDueEntries(db, now);
+  assert.deepEqual(due.map((entry) => entry.id), [id]);
+  assert.equal(pending, 1);
+
+  await getOutboxRef(db).remove();
+});
+
+test('due entries come longest due first', async () => {
+  const db = getLocalDatabase();
+  const now = new Date('2026-10-19T22:00:00Z');
+  await getOutboxRef(db).set({
+    b: { event: 'device', target, html: 'b', nextAttemptAt: now.getTime() - 60000 },
+    a: { event: 'device', target, html: 'a', nextAttemptAt: now.getTime() },
+    c: { event: 'device', target, html: 'c', nextAttemptAt: now.getTime() - 120000 },
+    d: { event: 'device', target, html: 'd', nextAttemptAt: now.getTime() + 1 },
+  });
+
+  const { due } = await getDueEntries(db, now);
+  assert.deepEqual(due.map((entry) => entry.id), ['c', 'b', 'a']);
+
+  await getOutboxRef(db).remove();
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getQuietHoursAction, parseQuietTimeZone } from '../lib/utils/preferences.js';
+
+const preferences = {
+  mutedEvents: [],
+  quietHours: { start: '22:00', end: '07:00', mode: 'delay', critical: true },
+};
+
+test('quiet hours are evaluated in the given timezone', () => {
+  // 21:30 UTC is 23:30 in Berlin (CEST) but 17:30 in New York (EDT)
+  const now = new Date('2026-07-01T21:30:00Z');
+  assert.equal(getQuietHoursAction(preferences, 'auto_feed', now, 'Europe/Berlin').action, 'delay');
+  assert.equal(getQuietHoursAction(preferences, 'auto_feed', now, 'America/New_York').action, 'send');
+});
+
+test('/quiet tz accepts IANA names and default', () => {
+  assert.deepEqual(parseQuietTimeZone('europe/berlin'), { timeZone: 'Europe/Berlin' });
+  assert.deepEqual(parseQuietTimeZone('Default'), { timeZone: null });
+  assert.equal(parseQuietTimeZone('Mars/Olympus').error, 'INVALID_TIMEZONE');
+  assert.equal(parseQuietTimeZone().error, 'INVALID_TIMEZONE');
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLocalDatabase } from '../lib/services/localdb.js';
+import { saveTimerSettings } from '../lib/utils/settings.js';
+
+const feeder = { id: 'settings-timer', name: 'Test' };
+
+test('saving the same timer without a fasting day is no change', async () => {
+  const { changed } = await saveTimerSettings({
+    db: getLocalDatabase(),
+    feeder,
+    feederData: { timer: { hour: 2, minute: 30 } },
+    timer: { hour: 2, minute: 30, noFeedDay: null },
+  });
+  assert.equal(changed, false);
+});
+
+test('setting a fasting day is a change', async () => {
+  const { changed } = await saveTimerSettings({
+    db: getLocalDatabase(),
+    feeder,
+    feederData: { timer: { hour: 2, minute: 30, noFeedDay: null } },
+    timer: { hour: 2, minute: 30, noFeedDay: 5 },
+  });
+  assert.equal(changed, true);
+});